@@ -226,6 +226,11 @@ class Database {
         await this.run("ALTER TABLE tv_shows ADD COLUMN genres TEXT");
         console.log('  ✓ Added genres column to tv_shows');
       }
+
+      if (!tvColumnNames.includes('seasons_updated_at')) {
+        await this.run("ALTER TABLE tv_shows ADD COLUMN seasons_updated_at DATETIME");
+        console.log('  ✓ Added seasons_updated_at column to tv_shows');
+      }
     } catch (err) {
       console.error('TV shows migration error:', err.message);
     }
@@ -254,10 +259,71 @@ class Database {
         await this.run("ALTER TABLE episodes ADD COLUMN still_path TEXT");
         console.log('  ✓ Added still_path column to episodes');
       }
+
+      if (!epColumnNames.includes('tmdb_id')) {
+        await this.run("ALTER TABLE episodes ADD COLUMN tmdb_id INTEGER");
+        console.log('  ✓ Added tmdb_id column to episodes');
+      }
+
+      await this.run("CREATE INDEX IF NOT EXISTS idx_episodes_show ON episodes(tv_show_id, season_number, episode_number)");
     } catch (err) {
       console.error('Episodes migration error:', err.message);
     }
 
+    // Migration: Create seasons table (season list of a show as known to TMDB).
+    // Episodes TMDB lists without a file on disk are rows in episodes with no media_item_id.
+    try {
+      await this.run(`
+        CREATE TABLE IF NOT EXISTS seasons (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          tv_show_id INTEGER NOT NULL,
+          season_number INTEGER NOT NULL,
+          tmdb_id INTEGER,
+          name TEXT,
+          overview TEXT,
+          poster_path TEXT,
+          air_date TEXT,
+          episode_count INTEGER,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(tv_show_id, season_number),
+          FOREIGN KEY(tv_show_id) REFERENCES tv_shows(id) ON DELETE CASCADE
+        )
+      `);
+    } catch (err) {
+      console.error('Seasons migration error:', err.message);
+    }
+
+    // Migration: Create libraries and their roots (local paths or paths on a network source)
+    try {
+      await this.run(`
+        CREATE TABLE IF NOT EXISTS libraries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          type TEXT CHECK(type IN ('movies', 'tv', 'mixed', 'home_videos')) NOT NULL DEFAULT 'mixed',
+          scan_schedule TEXT,
+          metadata_language TEXT,
+          last_scanned_at DATETIME,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await this.run(`
+        CREATE TABLE IF NOT EXISTS library_roots (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          library_id INTEGER NOT NULL,
+          path TEXT NOT NULL,
+          network_source_id INTEGER,
+          FOREIGN KEY(library_id) REFERENCES libraries(id) ON DELETE CASCADE,
+          FOREIGN KEY(network_source_id) REFERENCES network_sources(id) ON DELETE CASCADE
+        )
+      `);
+
+      await this.run("CREATE INDEX IF NOT EXISTS idx_library_roots_library ON library_roots(library_id)");
+    } catch (err) {
+      console.error('Libraries migration error:', err.message);
+    }
+
     // Migration: Add missing columns to media_items table
     try {
       const mediaInfo = await this.all("PRAGMA table_info(media_items)");
@@ -287,6 +353,43 @@ class Database {
         await this.run("ALTER TABLE media_items ADD COLUMN quality TEXT");
         console.log('  ✓ Added quality column to media_items');
       }
+
+      // File state for incremental rescans
+      if (!mediaColumnNames.includes('file_mtime')) {
+        await this.run("ALTER TABLE media_items ADD COLUMN file_mtime INTEGER");
+        console.log('  ✓ Added file_mtime column to media_items');
+      }
+
+      if (!mediaColumnNames.includes('content_hash')) {
+        await this.run("ALTER TABLE media_items ADD COLUMN content_hash TEXT");
+        console.log('  ✓ Added content_hash column to media_items');
+      }
+
+      if (!mediaColumnNames.includes('missing')) {
+        await this.run("ALTER TABLE media_items ADD COLUMN missing BOOLEAN DEFAULT 0");
+        await this.run("ALTER TABLE media_items ADD COLUMN missing_since DATETIME");
+        console.log('  ✓ Added missing and missing_since columns to media_items');
+      }
+
+      if (!mediaColumnNames.includes('library_id')) {
+        await this.run("ALTER TABLE media_items ADD COLUMN library_id INTEGER REFERENCES libraries(id) ON DELETE SET NULL");
+        await this.run("CREATE INDEX IF NOT EXISTS idx_media_library ON media_items(library_id)");
+        console.log('  ✓ Added library_id column to media_items');
+      }
+
+      // Movies split over several files: later parts point at the first one
+      if (!mediaColumnNames.includes('parent_id')) {
+        await this.run("ALTER TABLE media_items ADD COLUMN parent_id INTEGER REFERENCES media_items(id) ON DELETE CASCADE");
+        await this.run("ALTER TABLE media_items ADD COLUMN part_number INTEGER");
+        await this.run("CREATE INDEX IF NOT EXISTS idx_media_parent ON media_items(parent_id)");
+        console.log('  ✓ Added parent_id and part_number columns to media_items');
+      }
+
+      // Metadata providers that matched the item (e.g. "nfo,tmdb")
+      if (!mediaColumnNames.includes('metadata_provider')) {
+        await this.run("ALTER TABLE media_items ADD COLUMN metadata_provider TEXT");
+        console.log('  ✓ Added metadata_provider column to media_items');
+      }
     } catch (err) {
       console.error('Media items migration error:', err.message);
     }
@@ -300,7 +403,9 @@ class Database {
           language TEXT NOT NULL,
           label TEXT NOT NULL,
           file_path TEXT NOT NULL,
-          format TEXT CHECK(format IN ('srt', 'vtt', 'ass')),
+          format TEXT CHECK(format IN ('srt', 'vtt', 'ass', 'ssa', 'mov_text', 'pgs', 'vobsub', 'dvb')),
+          codec TEXT,
+          stream_index INTEGER,
           is_default BOOLEAN DEFAULT 0,
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
           FOREIGN KEY(media_item_id) REFERENCES media_items(id) ON DELETE CASCADE
@@ -318,6 +423,43 @@ class Database {
       }
     }
 
+    // Migration: Allow embedded subtitle streams (codec, stream index and more formats).
+    // SQLite cannot change a CHECK constraint, so older tables are rebuilt.
+    try {
+      const subtitlesTable = await this.get(
+        "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'subtitles'"
+      );
+
+      if (subtitlesTable && !subtitlesTable.sql.includes('stream_index')) {
+        await this.run('ALTER TABLE subtitles RENAME TO subtitles_old');
+        await this.run(`
+          CREATE TABLE subtitles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            media_item_id INTEGER NOT NULL,
+            language TEXT NOT NULL,
+            label TEXT NOT NULL,
+            file_path TEXT NOT NULL,
+            format TEXT CHECK(format IN ('srt', 'vtt', 'ass', 'ssa', 'mov_text', 'pgs', 'vobsub', 'dvb')),
+            codec TEXT,
+            stream_index INTEGER,
+            is_default BOOLEAN DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY(media_item_id) REFERENCES media_items(id) ON DELETE CASCADE
+          )
+        `);
+        await this.run(`
+          INSERT INTO subtitles (id, media_item_id, language, label, file_path, format, is_default, created_at)
+          SELECT id, media_item_id, language, label, file_path, format, is_default, created_at
+          FROM subtitles_old
+        `);
+        await this.run('DROP TABLE subtitles_old');
+        await this.run("CREATE INDEX IF NOT EXISTS idx_subtitles_media ON subtitles(media_item_id)");
+        console.log('  ✓ Rebuilt subtitles table for embedded streams');
+      }
+    } catch (err) {
+      console.error('Embedded subtitles migration error:', err.message);
+    }
+
     // Migration: Add is_admin column to users table
     try {
       const usersInfo = await this.all("PRAGMA table_info(users)");
@@ -330,6 +472,231 @@ class Database {
     } catch (err) {
       console.error('Admin migration error:', err.message);
     }
+
+    // Migration: Create transcode_jobs table
+    try {
+      await this.run(`
+        CREATE TABLE IF NOT EXISTS transcode_jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          media_item_id INTEGER NOT NULL,
+          quality TEXT NOT NULL,
+          status TEXT CHECK(status IN ('queued', 'running', 'paused', 'completed', 'failed', 'cancelled')) DEFAULT 'queued',
+          priority INTEGER DEFAULT 0,
+          attempts INTEGER DEFAULT 0,
+          max_attempts INTEGER DEFAULT 3,
+          progress REAL DEFAULT 0,
+          fps REAL,
+          eta_seconds INTEGER,
+          output_path TEXT,
+          error TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          started_at DATETIME,
+          completed_at DATETIME,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY(media_item_id) REFERENCES media_items(id) ON DELETE CASCADE
+        )
+      `);
+
+      await this.run("CREATE INDEX IF NOT EXISTS idx_transcode_jobs_queue ON transcode_jobs(status, priority)");
+    } catch (err) {
+      console.error('Transcode jobs migration error:', err.message);
+    }
+
+    // Migration: Create scheduled_tasks table (schedules and the outcome of the last run)
+    try {
+      await this.run(`
+        CREATE TABLE IF NOT EXISTS scheduled_tasks (
+          key TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          schedule TEXT NOT NULL,
+          enabled BOOLEAN DEFAULT 1,
+          last_run_at DATETIME,
+          last_status TEXT CHECK(last_status IN ('running', 'success', 'failed')),
+          last_duration_ms INTEGER,
+          last_error TEXT,
+          last_result TEXT,
+          next_run_at DATETIME,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    } catch (err) {
+      console.error('Scheduled tasks migration error:', err.message);
+    }
+
+    // Migration: Create subtitle_offsets table (per-user timing fixes, in milliseconds)
+    try {
+      await this.run(`
+        CREATE TABLE IF NOT EXISTS subtitle_offsets (
+          user_id INTEGER NOT NULL,
+          subtitle_id INTEGER NOT NULL,
+          offset_ms INTEGER NOT NULL DEFAULT 0,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY(user_id, subtitle_id),
+          FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE,
+          FOREIGN KEY(subtitle_id) REFERENCES subtitles(id) ON DELETE CASCADE
+        )
+      `);
+    } catch (err) {
+      console.error('Subtitle offsets migration error:', err.message);
+    }
+
+    // Migration: Create collections (TMDB movie sets) and their members in order.
+    // Members are matched to movies through tmdb_id, so missing parts are listed too.
+    try {
+      await this.run(`
+        CREATE TABLE IF NOT EXISTS collections (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          tmdb_id INTEGER UNIQUE NOT NULL,
+          name TEXT NOT NULL,
+          overview TEXT,
+          poster_path TEXT,
+          backdrop_path TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      await this.run(`
+        CREATE TABLE IF NOT EXISTS collection_parts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          collection_id INTEGER NOT NULL,
+          tmdb_id INTEGER NOT NULL,
+          position INTEGER NOT NULL,
+          title TEXT NOT NULL,
+          overview TEXT,
+          release_date TEXT,
+          poster_path TEXT,
+          UNIQUE(collection_id, tmdb_id),
+          FOREIGN KEY(collection_id) REFERENCES collections(id) ON DELETE CASCADE
+        )
+      `);
+
+      await this.run("CREATE INDEX IF NOT EXISTS idx_collection_parts_tmdb ON collection_parts(tmdb_id)");
+    } catch (err) {
+      console.error('Collections migration error:', err.message);
+    }
+
+    // Migration: Create artwork table (local copies of posters and backdrops).
+    // custom marks an admin upload, which provider artwork does not replace.
+    try {
+      await this.run(`
+        CREATE TABLE IF NOT EXISTS artwork (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          media_item_id INTEGER NOT NULL,
+          kind TEXT NOT NULL CHECK(kind IN ('poster', 'backdrop')),
+          source TEXT,
+          file_path TEXT NOT NULL,
+          content_type TEXT NOT NULL,
+          hash TEXT NOT NULL,
+          custom BOOLEAN DEFAULT 0,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE(media_item_id, kind),
+          FOREIGN KEY(media_item_id) REFERENCES media_items(id) ON DELETE CASCADE
+        )
+      `);
+    } catch (err) {
+      console.error('Artwork migration error:', err.message);
+    }
+
+    // Migration: Create thumbnails table (generated poster frames and trickplay sprites).
+    // Tiles are laid out row by row over sprite_count sheets of columns x rows tiles.
+    try {
+      await this.run(`
+        CREATE TABLE IF NOT EXISTS thumbnails (
+          media_item_id INTEGER PRIMARY KEY,
+          poster_frame BOOLEAN DEFAULT 0,
+          interval INTEGER,
+          tile_width INTEGER,
+          tile_height INTEGER,
+          columns INTEGER,
+          rows INTEGER,
+          sprite_count INTEGER DEFAULT 0,
+          frame_count INTEGER DEFAULT 0,
+          error TEXT,
+          generated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY(media_item_id) REFERENCES media_items(id) ON DELETE CASCADE
+        )
+      `);
+    } catch (err) {
+      console.error('Thumbnails migration error:', err.message);
+    }
+
+    // Migration: Create metadata_matches table (TMDB match of an item, with its
+    // confidence and the other candidates). Pending matches wait for admin review.
+    try {
+      await this.run(`
+        CREATE TABLE IF NOT EXISTS metadata_matches (
+          media_item_id INTEGER PRIMARY KEY,
+          media_type TEXT NOT NULL CHECK(media_type IN ('movie', 'tv')),
+          query_title TEXT,
+          query_year INTEGER,
+          tmdb_id INTEGER,
+          confidence INTEGER,
+          candidates TEXT,
+          status TEXT NOT NULL CHECK(status IN ('matched', 'pending', 'accepted')),
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY(media_item_id) REFERENCES media_items(id) ON DELETE CASCADE
+        )
+      `);
+      await this.run("CREATE INDEX IF NOT EXISTS idx_metadata_matches_status ON metadata_matches(status)");
+    } catch (err) {
+      console.error('Metadata matches migration error:', err.message);
+    }
+
+    // Migration: Create match_decisions table (TMDB IDs chosen by an admin, looked up
+    // again on every rescan). Movies are kept per file, shows per parsed show title.
+    try {
+      await this.run(`
+        CREATE TABLE IF NOT EXISTS match_decisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          media_type TEXT NOT NULL CHECK(media_type IN ('movie', 'tv')),
+          file_path TEXT,
+          query_title TEXT,
+          query_year INTEGER,
+          tmdb_id INTEGER NOT NULL,
+          decided_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      await this.run("CREATE INDEX IF NOT EXISTS idx_match_decisions_file ON match_decisions(file_path)");
+      await this.run("CREATE INDEX IF NOT EXISTS idx_match_decisions_query ON match_decisions(query_title)");
+    } catch (err) {
+      console.error('Match decisions migration error:', err.message);
+    }
+
+    // Migration: Create metadata_fields table (fields of media items, shows and episodes
+    // that are locked against provider updates or were entered by a user). Rows are
+    // not cascaded; the entity tables use AUTOINCREMENT, so IDs are never reused.
+    try {
+      await this.run(`
+        CREATE TABLE IF NOT EXISTS metadata_fields (
+          entity_type TEXT NOT NULL CHECK(entity_type IN ('item', 'show', 'episode')),
+          entity_id INTEGER NOT NULL,
+          field TEXT NOT NULL,
+          locked BOOLEAN DEFAULT 0,
+          user_edited BOOLEAN DEFAULT 0,
+          edited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY(entity_type, entity_id, field)
+        )
+      `);
+    } catch (err) {
+      console.error('Metadata fields migration error:', err.message);
+    }
+
+    // Migration: Create tmdb_cache table (TMDB responses by client method and params)
+    try {
+      await this.run(`
+        CREATE TABLE IF NOT EXISTS tmdb_cache (
+          key TEXT PRIMARY KEY,
+          response TEXT NOT NULL,
+          expires_at DATETIME NOT NULL
+        )
+      `);
+      await this.run("CREATE INDEX IF NOT EXISTS idx_tmdb_cache_expires ON tmdb_cache(expires_at)");
+    } catch (err) {
+      console.error('TMDB cache migration error:', err.message);
+    }
   }
 
   async run(sql, params = []) {
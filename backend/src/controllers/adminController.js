@@ -1,6 +1,9 @@
 import database from '../config/database.js';
 import { unlink } from 'fs/promises';
 import { existsSync } from 'fs';
+import schedulerService from '../services/schedulerService.js';
+import scannerService from '../services/scannerService.js';
+import { isValidCron } from '../utils/cron.js';
 
 // Get dashboard statistics
 export const getDashboardStats = async (req, res) => {
@@ -192,8 +195,8 @@ export const deleteMediaItem = async (req, res) => {
       return res.status(404).json({ error: 'Media not found' });
     }
 
-    // Delete from database (cascades to watch history, subtitles, etc.)
-    await database.run('DELETE FROM media_items WHERE id = ?', [mediaId]);
+    // Delete from database, with its watch history, subtitles, etc.
+    await scannerService.removeMediaItem(media);
 
     // Delete physical file if requested and it exists
     if (deleteFile && media.file_path && existsSync(media.file_path)) {
@@ -270,3 +273,73 @@ export const getAllMedia = async (req, res) => {
     res.status(500).json({ error: 'Failed to fetch media' });
   }
 };
+
+// Get scheduled tasks with their schedule and last run
+export const getTasks = async (req, res) => {
+  try {
+    const tasks = await schedulerService.getTasks();
+
+    res.json({
+      count: tasks.length,
+      tasks
+    });
+  } catch (error) {
+    console.error('Error fetching tasks:', error);
+    res.status(500).json({ error: 'Failed to fetch tasks' });
+  }
+};
+
+// Change a task's schedule or enable/disable it
+export const updateTask = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { schedule, enabled } = req.body;
+
+    if (schedule === undefined && enabled === undefined) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    if (schedule !== undefined && !isValidCron(schedule)) {
+      return res.status(400).json({ error: 'Schedule must be a cron expression (minute hour day-of-month month day-of-week)' });
+    }
+
+    const task = await schedulerService.updateTask(key, {
+      schedule: schedule?.trim(),
+      enabled
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    res.json(task);
+  } catch (error) {
+    console.error('Error updating task:', error);
+    res.status(500).json({ error: 'Failed to update task' });
+  }
+};
+
+// Run a task now; it keeps running in the background
+export const runTask = async (req, res) => {
+  try {
+    const { key } = req.params;
+    const task = await schedulerService.getTask(key);
+
+    if (!task) {
+      return res.status(404).json({ error: 'Task not found' });
+    }
+
+    if (task.running) {
+      return res.status(409).json({ error: 'Task is already running' });
+    }
+
+    schedulerService.runTask(key).catch(() => {
+      // The failure is recorded on the task
+    });
+
+    res.status(202).json(await schedulerService.getTask(key));
+  } catch (error) {
+    console.error('Error running task:', error);
+    res.status(500).json({ error: 'Failed to run task' });
+  }
+};
@@ -0,0 +1,102 @@
+import database from '../config/database.js';
+import artworkService, { ARTWORK_KINDS } from '../services/artworkService.js';
+
+/**
+ * Check the item ID and artwork kind of an image request
+ * @param {Object} params - Route params ({ itemId, kind })
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateImageParams({ itemId, kind }) {
+  if (!/^\d+$/.test(itemId)) {
+    return 'Invalid item ID';
+  }
+  if (!ARTWORK_KINDS.includes(kind)) {
+    return `Invalid kind. Must be one of: ${ARTWORK_KINDS.join(', ')}`;
+  }
+  return null;
+}
+
+export const getImage = async (req, res) => {
+  try {
+    const invalid = validateImageParams(req.params);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const width = req.query.w !== undefined ? parseInt(req.query.w, 10) : null;
+    if (width !== null && !(width > 0)) {
+      return res.status(400).json({ error: 'w must be a positive number of pixels' });
+    }
+
+    const image = await artworkService.getImage(parseInt(req.params.itemId, 10), req.params.kind, width);
+
+    if (!image) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    res.set({
+      'Content-Type': image.contentType,
+      'Cache-Control': 'private, max-age=300',
+      ETag: image.etag
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    res.sendFile(image.path, { etag: false, lastModified: false });
+  } catch (error) {
+    console.error('Error serving image:', error);
+    res.status(500).json({ error: 'Failed to serve image' });
+  }
+};
+
+export const uploadImage = async (req, res) => {
+  try {
+    const invalid = validateImageParams(req.params);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const item = await database.get('SELECT id FROM media_items WHERE id = ?', [req.params.itemId]);
+    if (!item) {
+      return res.status(404).json({ error: 'Media item not found' });
+    }
+
+    let artwork;
+    try {
+      artwork = await artworkService.saveUpload(item.id, req.params.kind, req.body, req.get('Content-Type'));
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({
+      message: 'Image uploaded',
+      url: artworkService.getImageUrl(item.id, req.params.kind),
+      hash: artwork.hash
+    });
+  } catch (error) {
+    console.error('Error uploading image:', error);
+    res.status(500).json({ error: 'Failed to upload image' });
+  }
+};
+
+export const deleteUploadedImage = async (req, res) => {
+  try {
+    const invalid = validateImageParams(req.params);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const removed = await artworkService.removeUpload(parseInt(req.params.itemId, 10), req.params.kind);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'No uploaded image to remove' });
+    }
+
+    res.json({ message: 'Uploaded image removed' });
+  } catch (error) {
+    console.error('Error removing uploaded image:', error);
+    res.status(500).json({ error: 'Failed to remove uploaded image' });
+  }
+};
@@ -0,0 +1,210 @@
+import { stat } from 'fs/promises';
+import { isAbsolute, resolve } from 'path';
+import database from '../config/database.js';
+import libraryService, { LIBRARY_TYPES } from '../services/libraryService.js';
+import scannerService from '../services/scannerService.js';
+import { isValidCron } from '../utils/cron.js';
+
+const LANGUAGE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+/**
+ * Validate and normalize library fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Whether fields may be left out (updates)
+ * @returns {Promise<{ error: string }|{ fields: Object }>}
+ */
+async function parseLibraryFields(body = {}, partial = false) {
+  const { name, type, roots, scan_schedule, metadata_language } = body;
+  const fields = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: 'Name is required' };
+    }
+    fields.name = name.trim();
+  }
+
+  if (type !== undefined) {
+    if (!LIBRARY_TYPES.includes(type)) {
+      return { error: `Invalid type. Must be one of: ${LIBRARY_TYPES.join(', ')}` };
+    }
+    fields.type = type;
+  }
+
+  if (roots !== undefined || !partial) {
+    if (!Array.isArray(roots) || roots.length === 0) {
+      return { error: 'At least one root is required' };
+    }
+
+    fields.roots = [];
+    for (const entry of roots) {
+      // A plain string is a local directory
+      const root = typeof entry === 'string' ? { path: entry } : (entry || {});
+
+      if (typeof root.path !== 'string') {
+        return { error: 'Every root needs a path' };
+      }
+
+      if (root.network_source_id) {
+        const source = await database.get(
+          'SELECT id, protocol FROM network_sources WHERE id = ?',
+          [root.network_source_id]
+        );
+
+        if (!source) {
+          return { error: `Network source ${root.network_source_id} not found` };
+        }
+        if (!['ftp', 'smb'].includes(source.protocol)) {
+          return { error: 'Only FTP and SMB sources can be library roots' };
+        }
+
+        fields.roots.push({ path: root.path, network_source_id: source.id });
+        continue;
+      }
+
+      if (!isAbsolute(root.path)) {
+        return { error: `Root path must be absolute: ${root.path}` };
+      }
+
+      const stats = await stat(root.path).catch(() => null);
+      if (!stats?.isDirectory()) {
+        return { error: `Root path is not a directory: ${root.path}` };
+      }
+
+      fields.roots.push({ path: resolve(root.path), network_source_id: null });
+    }
+  }
+
+  if (scan_schedule !== undefined) {
+    if (scan_schedule !== null && !isValidCron(scan_schedule)) {
+      return { error: 'Scan schedule must be a cron expression (minute hour day-of-month month day-of-week), or null' };
+    }
+    fields.scan_schedule = scan_schedule?.trim() ?? null;
+  }
+
+  if (metadata_language !== undefined) {
+    if (metadata_language !== null && !LANGUAGE_PATTERN.test(metadata_language)) {
+      return { error: 'Metadata language must look like "en" or "en-US", or be null' };
+    }
+    fields.metadata_language = metadata_language;
+  }
+
+  return { fields };
+}
+
+export const getLibraries = async (req, res) => {
+  try {
+    const libraries = await libraryService.getLibraries();
+
+    res.json({
+      count: libraries.length,
+      libraries
+    });
+  } catch (error) {
+    console.error('Error fetching libraries:', error);
+    res.status(500).json({ error: 'Failed to fetch libraries' });
+  }
+};
+
+export const getLibrary = async (req, res) => {
+  try {
+    const library = await libraryService.getLibrary(req.params.id);
+
+    if (!library) {
+      return res.status(404).json({ error: 'Library not found' });
+    }
+
+    res.json(library);
+  } catch (error) {
+    console.error('Error fetching library:', error);
+    res.status(500).json({ error: 'Failed to fetch library' });
+  }
+};
+
+export const createLibrary = async (req, res) => {
+  try {
+    const { error, fields } = await parseLibraryFields(req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const library = await libraryService.createLibrary(fields);
+    res.status(201).json(library);
+  } catch (error) {
+    console.error('Error creating library:', error);
+    res.status(500).json({ error: 'Failed to create library' });
+  }
+};
+
+export const updateLibrary = async (req, res) => {
+  try {
+    const { error, fields } = await parseLibraryFields(req.body, true);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    const library = await libraryService.updateLibrary(req.params.id, fields);
+
+    if (!library) {
+      return res.status(404).json({ error: 'Library not found' });
+    }
+
+    res.json(library);
+  } catch (error) {
+    console.error('Error updating library:', error);
+    res.status(500).json({ error: 'Failed to update library' });
+  }
+};
+
+export const deleteLibrary = async (req, res) => {
+  try {
+    const deleted = await libraryService.deleteLibrary(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Library not found' });
+    }
+
+    res.json({ message: 'Library deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting library:', error);
+    res.status(500).json({ error: 'Failed to delete library' });
+  }
+};
+
+export const scanLibrary = async (req, res) => {
+  try {
+    const library = await libraryService.getLibrary(req.params.id);
+
+    if (!library) {
+      return res.status(404).json({ error: 'Library not found' });
+    }
+
+    if (scannerService.getProgress().isScanning) {
+      return res.status(409).json({ error: 'Scan already in progress' });
+    }
+
+    // Start scan asynchronously
+    libraryService.scanLibrary(library.id)
+      .then(summary => {
+        console.log(`Library ${library.name} scanned: added ${summary.added}, updated ${summary.updated}, removed ${summary.removed}, moved ${summary.moved}`);
+      })
+      .catch(error => {
+        console.error('Library scan failed:', error);
+      });
+
+    res.json({
+      message: 'Scan started',
+      library: { id: library.id, name: library.name },
+      progress: scannerService.getProgress()
+    });
+  } catch (error) {
+    console.error('Error starting library scan:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
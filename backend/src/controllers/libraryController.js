@@ -1,14 +1,96 @@
 import database from '../config/database.js';
 import scannerService from '../services/scannerService.js';
+import libraryService from '../services/libraryService.js';
+
+/**
+ * Get the seasons of a show with every known episode, in order (specials last).
+ * Episodes carry a status: 'available' (file on disk), 'missing' (aired, no file)
+ * or 'unaired' (listed by TMDB, not aired yet).
+ * @param {number} tvShowId - TV show ID
+ * @returns {Promise<Array<Object>>} Seasons with episodes and counts
+ */
+async function getShowSeasons(tvShowId) {
+  const episodes = await database.all(
+    `SELECT
+      e.id,
+      e.season_number,
+      e.episode_number,
+      e.title,
+      e.overview,
+      e.air_date,
+      e.still_path,
+      e.tmdb_id,
+      CASE WHEN m.missing = 0 THEN m.id END as media_item_id,
+      m.duration,
+      CASE WHEN m.missing = 0 THEN m.file_path END as file_path
+     FROM episodes e
+     LEFT JOIN media_items m ON e.media_item_id = m.id
+     WHERE e.tv_show_id = ?
+     ORDER BY e.season_number ASC, e.episode_number ASC`,
+    [tvShowId]
+  );
+
+  const seasonRows = await database.all(
+    `SELECT season_number, name, overview, poster_path, air_date
+     FROM seasons
+     WHERE tv_show_id = ?`,
+    [tvShowId]
+  );
+
+  const today = new Date().toISOString().slice(0, 10);
+  const seasons = new Map(seasonRows.map(row => [row.season_number, {
+    seasonNumber: row.season_number,
+    name: row.name,
+    overview: row.overview,
+    poster_path: row.poster_path,
+    air_date: row.air_date,
+    episodes: []
+  }]));
+
+  for (const episode of episodes) {
+    if (!seasons.has(episode.season_number)) {
+      seasons.set(episode.season_number, { seasonNumber: episode.season_number, episodes: [] });
+    }
+
+    let status = 'available';
+    if (episode.media_item_id === null) {
+      // Episodes from TMDB without an air date in the past have not aired yet
+      const aired = episode.air_date ? episode.air_date <= today : episode.tmdb_id === null;
+      status = aired ? 'missing' : 'unaired';
+    }
+
+    seasons.get(episode.season_number).episodes.push({ ...episode, status });
+  }
+
+  return [...seasons.values()]
+    .map(season => ({
+      ...season,
+      name: season.name || (season.seasonNumber === 0 ? 'Specials' : `Season ${season.seasonNumber}`),
+      availableCount: season.episodes.filter(episode => episode.status === 'available').length,
+      missingCount: season.episodes.filter(episode => episode.status === 'missing').length
+    }))
+    .sort((a, b) => (a.seasonNumber === 0) - (b.seasonNumber === 0) || a.seasonNumber - b.seasonNumber);
+}
 
 export const getMovies = async (req, res) => {
   try {
-    const movies = await database.all(
-      `SELECT id, title, year, duration, file_path, poster_url, rating, added_at
-       FROM media_items
-       WHERE type = 'movie'
-       ORDER BY added_at DESC`
-    );
+    const { library } = req.query;
+    const params = [];
+    let query = `
+      SELECT id, title, year, duration, file_path, poster_url, rating, library_id, added_at
+      FROM media_items
+      WHERE type = 'movie' AND missing = 0 AND parent_id IS NULL
+    `;
+
+    // Optional library filter
+    if (library) {
+      query += ' AND library_id = ?';
+      params.push(library);
+    }
+
+    query += ' ORDER BY added_at DESC';
+
+    const movies = await database.all(query, params);
 
     res.json({
       count: movies.length,
@@ -22,7 +104,7 @@ export const getMovies = async (req, res) => {
 
 export const searchMedia = async (req, res) => {
   try {
-    const { q, type, limit = 20 } = req.query;
+    const { q, type, library, limit = 20 } = req.query;
 
     if (!q || q.trim().length < 2) {
       return res.status(400).json({ error: 'Search query must be at least 2 characters' });
@@ -30,9 +112,9 @@ export const searchMedia = async (req, res) => {
 
     const searchTerm = `%${q.trim()}%`;
     let query = `
-      SELECT id, title, year, duration, file_path, poster_url, rating, type, overview, added_at
+      SELECT id, title, year, duration, file_path, poster_url, rating, type, overview, library_id, added_at
       FROM media_items
-      WHERE (title LIKE ? OR overview LIKE ?)
+      WHERE (title LIKE ? OR overview LIKE ?) AND missing = 0 AND parent_id IS NULL
     `;
 
     const params = [searchTerm, searchTerm];
@@ -43,6 +125,12 @@ export const searchMedia = async (req, res) => {
       params.push(type);
     }
 
+    // Optional library filter
+    if (library) {
+      query += ` AND library_id = ?`;
+      params.push(library);
+    }
+
     query += ` ORDER BY
       CASE
         WHEN title LIKE ? THEN 1
@@ -84,6 +172,28 @@ export const getMediaItem = async (req, res) => {
     if (item.genres) item.genres = JSON.parse(item.genres);
     if (item.cast) item.cast = JSON.parse(item.cast);
 
+    // Collections (movie sets) the movie is part of
+    if (item.type === 'movie' && item.tmdb_id) {
+      item.collections = await database.all(
+        `SELECT DISTINCT c.id, c.name
+         FROM collection_parts p
+         JOIN collections c ON p.collection_id = c.id
+         WHERE p.tmdb_id = ?`,
+        [item.tmdb_id]
+      );
+    }
+
+    // Movies split over several files list all their parts in playback order
+    if (item.part_number !== null) {
+      item.parts = await database.all(
+        `SELECT id, part_number, file_path, duration
+         FROM media_items
+         WHERE (id = ? OR parent_id = ?) AND missing = 0
+         ORDER BY part_number ASC`,
+        [item.parent_id ?? item.id, item.parent_id ?? item.id]
+      );
+    }
+
     res.json(item);
   } catch (error) {
     console.error('Error fetching media item:', error);
@@ -99,8 +209,11 @@ export const scanLibrary = async (req, res) => {
       return res.status(400).json({ error: 'Directory path is required' });
     }
 
+    // A path that is a library root adds its items to that library
+    const library = await libraryService.findLibraryByRoot(path);
+
     // Start scan asynchronously
-    scannerService.scanDirectory(path, 'local', null)
+    scannerService.scanDirectory(path, 'local', null, null, library && { id: library.id, type: library.type })
       .catch(error => {
         console.error('Scan failed:', error);
       });
@@ -129,15 +242,17 @@ export const deleteMediaItem = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await database.run(
-      'DELETE FROM media_items WHERE id = ?',
+    const item = await database.get(
+      'SELECT id, part_number FROM media_items WHERE id = ?',
       [id]
     );
 
-    if (result.changes === 0) {
+    if (!item) {
       return res.status(404).json({ error: 'Media item not found' });
     }
 
+    await scannerService.removeMediaItem(item);
+
     res.json({ message: 'Media item deleted successfully' });
   } catch (error) {
     console.error('Error deleting media item:', error);
@@ -147,6 +262,17 @@ export const deleteMediaItem = async (req, res) => {
 
 export const getTVShows = async (req, res) => {
   try {
+    const { library } = req.query;
+
+    // A show belongs to every library that holds one of its episodes
+    const libraryFilter = library
+      ? `WHERE EXISTS (
+           SELECT 1 FROM episodes e
+           JOIN media_items em ON e.media_item_id = em.id
+           WHERE e.tv_show_id = ts.id AND em.library_id = ?
+         )`
+      : '';
+
     const tvShows = await database.all(
       `SELECT
         ts.id,
@@ -161,7 +287,9 @@ export const getTVShows = async (req, res) => {
         m.added_at
        FROM tv_shows ts
        JOIN media_items m ON ts.media_item_id = m.id
-       ORDER BY m.added_at DESC`
+       ${libraryFilter}
+       ORDER BY m.added_at DESC`,
+      library ? [library] : []
     );
 
     res.json({
@@ -197,51 +325,18 @@ export const getTVShowDetails = async (req, res) => {
       return res.status(404).json({ error: 'TV show not found' });
     }
 
-    // Get all episodes grouped by season
-    const episodes = await database.all(
-      `SELECT
-        e.id,
-        e.season_number,
-        e.episode_number,
-        e.title,
-        e.overview,
-        e.air_date,
-        e.still_path,
-        m.id as media_item_id,
-        m.duration,
-        m.file_path
-       FROM episodes e
-       JOIN media_items m ON e.media_item_id = m.id
-       WHERE e.tv_show_id = ?
-       ORDER BY e.season_number ASC, e.episode_number ASC`,
-      [id]
-    );
-
-    // Group episodes by season
-    const seasons = {};
-    episodes.forEach(episode => {
-      const seasonNum = episode.season_number;
-      if (!seasons[seasonNum]) {
-        seasons[seasonNum] = {
-          seasonNumber: seasonNum,
-          episodes: []
-        };
-      }
-      seasons[seasonNum].episodes.push(episode);
-    });
-
-    // Convert to array and sort
-    const seasonsArray = Object.values(seasons).sort((a, b) =>
-      a.seasonNumber - b.seasonNumber
-    );
+    const seasons = await getShowSeasons(id);
+    const regularSeasons = seasons.filter(season => season.seasonNumber !== 0);
 
     // Parse JSON fields
     if (tvShow.genres) tvShow.genres = JSON.parse(tvShow.genres);
 
     res.json({
       ...tvShow,
-      seasons: seasonsArray,
-      totalEpisodes: episodes.length
+      seasons,
+      // Specials are left out of the show's counts
+      totalEpisodes: regularSeasons.reduce((total, season) => total + season.availableCount, 0),
+      missingEpisodes: regularSeasons.reduce((total, season) => total + season.missingCount, 0)
     });
   } catch (error) {
     console.error('Error fetching TV show details:', error);
@@ -249,15 +344,58 @@ export const getTVShowDetails = async (req, res) => {
   }
 };
 
+export const getMissingEpisodes = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const tvShow = await database.get(
+      'SELECT id, title, tmdb_id, seasons_updated_at FROM tv_shows WHERE id = ?',
+      [id]
+    );
+
+    if (!tvShow) {
+      return res.status(404).json({ error: 'TV show not found' });
+    }
+
+    const seasons = await getShowSeasons(id);
+    const pick = (season, status) => season.episodes.filter(episode => episode.status === status);
+    const regularSeasons = seasons.filter(season => season.seasonNumber !== 0);
+    const specials = seasons.find(season => season.seasonNumber === 0);
+
+    res.json({
+      id: tvShow.id,
+      title: tvShow.title,
+      // Without a TMDB match only episodes whose file went missing can be reported
+      seasonsKnown: tvShow.seasons_updated_at !== null,
+      missingCount: regularSeasons.reduce((total, season) => total + season.missingCount, 0),
+      seasons: regularSeasons
+        .filter(season => season.missingCount > 0)
+        .map(season => ({
+          seasonNumber: season.seasonNumber,
+          name: season.name,
+          episodes: pick(season, 'missing')
+        })),
+      // Specials are reported on their own: few libraries collect all of them
+      specials: specials ? pick(specials, 'missing') : [],
+      unaired: seasons.flatMap(season => pick(season, 'unaired'))
+    });
+  } catch (error) {
+    console.error('Error fetching missing episodes:', error);
+    res.status(500).json({ error: 'Failed to fetch missing episodes' });
+  }
+};
+
 export const getNextEpisode = async (req, res) => {
   try {
     const { episodeId } = req.params;
 
-    // Get current episode
+    // Get current episode (the last one, when the file holds several)
     const currentEpisode = await database.get(
       `SELECT tv_show_id, season_number, episode_number
        FROM episodes
-       WHERE media_item_id = ?`,
+       WHERE media_item_id = ?
+       ORDER BY season_number DESC, episode_number DESC
+       LIMIT 1`,
       [episodeId]
     );
 
@@ -277,6 +415,7 @@ export const getNextEpisode = async (req, res) => {
        FROM episodes e
        JOIN media_items m ON e.media_item_id = m.id
        WHERE e.tv_show_id = ?
+         AND m.missing = 0
          AND e.season_number = ?
          AND e.episode_number > ?
        ORDER BY e.episode_number ASC
@@ -297,6 +436,7 @@ export const getNextEpisode = async (req, res) => {
          FROM episodes e
          JOIN media_items m ON e.media_item_id = m.id
          WHERE e.tv_show_id = ?
+           AND m.missing = 0
            AND e.season_number > ?
          ORDER BY e.season_number ASC, e.episode_number ASC
          LIMIT 1`,
@@ -319,11 +459,13 @@ export const getPreviousEpisode = async (req, res) => {
   try {
     const { episodeId } = req.params;
 
-    // Get current episode
+    // Get current episode (the first one, when the file holds several)
     const currentEpisode = await database.get(
       `SELECT tv_show_id, season_number, episode_number
        FROM episodes
-       WHERE media_item_id = ?`,
+       WHERE media_item_id = ?
+       ORDER BY season_number ASC, episode_number ASC
+       LIMIT 1`,
       [episodeId]
     );
 
@@ -343,6 +485,7 @@ export const getPreviousEpisode = async (req, res) => {
        FROM episodes e
        JOIN media_items m ON e.media_item_id = m.id
        WHERE e.tv_show_id = ?
+         AND m.missing = 0
          AND e.season_number = ?
          AND e.episode_number < ?
        ORDER BY e.episode_number DESC
@@ -363,6 +506,7 @@ export const getPreviousEpisode = async (req, res) => {
          FROM episodes e
          JOIN media_items m ON e.media_item_id = m.id
          WHERE e.tv_show_id = ?
+           AND m.missing = 0
            AND e.season_number < ?
          ORDER BY e.season_number DESC, e.episode_number DESC
          LIMIT 1`,
@@ -380,3 +524,91 @@ export const getPreviousEpisode = async (req, res) => {
     res.status(500).json({ error: 'Failed to fetch previous episode' });
   }
 };
+
+export const getCollections = async (req, res) => {
+  try {
+    const { library } = req.query;
+    const params = [];
+
+    // Owned movies of a part; with a library filter, only the ones in that library
+    let ownedCondition = `m.tmdb_id = p.tmdb_id AND m.type = 'movie' AND m.missing = 0 AND m.parent_id IS NULL`;
+    if (library) {
+      ownedCondition += ' AND m.library_id = ?';
+      params.push(library);
+    }
+
+    // Collections are listed once at least one of their parts is owned
+    const collections = await database.all(
+      `SELECT
+        c.id,
+        c.tmdb_id,
+        c.name,
+        c.overview,
+        c.poster_path,
+        c.backdrop_path,
+        COUNT(DISTINCT p.id) as total_parts,
+        COUNT(DISTINCT CASE WHEN m.id IS NOT NULL THEN p.id END) as owned_parts
+       FROM collections c
+       JOIN collection_parts p ON p.collection_id = c.id
+       LEFT JOIN media_items m ON ${ownedCondition}
+       GROUP BY c.id
+       HAVING owned_parts > 0
+       ORDER BY c.name ASC`,
+      params
+    );
+
+    res.json({
+      count: collections.length,
+      collections
+    });
+  } catch (error) {
+    console.error('Error fetching collections:', error);
+    res.status(500).json({ error: 'Failed to fetch collections' });
+  }
+};
+
+export const getCollectionDetails = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const collection = await database.get(
+      `SELECT id, tmdb_id, name, overview, poster_path, backdrop_path, updated_at
+       FROM collections
+       WHERE id = ?`,
+      [id]
+    );
+
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
+    }
+
+    // Every part in order; media_item_id is null for parts not in the library
+    const parts = await database.all(
+      `SELECT
+        p.tmdb_id,
+        p.position,
+        p.title,
+        p.overview,
+        p.release_date,
+        p.poster_path,
+        (SELECT m.id FROM media_items m
+         WHERE m.tmdb_id = p.tmdb_id AND m.type = 'movie' AND m.missing = 0 AND m.parent_id IS NULL
+         ORDER BY m.id ASC
+         LIMIT 1) as media_item_id
+       FROM collection_parts p
+       WHERE p.collection_id = ?
+       ORDER BY p.position ASC`,
+      [id]
+    );
+
+    res.json({
+      ...collection,
+      parts,
+      totalParts: parts.length,
+      ownedParts: parts.filter(part => part.media_item_id !== null).length
+    });
+  } catch (error) {
+    console.error('Error fetching collection details:', error);
+    res.status(500).json({ error: 'Failed to fetch collection details' });
+  }
+};
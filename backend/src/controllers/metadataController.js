@@ -2,8 +2,143 @@ import metadataService from '../services/metadata/metadataService.js';
 import watchHistoryService from '../services/watchHistoryService.js';
 import tmdbService from '../services/metadata/tmdbService.js';
 import filenameParser from '../services/metadata/filenameParser.js';
+import matchReviewService from '../services/metadata/matchReviewService.js';
+import metadataEditService, { EDITABLE_FIELDS } from '../services/metadata/metadataEditService.js';
 import database from '../config/database.js';
 
+const DATE_FIELDS = ['release_date', 'first_air_date', 'air_date'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const NOT_FOUND_ERRORS = {
+  item: 'Media item not found',
+  show: 'TV show not found',
+  episode: 'Episode not found'
+};
+
+/**
+ * Validate a metadata edit from a request body
+ * @param {string} entityType - 'item', 'show' or 'episode'
+ * @param {Object} body - { fields, lock, unlock }
+ * @returns {{ error: string }|{ changes: Object }}
+ */
+function parseMetadataEdit(entityType, body = {}) {
+  const editable = EDITABLE_FIELDS[entityType].fields;
+  const { fields = {}, lock = [], unlock = [] } = body;
+
+  if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+    return { error: 'fields must be an object of field values' };
+  }
+  if (!Array.isArray(lock) || !Array.isArray(unlock)) {
+    return { error: 'lock and unlock must be arrays of field names' };
+  }
+
+  for (const field of [...Object.keys(fields), ...lock, ...unlock]) {
+    if (!editable.includes(field)) {
+      return { error: `Unknown field: ${field}. Editable fields: ${editable.join(', ')}` };
+    }
+  }
+
+  const changes = { fields: {}, lock, unlock };
+
+  for (const [field, value] of Object.entries(fields)) {
+    if (field === 'title') {
+      if (typeof value !== 'string' || !value.trim()) {
+        return { error: 'title must be a non-empty string' };
+      }
+      changes.fields.title = value.trim();
+    } else if (value === null) {
+      changes.fields[field] = null;
+    } else if (field === 'runtime') {
+      if (!Number.isInteger(value) || value < 0) {
+        return { error: 'runtime must be a whole number of minutes, or null' };
+      }
+      changes.fields.runtime = value;
+    } else if (field === 'rating') {
+      if (typeof value !== 'number' || value < 0 || value > 10) {
+        return { error: 'rating must be a number from 0 to 10, or null' };
+      }
+      changes.fields.rating = value;
+    } else if (DATE_FIELDS.includes(field)) {
+      if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+        return { error: `${field} must be a date (YYYY-MM-DD), or null` };
+      }
+      changes.fields[field] = value;
+    } else {
+      if (typeof value !== 'string') {
+        return { error: `${field} must be a string, or null` };
+      }
+      changes.fields[field] = value.trim() || null;
+    }
+  }
+
+  if (lock.some(field => unlock.includes(field))) {
+    return { error: 'A field cannot be both locked and unlocked' };
+  }
+  if (Object.keys(changes.fields).length === 0 && lock.length === 0 && unlock.length === 0) {
+    return { error: 'No fields to update' };
+  }
+
+  return { changes };
+}
+
+/**
+ * Send the editable metadata of a media item, show or episode
+ * @param {string} entityType - 'item', 'show' or 'episode'
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function sendEditableMetadata(entityType, req, res) {
+  try {
+    const metadata = await metadataEditService.getMetadata(entityType, parseInt(req.params.id));
+
+    if (!metadata) {
+      return res.status(404).json({ error: NOT_FOUND_ERRORS[entityType] });
+    }
+
+    res.json({
+      success: true,
+      metadata
+    });
+  } catch (error) {
+    console.error('Error getting editable metadata:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+/**
+ * Apply a metadata edit to a media item, show or episode
+ * @param {string} entityType - 'item', 'show' or 'episode'
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function saveMetadataEdit(entityType, req, res) {
+  try {
+    const { error, changes } = parseMetadataEdit(entityType, req.body);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const metadata = await metadataEditService.updateMetadata(
+      entityType,
+      parseInt(req.params.id),
+      changes,
+      req.user.id
+    );
+
+    if (!metadata) {
+      return res.status(404).json({ error: NOT_FOUND_ERRORS[entityType] });
+    }
+
+    res.json({
+      success: true,
+      metadata
+    });
+  } catch (error) {
+    console.error('Error editing metadata:', error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
 /**
  * Fetch metadata for a media item
  * POST /api/metadata/fetch/:id
@@ -129,6 +264,156 @@ export const refreshMetadata = async (req, res) => {
   }
 };
 
+/**
+ * List metadata providers in priority order
+ * GET /api/metadata/providers
+ */
+export const getProviders = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      providers: metadataService.getProviders()
+    });
+  } catch (error) {
+    console.error('Error listing metadata providers:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * List matches waiting for review, lowest confidence first
+ * GET /api/metadata/review
+ */
+export const getReviewQueue = async (req, res) => {
+  try {
+    const items = await matchReviewService.getPendingMatches({ mediaType: req.query.type });
+
+    res.json({
+      success: true,
+      count: items.length,
+      items
+    });
+  } catch (error) {
+    console.error('Error getting review queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Accept the suggested match of a queued item, or pick another TMDB ID
+ * POST /api/metadata/review/:id/accept
+ */
+export const acceptMatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { tmdbId } = req.body || {};
+
+    if (tmdbId !== undefined && !(parseInt(tmdbId) > 0)) {
+      return res.status(400).json({ error: 'tmdbId must be a positive number' });
+    }
+
+    const mediaItem = await database.get('SELECT id FROM media_items WHERE id = ?', [id]);
+
+    if (!mediaItem) {
+      return res.status(404).json({ error: 'Media item not found' });
+    }
+
+    if (tmdbId === undefined && !(await matchReviewService.getMatch(mediaItem.id))) {
+      return res.status(400).json({ error: 'Item has no match to accept; tmdbId is required' });
+    }
+
+    const metadata = await metadataService.resolveMatch(
+      mediaItem.id,
+      tmdbId !== undefined ? parseInt(tmdbId) : null,
+      req.user.id
+    );
+
+    res.json({
+      success: true,
+      metadata,
+      match: await matchReviewService.getMatch(mediaItem.id)
+    });
+  } catch (error) {
+    console.error('Error accepting match:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Search TMDB again for a queued item
+ * POST /api/metadata/review/:id/search
+ */
+export const searchMatch = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { query, year } = req.body || {};
+
+    if (!query) {
+      return res.status(400).json({ error: 'query is required' });
+    }
+
+    if (!tmdbService.isAvailable()) {
+      return res.status(503).json({ error: 'TMDB service not configured' });
+    }
+
+    const mediaItem = await database.get('SELECT id FROM media_items WHERE id = ?', [id]);
+
+    if (!mediaItem) {
+      return res.status(404).json({ error: 'Media item not found' });
+    }
+
+    const candidates = await metadataService.searchMatchCandidates(
+      mediaItem.id,
+      query,
+      year ? parseInt(year) : null
+    );
+
+    res.json({
+      success: true,
+      candidates
+    });
+  } catch (error) {
+    console.error('Error searching match candidates:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Get the editable metadata of a media item, with the source and lock of each field
+ * GET /api/metadata/items/:id
+ */
+export const getItemMetadata = (req, res) => sendEditableMetadata('item', req, res);
+
+/**
+ * Edit, lock or unlock metadata fields of a media item
+ * PATCH /api/metadata/items/:id
+ */
+export const updateItemMetadata = (req, res) => saveMetadataEdit('item', req, res);
+
+/**
+ * Get the editable metadata of a TV show
+ * GET /api/metadata/shows/:id
+ */
+export const getShowMetadata = (req, res) => sendEditableMetadata('show', req, res);
+
+/**
+ * Edit, lock or unlock metadata fields of a TV show
+ * PATCH /api/metadata/shows/:id
+ */
+export const updateShowMetadata = (req, res) => saveMetadataEdit('show', req, res);
+
+/**
+ * Get the editable metadata of an episode
+ * GET /api/metadata/episodes/:id
+ */
+export const getEpisodeMetadata = (req, res) => sendEditableMetadata('episode', req, res);
+
+/**
+ * Edit, lock or unlock metadata fields of an episode
+ * PATCH /api/metadata/episodes/:id
+ */
+export const updateEpisodeMetadata = (req, res) => saveMetadataEdit('episode', req, res);
+
 /**
  * Parse filename
  * POST /api/metadata/parse-filename
@@ -1,50 +1,12 @@
 import database from '../config/database.js';
-import FTPClient from '../services/protocols/FTPClient.js';
-import SMBClient from '../services/protocols/SMBClient.js';
 import UPnPClient from '../services/protocols/UPnPClient.js';
-import bcrypt from 'bcrypt';
-
-// Store active protocol clients
-const activeClients = new Map();
+import protocolClientService from '../services/protocols/protocolClientService.js';
+import scannerService from '../services/scannerService.js';
+import { encryptPassword } from '../utils/credentials.js';
 
 // Singleton UPnP client for discovery
 let upnpClient = null;
 
-/**
- * Get or create protocol client
- */
-function getProtocolClient(source) {
-  const key = `${source.protocol}-${source.id}`;
-
-  if (activeClients.has(key)) {
-    return activeClients.get(key);
-  }
-
-  let client;
-  const config = {
-    host: source.host,
-    port: source.port,
-    username: source.username,
-    password: source.password
-  };
-
-  switch (source.protocol) {
-    case 'ftp':
-      client = new FTPClient(config);
-      break;
-    case 'smb':
-      config.shareName = source.base_path || '';
-      config.domain = source.domain || 'WORKGROUP';
-      client = new SMBClient(config);
-      break;
-    default:
-      throw new Error(`Unsupported protocol: ${source.protocol}`);
-  }
-
-  activeClients.set(key, client);
-  return client;
-}
-
 /**
  * Get all network sources
  */
@@ -104,8 +66,8 @@ export const createNetworkSource = async (req, res) => {
       return res.status(400).json({ error: 'Invalid protocol. Must be ftp, smb, upnp, or local' });
     }
 
-    // Encrypt password if provided
-    const encryptedPassword = password ? await bcrypt.hash(password, 10) : null;
+    // Encrypt password if provided (reversible - it is replayed to the server)
+    const encryptedPassword = encryptPassword(password);
 
     const result = await database.run(
       `INSERT INTO network_sources (name, protocol, host, port, username, password, base_path, enabled)
@@ -164,7 +126,7 @@ export const updateNetworkSource = async (req, res) => {
       values.push(username);
     }
     if (password !== undefined) {
-      const encryptedPassword = await bcrypt.hash(password, 10);
+      const encryptedPassword = encryptPassword(password);
       updates.push('password = ?');
       values.push(encryptedPassword);
     }
@@ -188,6 +150,9 @@ export const updateNetworkSource = async (req, res) => {
       values
     );
 
+    // Drop cached clients so the next connection uses the new settings
+    await protocolClientService.removeClients(id);
+
     const source = await database.get(
       'SELECT id, name, protocol, host, port, username, base_path, enabled, created_at FROM network_sources WHERE id = ?',
       [id]
@@ -217,13 +182,7 @@ export const deleteNetworkSource = async (req, res) => {
     }
 
     // Remove client from cache
-    const key = `*-${id}`;
-    for (const [clientKey, client] of activeClients.entries()) {
-      if (clientKey.includes(`-${id}`)) {
-        await client.disconnect();
-        activeClients.delete(clientKey);
-      }
-    }
+    await protocolClientService.removeClients(id);
 
     res.json({ message: 'Network source deleted successfully' });
   } catch (error) {
@@ -248,7 +207,7 @@ export const testConnection = async (req, res) => {
       return res.status(404).json({ error: 'Network source not found' });
     }
 
-    const client = getProtocolClient(source);
+    const client = protocolClientService.getClient(source);
     const success = await client.testConnection();
 
     res.json({
@@ -281,20 +240,74 @@ export const browseDirectory = async (req, res) => {
       return res.status(404).json({ error: 'Network source not found' });
     }
 
-    const client = getProtocolClient(source);
+    const client = protocolClientService.getClient(source);
 
     if (!client.isConnected()) {
       await client.connect();
     }
 
     const files = await client.list(path);
+    const result = { path, files };
+
+    // UPnP object IDs are opaque, so the parent has to come from the server
+    if (source.protocol === 'upnp' && path !== '/' && path !== '0') {
+      const info = await client.getFileInfo(path);
+      result.parentPath = !info.parentId || ['0', '-1'].includes(info.parentId) ? '/' : info.parentId;
+    }
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error browsing directory:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Scan a network source into the library
+ * POST /api/network/sources/:id/scan
+ */
+export const scanSource = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const source = await database.get(
+      'SELECT * FROM network_sources WHERE id = ?',
+      [id]
+    );
+
+    if (!source) {
+      return res.status(404).json({ error: 'Network source not found' });
+    }
+
+    if (!['ftp', 'smb'].includes(source.protocol)) {
+      return res.status(400).json({ error: 'Only FTP and SMB sources can be scanned' });
+    }
+
+    if (scannerService.getProgress().isScanning) {
+      return res.status(409).json({ error: 'Scan already in progress' });
+    }
+
+    // For SMB, base_path is the share name, so scans start at the share root
+    const defaultPath = source.protocol === 'ftp' ? (source.base_path || '/') : '';
+    const { path = defaultPath } = req.body || {};
+
+    // Scans get their own connection so browsing stays responsive
+    const client = await protocolClientService.connectToSource(source.id);
+
+    scannerService.scanDirectory(path, source.protocol, source.id, client)
+      .catch(error => {
+        console.error('Network scan failed:', error);
+      })
+      .finally(() => client.disconnect());
 
     res.json({
+      message: 'Scan started',
+      source: { id: source.id, name: source.name, protocol: source.protocol },
       path,
-      files
+      progress: scannerService.getProgress()
     });
   } catch (error) {
-    console.error('Error browsing directory:', error);
+    console.error('Error starting network scan:', error);
     res.status(500).json({ error: error.message });
   }
 };
@@ -2,9 +2,130 @@ import database from '../config/database.js';
 import directStreamService from '../services/streaming/directStreamService.js';
 import videoProbeService from '../services/streaming/videoProbeService.js';
 import transcodingService from '../services/streaming/transcodingService.js';
+import transcodeQueueService from '../services/streaming/transcodeQueueService.js';
+import playbackDecisionService from '../services/streaming/playbackDecisionService.js';
 import hlsService from '../services/streaming/hlsService.js';
+import subtitleService from '../services/streaming/subtitleService.js';
 import cacheService from '../services/streaming/cacheService.js';
-import { createReadStream } from 'fs';
+import thumbnailService from '../services/streaming/thumbnailService.js';
+import protocolClientService from '../services/protocols/protocolClientService.js';
+import { createReadStream, existsSync } from 'fs';
+import { randomUUID } from 'crypto';
+
+const HLS_SEGMENT_PATTERN = /^segment(\d+)\.ts$/;
+const HLS_PLAYBACK_PATTERN = /^[\w-]{1,64}$/;
+const TRICKPLAY_SPRITE_PATTERN = /^sprite-(\d+)\.jpg$/;
+
+/**
+ * Check whether a media item lives on a network source
+ * @param {Object} mediaItem - media_items row
+ * @returns {boolean}
+ */
+function isRemoteItem(mediaItem) {
+  return ['ftp', 'smb'].includes(mediaItem.source_type) && mediaItem.source_config_id != null;
+}
+
+/**
+ * Read the start offset of a real-time transcode from the query
+ * @param {Object} query - Express request query
+ * @returns {number} Start time in seconds (0 when absent or invalid)
+ */
+function parseStartTime(query) {
+  const start = parseFloat(query.start);
+  return Number.isFinite(start) && start > 0 ? start : 0;
+}
+
+/**
+ * Read the selected audio track from the query
+ * @param {Object} query - Express request query
+ * @returns {number} Position among the audio streams (0 when absent or invalid)
+ */
+function parseAudioTrack(query) {
+  const track = parseInt(query.audio, 10);
+  return Number.isInteger(track) && track > 0 ? track : 0;
+}
+
+/**
+ * Resolve the image-based subtitle to burn in from ?subtitle=<subtitle id>.
+ * Text subtitles are served as WebVTT tracks instead, so they are ignored here.
+ * @param {Object} mediaItem - media_items row
+ * @param {Object} query - Express request query
+ * @returns {Promise<number|null>} Position among the subtitle streams, or null when nothing is burned in
+ */
+async function getBurnInSubtitle(mediaItem, query) {
+  const subtitleId = parseInt(query.subtitle, 10);
+  if (!Number.isInteger(subtitleId)) return null;
+
+  const subtitle = await database.get(
+    'SELECT format, stream_index FROM subtitles WHERE id = ? AND media_item_id = ?',
+    [subtitleId, mediaItem.id]
+  );
+
+  if (!subtitle || subtitle.stream_index === null || subtitleService.isTextFormat(subtitle.format)) {
+    return null;
+  }
+
+  return subtitle.stream_index;
+}
+
+/**
+ * Pick the cached rendition for a pre-transcode: a remux when the video
+ * stream already plays in browsers, otherwise a 720p transcode
+ * @param {Object} mediaItem - media_items row
+ * @returns {Promise<string>} Quality label for transcodingService.transcodeQuality
+ */
+async function getPreTranscodeQuality(mediaItem) {
+  try {
+    const videoInfo = await playbackDecisionService.probe(mediaItem.file_path);
+    const { mode } = playbackDecisionService.decide(
+      videoInfo,
+      playbackDecisionService.parseProfile(),
+      mediaItem.file_path
+    );
+    return mode === 'transcode' ? '720p' : 'remux';
+  } catch (error) {
+    console.warn(`Probe failed for ${mediaItem.file_path}, pre-transcoding at 720p: ${error.message}`);
+    return '720p';
+  }
+}
+
+/**
+ * Carry query parameters over to the URIs of an HLS playlist.
+ * Relative playlist and segment URIs drop the query string, and players
+ * that fetch them natively cannot send an Authorization header.
+ * @param {string} playlist - M3U8 content
+ * @param {Object} params - { token, playback }; empty values are left out
+ * @returns {string} M3U8 content
+ */
+function withQuery(playlist, params) {
+  const query = Object.entries(params)
+    .filter(([, value]) => value)
+    .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  if (!query) return playlist;
+
+  return playlist
+    .split('\n')
+    .map(line => {
+      if (!line) return line;
+      // Tags such as EXT-X-MEDIA carry their URI as an attribute
+      if (line.startsWith('#')) return line.replace(/URI="([^"]+)"/, `URI="$1?${query}"`);
+      return `${line}?${query}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Playback ID of an HLS request. Each master playlist request starts a
+ * playback, and its playlists and segments carry the ID, so every viewer
+ * seeks with their own encoder.
+ * @param {Object} query - Request query
+ * @returns {string}
+ */
+function getPlaybackId(query) {
+  return HLS_PLAYBACK_PATTERN.test(query.playback || '') ? query.playback : 'default';
+}
 
 /**
  * Get video info
@@ -23,8 +144,43 @@ export const getVideoInfo = async (req, res) => {
       return res.status(404).json({ error: 'Media item not found' });
     }
 
+    // Network items are not probed; they are delivered by extension (see directStream)
+    if (isRemoteItem(mediaItem)) {
+      const playback = playbackDecisionService.decideByExtension(mediaItem.file_path);
+      // Remote files are served with range support unless they are transcoded
+      playback.cached = false;
+      playback.seekable = playback.mode === 'direct_play';
+
+      return res.json({
+        mediaItem: {
+          id: mediaItem.id,
+          title: mediaItem.title,
+          type: mediaItem.type
+        },
+        videoInfo: null,
+        playback
+      });
+    }
+
     // Probe video file
-    const videoInfo = await videoProbeService.getVideoInfo(mediaItem.file_path);
+    const videoInfo = await playbackDecisionService.probe(mediaItem.file_path);
+
+    // The player sends its capabilities as query parameters
+    const profile = playbackDecisionService.parseProfile(req.query);
+    const playback = playbackDecisionService.decide(
+      videoInfo,
+      profile,
+      mediaItem.file_path,
+      parseAudioTrack(req.query),
+      await getBurnInSubtitle(mediaItem, req.query)
+    );
+
+    // A cached remux supports range requests; live remuxes and transcodes are seeked with ?start=
+    // The cached file only carries the first audio track
+    playback.cached = playback.mode === 'remux'
+      && !playback.audioTrack
+      && existsSync(transcodingService.getOutputPath(mediaItem.id, 'remux'));
+    playback.seekable = playback.mode === 'direct_play' || playback.cached;
 
     res.json({
       mediaItem: {
@@ -32,7 +188,8 @@ export const getVideoInfo = async (req, res) => {
         title: mediaItem.title,
         type: mediaItem.type
       },
-      videoInfo
+      videoInfo,
+      playback
     });
   } catch (error) {
     console.error('Error getting video info:', error);
@@ -40,9 +197,51 @@ export const getVideoInfo = async (req, res) => {
   }
 };
 
+/**
+ * Resolve where a seeked /direct stream really starts
+ * GET /api/stream/:id/seek?start=90 (plus the client profile)
+ * Remuxes can only start on a keyframe, so players ask for the offset
+ * before requesting the stream and keep their seek bar in file time.
+ */
+export const getSeekOffset = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const startTime = parseStartTime(req.query);
+
+    const mediaItem = await database.get(
+      'SELECT * FROM media_items WHERE id = ?',
+      [id]
+    );
+
+    if (!mediaItem) {
+      return res.status(404).json({ error: 'Media item not found' });
+    }
+
+    const videoInfo = await playbackDecisionService.probe(mediaItem.file_path);
+    const { mode } = playbackDecisionService.decide(
+      videoInfo,
+      playbackDecisionService.parseProfile(req.query),
+      mediaItem.file_path,
+      parseAudioTrack(req.query),
+      await getBurnInSubtitle(mediaItem, req.query)
+    );
+
+    const start = mode === 'remux' && startTime
+      ? await videoProbeService.getKeyframeTime(mediaItem.file_path, startTime)
+      : startTime;
+
+    res.json({ mode, requested: startTime, start });
+  } catch (error) {
+    console.error('Error resolving seek offset:', error);
+    res.status(500).json({ error: 'Failed to resolve seek offset' });
+  }
+};
+
 /**
  * Direct stream with range support
- * Auto-transcodes MKV files on-the-fly
+ * Local files are direct played, remuxed or transcoded depending on the
+ * client profile in the query (see playbackDecisionService).
+ * Remuxes and transcodes have no range support; ?start= begins them part-way.
  */
 export const directStream = async (req, res) => {
   try {
@@ -61,15 +260,89 @@ export const directStream = async (req, res) => {
     // Check file extension
     const fileExt = mediaItem.file_path.toLowerCase().split('.').pop();
 
-    // Auto-transcode MKV files (browsers don't support Matroska container)
-    if (fileExt === 'mkv') {
-      console.log(`[MKV] Real-time transcoding: ${mediaItem.file_path}`);
+    // Items indexed from FTP/SMB sources are read through their protocol client.
+    // They are not probed (that would mean reading them over the network),
+    // so MKV is still recognised by extension.
+    if (isRemoteItem(mediaItem)) {
+      const client = await protocolClientService.connectToSource(mediaItem.source_config_id);
+
+      if (fileExt === 'mkv') {
+        console.log(`[MKV] Real-time transcoding from ${mediaItem.source_type}: ${mediaItem.file_path}`);
+        const input = await client.getFileStream(mediaItem.file_path);
+        res.on('close', () => client.disconnect());
+
+        transcodingService.streamTranscode(input, res, {
+          resolution: '1280x720',
+          videoBitrate: '2500k',
+          audioBitrate: '128k',
+          startTime: parseStartTime(req.query),
+          audioTrack: parseAudioTrack(req.query)
+        });
+        return;
+      }
+
+      let fileSize = mediaItem.file_size;
+      if (!fileSize) {
+        const info = await client.getFileInfo(mediaItem.file_path);
+        if (!info.exists) {
+          await client.disconnect();
+          return res.status(404).json({ error: 'File not found on network source' });
+        }
+        fileSize = info.size;
+      }
+
+      return directStreamService.streamRemoteFile(client, mediaItem.file_path, fileSize, req, res);
+    }
+
+    const burnSubtitle = await getBurnInSubtitle(mediaItem, req.query);
+
+    let decision;
+    try {
+      const videoInfo = await playbackDecisionService.probe(mediaItem.file_path);
+      decision = playbackDecisionService.decide(
+        videoInfo,
+        playbackDecisionService.parseProfile(req.query),
+        mediaItem.file_path,
+        parseAudioTrack(req.query),
+        burnSubtitle
+      );
+    } catch (error) {
+      // Unprobeable files keep the old extension rule (browsers don't support Matroska)
+      console.warn(`Probe failed, falling back to extension check: ${error.message}`);
+      decision = playbackDecisionService.decideByExtension(mediaItem.file_path);
+    }
+
+    const startTime = parseStartTime(req.query);
+
+    if (decision.mode === 'remux') {
+      // A finished remux is a plain MP4, so it gets range requests and seeking
+      const remuxPath = transcodingService.getOutputPath(mediaItem.id, 'remux');
+      if (!startTime && !decision.audioTrack && existsSync(remuxPath)) {
+        return directStreamService.streamFile(remuxPath, req, res);
+      }
+
+      // Copied video can only start on a keyframe, which is what X-Stream-Offset reports
+      const remuxStart = startTime && await videoProbeService.getKeyframeTime(mediaItem.file_path, startTime);
+
+      console.log(`[Remux] Copying video stream from ${remuxStart}s: ${mediaItem.file_path} (${decision.reason})`);
+      transcodingService.streamRemux(mediaItem.file_path, res, {
+        copyAudio: decision.copyAudio,
+        startTime: remuxStart,
+        audioTrack: decision.audioTrack || 0
+      });
 
-      // Use real-time transcoding for MKV files
+      // Build the cached copy in the background for the next playback
+      transcodeQueueService.enqueue(mediaItem.id, { quality: 'remux', priority: 5, skipFailed: true })
+        .catch(error => console.error('Error queuing remux:', error.message));
+    } else if (decision.mode === 'transcode') {
+      console.log(`[Transcode] Real-time transcoding from ${startTime}s: ${mediaItem.file_path} (${decision.reason})`);
       transcodingService.streamTranscode(mediaItem.file_path, res, {
         resolution: '1280x720',
         videoBitrate: '2500k',
-        audioBitrate: '128k'
+        audioBitrate: '128k',
+        startTime,
+        audioTrack: decision.audioTrack || 0,
+        burnSubtitle: decision.burnSubtitle ?? null
       });
     } else {
       // Direct stream for MP4, WebM, etc.
@@ -83,8 +356,54 @@ export const directStream = async (req, res) => {
   }
 };
 
+/**
+ * Stream a file straight from a network source without indexing it
+ * GET /api/stream/network/:sourceId?path=
+ * For UPnP sources the path is a ContentDirectory object ID and the
+ * media server's res URL is proxied.
+ */
+export const streamNetworkFile = async (req, res) => {
+  let client = null;
+
+  try {
+    const { sourceId } = req.params;
+    const { path } = req.query;
+
+    if (!path) {
+      return res.status(400).json({ error: 'path is required' });
+    }
+
+    client = await protocolClientService.connectToSource(sourceId);
+
+    const info = await client.getFileInfo(path);
+    if (!info.exists || info.isDirectory) {
+      await client.disconnect();
+      return res.status(404).json({ error: 'File not found on network source' });
+    }
+
+    if (!info.size) {
+      await client.disconnect();
+      return res.status(502).json({ error: 'Network source did not report a file size' });
+    }
+
+    return directStreamService.streamRemoteFile(client, path, info.size, req, res, info.mimeType);
+  } catch (error) {
+    console.error('Error streaming network file:', error);
+    if (client) {
+      await client.disconnect();
+    }
+    if (!res.headersSent) {
+      const status = error.message === 'Network source not found' ? 404 : 500;
+      res.status(status).json({ error: error.message });
+    }
+  }
+};
+
 /**
  * Transcode and stream
+ * GET /api/stream/:id/transcode?quality=720p&start=120&audio=1&subtitle=12
+ * With start, ffmpeg begins at that time and the stream's timestamps restart at 0.
+ * subtitle burns an image-based (PGS/VobSub) subtitle into the video.
  */
 export const transcodeStream = async (req, res) => {
   try {
@@ -110,7 +429,13 @@ export const transcodeStream = async (req, res) => {
     const settings = qualitySettings[quality] || qualitySettings['720p'];
 
     // Stream with transcoding
-    transcodingService.streamTranscode(mediaItem.file_path, res, settings);
+    transcodingService.streamTranscode(mediaItem.file_path, res, {
+      resolution: settings.resolution,
+      videoBitrate: settings.bitrate,
+      startTime: parseStartTime(req.query),
+      audioTrack: parseAudioTrack(req.query),
+      burnSubtitle: await getBurnInSubtitle(mediaItem, req.query)
+    });
   } catch (error) {
     console.error('Error in transcode stream:', error);
     if (!res.headersSent) {
@@ -120,7 +445,10 @@ export const transcodeStream = async (req, res) => {
 };
 
 /**
- * Get HLS manifest
+ * Get HLS master playlist
+ * Playlists are synthesized from the probed duration; segments are encoded on demand.
+ * ?subtitle=<subtitle id> points the video renditions at copies with that
+ * image-based subtitle burned in.
  */
 export const getHLSManifest = async (req, res) => {
   try {
@@ -136,31 +464,24 @@ export const getHLSManifest = async (req, res) => {
       return res.status(404).json({ error: 'Media item not found' });
     }
 
-    // Check if HLS exists, if not generate it
-    if (!hlsService.hlsExists(id)) {
-      console.log(`Generating HLS for media item ${id}...`);
-
-      // Generate HLS asynchronously
-      hlsService.generateHLS(mediaItem.file_path, id, {
-        resolution: '1280x720',
-        videoBitrate: '2500k',
-        audioBitrate: '128k'
-      }).catch(error => {
-        console.error('Error generating HLS:', error);
-      });
+    const { ladder, audioRenditions, imageSubtitles } = await hlsService.prepareJIT(id, mediaItem.file_path);
 
-      return res.status(202).json({
-        message: 'HLS generation started',
-        status: 'processing'
-      });
+    if (ladder.length === 0) {
+      return res.status(422).json({ error: 'Media item has no video stream' });
     }
 
-    // Get and return playlist
-    const playlistPath = `${hlsService.getHLSDir(id)}/playlist.m3u8`;
-    const playlist = hlsService.getPlaylist(playlistPath);
+    const burnSubtitle = await getBurnInSubtitle(mediaItem, req.query);
+    const renditions = burnSubtitle !== null && imageSubtitles.includes(burnSubtitle)
+      ? ladder.map(quality => hlsService.withBurnIn(quality, burnSubtitle))
+      : ladder;
+
+    const playlist = hlsService.generateMasterPlaylist(
+      renditions.map(quality => hlsService.describeRendition(quality)),
+      audioRenditions.map(rendition => hlsService.describeAudioRendition(rendition))
+    );
 
     res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
-    res.send(playlist);
+    res.send(withQuery(playlist, { token: req.query.token, playback: randomUUID() }));
   } catch (error) {
     console.error('Error getting HLS manifest:', error);
     res.status(500).json({ error: 'Failed to get HLS manifest' });
@@ -168,13 +489,72 @@ export const getHLSManifest = async (req, res) => {
 };
 
 /**
- * Get HLS segment
+ * Get HLS rendition playlist
+ */
+export const getHLSPlaylist = async (req, res) => {
+  try {
+    const { id, quality } = req.params;
+
+    const mediaItem = await database.get(
+      'SELECT * FROM media_items WHERE id = ?',
+      [id]
+    );
+
+    if (!mediaItem) {
+      return res.status(404).json({ error: 'Media item not found' });
+    }
+
+    const source = await hlsService.prepareJIT(id, mediaItem.file_path);
+
+    if (!hlsService.findRendition(source, quality)) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const playlist = hlsService.generateRenditionPlaylist(source.duration);
+
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.send(withQuery(playlist, { token: req.query.token, playback: getPlaybackId(req.query) }));
+  } catch (error) {
+    console.error('Error getting HLS playlist:', error);
+    res.status(500).json({ error: 'Failed to get HLS playlist' });
+  }
+};
+
+/**
+ * Get HLS segment, encoding it if it is not cached yet
  */
 export const getHLSSegment = async (req, res) => {
   try {
-    const { id, segment } = req.params;
+    const { id, quality, segment } = req.params;
 
-    const segmentPath = hlsService.getSegment(id, segment);
+    const match = segment.match(HLS_SEGMENT_PATTERN);
+    if (!match) {
+      return res.status(400).json({ error: 'Invalid segment' });
+    }
+
+    const mediaItem = await database.get(
+      'SELECT * FROM media_items WHERE id = ?',
+      [id]
+    );
+
+    if (!mediaItem) {
+      return res.status(404).json({ error: 'Media item not found' });
+    }
+
+    const source = await hlsService.prepareJIT(id, mediaItem.file_path);
+    const rendition = hlsService.findRendition(source, quality);
+
+    if (!rendition) {
+      return res.status(404).json({ error: 'Segment not found' });
+    }
+
+    const segmentPath = await hlsService.getJITSegment(
+      id,
+      mediaItem.file_path,
+      rendition,
+      parseInt(match[1], 10),
+      getPlaybackId(req.query)
+    );
 
     res.setHeader('Content-Type', 'video/mp2t');
     const stream = createReadStream(segmentPath);
@@ -194,13 +574,76 @@ export const getHLSSegment = async (req, res) => {
   }
 };
 
+/**
+ * Get the generated poster frame of an item without artwork
+ * GET /api/stream/:id/thumbnail
+ */
+export const getThumbnail = async (req, res) => {
+  try {
+    const path = thumbnailService.getPosterFramePath(parseInt(req.params.id, 10));
+
+    if (!path) {
+      return res.status(404).json({ error: 'Thumbnail not found' });
+    }
+
+    res.sendFile(path);
+  } catch (error) {
+    console.error('Error getting thumbnail:', error);
+    res.status(500).json({ error: 'Failed to get thumbnail' });
+  }
+};
+
+/**
+ * Get the WebVTT track of seek bar previews
+ * GET /api/stream/:id/trickplay.vtt
+ */
+export const getTrickplayTrack = async (req, res) => {
+  try {
+    const vtt = await thumbnailService.getTrickplayVTT(parseInt(req.params.id, 10), req.query.token);
+
+    if (!vtt) {
+      return res.status(404).json({ error: 'No previews generated for this item' });
+    }
+
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.send(vtt);
+  } catch (error) {
+    console.error('Error getting trickplay track:', error);
+    res.status(500).json({ error: 'Failed to get trickplay track' });
+  }
+};
+
+/**
+ * Get a sprite sheet of seek bar previews
+ * GET /api/stream/:id/trickplay/sprite-<n>.jpg
+ */
+export const getTrickplaySprite = async (req, res) => {
+  try {
+    const match = req.params.sprite.match(TRICKPLAY_SPRITE_PATTERN);
+    if (!match) {
+      return res.status(400).json({ error: 'Invalid sprite' });
+    }
+
+    const path = thumbnailService.getSpritePath(parseInt(req.params.id, 10), parseInt(match[1], 10));
+
+    if (!path) {
+      return res.status(404).json({ error: 'Sprite not found' });
+    }
+
+    res.sendFile(path);
+  } catch (error) {
+    console.error('Error getting trickplay sprite:', error);
+    res.status(500).json({ error: 'Failed to get trickplay sprite' });
+  }
+};
+
 /**
  * Trigger transcode for specific quality
  */
 export const triggerTranscode = async (req, res) => {
   try {
     const { id } = req.params;
-    const { quality = '720p' } = req.body;
+    const { quality = '720p', priority = 10 } = req.body;
 
     // Get media item from database
     const mediaItem = await database.get(
@@ -212,19 +655,13 @@ export const triggerTranscode = async (req, res) => {
       return res.status(404).json({ error: 'Media item not found' });
     }
 
-    // Start transcoding asynchronously
-    transcodingService.transcodeQuality(mediaItem.file_path, quality, id)
-      .then(outputPath => {
-        console.log(`Transcode completed: ${outputPath}`);
-      })
-      .catch(error => {
-        console.error('Transcode failed:', error);
-      });
+    const job = await transcodeQueueService.enqueue(mediaItem.id, { quality, priority });
 
     res.json({
-      message: 'Transcoding started',
+      message: 'Transcoding queued',
       quality,
-      status: 'processing'
+      status: job.status,
+      job
     });
   } catch (error) {
     console.error('Error triggering transcode:', error);
@@ -286,20 +723,19 @@ export const getAvailableQualities = async (req, res) => {
       return res.status(404).json({ error: 'Media item not found' });
     }
 
-    // For direct MP4 streaming, we don't need ffprobe
-    // Just return empty qualities array (quality switching disabled)
+    // Same ladder the adaptive HLS master playlist is built from
+    const videoInfo = await videoProbeService.getVideoInfo(mediaItem.file_path);
+    const ladder = hlsService.buildLadder(videoInfo);
+
     res.json({
-      qualities: [],
-      message: 'Using direct streaming (quality selection disabled)'
+      sourceQuality: videoInfo.quality,
+      qualities: ladder.map(quality => ({
+        name: quality.label,
+        width: quality.width,
+        height: quality.height,
+        bitrate: quality.bitrate
+      }))
     });
-
-    // TODO: Uncomment when HLS transcoding is needed:
-    // const videoInfo = await videoProbeService.getVideoInfo(mediaItem.file_path);
-    // const qualities = videoProbeService.getAvailableQualities(videoInfo);
-    // res.json({
-    //   sourceQuality: videoInfo.quality,
-    //   availableQualities: qualities
-    // });
   } catch (error) {
     console.error('Error getting available qualities:', error);
     // Return empty array instead of error to allow video playback
@@ -317,7 +753,7 @@ export const getAvailableQualities = async (req, res) => {
 export const preTranscodeMKV = async (req, res) => {
   try {
     const { id } = req.params;
-    const { quality = '720p' } = req.body;
+    const { priority = 10 } = req.body;
 
     // Get media item from database
     const mediaItem = await database.get(
@@ -338,22 +774,21 @@ export const preTranscodeMKV = async (req, res) => {
       });
     }
 
-    console.log(`[Pre-transcode] Starting for media ${id}: ${mediaItem.file_path}`);
+    console.log(`[Pre-transcode] Queuing media ${id}: ${mediaItem.file_path}`);
 
-    // Start transcoding in background
-    transcodingService.transcodeQuality(mediaItem.file_path, quality, id)
-      .then(outputPath => {
-        console.log(`[Pre-transcode] Completed: ${outputPath}`);
-      })
-      .catch(error => {
-        console.error('[Pre-transcode] Failed:', error);
-      });
+    // 'auto' (the default) remuxes files whose video already plays in browsers
+    const quality = !req.body.quality || req.body.quality === 'auto'
+      ? await getPreTranscodeQuality(mediaItem)
+      : req.body.quality;
+
+    const job = await transcodeQueueService.enqueue(mediaItem.id, { quality, priority });
 
     res.json({
-      message: 'Pre-transcoding started',
+      message: 'Pre-transcoding queued',
       mediaId: id,
       quality,
-      status: 'processing',
+      status: job.status,
+      job,
       note: 'Transcoded file will be cached for faster future playback'
     });
   } catch (error) {
@@ -368,7 +803,7 @@ export const preTranscodeMKV = async (req, res) => {
  */
 export const preTranscodeAllMKV = async (req, res) => {
   try {
-    const { quality = '720p' } = req.body;
+    const { quality = 'auto', priority = 0 } = req.body;
 
     // Get all MKV files from database
     const mkvFiles = await database.all(
@@ -382,46 +817,23 @@ export const preTranscodeAllMKV = async (req, res) => {
       });
     }
 
-    console.log(`[Batch Pre-transcode] Starting for ${mkvFiles.length} MKV files`);
+    console.log(`[Batch Pre-transcode] Queuing ${mkvFiles.length} MKV files`);
 
-    // Queue all transcodes
-    const transcodePromises = mkvFiles.map(mediaItem => {
-      console.log(`[Batch] Queuing: ${mediaItem.title} (${mediaItem.id})`);
-      return transcodingService.transcodeQuality(mediaItem.file_path, quality, mediaItem.id)
-        .then(outputPath => ({
-          id: mediaItem.id,
-          title: mediaItem.title,
-          status: 'completed',
-          outputPath
-        }))
-        .catch(error => ({
-          id: mediaItem.id,
-          title: mediaItem.title,
-          status: 'failed',
-          error: error.message
-        }));
-    });
+    // The queue runs them a few at a time instead of all at once
+    const jobs = [];
+    for (const mediaItem of mkvFiles) {
+      const itemQuality = quality === 'auto' ? await getPreTranscodeQuality(mediaItem) : quality;
+      const job = await transcodeQueueService.enqueue(mediaItem.id, { quality: itemQuality, priority });
+      jobs.push({ id: mediaItem.id, title: mediaItem.title, quality: itemQuality, jobId: job.id, status: job.status });
+    }
 
-    // Process sequentially to avoid overwhelming system
     res.json({
-      message: 'Batch pre-transcoding started',
+      message: 'Batch pre-transcoding queued',
       count: mkvFiles.length,
       quality,
-      status: 'processing',
-      files: mkvFiles.map(f => ({ id: f.id, title: f.title }))
+      status: 'queued',
+      files: jobs
     });
-
-    // Process in background
-    Promise.all(transcodePromises)
-      .then(results => {
-        const completed = results.filter(r => r.status === 'completed').length;
-        const failed = results.filter(r => r.status === 'failed').length;
-        console.log(`[Batch Pre-transcode] Completed: ${completed}, Failed: ${failed}`);
-      })
-      .catch(error => {
-        console.error('[Batch Pre-transcode] Error:', error);
-      });
-
   } catch (error) {
     console.error('Error starting batch pre-transcode:', error);
     res.status(500).json({ error: 'Failed to start batch pre-transcoding' });
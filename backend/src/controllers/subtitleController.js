@@ -1,21 +1,35 @@
 import database from '../config/database.js';
 import { createReadStream, existsSync } from 'fs';
+import { readFile } from 'fs/promises';
+import subtitleService from '../services/streaming/subtitleService.js';
+
+// Timing offsets beyond this are a wrong subtitle file, not a sync problem
+const MAX_OFFSET_SECONDS = 600;
 
 export const getSubtitles = async (req, res) => {
   try {
     const { mediaId } = req.params;
 
     const subtitles = await database.all(
-      `SELECT id, language, label, format, is_default
-       FROM subtitles
-       WHERE media_item_id = ?
-       ORDER BY is_default DESC, language ASC`,
-      [mediaId]
+      `SELECT s.id, s.language, s.label, s.format, s.codec, s.stream_index, s.is_default,
+              COALESCE(o.offset_ms, 0) AS offset_ms
+       FROM subtitles s
+       LEFT JOIN subtitle_offsets o ON o.subtitle_id = s.id AND o.user_id = ?
+       WHERE s.media_item_id = ?
+       ORDER BY s.is_default DESC, s.language ASC`,
+      [req.user.id, mediaId]
     );
 
     res.json({
       mediaId: parseInt(mediaId),
-      subtitles
+      subtitles: subtitles.map(({ offset_ms, ...subtitle }) => ({
+        ...subtitle,
+        // The current user's timing offset in seconds
+        offset: offset_ms / 1000,
+        embedded: subtitle.stream_index !== null,
+        // Image-based tracks (PGS, VobSub) cannot be served as WebVTT
+        text_based: subtitleService.isTextFormat(subtitle.format)
+      }))
     });
   } catch (error) {
     console.error('Error fetching subtitles:', error);
@@ -27,9 +41,8 @@ export const serveSubtitle = async (req, res) => {
   try {
     const { subtitleId } = req.params;
 
-    // Get subtitle file path from database
     const subtitle = await database.get(
-      'SELECT file_path, format FROM subtitles WHERE id = ?',
+      'SELECT id, media_item_id, file_path, format, stream_index FROM subtitles WHERE id = ?',
       [subtitleId]
     );
 
@@ -41,19 +54,28 @@ export const serveSubtitle = async (req, res) => {
       return res.status(404).json({ error: 'Subtitle file not found on disk' });
     }
 
-    // Set content type based on format
-    const contentTypes = {
-      'srt': 'text/plain; charset=utf-8',
-      'vtt': 'text/vtt; charset=utf-8',
-      'ass': 'text/plain; charset=utf-8'
-    };
+    if (!subtitleService.isTextFormat(subtitle.format)) {
+      return res.status(415).json({ error: `Image-based ${subtitle.format} subtitles cannot be served as WebVTT` });
+    }
 
-    const contentType = contentTypes[subtitle.format] || 'text/plain; charset=utf-8';
+    // SRT, ASS and embedded text streams are converted (and cached) on first request
+    const vttPath = await subtitleService.getWebVTT(subtitle);
 
-    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
     res.setHeader('Access-Control-Allow-Origin', '*');
 
-    const stream = createReadStream(subtitle.file_path);
+    // The user's timing offset is applied to the cached conversion as it is sent
+    const offset = await database.get(
+      'SELECT offset_ms FROM subtitle_offsets WHERE user_id = ? AND subtitle_id = ?',
+      [req.user.id, subtitle.id]
+    );
+
+    if (offset && offset.offset_ms) {
+      const content = await readFile(vttPath, 'utf8');
+      return res.send(subtitleService.applyOffset(content, offset.offset_ms / 1000));
+    }
+
+    const stream = createReadStream(vttPath);
     stream.pipe(res);
 
     stream.on('error', (error) => {
@@ -69,3 +91,77 @@ export const serveSubtitle = async (req, res) => {
     }
   }
 };
+
+export const getSubtitleOffset = async (req, res) => {
+  try {
+    const { subtitleId } = req.params;
+
+    const subtitle = await database.get(
+      'SELECT id FROM subtitles WHERE id = ?',
+      [subtitleId]
+    );
+
+    if (!subtitle) {
+      return res.status(404).json({ error: 'Subtitle not found' });
+    }
+
+    const offset = await database.get(
+      'SELECT offset_ms FROM subtitle_offsets WHERE user_id = ? AND subtitle_id = ?',
+      [req.user.id, subtitle.id]
+    );
+
+    res.json({
+      subtitleId: subtitle.id,
+      offset: offset ? offset.offset_ms / 1000 : 0
+    });
+  } catch (error) {
+    console.error('Error fetching subtitle offset:', error);
+    res.status(500).json({ error: 'Failed to fetch subtitle offset' });
+  }
+};
+
+export const updateSubtitleOffset = async (req, res) => {
+  try {
+    const { subtitleId } = req.params;
+    const offset = Number(req.body?.offset);
+
+    if (!Number.isFinite(offset) || Math.abs(offset) > MAX_OFFSET_SECONDS) {
+      return res.status(400).json({ error: `offset must be a number of seconds between -${MAX_OFFSET_SECONDS} and ${MAX_OFFSET_SECONDS}` });
+    }
+
+    const subtitle = await database.get(
+      'SELECT id FROM subtitles WHERE id = ?',
+      [subtitleId]
+    );
+
+    if (!subtitle) {
+      return res.status(404).json({ error: 'Subtitle not found' });
+    }
+
+    const offsetMs = Math.round(offset * 1000);
+
+    if (offsetMs === 0) {
+      await database.run(
+        'DELETE FROM subtitle_offsets WHERE user_id = ? AND subtitle_id = ?',
+        [req.user.id, subtitle.id]
+      );
+    } else {
+      await database.run(
+        `INSERT INTO subtitle_offsets (user_id, subtitle_id, offset_ms, updated_at)
+         VALUES (?, ?, ?, CURRENT_TIMESTAMP)
+         ON CONFLICT(user_id, subtitle_id) DO UPDATE SET
+           offset_ms = excluded.offset_ms,
+           updated_at = CURRENT_TIMESTAMP`,
+        [req.user.id, subtitle.id, offsetMs]
+      );
+    }
+
+    res.json({
+      subtitleId: subtitle.id,
+      offset: offsetMs / 1000
+    });
+  } catch (error) {
+    console.error('Error updating subtitle offset:', error);
+    res.status(500).json({ error: 'Failed to update subtitle offset' });
+  }
+};
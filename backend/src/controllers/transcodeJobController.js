@@ -0,0 +1,124 @@
+import transcodeQueueService from '../services/streaming/transcodeQueueService.js';
+
+/**
+ * List transcode jobs with queue stats
+ * GET /api/stream/jobs?status=queued&limit=50
+ */
+export const listJobs = async (req, res) => {
+  try {
+    const { status, limit } = req.query;
+
+    const jobs = await transcodeQueueService.listJobs({ status, limit });
+    const stats = await transcodeQueueService.getStats();
+
+    res.json({
+      count: jobs.length,
+      stats,
+      jobs
+    });
+  } catch (error) {
+    console.error('Error fetching transcode jobs:', error);
+    res.status(500).json({ error: 'Failed to fetch transcode jobs' });
+  }
+};
+
+/**
+ * Get a transcode job with its live progress
+ * GET /api/stream/jobs/:jobId
+ */
+export const getJob = async (req, res) => {
+  try {
+    const job = await transcodeQueueService.getJob(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Transcode job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error fetching transcode job:', error);
+    res.status(500).json({ error: 'Failed to fetch transcode job' });
+  }
+};
+
+/**
+ * Cancel a queued, paused or running transcode job
+ * POST /api/stream/jobs/:jobId/cancel
+ */
+export const cancelJob = async (req, res) => {
+  try {
+    const job = await transcodeQueueService.cancel(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Transcode job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error cancelling transcode job:', error);
+    res.status(500).json({ error: 'Failed to cancel transcode job' });
+  }
+};
+
+/**
+ * Pause a queued or running transcode job
+ * POST /api/stream/jobs/:jobId/pause
+ */
+export const pauseJob = async (req, res) => {
+  try {
+    const job = await transcodeQueueService.pause(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Transcode job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error pausing transcode job:', error);
+    res.status(500).json({ error: 'Failed to pause transcode job' });
+  }
+};
+
+/**
+ * Re-queue a paused, failed or cancelled transcode job
+ * POST /api/stream/jobs/:jobId/resume
+ */
+export const resumeJob = async (req, res) => {
+  try {
+    const job = await transcodeQueueService.resume(req.params.jobId);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Transcode job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error resuming transcode job:', error);
+    res.status(500).json({ error: 'Failed to resume transcode job' });
+  }
+};
+
+/**
+ * Change the priority of a transcode job
+ * PATCH /api/stream/jobs/:jobId
+ */
+export const updateJob = async (req, res) => {
+  try {
+    const priority = parseInt(req.body.priority, 10);
+
+    if (Number.isNaN(priority)) {
+      return res.status(400).json({ error: 'priority must be an integer' });
+    }
+
+    const job = await transcodeQueueService.setPriority(req.params.jobId, priority);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Transcode job not found' });
+    }
+
+    res.json(job);
+  } catch (error) {
+    console.error('Error updating transcode job:', error);
+    res.status(500).json({ error: 'Failed to update transcode job' });
+  }
+};
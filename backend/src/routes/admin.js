@@ -7,7 +7,10 @@ import {
   toggleAdminStatus,
   getLibraryStats,
   deleteMediaItem,
-  getAllMedia
+  getAllMedia,
+  getTasks,
+  updateTask,
+  runTask
 } from '../controllers/adminController.js';
 
 const router = express.Router();
@@ -30,4 +33,9 @@ router.get('/library/stats', getLibraryStats);
 router.get('/media', getAllMedia);
 router.delete('/media/:mediaId', deleteMediaItem);
 
+// Scheduled Tasks
+router.get('/tasks', getTasks);
+router.put('/tasks/:key', updateTask);
+router.post('/tasks/:key/run', runTask);
+
 export default router;
@@ -0,0 +1,18 @@
+import express from 'express';
+import {
+  getImage,
+  uploadImage,
+  deleteUploadedImage
+} from '../controllers/imageController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// Any user can load artwork (?w= for a resized copy); uploads replace the
+// provider artwork and require admin
+router.get('/:itemId/:kind', authenticateToken, getImage);
+router.put('/:itemId/:kind', requireAdmin, express.raw({ type: 'image/*', limit: '20mb' }), uploadImage);
+router.delete('/:itemId/:kind', requireAdmin, deleteUploadedImage);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getLibraries,
+  getLibrary,
+  createLibrary,
+  updateLibrary,
+  deleteLibrary,
+  scanLibrary
+} from '../controllers/librariesController.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
+
+const router = express.Router();
+
+// Any user can list libraries; managing them requires admin
+router.get('/', authenticateToken, getLibraries);
+router.get('/:id', authenticateToken, getLibrary);
+router.post('/', requireAdmin, createLibrary);
+router.put('/:id', requireAdmin, updateLibrary);
+router.delete('/:id', requireAdmin, deleteLibrary);
+router.post('/:id/scan', requireAdmin, scanLibrary);
+
+export default router;
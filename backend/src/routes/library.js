@@ -3,8 +3,11 @@ import {
   getMovies,
   getTVShows,
   getTVShowDetails,
+  getMissingEpisodes,
   getNextEpisode,
   getPreviousEpisode,
+  getCollections,
+  getCollectionDetails,
   searchMedia,
   getMediaItem,
   scanLibrary,
@@ -21,8 +24,11 @@ router.use(authenticateToken);
 router.get('/movies', getMovies);
 router.get('/tvshows', getTVShows);
 router.get('/tvshow/:id', getTVShowDetails);
+router.get('/tvshow/:id/missing', getMissingEpisodes);
 router.get('/episode/:episodeId/next', getNextEpisode);
 router.get('/episode/:episodeId/previous', getPreviousEpisode);
+router.get('/collections', getCollections);
+router.get('/collections/:id', getCollectionDetails);
 router.get('/search', searchMedia);
 router.get('/item/:id', getMediaItem);
 router.post('/scan', scanLibrary);
@@ -1,5 +1,6 @@
 import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
 import * as metadataController from '../controllers/metadataController.js';
 
 const router = express.Router();
@@ -12,6 +13,20 @@ router.post('/fetch/:id', metadataController.fetchMetadata);
 router.post('/batch-fetch', metadataController.batchFetchMetadata);
 router.post('/manual-match/:id', metadataController.manualMatch);
 router.post('/refresh/:id', metadataController.refreshMetadata);
+router.get('/providers', metadataController.getProviders);
+
+// Match review routes (admin only)
+router.get('/review', requireAdmin, metadataController.getReviewQueue);
+router.post('/review/:id/accept', requireAdmin, metadataController.acceptMatch);
+router.post('/review/:id/search', requireAdmin, metadataController.searchMatch);
+
+// Metadata editing routes (admin only)
+router.get('/items/:id', requireAdmin, metadataController.getItemMetadata);
+router.patch('/items/:id', requireAdmin, metadataController.updateItemMetadata);
+router.get('/shows/:id', requireAdmin, metadataController.getShowMetadata);
+router.patch('/shows/:id', requireAdmin, metadataController.updateShowMetadata);
+router.get('/episodes/:id', requireAdmin, metadataController.getEpisodeMetadata);
+router.patch('/episodes/:id', requireAdmin, metadataController.updateEpisodeMetadata);
 
 // Parsing and search routes
 router.post('/parse-filename', metadataController.parseFilename);
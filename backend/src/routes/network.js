@@ -7,6 +7,7 @@ import {
   deleteNetworkSource,
   testConnection,
   browseDirectory,
+  scanSource,
   discoverUPnP,
   getMediaServers
 } from '../controllers/networkController.js';
@@ -27,6 +28,7 @@ router.delete('/sources/:id', deleteNetworkSource);
 // Network source operations
 router.post('/sources/:id/test', testConnection);
 router.get('/sources/:id/browse', browseDirectory);
+router.post('/sources/:id/scan', scanSource);
 
 // UPnP/DLNA discovery
 router.post('/discover', discoverUPnP);
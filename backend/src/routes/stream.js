@@ -2,9 +2,15 @@ import express from 'express';
 import {
   getVideoInfo,
   directStream,
+  getSeekOffset,
+  streamNetworkFile,
   transcodeStream,
   getHLSManifest,
+  getHLSPlaylist,
   getHLSSegment,
+  getThumbnail,
+  getTrickplayTrack,
+  getTrickplaySprite,
   triggerTranscode,
   getCacheStats,
   clearCache,
@@ -12,7 +18,16 @@ import {
   preTranscodeMKV,
   preTranscodeAllMKV
 } from '../controllers/streamController.js';
+import {
+  listJobs,
+  getJob,
+  cancelJob,
+  pauseJob,
+  resumeJob,
+  updateJob
+} from '../controllers/transcodeJobController.js';
 import { authenticateToken } from '../middleware/auth.js';
+import { requireAdmin } from '../middleware/adminAuth.js';
 
 const router = express.Router();
 
@@ -23,8 +38,12 @@ router.use(authenticateToken);
 router.get('/:id/info', getVideoInfo);
 router.get('/:id/qualities', getAvailableQualities);
 
-// Direct streaming (auto-transcodes MKV files)
+// Direct streaming (direct play, remux or transcode for the client profile)
 router.get('/:id/direct', directStream);
+router.get('/:id/seek', getSeekOffset);
+
+// Unindexed files on network sources (FTP/SMB paths, UPnP object IDs)
+router.get('/network/:sourceId', streamNetworkFile);
 
 // Transcoded streaming
 router.get('/:id/transcode', transcodeStream);
@@ -34,9 +53,23 @@ router.post('/:id/transcode', triggerTranscode);
 router.post('/:id/pretranscode', preTranscodeMKV);
 router.post('/pretranscode/all', preTranscodeAllMKV);
 
+// Transcode job queue
+router.get('/jobs', listJobs);
+router.get('/jobs/:jobId', getJob);
+router.post('/jobs/:jobId/cancel', requireAdmin, cancelJob);
+router.post('/jobs/:jobId/pause', requireAdmin, pauseJob);
+router.post('/jobs/:jobId/resume', requireAdmin, resumeJob);
+router.patch('/jobs/:jobId', requireAdmin, updateJob);
+
 // HLS streaming
 router.get('/:id/hls/manifest.m3u8', getHLSManifest);
-router.get('/:id/hls/:segment', getHLSSegment);
+router.get('/:id/hls/:quality/playlist.m3u8', getHLSPlaylist);
+router.get('/:id/hls/:quality/:segment', getHLSSegment);
+
+// Generated poster frame and seek bar previews
+router.get('/:id/thumbnail', getThumbnail);
+router.get('/:id/trickplay.vtt', getTrickplayTrack);
+router.get('/:id/trickplay/:sprite', getTrickplaySprite);
 
 // Cache management
 router.get('/cache/stats', getCacheStats);
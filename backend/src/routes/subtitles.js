@@ -1,5 +1,10 @@
 import express from 'express';
-import { getSubtitles, serveSubtitle } from '../controllers/subtitleController.js';
+import {
+  getSubtitles,
+  serveSubtitle,
+  getSubtitleOffset,
+  updateSubtitleOffset
+} from '../controllers/subtitleController.js';
 import { authenticateToken } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -13,4 +18,8 @@ router.get('/media/:mediaId', getSubtitles);
 // Serve a specific subtitle file
 router.get('/:subtitleId', serveSubtitle);
 
+// The current user's timing offset for a subtitle (seconds, applied when it is served)
+router.get('/:subtitleId/offset', getSubtitleOffset);
+router.put('/:subtitleId/offset', updateSubtitleOffset);
+
 export default router;
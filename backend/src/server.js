@@ -6,11 +6,17 @@ import { dirname } from 'path';
 import database from './config/database.js';
 import authRoutes from './routes/auth.js';
 import libraryRoutes from './routes/library.js';
+import librariesRoutes from './routes/libraries.js';
 import streamRoutes from './routes/stream.js';
 import networkRoutes from './routes/network.js';
 import metadataRoutes from './routes/metadata.js';
 import subtitleRoutes from './routes/subtitles.js';
 import adminRoutes from './routes/admin.js';
+import imageRoutes from './routes/images.js';
+import transcodeQueueService from './services/streaming/transcodeQueueService.js';
+import libraryWatcherService from './services/libraryWatcherService.js';
+import libraryService from './services/libraryService.js';
+import schedulerService from './services/schedulerService.js';
 
 // Load environment variables
 dotenv.config();
@@ -24,7 +30,8 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
+// X-Stream-Offset tells players where a seeked transcode starts
+app.use(cors({ exposedHeaders: ['X-Stream-Offset'] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -54,11 +61,13 @@ app.get('/api', (req, res) => {
 // Mount routes
 app.use('/api/auth', authRoutes);
 app.use('/api/library', libraryRoutes);
+app.use('/api/libraries', librariesRoutes);
 app.use('/api/stream', streamRoutes);
 app.use('/api/network', networkRoutes);
 app.use('/api/metadata', metadataRoutes);
 app.use('/api/subtitles', subtitleRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/images', imageRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -80,6 +89,16 @@ async function startServer() {
     // Initialize database
     await database.initialize();
 
+    // Pick up transcode jobs left over from the last run
+    await transcodeQueueService.start();
+
+    // Keep the library in sync with file changes in LIBRARY_PATHS and library roots
+    await libraryWatcherService.start();
+    await libraryService.refreshWatchers();
+
+    // Library rescans, cache cleanup, metadata refresh and history pruning
+    await schedulerService.start();
+
     // Start server
     app.listen(PORT, () => {
       console.log(`\n🚀 Media Streaming Server running on port ${PORT}`);
@@ -95,12 +114,16 @@ async function startServer() {
 // Handle graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n\nShutting down gracefully...');
+  libraryWatcherService.stop();
+  schedulerService.stop();
   await database.close();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
   console.log('\n\nShutting down gracefully...');
+  libraryWatcherService.stop();
+  schedulerService.stop();
   await database.close();
   process.exit(0);
 });
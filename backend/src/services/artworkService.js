@@ -0,0 +1,431 @@
+import { createHash } from 'crypto';
+import { existsSync } from 'fs';
+import { mkdir, readdir, readFile, rename, rm, stat, unlink, writeFile } from 'fs/promises';
+import { extname, join, resolve } from 'path';
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import database from '../config/database.js';
+
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+
+export const ARTWORK_KINDS = ['poster', 'backdrop'];
+
+// Widths resized variants are made in; a requested width is rounded up to the next one
+const VARIANT_WIDTHS = [92, 154, 185, 342, 500, 780, 1280, 1920];
+
+// Largest image that is downloaded or accepted as an upload
+const MAX_IMAGE_SIZE = 20 * 1024 * 1024;
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp'
+};
+
+// media_items columns holding the provider artwork, and the URL clients load it from
+const SOURCE_COLUMNS = { poster: 'poster_path', backdrop: 'backdrop_path' };
+const URL_COLUMNS = { poster: 'poster_url', backdrop: 'backdrop_url' };
+
+// Items whose artwork is copied per run of the artwork-cache task
+const CACHE_BATCH_SIZE = 200;
+
+/**
+ * Artwork Service
+ * Keeps local copies of posters and backdrops in ARTWORK_DIR (one folder per media
+ * item), so clients load them from /api/images instead of from TMDB. Artwork is
+ * copied when metadata is fetched: from a URL (TMDB) or a local file (NFO provider).
+ * An admin upload replaces the provider artwork until it is removed again.
+ * Resized variants are made with ffmpeg on first request and kept next to the original.
+ */
+class ArtworkService {
+  constructor() {
+    // Downloads and resizes in progress, by target, so concurrent requests share them
+    this.pending = new Map();
+  }
+
+  /**
+   * Get the directory artwork is stored in
+   * @returns {string} Absolute path
+   */
+  getStoreDir() {
+    // Read here rather than at import time, after dotenv has loaded .env
+    return resolve(process.env.ARTWORK_DIR || './data/artwork');
+  }
+
+  /**
+   * Get the URL clients load an image from
+   * @param {number} mediaItemId - Media item ID
+   * @param {string} kind - 'poster' or 'backdrop'
+   * @returns {string} Image URL
+   */
+  getImageUrl(mediaItemId, kind) {
+    return `/api/images/${mediaItemId}/${kind}`;
+  }
+
+  /**
+   * Copy the provider artwork of a media item into the store. Failures are logged
+   * per kind and leave the previous copy in place.
+   * @param {number} mediaItemId - Media item ID
+   * @returns {Promise<void>}
+   */
+  async cacheItemArtwork(mediaItemId) {
+    const item = await database.get(
+      'SELECT poster_path, backdrop_path FROM media_items WHERE id = ?',
+      [mediaItemId]
+    );
+
+    if (!item) {
+      return;
+    }
+
+    for (const kind of ARTWORK_KINDS) {
+      try {
+        await this.cacheArtwork(mediaItemId, kind, item[SOURCE_COLUMNS[kind]]);
+      } catch (error) {
+        console.error(`Error storing ${kind} of media item ${mediaItemId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Copy one image into the store, unless it is already there or an upload replaces it
+   * @param {number} mediaItemId - Media item ID
+   * @param {string} kind - 'poster' or 'backdrop'
+   * @param {string|null} source - Image URL or local file path
+   * @returns {Promise<Object|null>} artwork row, or null if there is no artwork
+   */
+  async cacheArtwork(mediaItemId, kind, source) {
+    const existing = await database.get(
+      'SELECT * FROM artwork WHERE media_item_id = ? AND kind = ?',
+      [mediaItemId, kind]
+    );
+    const stored = existing && existsSync(existing.file_path);
+
+    if (stored && (existing.custom || existing.source === source)) {
+      return existing;
+    }
+    if (!source) {
+      return stored ? existing : null;
+    }
+
+    const key = `${mediaItemId}:${kind}`;
+    if (!this.pending.has(key)) {
+      const task = this.readSource(source)
+        .then(({ data, contentType }) => this.storeArtwork(mediaItemId, kind, data, contentType, source, false))
+        .finally(() => this.pending.delete(key));
+      this.pending.set(key, task);
+    }
+
+    return this.pending.get(key);
+  }
+
+  /**
+   * Store an uploaded image that replaces the provider artwork
+   * @param {number} mediaItemId - Media item ID
+   * @param {string} kind - 'poster' or 'backdrop'
+   * @param {Buffer} data - Image data
+   * @param {string} contentType - MIME type of the image
+   * @returns {Promise<Object>} artwork row
+   * @throws {Error} If the image is empty, too large or of an unsupported type
+   */
+  async saveUpload(mediaItemId, kind, data, contentType) {
+    if (!Buffer.isBuffer(data) || data.length === 0) {
+      throw new Error('Image data is required');
+    }
+    if (data.length > MAX_IMAGE_SIZE) {
+      throw new Error(`Image is larger than ${MAX_IMAGE_SIZE / 1024 / 1024} MB`);
+    }
+
+    return this.storeArtwork(mediaItemId, kind, data, contentType, null, true);
+  }
+
+  /**
+   * Remove an uploaded image and go back to the provider artwork
+   * @param {number} mediaItemId - Media item ID
+   * @param {string} kind - 'poster' or 'backdrop'
+   * @returns {Promise<boolean>} True if there was an upload to remove
+   */
+  async removeUpload(mediaItemId, kind) {
+    const result = await database.run(
+      'DELETE FROM artwork WHERE media_item_id = ? AND kind = ? AND custom = 1',
+      [mediaItemId, kind]
+    );
+
+    if (result.changes === 0) {
+      return false;
+    }
+
+    await this.removeFiles(mediaItemId, kind);
+    await database.run(
+      `UPDATE media_items SET ${URL_COLUMNS[kind]} = NULL WHERE id = ?`,
+      [mediaItemId]
+    );
+
+    try {
+      const item = await database.get(
+        `SELECT ${SOURCE_COLUMNS[kind]} AS source FROM media_items WHERE id = ?`,
+        [mediaItemId]
+      );
+      await this.cacheArtwork(mediaItemId, kind, item?.source ?? null);
+    } catch (error) {
+      // Copied again on the next request or task run
+      console.error(`Error storing ${kind} of media item ${mediaItemId}:`, error.message);
+    }
+
+    return true;
+  }
+
+  /**
+   * Delete all stored artwork of a media item
+   * @param {number} mediaItemId - Media item ID
+   * @returns {Promise<void>}
+   */
+  async removeItemArtwork(mediaItemId) {
+    await database.run('DELETE FROM artwork WHERE media_item_id = ?', [mediaItemId]);
+    await rm(join(this.getStoreDir(), String(mediaItemId)), { recursive: true, force: true });
+  }
+
+  /**
+   * Get an image file to serve, resized to at least the given width.
+   * Artwork of items matched before it was stored locally is copied on first request.
+   * @param {number} mediaItemId - Media item ID
+   * @param {string} kind - 'poster' or 'backdrop'
+   * @param {number|null} width - Wanted width in pixels (optional)
+   * @returns {Promise<Object|null>} { path, contentType, etag }, or null if there is no artwork
+   */
+  async getImage(mediaItemId, kind, width = null) {
+    let artwork = await database.get(
+      'SELECT * FROM artwork WHERE media_item_id = ? AND kind = ?',
+      [mediaItemId, kind]
+    );
+
+    if (!artwork || !existsSync(artwork.file_path)) {
+      const item = await database.get(
+        `SELECT ${SOURCE_COLUMNS[kind]} AS source FROM media_items WHERE id = ?`,
+        [mediaItemId]
+      );
+
+      if (!item?.source) {
+        return null;
+      }
+
+      try {
+        artwork = await this.cacheArtwork(mediaItemId, kind, item.source);
+      } catch (error) {
+        console.error(`Error storing ${kind} of media item ${mediaItemId}:`, error.message);
+        return null;
+      }
+    }
+
+    // Larger than every variant: the original is served
+    const variantWidth = width ? VARIANT_WIDTHS.find(w => w >= width) : null;
+
+    if (!variantWidth) {
+      return {
+        path: artwork.file_path,
+        contentType: artwork.content_type,
+        etag: `"${artwork.hash}"`
+      };
+    }
+
+    const path = join(this.getStoreDir(), String(mediaItemId), `${kind}-w${variantWidth}.jpg`);
+
+    if (!existsSync(path)) {
+      if (!this.pending.has(path)) {
+        this.pending.set(path, this.resize(artwork.file_path, path, variantWidth)
+          .finally(() => this.pending.delete(path)));
+      }
+      await this.pending.get(path);
+    }
+
+    return {
+      path,
+      contentType: 'image/jpeg',
+      etag: `"${artwork.hash}-w${variantWidth}"`
+    };
+  }
+
+  /**
+   * Copy provider artwork of items that do not have a local copy yet
+   * @returns {Promise<Object>} { total, cached, failed }
+   */
+  async cacheMissingArtwork() {
+    const items = await database.all(
+      `SELECT id FROM media_items
+       WHERE (poster_path IS NOT NULL AND poster_url IS NULL)
+          OR (backdrop_path IS NOT NULL AND backdrop_url IS NULL)
+       ORDER BY added_at DESC
+       LIMIT ?`,
+      [CACHE_BATCH_SIZE]
+    );
+
+    let cached = 0;
+    for (const item of items) {
+      await this.cacheItemArtwork(item.id);
+
+      const { poster_url, backdrop_url } = await database.get(
+        'SELECT poster_url, backdrop_url FROM media_items WHERE id = ?',
+        [item.id]
+      );
+      if (poster_url || backdrop_url) {
+        cached++;
+      }
+    }
+
+    return { total: items.length, cached, failed: items.length - cached };
+  }
+
+  /**
+   * Read an image from a URL or a local file
+   * @param {string} source - Image URL or local file path
+   * @returns {Promise<Object>} { data, contentType }
+   * @throws {Error} If the image cannot be read or is too large
+   */
+  async readSource(source) {
+    if (/^https?:\/\//i.test(source)) {
+      const response = await fetch(source);
+
+      if (!response.ok) {
+        throw new Error(`Download failed with HTTP ${response.status}: ${source}`);
+      }
+      if (parseInt(response.headers.get('content-length')) > MAX_IMAGE_SIZE) {
+        throw new Error(`Image is too large: ${source}`);
+      }
+
+      // Content-Length may be missing or wrong, so the body is counted as well;
+      // leaving the loop early cancels the download
+      const chunks = [];
+      let size = 0;
+      for await (const chunk of response.body) {
+        size += chunk.length;
+        if (size > MAX_IMAGE_SIZE) {
+          throw new Error(`Image is too large: ${source}`);
+        }
+        chunks.push(chunk);
+      }
+
+      return {
+        data: Buffer.concat(chunks),
+        contentType: response.headers.get('content-type')?.split(';')[0].trim() || getContentType(source)
+      };
+    }
+
+    if ((await stat(source)).size > MAX_IMAGE_SIZE) {
+      throw new Error(`Image is too large: ${source}`);
+    }
+
+    return {
+      data: await readFile(source),
+      contentType: getContentType(source)
+    };
+  }
+
+  /**
+   * Write an image into the store, replacing earlier files of the same kind
+   * @param {number} mediaItemId - Media item ID
+   * @param {string} kind - 'poster' or 'backdrop'
+   * @param {Buffer} data - Image data
+   * @param {string} contentType - MIME type of the image
+   * @param {string|null} source - Where the image came from (null for uploads)
+   * @param {boolean} custom - Whether the image is an admin upload
+   * @returns {Promise<Object>} artwork row
+   * @throws {Error} If the image type is not supported
+   */
+  async storeArtwork(mediaItemId, kind, data, contentType, source, custom) {
+    const ext = EXTENSIONS[contentType];
+    if (!ext) {
+      throw new Error(`Unsupported image type: ${contentType || 'unknown'}`);
+    }
+
+    const dir = join(this.getStoreDir(), String(mediaItemId));
+    await mkdir(dir, { recursive: true });
+    await this.removeFiles(mediaItemId, kind);
+
+    const filePath = join(dir, `${kind}${ext}`);
+    await writeFile(filePath, data);
+
+    const hash = createHash('sha1').update(data).digest('hex');
+
+    await database.run(`
+      INSERT INTO artwork (media_item_id, kind, source, file_path, content_type, hash, custom)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(media_item_id, kind) DO UPDATE SET
+        source = excluded.source,
+        file_path = excluded.file_path,
+        content_type = excluded.content_type,
+        hash = excluded.hash,
+        custom = excluded.custom,
+        updated_at = CURRENT_TIMESTAMP
+    `, [mediaItemId, kind, source, filePath, contentType, hash, custom ? 1 : 0]);
+
+    await database.run(
+      `UPDATE media_items SET ${URL_COLUMNS[kind]} = ? WHERE id = ?`,
+      [this.getImageUrl(mediaItemId, kind), mediaItemId]
+    );
+
+    return database.get(
+      'SELECT * FROM artwork WHERE media_item_id = ? AND kind = ?',
+      [mediaItemId, kind]
+    );
+  }
+
+  /**
+   * Delete the stored original and resized variants of one kind of artwork
+   * @param {number} mediaItemId - Media item ID
+   * @param {string} kind - 'poster' or 'backdrop'
+   * @returns {Promise<void>}
+   */
+  async removeFiles(mediaItemId, kind) {
+    const dir = join(this.getStoreDir(), String(mediaItemId));
+    const files = await readdir(dir).catch(() => []);
+
+    for (const file of files) {
+      if (file.startsWith(`${kind}.`) || file.startsWith(`${kind}-`)) {
+        await unlink(join(dir, file)).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * Scale an image down to a width (never up) and save it as JPEG
+   * @param {string} inputPath - Original image
+   * @param {string} outputPath - Variant to write
+   * @param {number} width - Maximum width in pixels
+   * @returns {Promise<void>}
+   */
+  async resize(inputPath, outputPath, width) {
+    // Written under a temporary name so a half-written variant is never served
+    const partPath = `${outputPath}.part`;
+
+    await new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .outputOptions([
+          '-vf', `scale='min(iw,${width})':-1`,
+          '-frames:v', '1',
+          '-q:v', '3',
+          '-f', 'mjpeg'
+        ])
+        .output(partPath)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+
+    await rename(partPath, outputPath);
+  }
+}
+
+/**
+ * Guess the MIME type of an image from its file extension
+ * @param {string} path - File path or URL
+ * @returns {string|null} MIME type
+ */
+function getContentType(path) {
+  const ext = extname(path.split('?')[0]).toLowerCase();
+  const type = Object.keys(EXTENSIONS).find(key => EXTENSIONS[key] === ext);
+  return type || (ext === '.jpeg' ? 'image/jpeg' : null);
+}
+
+// Export singleton instance
+const artworkService = new ArtworkService();
+export default artworkService;
@@ -0,0 +1,256 @@
+import database from '../config/database.js';
+import scannerService from './scannerService.js';
+import libraryWatcherService from './libraryWatcherService.js';
+import protocolClientService from './protocols/protocolClientService.js';
+
+export const LIBRARY_TYPES = ['movies', 'tv', 'mixed', 'home_videos'];
+
+// Network protocols the scanner can list
+const SCANNABLE_PROTOCOLS = ['ftp', 'smb'];
+
+/**
+ * Library Service
+ * Named libraries group media items under one or more roots. A root is a local
+ * directory, or a path on a network source. The library type decides how scans
+ * read files; the metadata language is used for TMDB lookups of its items.
+ */
+class LibraryService {
+  /**
+   * Get all libraries with their roots and item counts
+   * @returns {Promise<Array<Object>>} Libraries
+   */
+  async getLibraries() {
+    const libraries = await database.all(
+      `SELECT l.*,
+        (SELECT COUNT(*) FROM media_items m
+         WHERE m.library_id = l.id AND m.type != 'tv_show' AND m.missing = 0 AND m.parent_id IS NULL) AS item_count
+       FROM libraries l
+       ORDER BY l.name`
+    );
+    const roots = await database.all('SELECT * FROM library_roots ORDER BY id');
+
+    return libraries.map(library => ({
+      ...library,
+      roots: roots.filter(root => root.library_id === library.id).map(formatRoot)
+    }));
+  }
+
+  /**
+   * Get a library with its roots
+   * @param {number} id - Library ID
+   * @returns {Promise<Object|null>} Library, or null if not found
+   */
+  async getLibrary(id) {
+    const library = await database.get(
+      `SELECT l.*,
+        (SELECT COUNT(*) FROM media_items m
+         WHERE m.library_id = l.id AND m.type != 'tv_show' AND m.missing = 0 AND m.parent_id IS NULL) AS item_count
+       FROM libraries l
+       WHERE l.id = ?`,
+      [id]
+    );
+
+    if (!library) {
+      return null;
+    }
+
+    const roots = await database.all(
+      'SELECT * FROM library_roots WHERE library_id = ? ORDER BY id',
+      [id]
+    );
+
+    return { ...library, roots: roots.map(formatRoot) };
+  }
+
+  /**
+   * Create a library
+   * @param {Object} fields - { name, type, roots, scan_schedule, metadata_language }
+   * @returns {Promise<Object>} Created library
+   */
+  async createLibrary({ name, type = 'mixed', roots, scan_schedule = null, metadata_language = null }) {
+    const result = await database.run(
+      `INSERT INTO libraries (name, type, scan_schedule, metadata_language)
+       VALUES (?, ?, ?, ?)`,
+      [name, type, scan_schedule, metadata_language]
+    );
+
+    await this.setRoots(result.id, roots);
+    await this.refreshWatchers();
+
+    return this.getLibrary(result.id);
+  }
+
+  /**
+   * Update a library; fields left undefined keep their value
+   * @param {number} id - Library ID
+   * @param {Object} fields - { name, type, roots, scan_schedule, metadata_language }
+   * @returns {Promise<Object|null>} Updated library, or null if not found
+   */
+  async updateLibrary(id, fields) {
+    const existing = await database.get('SELECT id FROM libraries WHERE id = ?', [id]);
+    if (!existing) {
+      return null;
+    }
+
+    const updates = [];
+    const values = [];
+
+    for (const column of ['name', 'type', 'scan_schedule', 'metadata_language']) {
+      if (fields[column] !== undefined) {
+        updates.push(`${column} = ?`);
+        values.push(fields[column]);
+      }
+    }
+
+    if (updates.length > 0) {
+      await database.run(
+        `UPDATE libraries SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...values, id]
+      );
+    }
+
+    if (fields.roots !== undefined) {
+      await this.setRoots(id, fields.roots);
+    }
+
+    await this.refreshWatchers();
+
+    return this.getLibrary(id);
+  }
+
+  /**
+   * Delete a library. Its items stay in the database without a library.
+   * @param {number} id - Library ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteLibrary(id) {
+    await database.run('UPDATE media_items SET library_id = NULL WHERE library_id = ?', [id]);
+    await database.run('DELETE FROM library_roots WHERE library_id = ?', [id]);
+    const result = await database.run('DELETE FROM libraries WHERE id = ?', [id]);
+
+    await this.refreshWatchers();
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Replace the roots of a library
+   * @param {number} libraryId - Library ID
+   * @param {Array<Object>} roots - { path, network_source_id }
+   */
+  async setRoots(libraryId, roots) {
+    await database.run('DELETE FROM library_roots WHERE library_id = ?', [libraryId]);
+
+    for (const root of roots) {
+      await database.run(
+        'INSERT INTO library_roots (library_id, path, network_source_id) VALUES (?, ?, ?)',
+        [libraryId, root.path, root.network_source_id ?? null]
+      );
+    }
+  }
+
+  /**
+   * Find the library a local directory is a root of
+   * @param {string} path - Local directory
+   * @returns {Promise<Object|null>} Library row, or null
+   */
+  async findLibraryByRoot(path) {
+    return (await database.get(
+      `SELECT l.*
+       FROM library_roots r
+       JOIN libraries l ON r.library_id = l.id
+       WHERE r.path = ? AND r.network_source_id IS NULL`,
+      [path]
+    )) || null;
+  }
+
+  /**
+   * Scan every root of a library, one after the other
+   * @param {number} id - Library ID
+   * @returns {Promise<Object>} { added, updated, removed, moved, errors } over all roots
+   */
+  async scanLibrary(id) {
+    const library = await this.getLibrary(id);
+    if (!library) {
+      throw new Error('Library not found');
+    }
+
+    const summary = { added: 0, updated: 0, removed: 0, moved: 0, errors: [] };
+    const target = { id: library.id, type: library.type };
+
+    for (const root of library.roots) {
+      try {
+        let progress;
+
+        if (root.network_source_id) {
+          const source = await database.get(
+            'SELECT * FROM network_sources WHERE id = ?',
+            [root.network_source_id]
+          );
+
+          if (!source || !SCANNABLE_PROTOCOLS.includes(source.protocol)) {
+            throw new Error(`Network source ${root.network_source_id} cannot be scanned`);
+          }
+
+          const client = await protocolClientService.connectToSource(source.id);
+          try {
+            progress = await scannerService.scanDirectory(root.path, source.protocol, source.id, client, target);
+          } finally {
+            await client.disconnect();
+          }
+        } else {
+          progress = await scannerService.scanDirectory(root.path, 'local', null, null, target);
+        }
+
+        summary.added += progress.addedFiles;
+        summary.updated += progress.updatedFiles;
+        summary.removed += progress.removedFiles;
+        summary.moved += progress.movedFiles;
+        summary.errors.push(...progress.errors);
+      } catch (error) {
+        console.error(`Error scanning ${root.path} of library ${library.name}:`, error.message);
+        summary.errors.push({ file: root.path, error: error.message });
+      }
+    }
+
+    await database.run(
+      'UPDATE libraries SET last_scanned_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [id]
+    );
+
+    return summary;
+  }
+
+  /**
+   * Point the library watcher at the current local library roots
+   */
+  async refreshWatchers() {
+    const roots = await database.all(
+      `SELECT r.path, l.id, l.type
+       FROM library_roots r
+       JOIN libraries l ON r.library_id = l.id
+       WHERE r.network_source_id IS NULL`
+    );
+
+    await libraryWatcherService.setLibraryRoots(
+      roots.map(root => ({ path: root.path, library: { id: root.id, type: root.type } }))
+    );
+  }
+}
+
+/**
+ * Shape a library_roots row for API responses
+ * @param {Object} root - library_roots row
+ * @returns {Object} { id, path, network_source_id }
+ */
+function formatRoot(root) {
+  return {
+    id: root.id,
+    path: root.path,
+    network_source_id: root.network_source_id
+  };
+}
+
+// Export singleton instance
+const libraryService = new LibraryService();
+export default libraryService;
@@ -0,0 +1,270 @@
+import { watch } from 'fs';
+import { readFile } from 'fs/promises';
+import { join, resolve } from 'path';
+import scannerService from './scannerService.js';
+
+// File systems where inotify sees no changes made by other machines
+const NETWORK_FS_TYPES = ['nfs', 'nfs4', 'cifs', 'smb3', 'smbfs', 'fuse.sshfs', 'fuse.rclone', '9p'];
+
+/**
+ * Library Watcher Service
+ * Watches the local library roots and feeds changed paths to the scanner, so new,
+ * changed, moved and deleted files show up without a manual scan.
+ *  - fs.watch (recursive) is used where the kernel reports changes
+ *  - network mounts, or roots fs.watch refuses, are polled instead
+ * Events are debounced per root: a copy in progress fires many events, and a move
+ * fires one for each side, which have to be handled together.
+ */
+class LibraryWatcherService {
+  constructor() {
+    // Watched roots by path: { library, watcher, pollTimer, snapshot, pending, flushTimer, flushing }
+    this.roots = new Map();
+    // Roots from LIBRARY_PATHS, which stay watched without a library
+    this.envPaths = new Set();
+  }
+
+  /**
+   * Start watching the roots in LIBRARY_PATHS (comma separated).
+   * Roots of libraries are added with setLibraryRoots().
+   */
+  async start() {
+    // Read here rather than at import time, after dotenv has loaded .env
+    this.debounceMs = parseInt(process.env.WATCH_DEBOUNCE) || 2000;
+    this.pollIntervalMs = parseInt(process.env.WATCH_POLL_INTERVAL) || 30000;
+    this.forcePolling = process.env.WATCH_POLLING === 'true';
+
+    const paths = (process.env.LIBRARY_PATHS || '')
+      .split(',')
+      .map(path => path.trim())
+      .filter(Boolean);
+
+    for (const path of paths) {
+      this.envPaths.add(resolve(path));
+      await this.watchRoot(path);
+    }
+  }
+
+  /**
+   * Watch exactly the given library roots (plus the LIBRARY_PATHS roots)
+   * @param {Array<Object>} roots - { path, library: { id, type } }
+   */
+  async setLibraryRoots(roots) {
+    const wanted = new Map(roots.map(root => [resolve(root.path), root.library]));
+
+    for (const [path, root] of [...this.roots.entries()]) {
+      if (root.library && !wanted.has(path)) {
+        if (this.envPaths.has(path)) {
+          root.library = null;
+        } else {
+          this.unwatchRoot(path);
+        }
+      }
+    }
+
+    for (const [path, library] of wanted) {
+      await this.watchRoot(path, library);
+    }
+  }
+
+  /**
+   * Stop all watchers and pending flushes
+   */
+  stop() {
+    for (const path of [...this.roots.keys()]) {
+      this.unwatchRoot(path);
+    }
+  }
+
+  /**
+   * Watch a library root
+   * @param {string} rootPath - Local directory
+   * @param {Object|null} library - Library ({ id, type }) new files are added to
+   */
+  async watchRoot(rootPath, library = null) {
+    rootPath = resolve(rootPath);
+    if (this.roots.has(rootPath)) {
+      this.roots.get(rootPath).library = library;
+      return;
+    }
+
+    const root = {
+      library,
+      watcher: null,
+      pollTimer: null,
+      snapshot: null,
+      pending: new Set(),
+      flushTimer: null,
+      flushing: false
+    };
+    this.roots.set(rootPath, root);
+
+    const fsType = await getFileSystemType(rootPath);
+
+    if (!this.forcePolling && !NETWORK_FS_TYPES.includes(fsType)) {
+      try {
+        root.watcher = watch(rootPath, { recursive: true }, (eventType, filename) => {
+          // Without a name the change cannot be pinned down, so the whole root is checked
+          this.queueChange(rootPath, filename ? join(rootPath, filename.toString()) : rootPath);
+        });
+
+        root.watcher.on('error', (error) => {
+          console.error(`Watcher error on ${rootPath}, falling back to polling:`, error.message);
+          root.watcher.close();
+          root.watcher = null;
+          this.startPolling(rootPath, root);
+        });
+
+        console.log(`Watching library: ${rootPath}`);
+        return;
+      } catch (error) {
+        console.error(`Cannot watch ${rootPath}, falling back to polling:`, error.message);
+      }
+    }
+
+    this.startPolling(rootPath, root);
+  }
+
+  /**
+   * Stop watching a library root
+   * @param {string} rootPath - Local directory
+   */
+  unwatchRoot(rootPath) {
+    rootPath = resolve(rootPath);
+    const root = this.roots.get(rootPath);
+    if (!root) {
+      return;
+    }
+
+    root.watcher?.close();
+    clearInterval(root.pollTimer);
+    clearTimeout(root.flushTimer);
+    this.roots.delete(rootPath);
+  }
+
+  /**
+   * Poll a root by comparing listings (size and mtime of every video file)
+   * @param {string} rootPath - Local directory
+   * @param {Object} root - Watch state of the root
+   */
+  startPolling(rootPath, root) {
+    const poll = async () => {
+      const failedDirs = [];
+      const files = await scannerService.findVideoFiles(rootPath, [], failedDirs);
+      if (failedDirs.includes(rootPath)) {
+        return; // Mount unavailable: keep the last snapshot rather than report every file gone
+      }
+
+      const snapshot = new Map(files.map(file => [file.path, `${file.size}:${file.mtime}`]));
+
+      if (root.snapshot) {
+        for (const [path, state] of snapshot) {
+          if (root.snapshot.get(path) !== state) {
+            this.queueChange(rootPath, path);
+          }
+        }
+        for (const path of root.snapshot.keys()) {
+          if (!snapshot.has(path)) {
+            this.queueChange(rootPath, path);
+          }
+        }
+      }
+
+      root.snapshot = snapshot;
+    };
+
+    poll().catch(error => console.error(`Error polling ${rootPath}:`, error.message));
+    root.pollTimer = setInterval(() => {
+      poll().catch(error => console.error(`Error polling ${rootPath}:`, error.message));
+    }, this.pollIntervalMs);
+
+    console.log(`Polling library every ${this.pollIntervalMs / 1000}s: ${rootPath}`);
+  }
+
+  /**
+   * Record a changed path and (re)start the debounce timer of its root
+   * @param {string} rootPath - Library root
+   * @param {string} path - Changed file or directory
+   */
+  queueChange(rootPath, path) {
+    const root = this.roots.get(rootPath);
+    if (!root) {
+      return;
+    }
+
+    root.pending.add(path);
+    clearTimeout(root.flushTimer);
+    root.flushTimer = setTimeout(() => this.flush(rootPath), this.debounceMs);
+  }
+
+  /**
+   * Hand the changed paths of a root to the scanner
+   * @param {string} rootPath - Library root
+   */
+  async flush(rootPath) {
+    const root = this.roots.get(rootPath);
+    if (!root || root.pending.size === 0) {
+      return;
+    }
+
+    // An earlier flush is still running: try again later. A running full scan is
+    // waited for by syncPaths.
+    if (root.flushing) {
+      root.flushTimer = setTimeout(() => this.flush(rootPath), this.debounceMs);
+      return;
+    }
+
+    const paths = collapsePaths([...root.pending]);
+    root.pending.clear();
+    root.flushing = true;
+
+    try {
+      const progress = await scannerService.syncPaths(rootPath, paths, root.library);
+      const { addedFiles, updatedFiles, removedFiles, movedFiles } = progress;
+
+      if (addedFiles || updatedFiles || removedFiles || movedFiles) {
+        console.log(`Library updated (${rootPath}): added ${addedFiles}, updated ${updatedFiles}, removed ${removedFiles}, moved ${movedFiles} files`);
+      }
+    } catch (error) {
+      console.error(`Error applying changes in ${rootPath}:`, error);
+    } finally {
+      root.flushing = false;
+    }
+  }
+}
+
+/**
+ * Drop paths that lie inside another listed path (a directory covers its contents)
+ * @param {Array<string>} paths - Changed paths
+ * @returns {Array<string>} Remaining paths
+ */
+function collapsePaths(paths) {
+  return paths.filter(path => !paths.some(other => other !== path && path.startsWith(`${other}/`)));
+}
+
+/**
+ * Look up the file system type of the mount a path is on (Linux only)
+ * @param {string} path - Absolute path
+ * @returns {Promise<string|null>} Type from /proc/mounts, or null if unknown
+ */
+async function getFileSystemType(path) {
+  try {
+    const mounts = (await readFile('/proc/mounts', 'utf8'))
+      .split('\n')
+      .map(line => line.split(' '))
+      .filter(fields => fields.length > 2)
+      .map(([, mountPoint, type]) => ({ mountPoint: mountPoint.replace(/\\040/g, ' '), type }));
+
+    // The longest mount point containing the path is the one it is on
+    const mount = mounts
+      .filter(({ mountPoint }) => path === mountPoint || path.startsWith(mountPoint.endsWith('/') ? mountPoint : `${mountPoint}/`))
+      .sort((a, b) => b.mountPoint.length - a.mountPoint.length)[0];
+
+    return mount ? mount.type : null;
+  } catch {
+    return null;
+  }
+}
+
+// Export singleton instance
+const libraryWatcherService = new LibraryWatcherService();
+export default libraryWatcherService;
@@ -1,6 +1,9 @@
 import ptt from 'parse-torrent-title';
 import path from 'path';
 
+// Longest episode range a multi-episode filename may cover (guards against S01E01-720)
+const MAX_EPISODE_RANGE = 10;
+
 /**
  * Filename Parser Service
  * Extracts movie and TV show information from filenames
@@ -47,6 +50,7 @@ class FilenameParser {
 
       // Use parse-torrent-title for initial parsing
       const parsed = ptt.parse(basename);
+      const episodes = this.extractAllEpisodes(basename);
 
       // Clean and enhance the parsed data
       const result = {
@@ -58,9 +62,10 @@ class FilenameParser {
         type: this.detectType(parsed),
 
         // TV show specific
-        season: parsed.season || null,
+        // Season 0 holds the specials
+        season: parsed.season ?? null,
         episode: parsed.episode || null,
-        episodes: parsed.episodes || null,
+        episodes: episodes.length > 1 ? episodes : null,
 
         // Quality information
         resolution: parsed.resolution || this.detectQuality(basename),
@@ -192,6 +197,33 @@ class FilenameParser {
     return Math.min(confidence, 100);
   }
 
+  /**
+   * Calculate how well a search result matches the parsed filename: mostly title
+   * similarity, then whether the year agrees, and a little for a clean parse
+   * @param {Object} parsed - Parsed data ({ title, year, confidence })
+   * @param {Object} candidate - Search result ({ title, original_title, year })
+   * @returns {number} Confidence score 0-100
+   */
+  calculateMatchConfidence(parsed, candidate) {
+    const similarity = Math.max(
+      titleSimilarity(parsed.title, candidate.title),
+      titleSimilarity(parsed.title, candidate.original_title)
+    );
+    let confidence = similarity * 70;
+
+    // Year: agreeing (or one off, for releases around new year) or contradicting
+    if (parsed.year && candidate.year) {
+      const difference = Math.abs(parsed.year - candidate.year);
+      confidence += difference === 0 ? 20 : difference === 1 ? 10 : -20;
+    } else {
+      confidence += 10;
+    }
+
+    confidence += (parsed.confidence || 0) / 10;
+
+    return Math.max(0, Math.min(100, Math.round(confidence)));
+  }
+
   /**
    * Fallback parser for when parse-torrent-title fails
    * @param {string} filename - Filename to parse
@@ -252,7 +284,7 @@ class FilenameParser {
    * @returns {string} Formatted string
    */
   formatSeasonEpisode(season, episode) {
-    if (!season || !episode) return null;
+    if (season === null || season === undefined || !episode) return null;
 
     const s = String(season).padStart(2, '0');
     const e = String(episode).padStart(2, '0');
@@ -275,27 +307,123 @@ class FilenameParser {
   }
 
   /**
-   * Extract all episode numbers from a filename (for multi-episode files)
+   * Extract all episode numbers from a filename (for multi-episode files).
+   * Only the episode list after the season is read, so titles like "Se7en" do not count.
+   * A dash between two episodes is a range: S01E01-E03 and S01E01-03 cover 1, 2 and 3.
    * @param {string} filename - Filename to parse
    * @returns {Array<number>} Array of episode numbers
    */
   extractAllEpisodes(filename) {
     const episodes = [];
 
-    // Match patterns like E01E02E03 or E01-E03
-    const multiEpisode = filename.match(/[Ee](\d+)(?:-[Ee](\d+))?/g);
+    // Match patterns like S01E01E02E03, S01E01-E03 or S01E01-03
+    const multiEpisode = filename.match(/[Ss]\d{1,2}((?:[ ._-]?[Ee]\d{1,3}(?!\d))+(?:-\d{1,3}(?![\dA-Za-z]))?)/);
 
     if (multiEpisode) {
-      multiEpisode.forEach(match => {
-        const num = match.match(/\d+/g);
-        if (num) {
-          episodes.push(...num.map(n => parseInt(n)));
+      for (const [, dash, number] of multiEpisode[1].matchAll(/(-?)[ ._]?[Ee]?(\d+)/g)) {
+        const episode = parseInt(number, 10);
+        const previous = episodes[episodes.length - 1];
+
+        if (dash && previous !== undefined && episode > previous && episode - previous <= MAX_EPISODE_RANGE) {
+          for (let n = previous + 1; n <= episode; n++) {
+            episodes.push(n);
+          }
+        } else if (!dash && !episodes.includes(episode)) {
+          episodes.push(episode);
         }
-      });
+      }
     }
 
     return episodes;
   }
+
+  /**
+   * Format a season and its episodes the way filenames write them
+   * @param {number} season - Season number
+   * @param {Array<number>} episodes - Episode numbers, ascending
+   * @returns {string} Code like S01E05, S01E01-E03 (a run) or S01E01E04
+   */
+  formatEpisodeCode(season, episodes) {
+    const pad = number => String(number).padStart(2, '0');
+    const first = episodes[0];
+    const last = episodes[episodes.length - 1];
+
+    if (episodes.length > 1 && last - first === episodes.length - 1) {
+      return `S${pad(season)}E${pad(first)}-E${pad(last)}`;
+    }
+    return `S${pad(season)}${episodes.map(episode => `E${pad(episode)}`).join('')}`;
+  }
+
+  /**
+   * Detect one part of a movie split over several files (CD1/CD2, part1/part2, ...)
+   * @param {string} filename - Filename to parse
+   * @returns {Object|null} { partNumber, name, stem } where name is the filename without
+   *   the part marker and extension, and stem its lowercase form that all parts share;
+   *   null if the file is not a part
+   */
+  extractPart(filename) {
+    const name = path.basename(filename, path.extname(filename));
+    const match = name.match(/[ ._\-([]+(?:cd|dvd|disc|disk|part|pt)[ ._-]?(\d{1,2})[)\]]?(?=$|[ ._\-)\]])/i);
+
+    if (!match) {
+      return null;
+    }
+
+    const rest = (name.slice(0, match.index) + name.slice(match.index + match[0].length))
+      .replace(/[ ._\-([]+$/, '');
+
+    return {
+      partNumber: parseInt(match[1], 10),
+      name: rest,
+      stem: rest.toLowerCase()
+    };
+  }
+}
+
+/**
+ * Normalize a title for comparison: lowercase, no accents, punctuation or leading article
+ * @param {string} title - Title
+ * @returns {string} Normalized title
+ */
+function normalizeTitle(title) {
+  return (title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^(the|a|an) /, '')
+    .trim();
+}
+
+/**
+ * Similarity of two titles (1 - edit distance / length of the longer one)
+ * @param {string} a - Title
+ * @param {string} b - Title
+ * @returns {number} Similarity 0-1
+ */
+function titleSimilarity(a, b) {
+  const left = normalizeTitle(a);
+  const right = normalizeTitle(b);
+
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  // Levenshtein distance, one row at a time
+  let previous = Array.from({ length: right.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= left.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= right.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return 1 - previous[right.length] / Math.max(left.length, right.length);
 }
 
 // Create singleton instance
@@ -0,0 +1,257 @@
+import database from '../../config/database.js';
+import tmdbService from './tmdbService.js';
+import filenameParser from './filenameParser.js';
+
+// Candidates kept per match, best first
+const MAX_CANDIDATES = 10;
+
+/**
+ * Match Review Service
+ * Records how TMDB matches were made: the confidence of the chosen search result
+ * and the other candidates. Matches below metadataService.minConfidence are not
+ * applied but wait in a review queue until an admin accepts one. Accepted TMDB IDs
+ * are kept as decisions, which later lookups use instead of searching: movies per
+ * file, shows per parsed show title (so one decision covers every episode).
+ */
+class MatchReviewService {
+  /**
+   * Get the TMDB media type a parsed file is searched as
+   * @param {Object} parsed - Parsed filename data
+   * @returns {string} 'movie' or 'tv'
+   */
+  getMediaType(parsed) {
+    return parsed.type === 'episode' ? 'tv' : 'movie';
+  }
+
+  /**
+   * Search TMDB and score the results against the parsed filename
+   * @param {Object} parsed - Parsed filename data ({ title, year, confidence })
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {string} language - TMDB language (optional)
+   * @returns {Promise<Array<Object>>} Candidates, best first (see rankCandidates)
+   */
+  async searchCandidates(parsed, mediaType, language = undefined) {
+    const results = mediaType === 'movie'
+      ? await tmdbService.searchMovies(parsed.title, parsed.year, language)
+      : await tmdbService.searchTVShows(parsed.title, parsed.year, language);
+
+    return this.rankCandidates(parsed, results, mediaType);
+  }
+
+  /**
+   * Score TMDB search results against the parsed filename
+   * @param {Object} parsed - Parsed filename data ({ title, year, confidence })
+   * @param {Array<Object>} results - TMDB movie or TV search results
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @returns {Array<Object>} { tmdb_id, title, original_title, year, overview, poster_path,
+   *   confidence }, best first
+   */
+  rankCandidates(parsed, results, mediaType) {
+    return results
+      .map(result => {
+        const date = mediaType === 'movie' ? result.release_date : result.first_air_date;
+        const candidate = {
+          tmdb_id: result.id,
+          title: mediaType === 'movie' ? result.title : result.name,
+          original_title: mediaType === 'movie' ? result.original_title : result.original_name,
+          year: date ? parseInt(date.slice(0, 4), 10) || null : null,
+          overview: result.overview || null,
+          poster_path: result.poster_path ? `https://image.tmdb.org/t/p/w185${result.poster_path}` : null
+        };
+
+        return { ...candidate, confidence: filenameParser.calculateMatchConfidence(parsed, candidate) };
+      })
+      // Sorting is stable, so equal scores keep TMDB's relevance order
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, MAX_CANDIDATES);
+  }
+
+  /**
+   * Record the TMDB match of a media item. Confidence and candidates of an earlier
+   * search are kept when the match came from a decision.
+   * @param {number} mediaItemId - Media item ID
+   * @param {Object} parsed - Parsed filename data
+   * @param {Object} match - { tmdb_id, confidence, candidates } from the TMDB provider
+   * @param {string} status - 'matched', 'pending' or 'accepted'
+   * @returns {Promise<void>}
+   */
+  async recordMatch(mediaItemId, parsed, match, status) {
+    await database.run(`
+      INSERT INTO metadata_matches
+        (media_item_id, media_type, query_title, query_year, tmdb_id, confidence, candidates, status)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(media_item_id) DO UPDATE SET
+        media_type = excluded.media_type,
+        query_title = excluded.query_title,
+        query_year = excluded.query_year,
+        tmdb_id = excluded.tmdb_id,
+        confidence = COALESCE(excluded.confidence, confidence),
+        candidates = COALESCE(excluded.candidates, candidates),
+        status = excluded.status,
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      mediaItemId,
+      this.getMediaType(parsed),
+      parsed.title,
+      parsed.year ?? null,
+      match.tmdb_id,
+      match.confidence ?? null,
+      match.candidates ? JSON.stringify(match.candidates) : null,
+      status
+    ]);
+  }
+
+  /**
+   * Forget the TMDB match of a media item, e.g. when another provider matched it
+   * @param {number} mediaItemId - Media item ID
+   * @returns {Promise<void>}
+   */
+  async removeMatch(mediaItemId) {
+    await database.run('DELETE FROM metadata_matches WHERE media_item_id = ?', [mediaItemId]);
+  }
+
+  /**
+   * Get the recorded TMDB match of a media item
+   * @param {number} mediaItemId - Media item ID
+   * @returns {Promise<Object|null>} Match, or null if there is none
+   */
+  async getMatch(mediaItemId) {
+    const match = await database.get(
+      'SELECT * FROM metadata_matches WHERE media_item_id = ?',
+      [mediaItemId]
+    );
+
+    return match ? formatMatch(match) : null;
+  }
+
+  /**
+   * Replace the candidates of a match, after searching again
+   * @param {number} mediaItemId - Media item ID
+   * @param {Array<Object>} candidates - Candidates, best first
+   * @returns {Promise<void>}
+   */
+  async setCandidates(mediaItemId, candidates) {
+    await database.run(
+      'UPDATE metadata_matches SET candidates = ?, updated_at = CURRENT_TIMESTAMP WHERE media_item_id = ?',
+      [JSON.stringify(candidates), mediaItemId]
+    );
+  }
+
+  /**
+   * Get the matches waiting for review, lowest confidence first
+   * @param {Object} filters - { mediaType, queryTitle, queryYear } to narrow the queue (optional)
+   * @returns {Promise<Array<Object>>} Matches with the item's title and file path
+   */
+  async getPendingMatches({ mediaType, queryTitle, queryYear } = {}) {
+    const conditions = ["mm.status = 'pending'"];
+    const params = [];
+
+    if (mediaType) {
+      conditions.push('mm.media_type = ?');
+      params.push(mediaType);
+    }
+    if (queryTitle !== undefined) {
+      conditions.push('LOWER(mm.query_title) = LOWER(?) AND mm.query_year IS ?');
+      params.push(queryTitle, queryYear ?? null);
+    }
+
+    const matches = await database.all(
+      `SELECT mm.*, m.title, m.type, m.file_path
+       FROM metadata_matches mm
+       JOIN media_items m ON mm.media_item_id = m.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY mm.confidence, mm.updated_at`,
+      params
+    );
+
+    return matches.map(formatMatch);
+  }
+
+  /**
+   * Find the TMDB ID an admin chose for a file (movies) or its show (episodes)
+   * @param {string} filePath - Media file path
+   * @param {Object} parsed - Parsed filename data
+   * @returns {Promise<number|null>} TMDB ID, or null if nothing was decided
+   */
+  async findDecision(filePath, parsed) {
+    const decision = await database.get(
+      `SELECT tmdb_id FROM match_decisions
+       WHERE media_type = ?
+         AND (file_path = ? OR (file_path IS NULL AND LOWER(query_title) = LOWER(?) AND query_year IS ?))
+       ORDER BY file_path IS NULL, created_at DESC
+       LIMIT 1`,
+      [this.getMediaType(parsed), filePath, parsed.title, parsed.year ?? null]
+    );
+
+    return decision?.tmdb_id ?? null;
+  }
+
+  /**
+   * Remember the TMDB ID an admin chose, replacing an earlier decision
+   * @param {string} filePath - Media file path
+   * @param {Object} parsed - Parsed filename data
+   * @param {number} tmdbId - Chosen TMDB ID (movie, or show for episodes)
+   * @param {number} userId - Admin who decided (optional)
+   * @returns {Promise<void>}
+   */
+  async saveDecision(filePath, parsed, tmdbId, userId = null) {
+    const mediaType = this.getMediaType(parsed);
+
+    if (mediaType === 'movie') {
+      await database.run(
+        "DELETE FROM match_decisions WHERE media_type = 'movie' AND file_path = ?",
+        [filePath]
+      );
+      await database.run(
+        `INSERT INTO match_decisions (media_type, file_path, query_title, query_year, tmdb_id, decided_by)
+         VALUES ('movie', ?, ?, ?, ?, ?)`,
+        [filePath, parsed.title, parsed.year ?? null, tmdbId, userId]
+      );
+    } else {
+      await database.run(
+        `DELETE FROM match_decisions
+         WHERE media_type = 'tv' AND file_path IS NULL AND LOWER(query_title) = LOWER(?) AND query_year IS ?`,
+        [parsed.title, parsed.year ?? null]
+      );
+      await database.run(
+        `INSERT INTO match_decisions (media_type, file_path, query_title, query_year, tmdb_id, decided_by)
+         VALUES ('tv', NULL, ?, ?, ?, ?)`,
+        [parsed.title, parsed.year ?? null, tmdbId, userId]
+      );
+    }
+  }
+}
+
+/**
+ * Shape a metadata_matches row for API responses
+ * @param {Object} match - metadata_matches row (with media item columns when joined)
+ * @returns {Object} Match with parsed candidates
+ */
+function formatMatch(match) {
+  let candidates = [];
+  try {
+    candidates = match.candidates ? JSON.parse(match.candidates) : [];
+  } catch {
+    // Left empty; searching again fills it
+  }
+
+  return {
+    media_item_id: match.media_item_id,
+    ...(match.file_path !== undefined && {
+      title: match.title,
+      type: match.type,
+      file_path: match.file_path
+    }),
+    media_type: match.media_type,
+    query: { title: match.query_title, year: match.query_year },
+    tmdb_id: match.tmdb_id,
+    confidence: match.confidence,
+    status: match.status,
+    candidates,
+    updated_at: match.updated_at
+  };
+}
+
+// Export singleton instance
+const matchReviewService = new MatchReviewService();
+export default matchReviewService;
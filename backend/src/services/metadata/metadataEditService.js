@@ -0,0 +1,235 @@
+import database from '../../config/database.js';
+import artworkService from '../artworkService.js';
+
+// Editable fields by entity type, with the table they live in
+export const EDITABLE_FIELDS = {
+  item: {
+    table: 'media_items',
+    fields: ['title', 'overview', 'release_date', 'runtime', 'genres', 'rating', 'poster_path', 'backdrop_path']
+  },
+  show: {
+    table: 'tv_shows',
+    fields: ['title', 'overview', 'first_air_date', 'genres', 'status', 'poster_path', 'backdrop_path']
+  },
+  episode: {
+    table: 'episodes',
+    fields: ['title', 'overview', 'air_date', 'still_path']
+  }
+};
+
+/**
+ * Metadata Edit Service
+ * Manual metadata edits of media items, shows and episodes, and per-field locks.
+ * Provider updates go through applyProviderValues, which skips locked fields, so a
+ * hand-fixed title or overview survives refreshes and manual matches.
+ */
+class MetadataEditService {
+  /**
+   * Get the locked fields of a media item, show or episode
+   * @param {string} entityType - 'item', 'show' or 'episode'
+   * @param {number} entityId - Row ID
+   * @returns {Promise<Set<string>>} Locked field names
+   */
+  async getLockedFields(entityType, entityId) {
+    const rows = await database.all(
+      'SELECT field FROM metadata_fields WHERE entity_type = ? AND entity_id = ? AND locked = 1',
+      [entityType, entityId]
+    );
+
+    return new Set(rows.map(row => row.field));
+  }
+
+  /**
+   * Write provider values to a media item, show or episode. Locked fields are left
+   * alone; unlocked user edits of the fields written are replaced by the provider's.
+   * @param {string} entityType - 'item', 'show' or 'episode'
+   * @param {number} entityId - Row ID
+   * @param {Array<Array>} assignments - [column, value, expression] per column, where the
+   *   SQL expression defaults to '?' (e.g. 'COALESCE(?, title)')
+   * @returns {Promise<void>}
+   */
+  async applyProviderValues(entityType, entityId, assignments) {
+    const { table, fields } = EDITABLE_FIELDS[entityType];
+    const locked = await this.getLockedFields(entityType, entityId);
+    const written = assignments.filter(([column]) => !locked.has(column));
+
+    if (written.length === 0) {
+      return;
+    }
+
+    await database.run(
+      `UPDATE ${table} SET ${written.map(([column, , expression = '?']) => `${column} = ${expression}`).join(', ')}
+       WHERE id = ?`,
+      [...written.map(([, value]) => value), entityId]
+    );
+
+    const replaced = written.map(([column]) => column).filter(column => fields.includes(column));
+
+    if (replaced.length > 0) {
+      await database.run(
+        `DELETE FROM metadata_fields
+         WHERE entity_type = ? AND entity_id = ? AND locked = 0
+           AND field IN (${replaced.map(() => '?').join(', ')})`,
+        [entityType, entityId, ...replaced]
+      );
+    }
+  }
+
+  /**
+   * Carry the edits and locks of a row that is about to be deleted over to the row
+   * replacing it, together with the edited values. Fields the surviving row has
+   * edits or locks of its own for keep those.
+   * @param {string} entityType - 'item', 'show' or 'episode'
+   * @param {number} fromId - Row that is deleted
+   * @param {number} toId - Row that replaces it
+   * @returns {Promise<void>}
+   */
+  async mergeFields(entityType, fromId, toId) {
+    const { table } = EDITABLE_FIELDS[entityType];
+    const states = await database.all(
+      `SELECT field FROM metadata_fields
+       WHERE entity_type = ? AND entity_id = ?
+         AND field NOT IN (SELECT field FROM metadata_fields WHERE entity_type = ? AND entity_id = ?)`,
+      [entityType, fromId, entityType, toId]
+    );
+
+    for (const { field } of states) {
+      await database.run(
+        `UPDATE ${table} SET ${field} = (SELECT ${field} FROM ${table} WHERE id = ?) WHERE id = ?`,
+        [fromId, toId]
+      );
+      await database.run(
+        'UPDATE metadata_fields SET entity_id = ? WHERE entity_type = ? AND entity_id = ? AND field = ?',
+        [toId, entityType, fromId, field]
+      );
+    }
+
+    await database.run(
+      'DELETE FROM metadata_fields WHERE entity_type = ? AND entity_id = ?',
+      [entityType, fromId]
+    );
+  }
+
+  /**
+   * Get the editable metadata of a media item, show or episode
+   * @param {string} entityType - 'item', 'show' or 'episode'
+   * @param {number} entityId - Row ID
+   * @returns {Promise<Object|null>} { entity_type, id, provider, fields } where fields maps
+   *   each field to { value, source, locked } (source: 'user', 'provider' or null when
+   *   empty), or null if not found
+   */
+  async getMetadata(entityType, entityId) {
+    const { table, fields } = EDITABLE_FIELDS[entityType];
+    const row = await database.get(
+      `SELECT ${[...fields, ...(entityType === 'item' ? ['metadata_provider'] : [])].join(', ')}
+       FROM ${table} WHERE id = ?`,
+      [entityId]
+    );
+
+    if (!row) {
+      return null;
+    }
+
+    const states = await database.all(
+      'SELECT field, locked, user_edited FROM metadata_fields WHERE entity_type = ? AND entity_id = ?',
+      [entityType, entityId]
+    );
+    const stateByField = new Map(states.map(state => [state.field, state]));
+
+    return {
+      entity_type: entityType,
+      id: entityId,
+      // Shows and episodes do not record their provider
+      provider: row.metadata_provider ?? null,
+      fields: Object.fromEntries(fields.map(field => {
+        const state = stateByField.get(field);
+        let source = null;
+        if (state?.user_edited) {
+          source = 'user';
+        } else if (row[field] !== null && row[field] !== undefined) {
+          source = 'provider';
+        }
+
+        return [field, { value: row[field], source, locked: Boolean(state?.locked) }];
+      }))
+    };
+  }
+
+  /**
+   * Edit fields of a media item, show or episode and lock or unlock fields.
+   * Edited fields are locked unless listed in unlock.
+   * @param {string} entityType - 'item', 'show' or 'episode'
+   * @param {number} entityId - Row ID
+   * @param {Object} changes - { fields, lock, unlock }: values by field name, and names of
+   *   fields to lock or unlock (validated by the caller)
+   * @param {number} userId - Editing user (optional)
+   * @returns {Promise<Object|null>} Updated metadata (see getMetadata), or null if not found
+   */
+  async updateMetadata(entityType, entityId, { fields = {}, lock = [], unlock = [] }, userId = null) {
+    const { table } = EDITABLE_FIELDS[entityType];
+    const existing = await database.get(`SELECT id FROM ${table} WHERE id = ?`, [entityId]);
+
+    if (!existing) {
+      return null;
+    }
+
+    const edited = Object.keys(fields);
+
+    if (edited.length > 0) {
+      await database.run(
+        `UPDATE ${table} SET ${edited.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...edited.map(field => fields[field]), entityId]
+      );
+    }
+
+    for (const field of edited) {
+      await database.run(`
+        INSERT INTO metadata_fields (entity_type, entity_id, field, locked, user_edited, edited_by)
+        VALUES (?, ?, ?, ?, 1, ?)
+        ON CONFLICT(entity_type, entity_id, field) DO UPDATE SET
+          locked = excluded.locked,
+          user_edited = 1,
+          edited_by = excluded.edited_by,
+          updated_at = CURRENT_TIMESTAMP
+      `, [entityType, entityId, field, unlock.includes(field) ? 0 : 1, userId]);
+    }
+
+    for (const field of lock.filter(field => !edited.includes(field))) {
+      await database.run(`
+        INSERT INTO metadata_fields (entity_type, entity_id, field, locked, edited_by)
+        VALUES (?, ?, ?, 1, ?)
+        ON CONFLICT(entity_type, entity_id, field) DO UPDATE SET
+          locked = 1,
+          updated_at = CURRENT_TIMESTAMP
+      `, [entityType, entityId, field, userId]);
+    }
+
+    const unlocked = unlock.filter(field => !edited.includes(field));
+
+    if (unlocked.length > 0) {
+      const placeholders = unlocked.map(() => '?').join(', ');
+      await database.run(
+        `UPDATE metadata_fields SET locked = 0, updated_at = CURRENT_TIMESTAMP
+         WHERE entity_type = ? AND entity_id = ? AND field IN (${placeholders})`,
+        [entityType, entityId, ...unlocked]
+      );
+      // A lock on a provider value leaves nothing to remember once released
+      await database.run(
+        `DELETE FROM metadata_fields
+         WHERE entity_type = ? AND entity_id = ? AND user_edited = 0 AND field IN (${placeholders})`,
+        [entityType, entityId, ...unlocked]
+      );
+    }
+
+    // The local image store follows a changed poster or backdrop
+    if (entityType === 'item' && (edited.includes('poster_path') || edited.includes('backdrop_path'))) {
+      await artworkService.cacheItemArtwork(entityId);
+    }
+
+    return this.getMetadata(entityType, entityId);
+  }
+}
+
+// Export singleton instance
+const metadataEditService = new MetadataEditService();
+export default metadataEditService;
@@ -1,14 +1,72 @@
 import filenameParser from './filenameParser.js';
 import tmdbService from './tmdbService.js';
+import NFOProvider from './providers/NFOProvider.js';
+import TMDBProvider from './providers/TMDBProvider.js';
+import matchReviewService from './matchReviewService.js';
+import metadataEditService from './metadataEditService.js';
 import database from '../../config/database.js';
+import artworkService from '../artworkService.js';
+
+// Providers by name, as listed in METADATA_PROVIDERS
+const PROVIDERS = {
+  nfo: NFOProvider,
+  tmdb: TMDBProvider
+};
+
+// Days before a stored collection or season list is fetched again when one of its
+// movies or episodes is matched
+const TMDB_REFRESH_DAYS = 7;
 
 /**
  * Metadata Service
- * Orchestrates filename parsing, TMDB lookups, and database enrichment
+ * Orchestrates filename parsing, metadata provider lookups, and database enrichment.
+ * Providers are asked in priority order (METADATA_PROVIDERS, default "nfo,tmdb").
+ * TMDB matches below minConfidence are queued for admin review instead of applied.
  */
 class MetadataService {
   constructor() {
     this.minConfidence = 60; // Minimum confidence score for auto-matching
+
+    const names = (process.env.METADATA_PROVIDERS || 'nfo,tmdb')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    this.providers = [];
+    for (const name of names) {
+      if (PROVIDERS[name]) {
+        this.providers.push(new PROVIDERS[name]());
+      } else {
+        console.warn(`⚠️  Unknown metadata provider: ${name}`);
+      }
+    }
+  }
+
+  /**
+   * Replace the metadata providers, e.g. with a local fake standing in for TMDB
+   * @param {Array<BaseMetadataProvider>} providers - Providers in priority order
+   */
+  setProviders(providers) {
+    this.providers = providers;
+  }
+
+  /**
+   * Get the metadata providers in priority order
+   * @returns {Array<Object>} { name, available }
+   */
+  getProviders() {
+    return this.providers.map(provider => ({
+      name: provider.name,
+      available: provider.isAvailable()
+    }));
+  }
+
+  /**
+   * Check if any metadata provider can be used
+   * @returns {boolean}
+   */
+  hasAvailableProvider() {
+    return this.providers.some(provider => provider.isAvailable());
   }
 
   /**
@@ -23,30 +81,50 @@ class MetadataService {
       const parsed = filenameParser.parse(filePath);
       console.log(`📝 Parsed: "${parsed.title}" (${parsed.year || 'no year'}) - ${parsed.type}`);
 
-      // Step 2: Search TMDB
+      // Step 2: Ask the metadata providers
       let metadata = null;
+      let providers = [];
       let tmdbId = null;
-      let matchConfidence = parsed.confidence;
-
-      if (tmdbService.isAvailable()) {
-        if (parsed.type === 'movie') {
-          metadata = await this.fetchMovieMetadata(parsed);
-          tmdbId = metadata?.tmdb_id;
-        } else if (parsed.type === 'episode') {
-          metadata = await this.fetchEpisodeMetadata(parsed);
-          tmdbId = metadata?.show_tmdb_id;
+      let match = null;
+      let matchStatus = null;
+
+      if (parsed.type === 'movie' || parsed.type === 'episode') {
+        const item = mediaItemId
+          ? await database.get('SELECT source_type FROM media_items WHERE id = ?', [mediaItemId])
+          : null;
+        const context = {
+          filePath,
+          mediaItemId,
+          sourceType: item?.source_type,
+          language: mediaItemId ? await this.getLibraryLanguage(mediaItemId) : undefined,
+          tmdbId: await matchReviewService.findDecision(filePath, parsed)
+        };
+
+        ({ metadata, providers } = await this.lookupMetadata(parsed, context));
+        tmdbId = parsed.type === 'movie' ? metadata?.tmdb_id : metadata?.show_tmdb_id;
+
+        if (metadata?.match) {
+          ({ match, ...metadata } = metadata);
+
+          if (match.decided) {
+            matchStatus = 'accepted';
+          } else if (match.confidence >= this.minConfidence) {
+            matchStatus = 'matched';
+          } else {
+            matchStatus = 'pending';
+          }
         }
 
-        if (metadata) {
-          console.log(`✅ Found: "${metadata.title}"`);
+        if (matchStatus === 'pending') {
+          console.log(`🔍 Low confidence match: "${metadata.title}" (${match.confidence}%), queued for review`);
+        } else if (metadata) {
+          console.log(`✅ Found: "${metadata.title}" (${providers.join(', ')})`);
         } else {
-          console.log(`⚠️  No TMDB match found`);
+          console.log(`⚠️  No metadata match found`);
         }
-      } else {
-        console.log(`⚠️  TMDB service not available - skipping metadata fetch`);
       }
 
-      // Step 3: Combine parsed data with TMDB metadata
+      // Step 3: Combine parsed data with provider metadata
       const enrichedData = {
         // Parsed information
         parsed_title: parsed.title,
@@ -55,17 +133,26 @@ class MetadataService {
         source: parsed.source,
         codec: parsed.codec,
 
-        // TMDB metadata
+        // Provider metadata
         ...(metadata || {}),
 
-        // Match information
-        match_confidence: matchConfidence,
+        // Match information (a pending match is not applied, so nothing matched yet)
+        match_confidence: match?.confidence ?? parsed.confidence,
+        match_status: matchStatus,
         tmdb_id: tmdbId,
+        metadata_provider: matchStatus === 'pending' ? null : providers.join(',') || null,
         metadata_fetched_at: new Date().toISOString()
       };
 
-      // Step 4: Update database if mediaItemId provided
-      if (mediaItemId && metadata) {
+      // Step 4: Record the match and update database if mediaItemId provided
+      if (mediaItemId && match) {
+        await matchReviewService.recordMatch(mediaItemId, parsed, match, matchStatus);
+      } else if (mediaItemId && metadata) {
+        // Matched without searching TMDB (NFO files), so there is nothing to review
+        await matchReviewService.removeMatch(mediaItemId);
+      }
+
+      if (mediaItemId && metadata && matchStatus !== 'pending') {
         await this.updateMediaItem(mediaItemId, enrichedData, parsed.type);
       }
 
@@ -77,94 +164,73 @@ class MetadataService {
   }
 
   /**
-   * Fetch movie metadata from TMDB
-   * @param {Object} parsed - Parsed filename data
-   * @returns {Promise<Object|null>} Movie metadata
+   * Get the metadata language of the library a media item belongs to
+   * @param {number} mediaItemId - Media item ID
+   * @returns {Promise<string|undefined>} TMDB language, or undefined for the default
    */
-  async fetchMovieMetadata(parsed) {
-    try {
-      // Search for movie
-      const searchResult = await tmdbService.searchMovie(parsed.title, parsed.year);
-
-      if (!searchResult) {
-        return null;
-      }
-
-      // Get full details
-      const details = await tmdbService.getMovieDetails(searchResult.id);
-
-      return details;
-    } catch (error) {
-      console.error('Error fetching movie metadata:', error.message);
-      return null;
-    }
+  async getLibraryLanguage(mediaItemId) {
+    const library = await database.get(
+      `SELECT l.metadata_language
+       FROM media_items m
+       JOIN libraries l ON m.library_id = l.id
+       WHERE m.id = ?`,
+      [mediaItemId]
+    );
+
+    return library?.metadata_language || undefined;
   }
 
   /**
-   * Fetch TV show and episode metadata from TMDB
+   * Ask the available providers for metadata in priority order. The first provider
+   * that finds a title ends the lookup; results of earlier providers that found only
+   * part of it (such as local artwork) take precedence over its fields.
    * @param {Object} parsed - Parsed filename data
-   * @returns {Promise<Object|null>} Episode metadata with show info
+   * @param {Object} context - { filePath, mediaItemId, sourceType, language, tmdbId }
+   * @returns {Promise<Object>} { metadata, providers } where providers lists the names
+   *   of the providers that contributed; metadata is null when nothing matched
    */
-  async fetchEpisodeMetadata(parsed) {
-    try {
-      // Search for TV show
-      const searchResult = await tmdbService.searchTVShow(parsed.title, parsed.year);
+  async lookupMetadata(parsed, context) {
+    let metadata = null;
+    const providers = [];
 
-      if (!searchResult) {
-        return null;
+    for (const provider of this.providers) {
+      if (!provider.isAvailable()) {
+        continue;
       }
 
-      // Get show details
-      const showDetails = await tmdbService.getTVShowDetails(searchResult.id);
+      let result = null;
+      try {
+        result = parsed.type === 'movie'
+          ? await provider.getMovieMetadata(parsed, context)
+          : await provider.getEpisodeMetadata(parsed, context);
+      } catch (error) {
+        console.error(`Error in ${provider.name} metadata provider:`, error.message);
+      }
 
-      // If we have season/episode info, get episode details
-      let episodeDetails = null;
-      if (parsed.season && parsed.episode) {
-        try {
-          episodeDetails = await tmdbService.getEpisodeDetails(
-            searchResult.id,
-            parsed.season,
-            parsed.episode
-          );
-        } catch (error) {
-          console.log(`⚠️  Episode ${parsed.season}x${parsed.episode} not found`);
-        }
+      if (!result) {
+        continue;
       }
 
-      return {
-        // Show information
-        show_tmdb_id: showDetails.tmdb_id,
-        show_title: showDetails.title,
-        show_overview: showDetails.overview,
-        show_poster: showDetails.poster_path,
-        show_backdrop: showDetails.backdrop_path,
-        show_genres: showDetails.genres,
-        show_first_air_date: showDetails.first_air_date,
-        show_status: showDetails.status,
-
-        // Episode information
-        ...(episodeDetails && {
-          episode_tmdb_id: episodeDetails.tmdb_id,
-          episode_title: episodeDetails.title,
-          episode_overview: episodeDetails.overview,
-          episode_still: episodeDetails.still_path,
-          episode_air_date: episodeDetails.air_date,
-          episode_runtime: episodeDetails.runtime
-        }),
-
-        // Combined title for display
-        title: episodeDetails
-          ? `${showDetails.title} - S${String(parsed.season).padStart(2, '0')}E${String(parsed.episode).padStart(2, '0')} - ${episodeDetails.title}`
-          : showDetails.title
-      };
-    } catch (error) {
-      console.error('Error fetching episode metadata:', error.message);
-      return null;
+      metadata = mergeMetadata(metadata, result);
+      providers.push(provider.name);
+
+      if (result.title) {
+        break;
+      }
+    }
+
+    // A show without episode details still identifies an episode
+    if (metadata && !metadata.title && metadata.show_title) {
+      metadata.title = metadata.show_title;
     }
+
+    return metadata?.title
+      ? { metadata, providers }
+      : { metadata: null, providers: [] };
   }
 
   /**
-   * Update media item in database with metadata
+   * Update media item in database with metadata. Fields locked by an edit are kept.
    * @param {number} mediaItemId - Media item ID
    * @param {Object} metadata - Enriched metadata
    * @param {string} type - 'movie' or 'episode'
@@ -173,62 +239,59 @@ class MetadataService {
   async updateMediaItem(mediaItemId, metadata, type) {
     try {
       if (type === 'movie') {
-        await database.run(`
-          UPDATE media_items SET
-            title = COALESCE(?, title),
-            overview = ?,
-            release_date = ?,
-            runtime = ?,
-            genres = ?,
-            poster_path = ?,
-            backdrop_path = ?,
-            rating = ?,
-            tmdb_id = ?,
-            quality = COALESCE(?, quality)
-          WHERE id = ?
-        `, [
-          metadata.title,
-          metadata.overview,
-          metadata.release_date,
-          metadata.runtime,
-          metadata.genres,
-          metadata.poster_path,
-          metadata.backdrop_path,
-          metadata.vote_average,
-          metadata.tmdb_id,
-          metadata.quality,
-          mediaItemId
+        await metadataEditService.applyProviderValues('item', mediaItemId, [
+          ['title', metadata.title, 'COALESCE(?, title)'],
+          ['overview', metadata.overview],
+          ['release_date', metadata.release_date],
+          ['runtime', metadata.runtime],
+          ['genres', metadata.genres],
+          ['poster_path', metadata.poster_path],
+          ['backdrop_path', metadata.backdrop_path],
+          ['rating', metadata.vote_average],
+          ['tmdb_id', metadata.tmdb_id],
+          ['quality', metadata.quality, 'COALESCE(?, quality)'],
+          ['metadata_provider', metadata.metadata_provider, 'COALESCE(?, metadata_provider)']
         ]);
+
+        if (metadata.collection) {
+          try {
+            await this.upsertCollection(metadata.collection.tmdb_id, await this.getLibraryLanguage(mediaItemId));
+          } catch (error) {
+            // The movie itself is matched; the collection is fetched again next time
+            console.error(`Error fetching collection ${metadata.collection.name}:`, error.message);
+          }
+        }
       } else if (type === 'episode') {
-        // Update or create TV show entry
-        if (metadata.show_tmdb_id) {
-          await this.upsertTVShow(metadata);
+        // Update or create TV show entry (NFO files may name a show without a TMDB ID)
+        if (metadata.show_tmdb_id || metadata.show_title) {
+          const tvShowId = await this.upsertTVShow(metadata, mediaItemId);
 
           // Update episode information
-          await this.upsertEpisode(mediaItemId, metadata);
+          await this.upsertEpisode(mediaItemId, metadata, tvShowId);
+
+          try {
+            await this.upsertSeasons(tvShowId, metadata, await this.getLibraryLanguage(mediaItemId));
+          } catch (error) {
+            // The episode itself is matched; the season list is fetched again next time
+            console.error(`Error fetching seasons of ${metadata.show_title}:`, error.message);
+          }
         }
 
         // Update media item
-        await database.run(`
-          UPDATE media_items SET
-            title = COALESCE(?, title),
-            overview = ?,
-            poster_path = ?,
-            backdrop_path = ?,
-            tmdb_id = ?,
-            quality = COALESCE(?, quality)
-          WHERE id = ?
-        `, [
-          metadata.title,
-          metadata.episode_overview || metadata.show_overview,
-          metadata.episode_still || metadata.show_poster,
-          metadata.show_backdrop,
-          metadata.show_tmdb_id,
-          metadata.quality,
-          mediaItemId
+        await metadataEditService.applyProviderValues('item', mediaItemId, [
+          ['title', metadata.title, 'COALESCE(?, title)'],
+          ['overview', metadata.episode_overview || metadata.show_overview],
+          ['poster_path', metadata.episode_still || metadata.show_poster],
+          ['backdrop_path', metadata.show_backdrop],
+          ['tmdb_id', metadata.show_tmdb_id],
+          ['quality', metadata.quality, 'COALESCE(?, quality)'],
+          ['metadata_provider', metadata.metadata_provider, 'COALESCE(?, metadata_provider)']
         ]);
       }
 
+      // Local copies of the artwork; failed downloads are retried by the artwork-cache task
+      await artworkService.cacheItemArtwork(mediaItemId);
+
       console.log(`📊 Updated media item ${mediaItemId} with metadata`);
     } catch (error) {
       console.error('Error updating media item:', error);
@@ -237,39 +300,96 @@ class MetadataService {
   }
 
   /**
-   * Insert or update TV show in database
+   * Insert or update a collection and its parts, unless it was fetched recently
+   * @param {number} collectionTmdbId - TMDB collection ID
+   * @param {string} language - TMDB language (optional)
+   * @returns {Promise<number>} Collection ID
+   */
+  async upsertCollection(collectionTmdbId, language = undefined) {
+    const existing = await database.get(
+      `SELECT id FROM collections
+       WHERE tmdb_id = ? AND updated_at > datetime('now', ?)`,
+      [collectionTmdbId, `-${TMDB_REFRESH_DAYS} days`]
+    );
+
+    if (existing) {
+      return existing.id;
+    }
+
+    const collection = await tmdbService.getCollectionDetails(collectionTmdbId, language);
+
+    await database.run(`
+      INSERT INTO collections (tmdb_id, name, overview, poster_path, backdrop_path)
+      VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT(tmdb_id) DO UPDATE SET
+        name = excluded.name,
+        overview = excluded.overview,
+        poster_path = excluded.poster_path,
+        backdrop_path = excluded.backdrop_path,
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      collection.tmdb_id,
+      collection.name,
+      collection.overview,
+      collection.poster_path,
+      collection.backdrop_path
+    ]);
+
+    const { id } = await database.get('SELECT id FROM collections WHERE tmdb_id = ?', [collectionTmdbId]);
+
+    // Parts are replaced as a whole: TMDB adds new parts and reorders them
+    await database.run('DELETE FROM collection_parts WHERE collection_id = ?', [id]);
+
+    for (const [position, part] of collection.parts.entries()) {
+      await database.run(`
+        INSERT INTO collection_parts (
+          collection_id, tmdb_id, position, title, overview, release_date, poster_path
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+      `, [id, part.tmdb_id, position + 1, part.title, part.overview, part.release_date, part.poster_path]);
+    }
+
+    console.log(`📚 Updated collection "${collection.name}" (${collection.parts.length} parts)`);
+
+    return id;
+  }
+
+  /**
+   * Insert or update TV show in database. A show the scanner created from a folder
+   * name (no tmdb_id yet) is taken over rather than duplicated, and so is the
+   * episode's current show when the metadata has no TMDB ID (NFO files).
    * @param {Object} metadata - Show metadata
+   * @param {number} mediaItemId - Media item of the matched episode (optional)
    * @returns {Promise<number>} TV show ID
    */
-  async upsertTVShow(metadata) {
+  async upsertTVShow(metadata, mediaItemId = null) {
     try {
       // Check if show exists
-      const existing = await database.get(
-        'SELECT id FROM tv_shows WHERE tmdb_id = ?',
-        [metadata.show_tmdb_id]
-      );
+      const showTmdbId = metadata.show_tmdb_id ?? null;
+      let existing = showTmdbId
+        ? await database.get('SELECT id FROM tv_shows WHERE tmdb_id = ?', [showTmdbId])
+        : null;
+
+      if (!existing && mediaItemId) {
+        existing = await database.get(
+          `SELECT ts.id
+           FROM episodes e
+           JOIN tv_shows ts ON e.tv_show_id = ts.id
+           WHERE e.media_item_id = ? AND (ts.tmdb_id IS NULL OR ? IS NULL)`,
+          [mediaItemId, showTmdbId]
+        );
+      }
 
       if (existing) {
         // Update existing
-        await database.run(`
-          UPDATE tv_shows SET
-            title = ?,
-            overview = ?,
-            first_air_date = ?,
-            poster_path = ?,
-            backdrop_path = ?,
-            genres = ?,
-            status = ?
-          WHERE tmdb_id = ?
-        `, [
-          metadata.show_title,
-          metadata.show_overview,
-          metadata.show_first_air_date,
-          metadata.show_poster,
-          metadata.show_backdrop,
-          metadata.show_genres,
-          metadata.show_status,
-          metadata.show_tmdb_id
+        await metadataEditService.applyProviderValues('show', existing.id, [
+          ['tmdb_id', metadata.show_tmdb_id, 'COALESCE(?, tmdb_id)'],
+          ['title', metadata.show_title],
+          ['overview', metadata.show_overview],
+          ['first_air_date', metadata.show_first_air_date],
+          ['poster_path', metadata.show_poster],
+          ['backdrop_path', metadata.show_backdrop],
+          ['genres', metadata.show_genres],
+          ['status', metadata.show_status]
         ]);
 
         return existing.id;
@@ -291,7 +411,7 @@ class MetadataService {
           metadata.show_status
         ]);
 
-        return result.lastID;
+        return result.id;
       }
     } catch (error) {
       console.error('Error upserting TV show:', error);
@@ -300,69 +420,190 @@ class MetadataService {
   }
 
   /**
-   * Insert or update episode in database
-   * @param {number} mediaItemId - Media item ID
-   * @param {Object} metadata - Episode metadata
+   * Store the seasons of a show and every episode TMDB lists, unless they were
+   * fetched recently. Episodes without a file become rows without a media item,
+   * which the library reports as missing; a file that turns up later takes the row over.
+   * @param {number} tvShowId - TV show ID
+   * @param {Object} metadata - Show metadata (show_tmdb_id, show_seasons)
+   * @param {string} language - TMDB language (optional)
    * @returns {Promise<void>}
    */
-  async upsertEpisode(mediaItemId, metadata) {
-    try {
-      // Get TV show ID
-      const show = await database.get(
-        'SELECT id FROM tv_shows WHERE tmdb_id = ?',
-        [metadata.show_tmdb_id]
-      );
+  async upsertSeasons(tvShowId, metadata, language = undefined) {
+    const recent = await database.get(
+      `SELECT id FROM tv_shows
+       WHERE id = ? AND seasons_updated_at > datetime('now', ?)`,
+      [tvShowId, `-${TMDB_REFRESH_DAYS} days`]
+    );
+
+    if (recent || !metadata.show_seasons) {
+      return;
+    }
+
+    for (const { season_number: seasonNumber } of metadata.show_seasons) {
+      const season = await tmdbService.getSeasonDetails(metadata.show_tmdb_id, seasonNumber, language);
+
+      await database.run(`
+        INSERT INTO seasons (
+          tv_show_id, season_number, tmdb_id, name, overview, poster_path, air_date, episode_count
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT(tv_show_id, season_number) DO UPDATE SET
+          tmdb_id = excluded.tmdb_id,
+          name = excluded.name,
+          overview = excluded.overview,
+          poster_path = excluded.poster_path,
+          air_date = excluded.air_date,
+          episode_count = excluded.episode_count,
+          updated_at = CURRENT_TIMESTAMP
+      `, [
+        tvShowId,
+        seasonNumber,
+        season.tmdb_id,
+        season.name,
+        season.overview,
+        season.poster_path,
+        season.air_date,
+        season.episodes.length
+      ]);
+
+      for (const episode of season.episodes) {
+        const rows = await database.all(
+          'SELECT id FROM episodes WHERE tv_show_id = ? AND season_number = ? AND episode_number = ?',
+          [tvShowId, seasonNumber, episode.episode_number]
+        );
+
+        for (const row of rows) {
+          await metadataEditService.applyProviderValues('episode', row.id, [
+            ['tmdb_id', episode.tmdb_id],
+            ['title', episode.title],
+            ['overview', episode.overview],
+            ['air_date', episode.air_date],
+            ['still_path', episode.still_path]
+          ]);
+        }
 
-      if (!show) {
-        console.error('TV show not found for episode');
-        return;
+        if (rows.length === 0) {
+          await database.run(`
+            INSERT INTO episodes (
+              tv_show_id, season_number, episode_number, tmdb_id,
+              title, overview, air_date, still_path
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            tvShowId,
+            seasonNumber,
+            episode.episode_number,
+            episode.tmdb_id,
+            episode.title,
+            episode.overview,
+            episode.air_date,
+            episode.still_path
+          ]);
+        }
       }
 
-      // Check if episode exists
-      const existing = await database.get(
-        'SELECT id FROM episodes WHERE media_item_id = ?',
-        [mediaItemId]
+      // Episodes TMDB no longer lists are only kept while there is a file for them
+      const numbers = season.episodes.map(episode => episode.episode_number);
+      await database.run(
+        `DELETE FROM episodes
+         WHERE tv_show_id = ? AND season_number = ? AND media_item_id IS NULL
+           AND episode_number NOT IN (${numbers.map(() => '?').join(', ')})`,
+        [tvShowId, seasonNumber, ...numbers]
       );
+    }
 
-      if (existing) {
-        // Update existing
-        await database.run(`
-          UPDATE episodes SET
-            tv_show_id = ?,
-            season_number = ?,
-            episode_number = ?,
-            title = ?,
-            overview = ?,
-            air_date = ?,
-            still_path = ?
-          WHERE media_item_id = ?
-        `, [
-          show.id,
-          metadata.season_number,
-          metadata.episode_number,
-          metadata.episode_title,
-          metadata.episode_overview,
-          metadata.episode_air_date,
-          metadata.episode_still,
-          mediaItemId
-        ]);
-      } else {
-        // Insert new
-        await database.run(`
-          INSERT INTO episodes (
-            tv_show_id, media_item_id, season_number, episode_number,
-            title, overview, air_date, still_path
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `, [
-          show.id,
-          mediaItemId,
-          metadata.season_number,
-          metadata.episode_number,
-          metadata.episode_title,
-          metadata.episode_overview,
-          metadata.episode_air_date,
-          metadata.episode_still
-        ]);
+    const seasonNumbers = metadata.show_seasons.map(season => season.season_number);
+    const placeholders = seasonNumbers.map(() => '?').join(', ');
+    await database.run(
+      `DELETE FROM seasons WHERE tv_show_id = ? AND season_number NOT IN (${placeholders})`,
+      [tvShowId, ...seasonNumbers]
+    );
+    await database.run(
+      `DELETE FROM episodes
+       WHERE tv_show_id = ? AND media_item_id IS NULL AND season_number NOT IN (${placeholders})`,
+      [tvShowId, ...seasonNumbers]
+    );
+
+    await database.run(
+      'UPDATE tv_shows SET seasons_updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [tvShowId]
+    );
+
+    console.log(`📺 Updated ${seasonNumbers.length} seasons of "${metadata.show_title}"`);
+  }
+
+  /**
+   * Insert or update episode in database
+   * @param {number} mediaItemId - Media item ID
+   * @param {Object} metadata - Episode metadata
+   * @param {number} tvShowId - TV show the episode belongs to
+   * @returns {Promise<void>}
+   */
+  async upsertEpisode(mediaItemId, metadata, tvShowId) {
+    try {
+      // A file holding several episodes has a row for each
+      const episodes = metadata.episodes?.length > 0
+        ? metadata.episodes
+        : [metadata];
+
+      for (const episode of episodes) {
+        // Check if episode exists (rows without a number are filled in; without a
+        // number of its own, the episode updates the file's first row)
+        const existing = await database.get(
+          `SELECT id FROM episodes
+           WHERE media_item_id = ?
+             AND (episode_number = ? OR episode_number IS NULL OR ? IS NULL)
+           ORDER BY episode_number IS NULL, episode_number
+           LIMIT 1`,
+          [mediaItemId, episode.episode_number, episode.episode_number]
+        );
+
+        // A row TMDB listed before this file was matched is taken over. When the file
+        // already has a row, that one is kept (with its edits and locks) and replaces
+        // the listed row instead.
+        const placeholder = await database.get(
+          `SELECT id FROM episodes
+           WHERE tv_show_id = ? AND season_number = ? AND episode_number = ? AND media_item_id IS NULL`,
+          [tvShowId, metadata.season_number, episode.episode_number]
+        );
+
+        if (placeholder && existing) {
+          await metadataEditService.mergeFields('episode', placeholder.id, existing.id);
+          await database.run('DELETE FROM episodes WHERE id = ?', [placeholder.id]);
+        }
+
+        const rowId = existing?.id ?? placeholder?.id;
+
+        if (rowId) {
+          // Update existing
+          await metadataEditService.applyProviderValues('episode', rowId, [
+            ['tv_show_id', tvShowId],
+            ['media_item_id', mediaItemId],
+            ['season_number', metadata.season_number, 'COALESCE(?, season_number)'],
+            ['episode_number', episode.episode_number, 'COALESCE(?, episode_number)'],
+            ['tmdb_id', episode.episode_tmdb_id, 'COALESCE(?, tmdb_id)'],
+            ['title', episode.episode_title],
+            ['overview', episode.episode_overview],
+            ['air_date', episode.episode_air_date],
+            ['still_path', episode.episode_still]
+          ]);
+        } else {
+          // Insert new
+          await database.run(`
+            INSERT INTO episodes (
+              tv_show_id, media_item_id, season_number, episode_number, tmdb_id,
+              title, overview, air_date, still_path
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [
+            tvShowId,
+            mediaItemId,
+            metadata.season_number,
+            episode.episode_number,
+            episode.episode_tmdb_id,
+            episode.episode_title,
+            episode.episode_overview,
+            episode.episode_air_date,
+            episode.episode_still
+          ]);
+        }
       }
     } catch (error) {
       console.error('Error upserting episode:', error);
@@ -381,6 +622,7 @@ class MetadataService {
       total: mediaItems.length,
       processed: 0,
       matched: 0,
+      queued: 0,
       failed: 0,
       errors: []
     };
@@ -391,8 +633,10 @@ class MetadataService {
       try {
         const metadata = await this.processMediaFile(item.file_path, item.id);
 
-        if (metadata.tmdb_id) {
+        if (metadata.metadata_provider) {
           results.matched++;
+        } else if (metadata.match_status === 'pending') {
+          results.queued++;
         }
 
         results.processed++;
@@ -427,11 +671,12 @@ class MetadataService {
   async manualMatch(mediaItemId, tmdbId, type) {
     try {
       let metadata;
+      const language = await this.getLibraryLanguage(mediaItemId);
 
       if (type === 'movie') {
-        metadata = await tmdbService.getMovieDetails(tmdbId);
+        metadata = { ...await tmdbService.getMovieDetails(tmdbId, language), metadata_provider: 'tmdb' };
       } else if (type === 'tv') {
-        metadata = await tmdbService.getTVShowDetails(tmdbId);
+        metadata = { ...await tmdbService.getTVShowDetails(tmdbId, language), metadata_provider: 'tmdb' };
       } else {
         throw new Error('Invalid type: must be "movie" or "tv"');
       }
@@ -445,6 +690,87 @@ class MetadataService {
     }
   }
 
+  /**
+   * Accept a match from the review queue: the suggested one, or another TMDB ID
+   * (picked from the candidates or found by searching again). The choice is kept as
+   * a decision, so rescans look it up instead of searching; for episodes it covers
+   * the whole show, and the show's other queued episodes are matched with it.
+   * @param {number} mediaItemId - Media item ID
+   * @param {number} tmdbId - Chosen TMDB ID (optional, defaults to the suggested match)
+   * @param {number} userId - Admin who decided (optional)
+   * @returns {Promise<Object>} Updated metadata
+   */
+  async resolveMatch(mediaItemId, tmdbId = null, userId = null) {
+    const mediaItem = await database.get(
+      'SELECT id, file_path FROM media_items WHERE id = ?',
+      [mediaItemId]
+    );
+
+    if (!mediaItem) {
+      throw new Error('Media item not found');
+    }
+
+    const parsed = filenameParser.parse(mediaItem.file_path);
+    const chosenId = tmdbId ?? (await matchReviewService.getMatch(mediaItemId))?.tmdb_id;
+
+    if (!chosenId) {
+      throw new Error('No TMDB match to accept');
+    }
+
+    await matchReviewService.saveDecision(mediaItem.file_path, parsed, chosenId, userId);
+
+    const metadata = await this.processMediaFile(mediaItem.file_path, mediaItemId);
+
+    if (matchReviewService.getMediaType(parsed) === 'tv') {
+      const others = await matchReviewService.getPendingMatches({
+        mediaType: 'tv',
+        queryTitle: parsed.title,
+        queryYear: parsed.year
+      });
+
+      for (const other of others) {
+        try {
+          await this.processMediaFile(other.file_path, other.media_item_id);
+        } catch (error) {
+          // Still queued; accepting it again retries
+          console.error(`Error matching ${other.file_path}:`, error.message);
+        }
+      }
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Search TMDB again for a queued item, with a corrected title or year. The new
+   * candidates replace the queued ones and are scored against the corrected query.
+   * @param {number} mediaItemId - Media item ID
+   * @param {string} title - Title to search for
+   * @param {number} year - Year (optional)
+   * @returns {Promise<Array<Object>>} Candidates, best first
+   */
+  async searchMatchCandidates(mediaItemId, title, year = null) {
+    const mediaItem = await database.get(
+      'SELECT id, file_path FROM media_items WHERE id = ?',
+      [mediaItemId]
+    );
+
+    if (!mediaItem) {
+      throw new Error('Media item not found');
+    }
+
+    const parsed = filenameParser.parse(mediaItem.file_path);
+    const candidates = await matchReviewService.searchCandidates(
+      { ...parsed, title, year },
+      matchReviewService.getMediaType(parsed),
+      await this.getLibraryLanguage(mediaItemId)
+    );
+
+    await matchReviewService.setCandidates(mediaItemId, candidates);
+
+    return candidates;
+  }
+
   /**
    * Refresh metadata for a media item
    * @param {number} mediaItemId - Media item ID
@@ -471,6 +797,25 @@ class MetadataService {
   }
 }
 
+/**
+ * Merge a provider result into the metadata found so far. Fields already found
+ * are kept; empty ones are filled from the result.
+ * @param {Object|null} metadata - Metadata from higher-priority providers
+ * @param {Object} result - Result of the next provider
+ * @returns {Object} Merged metadata
+ */
+function mergeMetadata(metadata, result) {
+  const merged = { ...result };
+
+  for (const [key, value] of Object.entries(metadata || {})) {
+    if (value !== null && value !== undefined) {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
 // Create singleton instance
 const metadataService = new MetadataService();
 
@@ -0,0 +1,48 @@
+/**
+ * Base Metadata Provider Interface
+ * All metadata providers should extend this class.
+ *
+ * Lookups return metadata in the shape of the TMDB provider (title, overview,
+ * poster_path, ... for movies; show_* and episode_* fields for episodes), or null
+ * when the provider knows nothing about the file. Fields a provider cannot fill
+ * are left out, so lower-priority providers can supply them. `context.tmdbId` is the
+ * TMDB ID an admin chose for the file (the show's, for episodes), if any.
+ */
+class BaseMetadataProvider {
+  /**
+   * @param {string} name - Provider name, as used in METADATA_PROVIDERS
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Check if the provider can be used (configured, reachable)
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Look up metadata for a movie file
+   * @param {Object} parsed - Parsed filename data
+   * @param {Object} context - { filePath, mediaItemId, sourceType, language, tmdbId }
+   * @returns {Promise<Object|null>} Movie metadata
+   */
+  async getMovieMetadata(parsed, context) {
+    throw new Error('getMovieMetadata() must be implemented by subclass');
+  }
+
+  /**
+   * Look up show and episode metadata for an episode file
+   * @param {Object} parsed - Parsed filename data
+   * @param {Object} context - { filePath, mediaItemId, sourceType, language, tmdbId }
+   * @returns {Promise<Object|null>} Episode metadata with show info
+   */
+  async getEpisodeMetadata(parsed, context) {
+    throw new Error('getEpisodeMetadata() must be implemented by subclass');
+  }
+}
+
+export default BaseMetadataProvider;
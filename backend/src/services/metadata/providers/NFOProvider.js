@@ -0,0 +1,313 @@
+import { access, readFile } from 'fs/promises';
+import { basename, dirname, extname, join } from 'path';
+import xml2js from 'xml2js';
+import BaseMetadataProvider from './BaseMetadataProvider.js';
+import filenameParser from '../filenameParser.js';
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+/**
+ * NFO Metadata Provider
+ * Reads Kodi-style .nfo files and artwork stored next to local media:
+ *  - movies: "<name>.nfo" or "movie.nfo", "<name>-poster.jpg" / "poster.jpg",
+ *    "<name>-fanart.jpg" / "fanart.jpg"
+ *  - episodes: "<name>.nfo" (one <episodedetails> per episode in the file) and
+ *    "<name>-thumb.jpg"; the show comes from "tvshow.nfo", "poster.jpg" and
+ *    "fanart.jpg" in the episode's folder or the one above it (season folders)
+ * Folder-wide files of a movie (movie.nfo, poster.jpg, ...) are only used when the
+ * folder is named after the movie, as they would apply to every movie in a shared one.
+ * NFO files that hold only a scraper URL are ignored.
+ */
+class NFOProvider extends BaseMetadataProvider {
+  constructor() {
+    super('nfo');
+  }
+
+  /**
+   * Read movie metadata from an NFO file and local artwork
+   * @param {Object} parsed - Parsed filename data
+   * @param {Object} context - Lookup context ({ filePath, sourceType })
+   * @returns {Promise<Object|null>} Movie metadata
+   */
+  async getMovieMetadata(parsed, { filePath, sourceType } = {}) {
+    if (!isLocal(filePath, sourceType)) {
+      return null;
+    }
+
+    const dir = dirname(filePath);
+    const name = basename(filePath, extname(filePath));
+    // Parts of a multi-part movie share "<name>.nfo" without the part number
+    const partName = filenameParser.extractPart(filePath)?.name;
+    const names = partName ? [name, partName] : [name];
+    const ownFolder = filenameParser.parse(basename(dir)).title?.toLowerCase() === parsed.title?.toLowerCase();
+
+    const nfo = await readNFO([
+      ...names.map(n => join(dir, `${n}.nfo`)),
+      ...(ownFolder ? [join(dir, 'movie.nfo')] : [])
+    ]);
+    const movie = nfo?.movie?.[0];
+
+    const posterPath = await findImage(dir, [
+      ...names.map(n => `${n}-poster`),
+      ...(ownFolder ? ['poster', 'folder'] : [])
+    ]);
+    const backdropPath = await findImage(dir, [
+      ...names.map(n => `${n}-fanart`),
+      ...(ownFolder ? ['fanart'] : [])
+    ]);
+
+    if (!movie) {
+      // Artwork alone: the next provider supplies the rest
+      return posterPath || backdropPath
+        ? { poster_path: posterPath, backdrop_path: backdropPath }
+        : null;
+    }
+
+    const id = text(movie.id);
+
+    return {
+      tmdb_id: toInt(getUniqueId(movie, 'tmdb') ?? text(movie.tmdbid)),
+      imdb_id: getUniqueId(movie, 'imdb') ?? (id?.startsWith('tt') ? id : null),
+      title: text(movie.title) || parsed.title,
+      original_title: text(movie.originaltitle),
+      overview: text(movie.plot) || text(movie.outline),
+      tagline: text(movie.tagline),
+      release_date: text(movie.premiered) || text(movie.releasedate),
+      runtime: toInt(text(movie.runtime)),
+      genres: texts(movie.genre).join(', ') || null,
+      poster_path: posterPath || getThumb(movie, 'poster'),
+      backdrop_path: backdropPath || getFanart(movie),
+      vote_average: getRating(movie),
+      cast: (movie.actor || []).slice(0, 10).map(actor => text(actor.name)).filter(Boolean).join(', ') || null,
+      director: text(movie.director),
+      certification: text(movie.mpaa)
+    };
+  }
+
+  /**
+   * Read show and episode metadata from NFO files and local artwork
+   * @param {Object} parsed - Parsed filename data
+   * @param {Object} context - Lookup context ({ filePath, sourceType })
+   * @returns {Promise<Object|null>} Episode metadata with show info
+   */
+  async getEpisodeMetadata(parsed, { filePath, sourceType } = {}) {
+    if (!isLocal(filePath, sourceType)) {
+      return null;
+    }
+
+    const dir = dirname(filePath);
+    const name = basename(filePath, extname(filePath));
+
+    const episodeNfo = await readNFO([join(dir, `${name}.nfo`)]);
+    const episodes = episodeNfo?.episodedetails || [];
+
+    // The show folder is the episode's folder, or its parent when episodes are in season folders
+    let showDir = dir;
+    let showNfo = await readNFO([join(dir, 'tvshow.nfo')]);
+    if (!showNfo && dirname(dir) !== dir) {
+      showNfo = await readNFO([join(dirname(dir), 'tvshow.nfo')]);
+      showDir = showNfo ? dirname(dir) : dir;
+    }
+    const show = showNfo?.tvshow?.[0];
+
+    if (!show && episodes.length === 0) {
+      return null;
+    }
+
+    const showTitle = text(show?.title) || text(episodes[0]?.showtitle) || parsed.title;
+    const seasonNumber = toInt(text(episodes[0]?.season)) ?? parsed.season ?? null;
+    const episodeNumbers = parsed.episodes || (parsed.episode ? [parsed.episode] : []);
+
+    const metadata = {
+      // Show information
+      show_tmdb_id: show ? toInt(getUniqueId(show, 'tmdb') ?? text(show.tmdbid)) : null,
+      show_title: showTitle,
+      show_overview: text(show?.plot) || text(show?.outline),
+      show_poster: show ? (await findImage(showDir, ['poster', 'folder'])) || getThumb(show, 'poster') : null,
+      show_backdrop: show ? (await findImage(showDir, ['fanart'])) || getFanart(show) : null,
+      show_genres: texts(show?.genre).join(', ') || null,
+      show_first_air_date: text(show?.premiered),
+      show_status: text(show?.status),
+
+      season_number: seasonNumber,
+      episode_number: toInt(text(episodes[0]?.episode)) ?? episodeNumbers[0] ?? null
+    };
+
+    if (episodes.length === 0) {
+      // Show only: episode details are left to the next provider
+      return metadata;
+    }
+
+    const still = await findImage(dir, [`${name}-thumb`]);
+    const details = episodes.map((episode, i) => ({
+      episode_number: toInt(text(episode.episode)) ?? episodeNumbers[i] ?? null,
+      episode_tmdb_id: toInt(getUniqueId(episode, 'tmdb')),
+      episode_title: text(episode.title),
+      episode_overview: text(episode.plot) || text(episode.outline),
+      episode_still: still || getThumb(episode),
+      episode_air_date: text(episode.aired) || text(episode.premiered)
+    }));
+
+    const numbers = details.map(episode => episode.episode_number);
+    const code = seasonNumber !== null && !numbers.includes(null)
+      ? filenameParser.formatEpisodeCode(seasonNumber, numbers)
+      : null;
+
+    return {
+      ...metadata,
+      episodes: details,
+      ...details[0],
+      episode_runtime: toInt(text(episodes[0].runtime)),
+
+      // Combined title for display
+      title: [showTitle, code, details.map(episode => episode.episode_title).filter(Boolean).join(' / ')]
+        .filter(Boolean)
+        .join(' - ')
+    };
+  }
+}
+
+/**
+ * Check whether a file is on local disk, where sidecar files can be read
+ * @param {string} filePath - Media file path
+ * @param {string} sourceType - Source type of the media item, if known
+ * @returns {boolean}
+ */
+function isLocal(filePath, sourceType) {
+  return Boolean(filePath) && (sourceType === undefined || sourceType === null || sourceType === 'local');
+}
+
+/**
+ * Read and parse the first NFO file that exists
+ * @param {Array<string>} paths - Candidate NFO paths, in order
+ * @returns {Promise<Object|null>} Parsed document (root elements by tag name), or null
+ */
+async function readNFO(paths) {
+  for (const path of paths) {
+    let content;
+    try {
+      content = await readFile(path, 'utf8');
+    } catch {
+      continue;
+    }
+
+    // Drop the XML declaration and any scraper URL after the last element, and wrap
+    // the rest: a multi-episode NFO has one <episodedetails> root per episode
+    const xml = content.replace(/^\uFEFF/, '').replace(/<\?xml[^>]*\?>/i, '');
+    const body = xml.slice(0, xml.lastIndexOf('>') + 1);
+
+    if (!body.includes('<')) {
+      return null;
+    }
+
+    try {
+      const result = await xml2js.parseStringPromise(`<nfo>${body}</nfo>`, { trim: true });
+      return result.nfo || null;
+    } catch (error) {
+      console.error(`Error parsing ${path}:`, error.message);
+      return null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the first image with one of the given names (any image extension)
+ * @param {string} dir - Directory
+ * @param {Array<string>} names - File names without extension, in order
+ * @returns {Promise<string|null>} Image path, or null
+ */
+async function findImage(dir, names) {
+  for (const name of names) {
+    for (const ext of IMAGE_EXTENSIONS) {
+      const path = join(dir, `${name}${ext}`);
+      try {
+        await access(path);
+        return path;
+      } catch {
+        // Try the next candidate
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the text of the first element of an xml2js node list
+ * @param {Array|undefined} nodes - Parsed elements
+ * @returns {string|null} Text, or null if missing or empty
+ */
+function text(nodes) {
+  const node = Array.isArray(nodes) ? nodes[0] : nodes;
+  const value = typeof node === 'object' && node !== null ? node._ : node;
+  return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+/**
+ * Get the texts of all elements of an xml2js node list
+ * @param {Array|undefined} nodes - Parsed elements
+ * @returns {Array<string>} Non-empty texts
+ */
+function texts(nodes) {
+  return (nodes || []).map(node => text([node])).filter(Boolean);
+}
+
+/**
+ * Parse an integer, keeping null for missing values
+ * @param {string|null} value - Text
+ * @returns {number|null}
+ */
+function toInt(value) {
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : number;
+}
+
+/**
+ * Get an ID from <uniqueid type="..."> elements
+ * @param {Object} element - Parsed root element
+ * @param {string} type - ID type (tmdb, imdb, tvdb)
+ * @returns {string|null} ID
+ */
+function getUniqueId(element, type) {
+  const node = (element.uniqueid || []).find(id => id?.$?.type === type);
+  return node ? text([node]) : null;
+}
+
+/**
+ * Get a rating from <ratings> (the default one, else the first) or <rating>
+ * @param {Object} element - Parsed root element
+ * @returns {number|null} Rating out of 10
+ */
+function getRating(element) {
+  const ratings = element.ratings?.[0]?.rating || [];
+  const rating = ratings.find(r => r?.$?.default === 'true') || ratings[0];
+  const value = parseFloat(rating ? text(rating.value) : text(element.rating));
+  return Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Get an artwork URL from <thumb> elements
+ * @param {Object} element - Parsed root element
+ * @param {string} aspect - Wanted aspect (poster, ...), or any when left out
+ * @returns {string|null} URL
+ */
+function getThumb(element, aspect = null) {
+  const thumbs = element.thumb || [];
+  const thumb = aspect ? thumbs.find(t => t?.$?.aspect === aspect) : thumbs[0];
+  const url = thumb ? text([thumb]) : null;
+  return url?.startsWith('http') ? url : null;
+}
+
+/**
+ * Get the first fanart URL from <fanart><thumb>
+ * @param {Object} element - Parsed root element
+ * @returns {string|null} URL
+ */
+function getFanart(element) {
+  const url = text(element.fanart?.[0]?.thumb);
+  return url?.startsWith('http') ? url : null;
+}
+
+export default NFOProvider;
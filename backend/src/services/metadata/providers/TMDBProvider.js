@@ -0,0 +1,164 @@
+import BaseMetadataProvider from './BaseMetadataProvider.js';
+import tmdbService from '../tmdbService.js';
+import filenameParser from '../filenameParser.js';
+import matchReviewService from '../matchReviewService.js';
+
+/**
+ * TMDB Metadata Provider
+ * Searches The Movie Database by parsed title and year, or looks up the TMDB ID an
+ * admin chose for the file. Results carry a `match` field ({ tmdb_id, confidence,
+ * candidates, decided }) describing how the movie or show was picked.
+ */
+class TMDBProvider extends BaseMetadataProvider {
+  constructor() {
+    super('tmdb');
+  }
+
+  /**
+   * Available when a TMDB API key is configured
+   * @returns {boolean}
+   */
+  isAvailable() {
+    return tmdbService.isAvailable();
+  }
+
+  /**
+   * Fetch movie metadata from TMDB
+   * @param {Object} parsed - Parsed filename data
+   * @param {Object} context - Lookup context ({ language, tmdbId })
+   * @returns {Promise<Object|null>} Movie metadata
+   */
+  async getMovieMetadata(parsed, { language, tmdbId } = {}) {
+    try {
+      const match = await this.findMatch(parsed, 'movie', language, tmdbId);
+
+      if (!match) {
+        return null;
+      }
+
+      // Get full details
+      return { ...await tmdbService.getMovieDetails(match.tmdb_id, language), match };
+    } catch (error) {
+      console.error('Error fetching movie metadata:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Fetch TV show and episode metadata from TMDB
+   * @param {Object} parsed - Parsed filename data
+   * @param {Object} context - Lookup context ({ language, tmdbId })
+   * @returns {Promise<Object|null>} Episode metadata with show info
+   */
+  async getEpisodeMetadata(parsed, { language, tmdbId } = {}) {
+    try {
+      const match = await this.findMatch(parsed, 'tv', language, tmdbId);
+
+      if (!match) {
+        return null;
+      }
+
+      // Get show details
+      const showDetails = await tmdbService.getTVShowDetails(match.tmdb_id, language);
+
+      // If we have season/episode info, get details of every episode in the file. They
+      // come from the season list, so a batch makes one (cached) request per season
+      // instead of one per episode.
+      const episodeNumbers = parsed.episodes || (parsed.episode ? [parsed.episode] : []);
+      const episodes = [];
+      if (parsed.season !== null && parsed.season !== undefined && episodeNumbers.length > 0) {
+        let season = null;
+        try {
+          season = await tmdbService.getSeasonDetails(match.tmdb_id, parsed.season, language);
+        } catch (error) {
+          console.log(`⚠️  Season ${parsed.season} not found`);
+        }
+
+        for (const episodeNumber of episodeNumbers) {
+          const details = season?.episodes.find(episode => episode.episode_number === episodeNumber);
+
+          if (details) {
+            episodes.push(details);
+          } else if (season) {
+            console.log(`⚠️  Episode ${parsed.season}x${episodeNumber} not found`);
+          }
+        }
+      }
+      const episodeDetails = episodes[0] || null;
+
+      return {
+        // Show information
+        show_tmdb_id: showDetails.tmdb_id,
+        show_title: showDetails.title,
+        show_overview: showDetails.overview,
+        show_poster: showDetails.poster_path,
+        show_backdrop: showDetails.backdrop_path,
+        show_genres: showDetails.genres,
+        show_first_air_date: showDetails.first_air_date,
+        show_status: showDetails.status,
+        show_seasons: showDetails.seasons,
+
+        // Episode information (of the first episode when the file holds several)
+        season_number: parsed.season ?? null,
+        episode_number: episodeDetails?.episode_number ?? parsed.episode ?? null,
+        episodes: episodes.map(episode => ({
+          episode_number: episode.episode_number,
+          episode_tmdb_id: episode.tmdb_id,
+          episode_title: episode.title,
+          episode_overview: episode.overview,
+          episode_still: episode.still_path,
+          episode_air_date: episode.air_date
+        })),
+        ...(episodeDetails && {
+          episode_tmdb_id: episodeDetails.tmdb_id,
+          episode_title: episodeDetails.title,
+          episode_overview: episodeDetails.overview,
+          episode_still: episodeDetails.still_path,
+          episode_air_date: episodeDetails.air_date,
+          episode_runtime: episodeDetails.runtime
+        }),
+
+        // Combined title for display
+        title: episodeDetails
+          ? `${showDetails.title} - ${filenameParser.formatEpisodeCode(parsed.season, episodes.map(episode => episode.episode_number))} - ${episodes.map(episode => episode.title).join(' / ')}`
+          : showDetails.title,
+
+        match
+      };
+    } catch (error) {
+      console.error('Error fetching episode metadata:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Pick the movie or show for a file: the one an admin chose, or else the best
+   * scoring search result
+   * @param {Object} parsed - Parsed filename data
+   * @param {string} mediaType - 'movie' or 'tv'
+   * @param {string} language - TMDB language (optional)
+   * @param {number} tmdbId - TMDB ID an admin chose (optional)
+   * @returns {Promise<Object|null>} { tmdb_id, confidence, candidates, decided }, or null
+   *   when the search found nothing
+   */
+  async findMatch(parsed, mediaType, language, tmdbId) {
+    if (tmdbId) {
+      return { tmdb_id: tmdbId, confidence: null, candidates: null, decided: true };
+    }
+
+    const candidates = await matchReviewService.searchCandidates(parsed, mediaType, language);
+
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    return {
+      tmdb_id: candidates[0].tmdb_id,
+      confidence: candidates[0].confidence,
+      candidates,
+      decided: false
+    };
+  }
+}
+
+export default TMDBProvider;
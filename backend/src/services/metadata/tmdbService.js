@@ -1,11 +1,20 @@
 import { MovieDb } from 'moviedb-promise';
 import dotenv from 'dotenv';
+import database from '../../config/database.js';
+import { TokenBucket } from '../../utils/tokenBucket.js';
 
 dotenv.config();
 
+// Retries of a request TMDB answered with 429 Too Many Requests
+const MAX_RETRIES = 4;
+const RETRY_BASE_DELAY = 1000;
+
 /**
  * TMDB API Service
- * Fetches movie and TV show metadata from The Movie Database
+ * Fetches movie and TV show metadata from The Movie Database.
+ * Requests go through request(): responses are cached in the database for
+ * TMDB_CACHE_TTL hours, identical requests in flight share one call, and calls
+ * are rate limited to TMDB_RATE_LIMIT per second with backoff on 429.
  */
 class TMDBService {
   constructor() {
@@ -13,6 +22,14 @@ class TMDBService {
     this.language = process.env.TMDB_LANGUAGE || 'en-US';
     this.autoFetch = process.env.TMDB_AUTO_FETCH === 'true';
 
+    // Cache lifetime in seconds; 0 disables the cache
+    const cacheHours = parseFloat(process.env.TMDB_CACHE_TTL);
+    this.cacheTtl = (Number.isNaN(cacheHours) ? 24 : cacheHours) * 3600;
+
+    const rateLimit = parseFloat(process.env.TMDB_RATE_LIMIT) || 20;
+    this.limiter = new TokenBucket(rateLimit, rateLimit);
+    this.inFlight = new Map();
+
     if (!this.apiKey || this.apiKey === 'your-tmdb-api-key-here') {
       console.warn('⚠️  TMDB API key not configured. Metadata fetching will be disabled.');
       this.client = null;
@@ -30,13 +47,132 @@ class TMDBService {
     return this.client !== null;
   }
 
+  /**
+   * Call a moviedb client method, answering from the cache when possible. A request
+   * that is already on its way is shared, so a batch looking up the same show for
+   * every episode makes one call.
+   * @param {string} method - moviedb-promise method (e.g. 'searchMovie', 'tvInfo')
+   * @param {Object} params - Request params
+   * @returns {Promise<Object>} Raw TMDB response
+   */
+  request(method, params) {
+    const key = `${method}:${JSON.stringify(params, Object.keys(params).sort())}`;
+
+    if (!this.inFlight.has(key)) {
+      const pending = this.fetchCached(method, key, params)
+        .finally(() => this.inFlight.delete(key));
+      this.inFlight.set(key, pending);
+    }
+
+    return this.inFlight.get(key);
+  }
+
+  /**
+   * Get a response from the cache, or from TMDB (then cached)
+   * @param {string} method - moviedb-promise method
+   * @param {string} key - Cache key
+   * @param {Object} params - Request params
+   * @returns {Promise<Object>} Raw TMDB response
+   */
+  async fetchCached(method, key, params) {
+    if (this.cacheTtl > 0) {
+      try {
+        const cached = await database.get(
+          "SELECT response FROM tmdb_cache WHERE key = ? AND expires_at > datetime('now')",
+          [key]
+        );
+
+        if (cached) {
+          return JSON.parse(cached.response);
+        }
+      } catch (error) {
+        // A broken cache only costs a request
+        console.error('Error reading TMDB cache:', error.message);
+      }
+    }
+
+    const response = await this.send(method, params);
+
+    if (this.cacheTtl > 0) {
+      try {
+        await database.run(`
+          INSERT INTO tmdb_cache (key, response, expires_at)
+          VALUES (?, ?, datetime('now', ?))
+          ON CONFLICT(key) DO UPDATE SET
+            response = excluded.response,
+            expires_at = excluded.expires_at
+        `, [key, JSON.stringify(response), `+${Math.round(this.cacheTtl)} seconds`]);
+      } catch (error) {
+        console.error('Error writing TMDB cache:', error.message);
+      }
+    }
+
+    return response;
+  }
+
+  /**
+   * Send a request to TMDB through the rate limiter. Requests answered with
+   * 429 Too Many Requests are retried after Retry-After, or with exponential backoff.
+   * @param {string} method - moviedb-promise method
+   * @param {Object} params - Request params
+   * @returns {Promise<Object>} Raw TMDB response
+   */
+  async send(method, params) {
+    for (let attempt = 0; ; attempt++) {
+      await this.limiter.take();
+
+      try {
+        return await this.client[method](params);
+      } catch (error) {
+        if (error.response?.status !== 429 || attempt >= MAX_RETRIES) {
+          throw error;
+        }
+
+        const retryAfter = parseFloat(error.response.headers?.['retry-after']) * 1000;
+        const delay = retryAfter > 0
+          ? retryAfter
+          : RETRY_BASE_DELAY * 2 ** attempt + Math.random() * RETRY_BASE_DELAY;
+
+        // Other requests wait as well, instead of running into the limit too
+        this.limiter.drain();
+        console.warn(`⚠️  TMDB rate limit hit, retrying ${method} in ${Math.round(delay)}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  /**
+   * Delete expired responses from the TMDB cache
+   * @returns {Promise<number>} Number of responses deleted
+   */
+  async pruneCache() {
+    const result = await database.run(
+      "DELETE FROM tmdb_cache WHERE expires_at <= datetime('now')"
+    );
+
+    return result.changes;
+  }
+
   /**
    * Search for a movie by title and year
    * @param {string} title - Movie title
    * @param {number} year - Release year (optional)
+   * @param {string} language - TMDB language (defaults to TMDB_LANGUAGE)
    * @returns {Promise<Object|null>} Movie data or null
    */
-  async searchMovie(title, year = null) {
+  async searchMovie(title, year = null, language = this.language) {
+    // The first result is the most relevant one
+    return (await this.searchMovies(title, year, language))[0] || null;
+  }
+
+  /**
+   * Search for movies by title and year
+   * @param {string} title - Movie title
+   * @param {number} year - Release year (optional)
+   * @param {string} language - TMDB language (defaults to TMDB_LANGUAGE)
+   * @returns {Promise<Array<Object>>} Search results, most relevant first
+   */
+  async searchMovies(title, year = null, language = this.language) {
     if (!this.isAvailable()) {
       throw new Error('TMDB API key not configured');
     }
@@ -44,7 +180,7 @@ class TMDBService {
     try {
       const searchParams = {
         query: title,
-        language: this.language,
+        language,
         include_adult: false
       };
 
@@ -52,14 +188,9 @@ class TMDBService {
         searchParams.year = year;
       }
 
-      const response = await this.client.searchMovie(searchParams);
-
-      if (response.results && response.results.length > 0) {
-        // Return the first (most relevant) result
-        return response.results[0];
-      }
+      const response = await this.request('searchMovie', searchParams);
 
-      return null;
+      return response.results || [];
     } catch (error) {
       console.error('Error searching movie:', error.message);
       throw error;
@@ -69,17 +200,18 @@ class TMDBService {
   /**
    * Get detailed movie information by TMDB ID
    * @param {number} tmdbId - TMDB movie ID
+   * @param {string} language - TMDB language (defaults to TMDB_LANGUAGE)
    * @returns {Promise<Object>} Detailed movie data
    */
-  async getMovieDetails(tmdbId) {
+  async getMovieDetails(tmdbId, language = this.language) {
     if (!this.isAvailable()) {
       throw new Error('TMDB API key not configured');
     }
 
     try {
-      const movie = await this.client.movieInfo({
+      const movie = await this.request('movieInfo', {
         id: tmdbId,
-        language: this.language,
+        language,
         append_to_response: 'credits,videos,release_dates'
       });
 
@@ -94,9 +226,21 @@ class TMDBService {
    * Search for a TV show by title and year
    * @param {string} title - TV show title
    * @param {number} year - First air year (optional)
+   * @param {string} language - TMDB language (defaults to TMDB_LANGUAGE)
    * @returns {Promise<Object|null>} TV show data or null
    */
-  async searchTVShow(title, year = null) {
+  async searchTVShow(title, year = null, language = this.language) {
+    return (await this.searchTVShows(title, year, language))[0] || null;
+  }
+
+  /**
+   * Search for TV shows by title and year
+   * @param {string} title - TV show title
+   * @param {number} year - First air year (optional)
+   * @param {string} language - TMDB language (defaults to TMDB_LANGUAGE)
+   * @returns {Promise<Array<Object>>} Search results, most relevant first
+   */
+  async searchTVShows(title, year = null, language = this.language) {
     if (!this.isAvailable()) {
       throw new Error('TMDB API key not configured');
     }
@@ -104,7 +248,7 @@ class TMDBService {
     try {
       const searchParams = {
         query: title,
-        language: this.language,
+        language,
         include_adult: false
       };
 
@@ -112,13 +256,9 @@ class TMDBService {
         searchParams.first_air_date_year = year;
       }
 
-      const response = await this.client.searchTv(searchParams);
-
-      if (response.results && response.results.length > 0) {
-        return response.results[0];
-      }
+      const response = await this.request('searchTv', searchParams);
 
-      return null;
+      return response.results || [];
     } catch (error) {
       console.error('Error searching TV show:', error.message);
       throw error;
@@ -128,17 +268,18 @@ class TMDBService {
   /**
    * Get detailed TV show information by TMDB ID
    * @param {number} tmdbId - TMDB TV show ID
+   * @param {string} language - TMDB language (defaults to TMDB_LANGUAGE)
    * @returns {Promise<Object>} Detailed TV show data
    */
-  async getTVShowDetails(tmdbId) {
+  async getTVShowDetails(tmdbId, language = this.language) {
     if (!this.isAvailable()) {
       throw new Error('TMDB API key not configured');
     }
 
     try {
-      const tvShow = await this.client.tvInfo({
+      const tvShow = await this.request('tvInfo', {
         id: tmdbId,
-        language: this.language,
+        language,
         append_to_response: 'credits,videos,content_ratings'
       });
 
@@ -154,19 +295,20 @@ class TMDBService {
    * @param {number} tvShowId - TMDB TV show ID
    * @param {number} seasonNumber - Season number
    * @param {number} episodeNumber - Episode number
+   * @param {string} language - TMDB language (defaults to TMDB_LANGUAGE)
    * @returns {Promise<Object>} Episode data
    */
-  async getEpisodeDetails(tvShowId, seasonNumber, episodeNumber) {
+  async getEpisodeDetails(tvShowId, seasonNumber, episodeNumber, language = this.language) {
     if (!this.isAvailable()) {
       throw new Error('TMDB API key not configured');
     }
 
     try {
-      const episode = await this.client.episodeInfo({
+      const episode = await this.request('episodeInfo', {
         id: tvShowId,
         season_number: seasonNumber,
         episode_number: episodeNumber,
-        language: this.language
+        language
       });
 
       return this.formatEpisodeData(episode);
@@ -180,27 +322,52 @@ class TMDBService {
    * Get TV show season details
    * @param {number} tvShowId - TMDB TV show ID
    * @param {number} seasonNumber - Season number
-   * @returns {Promise<Object>} Season data with all episodes
+   * @param {string} language - TMDB language (defaults to TMDB_LANGUAGE)
+   * @returns {Promise<Object>} Formatted season data with all episodes
    */
-  async getSeasonDetails(tvShowId, seasonNumber) {
+  async getSeasonDetails(tvShowId, seasonNumber, language = this.language) {
     if (!this.isAvailable()) {
       throw new Error('TMDB API key not configured');
     }
 
     try {
-      const season = await this.client.seasonInfo({
+      const season = await this.request('seasonInfo', {
         id: tvShowId,
         season_number: seasonNumber,
-        language: this.language
+        language
       });
 
-      return season;
+      return this.formatSeasonData(season);
     } catch (error) {
       console.error('Error fetching season details:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Get a collection (movie set) with its parts
+   * @param {number} collectionId - TMDB collection ID
+   * @param {string} language - TMDB language (defaults to TMDB_LANGUAGE)
+   * @returns {Promise<Object>} Collection data with parts in release order
+   */
+  async getCollectionDetails(collectionId, language = this.language) {
+    if (!this.isAvailable()) {
+      throw new Error('TMDB API key not configured');
+    }
+
+    try {
+      const collection = await this.request('collectionInfo', {
+        id: collectionId,
+        language
+      });
+
+      return this.formatCollectionData(collection);
+    } catch (error) {
+      console.error('Error fetching collection details:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Format movie data for database storage
    * @param {Object} movie - Raw TMDB movie data
@@ -225,6 +392,11 @@ class TMDBService {
       budget: movie.budget,
       revenue: movie.revenue,
       imdb_id: movie.imdb_id,
+      // Collection (movie set) the movie belongs to
+      collection: movie.belongs_to_collection ? {
+        tmdb_id: movie.belongs_to_collection.id,
+        name: movie.belongs_to_collection.name
+      } : null,
       // Cast and crew
       cast: movie.credits?.cast?.slice(0, 10).map(c => c.name).join(', '),
       director: movie.credits?.crew?.find(c => c.job === 'Director')?.name,
@@ -266,6 +438,16 @@ class TMDBService {
       created_by: tvShow.created_by?.map(c => c.name).join(', '),
       // Networks
       networks: tvShow.networks?.map(n => n.name).join(', '),
+      // Seasons, including specials (season 0)
+      seasons: (tvShow.seasons || []).map(season => ({
+        tmdb_id: season.id,
+        season_number: season.season_number,
+        name: season.name,
+        overview: season.overview,
+        poster_path: season.poster_path ? `https://image.tmdb.org/t/p/w500${season.poster_path}` : null,
+        air_date: season.air_date || null,
+        episode_count: season.episode_count
+      })),
       // Video trailer
       trailer: this.extractTrailerKey(tvShow.videos),
       // Content rating
@@ -275,6 +457,50 @@ class TMDBService {
     };
   }
 
+  /**
+   * Format collection data
+   * @param {Object} collection - Raw TMDB collection data
+   * @returns {Object} Formatted collection data
+   */
+  formatCollectionData(collection) {
+    // Unreleased parts have no date yet and go last
+    const parts = [...(collection.parts || [])].sort((a, b) =>
+      (a.release_date || '9999').localeCompare(b.release_date || '9999')
+    );
+
+    return {
+      tmdb_id: collection.id,
+      name: collection.name,
+      overview: collection.overview,
+      poster_path: collection.poster_path ? `https://image.tmdb.org/t/p/w500${collection.poster_path}` : null,
+      backdrop_path: collection.backdrop_path ? `https://image.tmdb.org/t/p/original${collection.backdrop_path}` : null,
+      parts: parts.map(part => ({
+        tmdb_id: part.id,
+        title: part.title,
+        overview: part.overview,
+        release_date: part.release_date || null,
+        poster_path: part.poster_path ? `https://image.tmdb.org/t/p/w500${part.poster_path}` : null
+      }))
+    };
+  }
+
+  /**
+   * Format season data
+   * @param {Object} season - Raw TMDB season data
+   * @returns {Object} Formatted season data
+   */
+  formatSeasonData(season) {
+    return {
+      tmdb_id: season.id,
+      season_number: season.season_number,
+      name: season.name,
+      overview: season.overview,
+      poster_path: season.poster_path ? `https://image.tmdb.org/t/p/w500${season.poster_path}` : null,
+      air_date: season.air_date || null,
+      episodes: (season.episodes || []).map(episode => this.formatEpisodeData(episode))
+    };
+  }
+
   /**
    * Format episode data
    * @param {Object} episode - Raw TMDB episode data
@@ -404,7 +630,7 @@ class TMDBService {
     }
 
     try {
-      const response = await this.client.moviePopular({
+      const response = await this.request('moviePopular', {
         language: this.language,
         page
       });
@@ -427,7 +653,7 @@ class TMDBService {
     }
 
     try {
-      const response = await this.client.tvPopular({
+      const response = await this.request('tvPopular', {
         language: this.language,
         page
       });
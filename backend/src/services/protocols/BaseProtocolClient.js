@@ -36,9 +36,10 @@ class BaseProtocolClient {
   /**
    * Get file stream for reading
    * @param {string} path - Remote file path
+   * @param {Object} options - Byte range to read ({ start, end }, end inclusive)
    * @returns {Promise<ReadableStream>} File stream
    */
-  async getFileStream(path) {
+  async getFileStream(path, options = {}) {
     throw new Error('getFileStream() must be implemented by subclass');
   }
 
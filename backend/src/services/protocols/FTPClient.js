@@ -1,6 +1,6 @@
 import { Client as FTPClient } from 'basic-ftp';
 import BaseProtocolClient from './BaseProtocolClient.js';
-import { Readable } from 'stream';
+import { PassThrough, Writable } from 'stream';
 
 class FTPProtocolClient extends BaseProtocolClient {
   constructor(config) {
@@ -77,23 +77,76 @@ class FTPProtocolClient extends BaseProtocolClient {
 
   /**
    * Get file stream
+   * The transfer is aborted once the requested range has been read, which
+   * closes the control connection; the client reconnects on next use.
    * @param {string} path - Remote file path
+   * @param {Object} options - Byte range to read ({ start, end }, end inclusive)
    * @returns {Promise<ReadableStream>}
    */
-  async getFileStream(path) {
+  async getFileStream(path, options = {}) {
+    const { start = 0, end } = options;
+
     try {
       if (!this.connected) {
         await this.connect();
       }
 
-      const stream = new Readable({
-        read() {}
+      const output = new PassThrough();
+      let remaining = end !== undefined ? end - start + 1 : Infinity;
+      let finished = false;
+
+      const finish = () => {
+        if (!finished) {
+          finished = true;
+          output.end();
+        }
+      };
+
+      // Receives the raw transfer and forwards only the requested range
+      const sink = new Writable({
+        write: (chunk, encoding, callback) => {
+          if (finished) {
+            return callback();
+          }
+
+          const slice = chunk.length > remaining ? chunk.subarray(0, remaining) : chunk;
+          remaining -= slice.length;
+          const flushed = output.write(slice);
+
+          if (remaining <= 0) {
+            finish();
+            this.disconnect();
+            return callback();
+          }
+
+          if (flushed) {
+            callback();
+          } else {
+            output.once('drain', () => callback());
+          }
+        }
+      });
+
+      // Consumer went away before the range was complete
+      output.on('close', () => {
+        if (!finished) {
+          finished = true;
+          this.disconnect();
+        }
+        sink.destroy();
       });
 
-      // Download file and pipe to stream
-      await this.client.downloadTo(stream, path);
+      this.client.downloadTo(sink, path, start)
+        .then(() => finish())
+        .catch(error => {
+          if (!finished) {
+            finished = true;
+            console.error('FTP download error:', error);
+            output.destroy(error);
+          }
+        });
 
-      return stream;
+      return output;
     } catch (error) {
       console.error('FTP get file stream error:', error);
       throw error;
@@ -1,6 +1,5 @@
 import SMB2 from '@marsaud/smb2';
 import BaseProtocolClient from './BaseProtocolClient.js';
-import { Readable } from 'stream';
 
 class SMBProtocolClient extends BaseProtocolClient {
   constructor(config) {
@@ -39,7 +38,7 @@ class SMBProtocolClient extends BaseProtocolClient {
   async disconnect() {
     try {
       if (this.client) {
-        // SMB2 client doesn't have explicit disconnect
+        this.client.disconnect();
         this.client = null;
       }
       this.connected = false;
@@ -60,19 +59,25 @@ class SMBProtocolClient extends BaseProtocolClient {
         return reject(new Error('Not connected to SMB server'));
       }
 
-      this.client.readdir(path, (err, files) => {
+      this.client.readdir(this.toSMBPath(path), { stats: true }, (err, files) => {
         if (err) {
           console.error('SMB list error:', err);
           return reject(err);
         }
 
-        const fileList = files.map(file => ({
-          name: file,
-          path: path ? `${path}/${file}` : file,
-          type: 'file', // SMB2 doesn't provide type info in readdir
-          isDirectory: false,
-          isFile: true
-        }));
+        const fileList = files.map(file => {
+          const isDirectory = file.isDirectory();
+
+          return {
+            name: file.name,
+            path: path ? `${path}/${file.name}`.replace('//', '/') : file.name,
+            type: isDirectory ? 'directory' : 'file',
+            size: file.size,
+            modifiedAt: file.mtime,
+            isDirectory,
+            isFile: !isDirectory
+          };
+        });
 
         resolve(fileList);
       });
@@ -82,27 +87,30 @@ class SMBProtocolClient extends BaseProtocolClient {
   /**
    * Get file stream
    * @param {string} path - Remote file path
+   * @param {Object} options - Byte range to read ({ start, end }, end inclusive)
    * @returns {Promise<ReadableStream>}
    */
-  async getFileStream(path) {
+  async getFileStream(path, options = {}) {
     return new Promise((resolve, reject) => {
       if (!this.connected) {
         return reject(new Error('Not connected to SMB server'));
       }
 
-      try {
-        const stream = this.client.createReadStream(path);
+      const { start = 0, end } = options;
+      const streamOptions = end !== undefined ? { start, end } : { start };
+
+      this.client.createReadStream(this.toSMBPath(path), streamOptions, (err, stream) => {
+        if (err) {
+          console.error('SMB get file stream error:', err);
+          return reject(err);
+        }
 
         stream.on('error', (error) => {
           console.error('SMB stream error:', error);
-          reject(error);
         });
 
         resolve(stream);
-      } catch (error) {
-        console.error('SMB get file stream error:', error);
-        reject(error);
-      }
+      });
     });
   }
 
@@ -117,7 +125,7 @@ class SMBProtocolClient extends BaseProtocolClient {
         return reject(new Error('Not connected to SMB server'));
       }
 
-      this.client.readFile(path, (err, data) => {
+      this.client.readFile(this.toSMBPath(path), (err, data) => {
         if (err) {
           console.error('SMB read file error:', err);
           return reject(err);
@@ -139,7 +147,7 @@ class SMBProtocolClient extends BaseProtocolClient {
         return reject(new Error('Not connected to SMB server'));
       }
 
-      this.client.stat(path, (err, stats) => {
+      this.client.stat(this.toSMBPath(path), (err, stats) => {
         if (err) {
           console.error('SMB stat error:', err);
           return resolve({
@@ -155,7 +163,7 @@ class SMBProtocolClient extends BaseProtocolClient {
           modifiedAt: stats.mtime,
           createdAt: stats.birthtime,
           isDirectory: stats.isDirectory(),
-          isFile: stats.isFile(),
+          isFile: !stats.isDirectory(),
           exists: true
         });
       });
@@ -173,7 +181,7 @@ class SMBProtocolClient extends BaseProtocolClient {
         return resolve(false);
       }
 
-      this.client.exists(path, (err, exists) => {
+      this.client.exists(this.toSMBPath(path), (err, exists) => {
         resolve(!err && exists);
       });
     });
@@ -190,7 +198,7 @@ class SMBProtocolClient extends BaseProtocolClient {
         return reject(new Error('Not connected to SMB server'));
       }
 
-      this.client.mkdir(path, (err) => {
+      this.client.mkdir(this.toSMBPath(path), (err) => {
         if (err) {
           console.error('SMB mkdir error:', err);
           return reject(err);
@@ -212,7 +220,7 @@ class SMBProtocolClient extends BaseProtocolClient {
         return reject(new Error('Not connected to SMB server'));
       }
 
-      this.client.unlink(path, (err) => {
+      this.client.unlink(this.toSMBPath(path), (err) => {
         if (err) {
           console.error('SMB unlink error:', err);
           return reject(err);
@@ -234,7 +242,7 @@ class SMBProtocolClient extends BaseProtocolClient {
         return reject(new Error('Not connected to SMB server'));
       }
 
-      this.client.rmdir(path, (err) => {
+      this.client.rmdir(this.toSMBPath(path), (err) => {
         if (err) {
           console.error('SMB rmdir error:', err);
           return reject(err);
@@ -245,6 +253,15 @@ class SMBProtocolClient extends BaseProtocolClient {
     });
   }
 
+  /**
+   * Convert a slash-separated path to a share-relative SMB path
+   * @param {string} path - Remote path (e.g. "/movies/film.mkv")
+   * @returns {string} SMB path (e.g. "movies\\film.mkv")
+   */
+  toSMBPath(path = '') {
+    return path.replace(/\//g, '\\').replace(/^\\+/, '');
+  }
+
   /**
    * Get protocol name
    * @returns {string}
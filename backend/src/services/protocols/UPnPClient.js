@@ -2,23 +2,44 @@ import pkg from 'node-ssdp';
 const { Client: SSDPClient } = pkg;
 import BaseProtocolClient from './BaseProtocolClient.js';
 import { request as httpRequest } from 'http';
+import { request as httpsRequest } from 'https';
+import { Transform } from 'stream';
 import xml2js from 'xml2js';
-const { parseString } = xml2js;
+const { parseString, processors } = xml2js;
 
+const ROOT_OBJECT_ID = '0';
+const BROWSE_PAGE_SIZE = 200;
+
+/**
+ * UPnP/DLNA client
+ * Without a `location` it only runs SSDP discovery. With the description URL
+ * of a MediaServer it browses that server's ContentDirectory, where paths are
+ * ContentDirectory object IDs.
+ */
 class UPnPProtocolClient extends BaseProtocolClient {
   constructor(config = {}) {
     super(config);
-    this.client = new SSDPClient();
+    this.client = config.location ? null : new SSDPClient();
     this.devices = new Map();
     this.searching = false;
+    this.contentDirectory = null;
+    // Objects seen while browsing, so streams don't need another Browse call
+    this.objects = new Map();
   }
 
   /**
-   * Start UPnP discovery
+   * Start UPnP discovery, or locate the ContentDirectory of the configured server
    * @returns {Promise<boolean>}
    */
   async connect() {
     try {
+      if (this.config.location) {
+        this.contentDirectory = await this.getContentDirectory(this.config.location);
+        this.connected = true;
+        console.log(`Connected to UPnP ContentDirectory: ${this.contentDirectory.controlURL}`);
+        return true;
+      }
+
       this.connected = true;
       console.log('UPnP discovery service started');
       return true;
@@ -40,7 +61,8 @@ class UPnPProtocolClient extends BaseProtocolClient {
       }
       this.connected = false;
       this.searching = false;
-      console.log('UPnP discovery service stopped');
+      this.objects.clear();
+      console.log(this.config.location ? 'UPnP ContentDirectory client closed' : 'UPnP discovery service stopped');
     } catch (error) {
       console.error('UPnP stop error:', error);
     }
@@ -99,24 +121,218 @@ class UPnPProtocolClient extends BaseProtocolClient {
    * @returns {Promise<Object>}
    */
   async getDeviceDescription(location) {
+    const { body } = await this.httpFetch(location);
+    return this.parseXML(body);
+  }
+
+  /**
+   * Find the ContentDirectory service of a MediaServer
+   * @param {string} location - Device description URL
+   * @returns {Promise<Object>} Service type and absolute control URL
+   */
+  async getContentDirectory(location) {
+    const description = await this.getDeviceDescription(location);
+    const root = description.root || {};
+    const baseURL = root.URLBase?.[0] || location;
+
+    // Services may sit on an embedded device rather than the root device
+    const findService = (device) => {
+      const services = device?.serviceList?.[0]?.service || [];
+      const service = services.find(s =>
+        s.serviceType?.[0]?.includes(':service:ContentDirectory:')
+      );
+      if (service) return service;
+
+      for (const child of device?.deviceList?.[0]?.device || []) {
+        const found = findService(child);
+        if (found) return found;
+      }
+      return null;
+    };
+
+    const service = findService(root.device?.[0]);
+    if (!service) {
+      throw new Error('Device does not provide a ContentDirectory service');
+    }
+
+    return {
+      serviceType: service.serviceType[0],
+      controlURL: new URL(service.controlURL[0], baseURL).href
+    };
+  }
+
+  /**
+   * Invoke a ContentDirectory Browse action
+   * @param {string} objectId - ContentDirectory object ID
+   * @param {string} browseFlag - BrowseDirectChildren or BrowseMetadata
+   * @param {number} startingIndex - Index of the first child to return
+   * @returns {Promise<Object>} Parsed DIDL-Lite document and match counts
+   */
+  async browse(objectId, browseFlag = 'BrowseDirectChildren', startingIndex = 0) {
+    if (!this.contentDirectory) {
+      throw new Error('Not connected to a UPnP MediaServer');
+    }
+
+    const { serviceType, controlURL } = this.contentDirectory;
+    const args = {
+      ObjectID: objectId,
+      BrowseFlag: browseFlag,
+      Filter: '*',
+      StartingIndex: startingIndex,
+      RequestedCount: browseFlag === 'BrowseMetadata' ? 0 : BROWSE_PAGE_SIZE,
+      SortCriteria: ''
+    };
+
+    const body = '<?xml version="1.0" encoding="utf-8"?>' +
+      '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" ' +
+      's:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">' +
+      `<s:Body><u:Browse xmlns:u="${serviceType}">` +
+      Object.entries(args).map(([key, value]) => `<${key}>${escapeXML(value)}</${key}>`).join('') +
+      '</u:Browse></s:Body></s:Envelope>';
+
+    const response = await this.httpFetch(controlURL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'text/xml; charset="utf-8"',
+        'SOAPAction': `"${serviceType}#Browse"`
+      },
+      body
+    }, true);
+
+    const envelope = await this.parseXML(response.body, true);
+    const soapBody = envelope.Envelope?.Body?.[0] || {};
+
+    if (soapBody.Fault) {
+      const detail = soapBody.Fault[0].detail?.[0]?.UPnPError?.[0];
+      const description = detail?.errorDescription?.[0] || soapBody.Fault[0].faultstring?.[0];
+      throw new Error(`UPnP Browse failed: ${description || 'SOAP fault'}`);
+    }
+
+    if (response.statusCode !== 200) {
+      throw new Error(`UPnP Browse failed with HTTP ${response.statusCode}`);
+    }
+
+    const result = soapBody.BrowseResponse?.[0] || {};
+    const didl = await this.parseXML(result.Result?.[0] || '', true);
+
+    return {
+      didl: didl?.['DIDL-Lite'] || {},
+      numberReturned: parseInt(result.NumberReturned?.[0], 10) || 0,
+      totalMatches: parseInt(result.TotalMatches?.[0], 10) || 0
+    };
+  }
+
+  /**
+   * Convert a DIDL-Lite container or item to a browse entry
+   * @param {Object} node - Parsed DIDL-Lite element
+   * @param {boolean} isDirectory - True for containers
+   * @returns {Object}
+   */
+  toEntry(node, isDirectory) {
+    const attrs = node.$ || {};
+    const resources = (node.res || []).map(res => {
+      const resAttrs = (typeof res === 'object' && res.$) || {};
+      const protocolInfo = resAttrs.protocolInfo || '';
+
+      return {
+        url: (typeof res === 'object' ? res._ : res)?.trim(),
+        protocolInfo,
+        mimeType: protocolInfo.split(':')[2] || null,
+        size: resAttrs.size ? parseInt(resAttrs.size, 10) : null,
+        duration: resAttrs.duration || null,
+        resolution: resAttrs.resolution || null
+      };
+    }).filter(res => res.url);
+
+    // Prefer the resource the browser can play untouched
+    const primary = resources.find(res => res.mimeType?.startsWith('video/')) || resources[0];
+
+    return {
+      name: node.title?.[0] || attrs.id,
+      path: attrs.id,
+      parentId: attrs.parentID,
+      type: isDirectory ? 'directory' : 'file',
+      isDirectory,
+      isFile: !isDirectory,
+      upnpClass: node.class?.[0] || null,
+      childCount: attrs.childCount ? parseInt(attrs.childCount, 10) : null,
+      size: primary?.size ?? null,
+      mimeType: primary?.mimeType || null,
+      url: primary?.url || null,
+      resources
+    };
+  }
+
+  /**
+   * Convert a Browse result to browse entries and remember playable items
+   * @param {Object} didl - Parsed DIDL-Lite document
+   * @returns {Array<Object>}
+   */
+  parseDIDL(didl) {
+    const entries = [
+      ...(didl.container || []).map(node => this.toEntry(node, true)),
+      ...(didl.item || []).map(node => this.toEntry(node, false))
+    ];
+
+    for (const entry of entries) {
+      this.objects.set(entry.path, entry);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Fetch a URL and buffer the response body
+   * @param {string} url - Absolute URL
+   * @param {Object} options - method, headers and body
+   * @param {boolean} allowErrors - Resolve for non-2xx responses (SOAP faults come back as 500)
+   * @returns {Promise<Object>} Status code, headers and body
+   */
+  httpFetch(url, options = {}, allowErrors = false) {
     return new Promise((resolve, reject) => {
-      httpRequest(location, (res) => {
+      const { body, ...requestOptions } = options;
+      const request = url.startsWith('https:') ? httpsRequest : httpRequest;
+
+      const req = request(url, requestOptions, (res) => {
         let data = '';
 
+        res.setEncoding('utf8');
         res.on('data', (chunk) => {
           data += chunk;
         });
 
         res.on('end', () => {
-          parseString(data, (err, result) => {
-            if (err) {
-              return reject(err);
-            }
+          if (!allowErrors && (res.statusCode < 200 || res.statusCode >= 300)) {
+            return reject(new Error(`HTTP ${res.statusCode} from ${url}`));
+          }
 
-            resolve(result);
-          });
+          resolve({ statusCode: res.statusCode, headers: res.headers, body: data });
         });
-      }).on('error', reject).end();
+      });
+
+      req.setTimeout(15000, () => req.destroy(new Error(`Request to ${url} timed out`)));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+
+  /**
+   * Parse an XML document
+   * @param {string} xml - XML text
+   * @param {boolean} stripPrefixes - Drop namespace prefixes (s:, dc:, upnp:)
+   * @returns {Promise<Object>}
+   */
+  parseXML(xml, stripPrefixes = false) {
+    const options = stripPrefixes ? { tagNameProcessors: [processors.stripPrefix] } : {};
+
+    return new Promise((resolve, reject) => {
+      parseString(xml, options, (err, result) => {
+        if (err) {
+          return reject(err);
+        }
+
+        resolve(result || {});
+      });
     });
   }
 
@@ -151,11 +367,35 @@ class UPnPProtocolClient extends BaseProtocolClient {
     }
   }
 
+  /**
+   * List the children of a ContentDirectory container
+   * @param {string} path - Object ID ('/' or '' for the root container)
+   * @returns {Promise<Array<Object>>} Containers and items with their res URLs
+   */
+  async list(path = '/') {
+    const objectId = !path || path === '/' ? ROOT_OBJECT_ID : path;
+    const entries = [];
+
+    // Servers cap the page size, so keep asking until everything is returned
+    let startingIndex = 0;
+    while (true) {
+      const { didl, numberReturned, totalMatches } = await this.browse(objectId, 'BrowseDirectChildren', startingIndex);
+      entries.push(...this.parseDIDL(didl));
+
+      startingIndex += numberReturned;
+      if (numberReturned === 0 || startingIndex >= totalMatches) {
+        break;
+      }
+    }
+
+    return entries;
+  }
+
   /**
    * List all discovered devices
    * @returns {Array<Object>}
    */
-  list() {
+  getDevices() {
     return Array.from(this.devices.values());
   }
 
@@ -172,7 +412,7 @@ class UPnPProtocolClient extends BaseProtocolClient {
    * @param {string} identifier - Device USN or location
    * @returns {boolean}
    */
-  exists(identifier) {
+  hasDevice(identifier) {
     return this.devices.has(identifier);
   }
 
@@ -191,7 +431,7 @@ class UPnPProtocolClient extends BaseProtocolClient {
    * @returns {Array<Object>}
    */
   filterByType(type) {
-    return this.list().filter(device =>
+    return this.getDevices().filter(device =>
       device.st && device.st.includes(type)
     );
   }
@@ -224,6 +464,10 @@ class UPnPProtocolClient extends BaseProtocolClient {
    * @returns {string}
    */
   getStatus() {
+    if (this.contentDirectory) {
+      return this.connected ? `Connected to ${this.config.location}` : 'Disconnected';
+    }
+
     if (this.searching) {
       return `Discovering... (${this.devices.size} devices found)`;
     }
@@ -242,18 +486,137 @@ class UPnPProtocolClient extends BaseProtocolClient {
   }
 
   /**
-   * Not applicable for UPnP
+   * Get ContentDirectory object information
+   * @param {string} path - Object ID
+   * @returns {Promise<Object>} Browse entry with exists flag
    */
-  async getFileStream() {
-    throw new Error('getFileStream() not applicable for UPnP discovery service');
+  async getFileInfo(path) {
+    let entry = this.objects.get(path);
+
+    if (!entry) {
+      try {
+        const { didl } = await this.browse(path, 'BrowseMetadata');
+        entry = this.parseDIDL(didl)[0];
+      } catch (error) {
+        // Servers answer unknown IDs with error 701 "No such object"
+        return { path, exists: false };
+      }
+    }
+
+    if (!entry) {
+      return { path, exists: false };
+    }
+
+    // Not every server advertises res@size, so ask the media server itself
+    if (entry.isFile && entry.size == null && entry.url) {
+      const { headers } = await this.httpFetch(entry.url, { method: 'HEAD' });
+      entry.size = headers['content-length'] ? parseInt(headers['content-length'], 10) : null;
+      entry.mimeType = entry.mimeType || headers['content-type'] || null;
+    }
+
+    return { ...entry, exists: true };
   }
 
   /**
-   * Not applicable for UPnP
+   * Check if a ContentDirectory object exists
+   * @param {string} path - Object ID
+   * @returns {Promise<boolean>}
    */
-  async getFileInfo() {
-    throw new Error('getFileInfo() not applicable for UPnP discovery service');
+  async exists(path) {
+    const info = await this.getFileInfo(path);
+    return info.exists;
   }
+
+  /**
+   * Open the primary res URL of an item for reading
+   * @param {string} path - Object ID
+   * @param {Object} options - Byte range to read ({ start, end }, end inclusive)
+   * @returns {Promise<ReadableStream>}
+   */
+  async getFileStream(path, options = {}) {
+    const info = await this.getFileInfo(path);
+
+    if (!info.exists || !info.url) {
+      throw new Error(`No playable resource for UPnP object: ${path}`);
+    }
+
+    const { start = 0, end } = options;
+    const headers = {};
+    if (start > 0 || end !== undefined) {
+      headers.Range = `bytes=${start}-${end !== undefined ? end : ''}`;
+    }
+
+    return new Promise((resolve, reject) => {
+      const request = info.url.startsWith('https:') ? httpsRequest : httpRequest;
+
+      const req = request(info.url, { headers }, (res) => {
+        if (res.statusCode !== 200 && res.statusCode !== 206) {
+          res.resume();
+          return reject(new Error(`HTTP ${res.statusCode} from media server`));
+        }
+
+        // Some servers ignore Range and send the whole file
+        if (res.statusCode === 200 && headers.Range) {
+          const slice = sliceStream(start, end);
+          res.pipe(slice);
+          slice.on('close', () => res.destroy());
+          return resolve(slice);
+        }
+
+        resolve(res);
+      });
+
+      req.on('error', reject);
+      req.end();
+    });
+  }
+}
+
+/**
+ * Escape a value for use in SOAP arguments
+ * @param {*} value - Argument value
+ * @returns {string}
+ */
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Transform that passes through only bytes start..end (inclusive)
+ * @param {number} start - First byte
+ * @param {number} end - Last byte, or undefined for the rest of the stream
+ * @returns {Transform}
+ */
+function sliceStream(start, end) {
+  let position = 0;
+  let done = false;
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (done) return callback();
+
+      const chunkStart = position;
+      position += chunk.length;
+
+      const from = Math.max(start - chunkStart, 0);
+      const to = end !== undefined ? Math.min(end + 1 - chunkStart, chunk.length) : chunk.length;
+
+      if (from < to) {
+        this.push(chunk.subarray(from, to));
+      }
+
+      if (end !== undefined && position > end) {
+        done = true;
+        this.push(null);
+      }
+      callback();
+    }
+  });
 }
 
 export default UPnPProtocolClient;
@@ -0,0 +1,120 @@
+import database from '../../config/database.js';
+import FTPClient from './FTPClient.js';
+import SMBClient from './SMBClient.js';
+import UPnPClient from './UPnPClient.js';
+import { decryptPassword } from '../../utils/credentials.js';
+
+/**
+ * Protocol Client Service
+ * Creates protocol clients for configured network sources
+ */
+class ProtocolClientService {
+  constructor() {
+    // Shared clients used for browsing, keyed by protocol and source ID
+    this.activeClients = new Map();
+  }
+
+  /**
+   * Build a new, unshared client for a network source.
+   * Streams and scans get their own connection because an FTP control
+   * connection can only run one transfer at a time.
+   * @param {Object} source - network_sources row
+   * @returns {BaseProtocolClient} Protocol client
+   */
+  createClient(source) {
+    const config = {
+      host: source.host,
+      port: source.port,
+      username: source.username,
+      password: decryptPassword(source.password)
+    };
+
+    switch (source.protocol) {
+      case 'ftp':
+        return new FTPClient(config);
+      case 'smb':
+        config.shareName = source.base_path || '';
+        config.domain = source.domain || 'WORKGROUP';
+        return new SMBClient(config);
+      case 'upnp':
+        return new UPnPClient({ location: this.getDescriptionURL(source) });
+      default:
+        throw new Error(`Unsupported protocol: ${source.protocol}`);
+    }
+  }
+
+  /**
+   * Build the device description URL of a UPnP source.
+   * base_path is either the full LOCATION URL reported by discovery
+   * or the description path on the source host.
+   * @param {Object} source - network_sources row
+   * @returns {string} Description URL
+   */
+  getDescriptionURL(source) {
+    const basePath = source.base_path || '/description.xml';
+
+    if (/^https?:\/\//i.test(basePath)) {
+      return basePath;
+    }
+
+    const path = basePath.startsWith('/') ? basePath : `/${basePath}`;
+    return `http://${source.host}:${source.port || 80}${path}`;
+  }
+
+  /**
+   * Get or create the shared client for a network source
+   * @param {Object} source - network_sources row
+   * @returns {BaseProtocolClient} Protocol client
+   */
+  getClient(source) {
+    const key = `${source.protocol}-${source.id}`;
+
+    if (!this.activeClients.has(key)) {
+      this.activeClients.set(key, this.createClient(source));
+    }
+
+    return this.activeClients.get(key);
+  }
+
+  /**
+   * Disconnect and forget the shared clients of a network source
+   * @param {number|string} sourceId - Network source ID
+   * @returns {Promise<void>}
+   */
+  async removeClients(sourceId) {
+    for (const [key, client] of this.activeClients.entries()) {
+      if (key.endsWith(`-${sourceId}`)) {
+        await client.disconnect();
+        this.activeClients.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Load an enabled network source and open a dedicated, connected client
+   * @param {number} sourceId - Network source ID
+   * @returns {Promise<BaseProtocolClient>} Connected protocol client
+   */
+  async connectToSource(sourceId) {
+    const source = await database.get(
+      'SELECT * FROM network_sources WHERE id = ?',
+      [sourceId]
+    );
+
+    if (!source) {
+      throw new Error('Network source not found');
+    }
+
+    if (!source.enabled) {
+      throw new Error(`Network source "${source.name}" is disabled`);
+    }
+
+    const client = this.createClient(source);
+    await client.connect();
+    return client;
+  }
+}
+
+// Export singleton instance
+const protocolClientService = new ProtocolClientService();
+export default protocolClientService;
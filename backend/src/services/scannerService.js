@@ -1,7 +1,13 @@
-import { readdir, stat } from 'fs/promises';
-import { join, extname, basename } from 'path';
+import { readdir, stat, open } from 'fs/promises';
+import { createHash } from 'crypto';
+import { join, extname, basename, dirname } from 'path';
 import database from '../config/database.js';
 import metadataService from './metadata/metadataService.js';
+import filenameParser from './metadata/filenameParser.js';
+import subtitleService from './streaming/subtitleService.js';
+import cacheService from './streaming/cacheService.js';
+import thumbnailService from './streaming/thumbnailService.js';
+import artworkService from './artworkService.js';
 
 const VIDEO_EXTENSIONS = (process.env.VIDEO_EXTENSIONS || '.mp4,.mkv,.avi,.mov,.wmv,.flv,.webm')
   .split(',')
@@ -9,63 +15,213 @@ const VIDEO_EXTENSIONS = (process.env.VIDEO_EXTENSIONS || '.mp4,.mkv,.avi,.mov,.
 
 const SUBTITLE_EXTENSIONS = ['.srt', '.vtt', '.ass'];
 
+// Bytes read from each end of a file for its partial content hash
+const HASH_CHUNK_SIZE = 64 * 1024;
+
+// Metadata the listed part of a multi-part movie holds for the whole title
+const PART_GROUP_COLUMNS = [
+  'title', 'year', 'imdb_id', 'tmdb_id', 'poster_url', 'backdrop_url', 'poster_path',
+  'backdrop_path', 'overview', 'rating', 'genres', 'cast', 'director', 'release_date',
+  'runtime', 'metadata_provider', 'added_at'
+];
+
 class ScannerService {
   constructor() {
     this.isScanning = false;
-    this.scanProgress = {
+    this.scanProgress = this.createProgress();
+    // Settles when the running full scan or watcher sync is done; both reconcile rows
+    // with the disk, so they take turns
+    this.scanLock = Promise.resolve();
+  }
+
+  // Wait for earlier scans and syncs to finish. Returns the function that lets the next
+  // one start, which must be called once the caller is done.
+  async acquireScanLock() {
+    const previous = this.scanLock;
+    let release;
+    this.scanLock = new Promise(resolve => {
+      release = resolve;
+    });
+
+    await previous;
+    return release;
+  }
+
+  createProgress() {
+    return {
       totalFiles: 0,
       scannedFiles: 0,
       addedFiles: 0,
+      updatedFiles: 0,
+      removedFiles: 0,
+      movedFiles: 0,
+      unchangedFiles: 0,
       metadataFetched: 0,
       errors: []
     };
   }
 
-  async scanDirectory(directoryPath, sourceType = 'local', sourceConfigId = null) {
+  // Remote sources (ftp/smb) pass a connected protocol client; paths are then remote paths.
+  // Scans are incremental: files whose size and mtime are unchanged are skipped, changed
+  // files are refreshed, vanished files are flagged missing and moved files keep their row.
+  // A library ({ id, type }) the directory is a root of gets the new items, and its type
+  // decides how files are read (movies only, shows only, or detected per file).
+  async scanDirectory(directoryPath, sourceType = 'local', sourceConfigId = null, client = null, library = null) {
     if (this.isScanning) {
       throw new Error('Scan already in progress');
     }
 
     this.isScanning = true;
-    this.scanProgress = {
-      totalFiles: 0,
-      scannedFiles: 0,
-      addedFiles: 0,
-      metadataFetched: 0,
-      errors: []
-    };
+    this.scanProgress = this.createProgress();
+    const release = await this.acquireScanLock();
 
     try {
       console.log(`Starting scan of directory: ${directoryPath}`);
-      const videoFiles = await this.findVideoFiles(directoryPath);
+
+      // Directories that could not be listed; their rows must not be flagged missing
+      const failedDirs = [];
+      const videoFiles = client
+        ? await this.findRemoteVideoFiles(client, directoryPath, [], failedDirs)
+        : await this.findVideoFiles(directoryPath, [], failedDirs);
+
+      if (failedDirs.includes(directoryPath)) {
+        throw new Error(`Cannot read directory: ${directoryPath}`);
+      }
+
       this.scanProgress.totalFiles = videoFiles.length;
       console.log(`Found ${videoFiles.length} video files`);
 
-      for (const filePath of videoFiles) {
-        try {
-          await this.addMediaItem(filePath, sourceType, sourceConfigId);
-          this.scanProgress.addedFiles++;
-        } catch (error) {
-          console.error(`Error adding file ${filePath}:`, error);
-          this.scanProgress.errors.push({
-            file: filePath,
-            error: error.message
-          });
-        }
-        this.scanProgress.scannedFiles++;
-      }
+      const target = library ? { ...library, rootPath: directoryPath } : null;
+      const knownItems = await this.getKnownItems(directoryPath, sourceType, sourceConfigId);
+      await this.syncFiles(videoFiles, knownItems, sourceType, sourceConfigId, this.scanProgress, failedDirs, target);
 
-      console.log(`Scan complete. Added ${this.scanProgress.addedFiles} files`);
+      const { addedFiles, updatedFiles, removedFiles, movedFiles } = this.scanProgress;
+      console.log(`Scan complete. Added ${addedFiles}, updated ${updatedFiles}, removed ${removedFiles}, moved ${movedFiles} files`);
       return this.scanProgress;
     } catch (error) {
       console.error('Scan error:', error);
       throw error;
     } finally {
       this.isScanning = false;
+      release();
     }
   }
 
-  async findVideoFiles(directoryPath, videoFiles = []) {
+  // Apply changes to single paths below a local library root, as reported by the library
+  // watcher. Paths may be files or directories and may no longer exist. Waits for a
+  // running full scan to finish.
+  async syncPaths(rootPath, paths, library = null) {
+    const release = await this.acquireScanLock();
+
+    try {
+      const progress = this.createProgress();
+      const videoFiles = [];
+      const failedDirs = [];
+
+      for (const path of paths) {
+        let stats;
+        try {
+          stats = await stat(path);
+        } catch {
+          continue; // Deleted or moved away
+        }
+
+        if (stats.isDirectory()) {
+          await this.findVideoFiles(path, videoFiles, failedDirs);
+        } else if (VIDEO_EXTENSIONS.includes(extname(path).toLowerCase())) {
+          videoFiles.push({ path, size: stats.size, mtime: Math.floor(stats.mtimeMs) });
+        }
+      }
+
+      progress.totalFiles = videoFiles.length;
+
+      // Rows at the changed paths, plus rows flagged missing earlier: a file deleted before
+      // the last flush may be the source of a move that only shows up now
+      const knownItems = (await this.getKnownItems(rootPath, 'local', null))
+        .filter(item => item.missing || paths.some(path => path === item.file_path || isInsideDirectory(item.file_path, path)));
+
+      const target = library ? { ...library, rootPath } : null;
+      await this.syncFiles(videoFiles, knownItems, 'local', null, progress, failedDirs, target);
+      return progress;
+    } finally {
+      release();
+    }
+  }
+
+  // Reconcile listed files with the known rows of the listed area: unchanged and changed
+  // files are refreshed, new files are added (or matched to a vanished row as a move) and
+  // rows whose file was not listed are flagged missing. Counts go into `progress`.
+  // Rows scanned before the area became a library root are adopted by `library`.
+  async syncFiles(videoFiles, knownItems, sourceType, sourceConfigId, progress, failedDirs = [], library = null) {
+    const itemsByPath = new Map(knownItems.map(item => [item.file_path, item]));
+    const newFiles = [];
+
+    // In path order, the first part of a multi-part movie is usually added before the others
+    videoFiles = [...videoFiles].sort((a, b) => a.path.localeCompare(b.path));
+
+    for (const file of videoFiles) {
+      const item = itemsByPath.get(file.path);
+      if (!item) {
+        newFiles.push(file);
+        continue;
+      }
+
+      itemsByPath.delete(file.path);
+      try {
+        if (library && item.library_id === null) {
+          await database.run('UPDATE media_items SET library_id = ? WHERE id = ?', [library.id, item.id]);
+        }
+
+        const result = await this.refreshMediaItem(item, file, sourceType);
+        progress[result === 'updated' ? 'updatedFiles' : 'unchangedFiles']++;
+      } catch (error) {
+        console.error(`Error refreshing file ${file.path}:`, error);
+        progress.errors.push({ file: file.path, error: error.message });
+      }
+      progress.scannedFiles++;
+    }
+
+    // Whatever is left was not found, unless its directory could not be read
+    const goneItems = [...itemsByPath.values()]
+      .filter(item => !failedDirs.some(dir => isInsideDirectory(item.file_path, dir)));
+
+    for (const file of newFiles) {
+      try {
+        const movedItem = await this.findMovedItem(file, goneItems, sourceType);
+
+        if (movedItem) {
+          goneItems.splice(goneItems.indexOf(movedItem), 1);
+          await this.moveMediaItem(movedItem, file, sourceType);
+          progress.movedFiles++;
+        } else {
+          await this.addMediaItem(file.path, sourceType, sourceConfigId, file.size, {
+            mtime: file.mtime,
+            hash: file.hash,
+            library
+          });
+          progress.addedFiles++;
+        }
+      } catch (error) {
+        console.error(`Error adding file ${file.path}:`, error);
+        progress.errors.push({
+          file: file.path,
+          error: error.message
+        });
+      }
+      progress.scannedFiles++;
+    }
+
+    for (const item of goneItems) {
+      if (!item.missing) {
+        await this.markMissing(item);
+        progress.removedFiles++;
+      }
+    }
+
+    return progress;
+  }
+
+  async findVideoFiles(directoryPath, videoFiles = [], failedDirs = []) {
     try {
       const entries = await readdir(directoryPath, { withFileTypes: true });
 
@@ -74,11 +230,12 @@ class ScannerService {
 
         if (entry.isDirectory()) {
           // Recursively scan subdirectories
-          await this.findVideoFiles(fullPath, videoFiles);
+          await this.findVideoFiles(fullPath, videoFiles, failedDirs);
         } else if (entry.isFile()) {
           const ext = extname(entry.name).toLowerCase();
           if (VIDEO_EXTENSIONS.includes(ext)) {
-            videoFiles.push(fullPath);
+            const stats = await stat(fullPath);
+            videoFiles.push({ path: fullPath, size: stats.size, mtime: Math.floor(stats.mtimeMs) });
           }
         }
       }
@@ -86,15 +243,263 @@ class ScannerService {
       return videoFiles;
     } catch (error) {
       console.error(`Error reading directory ${directoryPath}:`, error);
+      failedDirs.push(directoryPath);
+      return videoFiles;
+    }
+  }
+
+  async findRemoteVideoFiles(client, directoryPath, videoFiles = [], failedDirs = []) {
+    try {
+      const entries = await client.list(directoryPath);
+
+      for (const entry of entries) {
+        if (entry.isDirectory) {
+          await this.findRemoteVideoFiles(client, entry.path, videoFiles, failedDirs);
+        } else if (VIDEO_EXTENSIONS.includes(extname(entry.name).toLowerCase())) {
+          videoFiles.push({
+            path: entry.path,
+            size: entry.size ?? null,
+            mtime: entry.modifiedAt ? new Date(entry.modifiedAt).getTime() : null
+          });
+        }
+      }
+
       return videoFiles;
+    } catch (error) {
+      console.error(`Error reading remote directory ${directoryPath}:`, error.message);
+      failedDirs.push(directoryPath);
+      return videoFiles;
+    }
+  }
+
+  // Media items of a source below a directory (TV show rows only hold a folder name)
+  async getKnownItems(directoryPath, sourceType, sourceConfigId) {
+    const items = await database.all(
+      `SELECT id, type, file_path, file_size, file_mtime, content_hash, missing, library_id, part_number
+       FROM media_items
+       WHERE type != 'tv_show' AND source_type = ? AND source_config_id IS ?`,
+      [sourceType, sourceConfigId]
+    );
+
+    return items.filter(item => isInsideDirectory(item.file_path, directoryPath));
+  }
+
+  // Returns 'updated' or 'unchanged'
+  async refreshMediaItem(item, file, sourceType) {
+    const sizeChanged = file.size !== null && file.size !== item.file_size;
+    const mtimeChanged = file.mtime !== null && item.file_mtime !== null && file.mtime !== item.file_mtime;
+
+    if (!sizeChanged && !mtimeChanged) {
+      // Rows from before incremental scans get their file state filled in once
+      const hash = sourceType === 'local' && !item.content_hash ? await this.hashFile(file.path, file.size) : item.content_hash;
+
+      if (item.missing || item.file_mtime === null || hash !== item.content_hash) {
+        await database.run(
+          `UPDATE media_items
+           SET file_mtime = ?, content_hash = ?, missing = 0, missing_since = NULL
+           WHERE id = ?`,
+          [file.mtime, hash, item.id]
+        );
+      }
+
+      if (item.missing) {
+        console.log(`File is back: ${file.path}`);
+        await this.regroupMovieParts(item);
+        return 'updated';
+      }
+      return 'unchanged';
+    }
+
+    console.log(`File changed: ${file.path}`);
+
+    const hash = sourceType === 'local' ? await this.hashFile(file.path, file.size) : null;
+
+    await database.run(
+      `UPDATE media_items
+       SET file_size = ?, file_mtime = ?, content_hash = ?, missing = 0, missing_since = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [file.size, file.mtime, hash, item.id]
+    );
+
+    if (item.missing) {
+      await this.regroupMovieParts(item);
+    }
+
+    // Transcodes, HLS segments and converted subtitles of the old file are stale
+    cacheService.clearMediaCache(item.id);
+
+    if (sourceType === 'local') {
+      await this.addEmbeddedSubtitlesForMedia(file.path, item.id);
+    }
+
+    return 'updated';
+  }
+
+  // A new path is a moved file when a vanished row has the same size and the same
+  // partial content hash (remote files are not read, so there the file name must match)
+  async findMovedItem(file, goneItems, sourceType) {
+    const candidates = goneItems.filter(item => file.size !== null && item.file_size === file.size);
+    if (candidates.length === 0) {
+      return null;
+    }
+
+    if (sourceType !== 'local') {
+      return candidates.find(item => basename(item.file_path) === basename(file.path)) || null;
+    }
+
+    file.hash = await this.hashFile(file.path, file.size);
+    return candidates.find(item => item.content_hash === file.hash) || null;
+  }
+
+  async moveMediaItem(item, file, sourceType) {
+    console.log(`File moved: ${item.file_path} -> ${file.path}`);
+
+    await database.run(
+      `UPDATE media_items
+       SET file_path = ?, file_mtime = ?, missing = 0, missing_since = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [file.path, file.mtime, item.id]
+    );
+
+    if (item.missing) {
+      await this.regroupMovieParts(item);
     }
+
+    // Embedded tracks moved with the file; sidecar files are looked up at the new location
+    await database.run(
+      'UPDATE subtitles SET file_path = ? WHERE media_item_id = ? AND stream_index IS NOT NULL',
+      [file.path, item.id]
+    );
+
+    if (sourceType === 'local') {
+      await this.addSubtitlesForMedia(file.path, item.id);
+    }
+  }
+
+  // Rows are kept (with their watch history) so a file that comes back or turns up
+  // elsewhere is matched again; the library hides them meanwhile
+  async markMissing(item) {
+    console.log(`File missing: ${item.file_path}`);
+
+    await database.run(
+      'UPDATE media_items SET missing = 1, missing_since = CURRENT_TIMESTAMP WHERE id = ?',
+      [item.id]
+    );
+
+    await this.regroupMovieParts(item);
+  }
+
+  // The row and everything stored for it: subtitles (and their offsets), watch history,
+  // transcode jobs, match and edit state, artwork and thumbnails. SQLite does not enforce
+  // the ON DELETE clauses here, so nothing is removed implicitly. Episode rows stay as
+  // TMDB listings without a file.
+  async removeMediaItem(item) {
+    await this.regroupMovieParts(item, true);
+
+    await database.run(
+      'DELETE FROM subtitle_offsets WHERE subtitle_id IN (SELECT id FROM subtitles WHERE media_item_id = ?)',
+      [item.id]
+    );
+    await database.run('DELETE FROM subtitles WHERE media_item_id = ?', [item.id]);
+    await database.run('DELETE FROM watch_history WHERE media_item_id = ?', [item.id]);
+    await database.run('DELETE FROM transcode_jobs WHERE media_item_id = ?', [item.id]);
+    await database.run('DELETE FROM metadata_matches WHERE media_item_id = ?', [item.id]);
+    await database.run(
+      "DELETE FROM metadata_fields WHERE entity_type = 'item' AND entity_id = ?",
+      [item.id]
+    );
+    await database.run('UPDATE episodes SET media_item_id = NULL WHERE media_item_id = ?', [item.id]);
+    await database.run('DELETE FROM media_items WHERE id = ?', [item.id]);
+
+    cacheService.clearMediaCache(item.id);
+    await artworkService.removeItemArtwork(item.id);
+    await thumbnailService.removeItemThumbnails(item.id);
   }
 
-  async addMediaItem(filePath, sourceType, sourceConfigId) {
-    // Check if file already exists in database
+  // The lowest part of a multi-part movie that is still on disk is the listed one. When
+  // a part goes missing, comes back or is about to be removed (`removing`), the group is
+  // handed to the part that should be listed now, together with the title's metadata
+  // and its match and edit state.
+  async regroupMovieParts(item, removing = false) {
+    if (item.part_number === null || item.part_number === undefined) {
+      return;
+    }
+
+    const current = await database.get('SELECT parent_id FROM media_items WHERE id = ?', [item.id]);
+    if (!current) {
+      return;
+    }
+
+    const mainId = current.parent_id ?? item.id;
+    const parts = await database.all(
+      `SELECT id, missing FROM media_items
+       WHERE (id = ? OR parent_id = ?) AND NOT (id = ? AND ?)
+       ORDER BY part_number ASC`,
+      [mainId, mainId, item.id, removing ? 1 : 0]
+    );
+    const next = parts.find(part => !part.missing) ?? parts[0];
+
+    if (!next || next.id === mainId) {
+      return;
+    }
+
+    // Quoted, as "cast" is a keyword
+    const columns = PART_GROUP_COLUMNS.map(column => `"${column}"`).join(', ');
+    await database.run(
+      `UPDATE media_items
+       SET (${columns}) = (SELECT ${columns} FROM media_items WHERE id = ?),
+           parent_id = NULL
+       WHERE id = ?`,
+      [mainId, next.id]
+    );
+    await database.run(
+      'UPDATE media_items SET parent_id = ? WHERE (id = ? OR parent_id = ?) AND id != ?',
+      [next.id, mainId, mainId, next.id]
+    );
+    await database.run('UPDATE OR REPLACE metadata_matches SET media_item_id = ? WHERE media_item_id = ?', [next.id, mainId]);
+    await database.run(
+      "UPDATE OR REPLACE metadata_fields SET entity_id = ? WHERE entity_type = 'item' AND entity_id = ?",
+      [next.id, mainId]
+    );
+    await artworkService.cacheItemArtwork(next.id);
+
+    console.log(`Media item ${next.id} now lists the parts of media item ${mainId}`);
+  }
+
+  // Hash of the size plus the first and last 64 KB: cheap, and enough to tell files apart
+  async hashFile(filePath, size) {
+    const hash = createHash('sha1').update(String(size));
+    const handle = await open(filePath, 'r');
+
+    try {
+      const head = Buffer.alloc(Math.min(HASH_CHUNK_SIZE, size));
+      await handle.read(head, 0, head.length, 0);
+      hash.update(head);
+
+      if (size > HASH_CHUNK_SIZE) {
+        const tail = Buffer.alloc(Math.min(HASH_CHUNK_SIZE, size - HASH_CHUNK_SIZE));
+        await handle.read(tail, 0, tail.length, size - tail.length);
+        hash.update(tail);
+      }
+    } finally {
+      await handle.close();
+    }
+
+    return hash.digest('hex');
+  }
+
+  // `fileState` carries what the listing already knows ({ mtime, hash }) and the target
+  // library ({ id, type, rootPath }), if any
+  async addMediaItem(filePath, sourceType, sourceConfigId, fileSize = null, fileState = {}) {
+    let { mtime: fileMtime = null, hash: contentHash = null } = fileState;
+    const { library = null } = fileState;
+
+    // Check if file already exists in database (paths are only unique per source)
     const existing = await database.get(
-      'SELECT id FROM media_items WHERE file_path = ?',
-      [filePath]
+      'SELECT id FROM media_items WHERE file_path = ? AND source_config_id IS ?',
+      [filePath, sourceConfigId]
     );
 
     if (existing) {
@@ -102,39 +507,72 @@ class ScannerService {
       return existing.id;
     }
 
-    // Get file stats
-    const stats = await stat(filePath);
-    const fileSize = stats.size;
+    // Remote listings already carry the size
+    if (fileSize === null && sourceType === 'local') {
+      const stats = await stat(filePath);
+      fileSize = stats.size;
+      fileMtime = Math.floor(stats.mtimeMs);
+    }
+
+    // Detect if this is a TV show episode. Movie and home video libraries hold no shows;
+    // in a TV library every folder below the root is a show.
+    let episodeInfo = null;
+    if (library?.type === 'tv') {
+      episodeInfo = this.parseEpisodeInfo(filePath, library.rootPath);
+    } else if (!['movies', 'home_videos'].includes(library?.type)) {
+      episodeInfo = this.parseEpisodeInfo(filePath);
+    }
 
-    // Detect if this is a TV show episode
-    const episodeInfo = this.parseEpisodeInfo(filePath);
+    const mediaItemId = episodeInfo
+      ? await this.addTVShowEpisode(filePath, fileSize, episodeInfo, sourceType, sourceConfigId)
+      : await this.addMovie(filePath, fileSize, sourceType, sourceConfigId, library?.type !== 'home_videos');
 
-    if (episodeInfo) {
-      // Handle TV show episode
-      return await this.addTVShowEpisode(filePath, fileSize, episodeInfo, sourceType, sourceConfigId);
-    } else {
-      // Handle movie
-      return await this.addMovie(filePath, fileSize, sourceType, sourceConfigId);
+    // Remember the file state so the next scan can tell changes and moves apart
+    if (sourceType === 'local' && !contentHash) {
+      contentHash = await this.hashFile(filePath, fileSize);
     }
+
+    await database.run(
+      'UPDATE media_items SET file_mtime = ?, content_hash = ?, library_id = ? WHERE id = ?',
+      [fileMtime, contentHash, library?.id ?? null, mediaItemId]
+    );
+
+    return mediaItemId;
   }
 
-  async addMovie(filePath, fileSize, sourceType, sourceConfigId) {
-    const title = this.extractTitleFromFilename(basename(filePath));
+  // Home videos have nothing to look up, so they skip the metadata fetch.
+  // A movie split over several files (CD1, CD2, ...) is one title: the lowest part is
+  // listed and holds the metadata, the other parts point at it through parent_id.
+  async addMovie(filePath, fileSize, sourceType, sourceConfigId, fetchMetadata = true) {
+    const part = filenameParser.extractPart(filePath);
+    const title = this.extractTitleFromFilename(part ? part.name + extname(filePath) : basename(filePath));
+
+    const siblings = part ? await this.findMovieParts(filePath, part, sourceConfigId) : [];
+    const main = siblings.find(sibling => sibling.parent_id === null);
+    const parentId = main && main.part_number < part.partNumber ? main.id : null;
 
     // Insert into database
     const result = await database.run(
       `INSERT INTO media_items
-       (type, title, file_path, file_size, source_type, source_config_id)
-       VALUES (?, ?, ?, ?, ?, ?)`,
-      ['movie', title, filePath, fileSize, sourceType, sourceConfigId]
+       (type, title, file_path, file_size, source_type, source_config_id, parent_id, part_number)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      ['movie', title, filePath, fileSize, sourceType, sourceConfigId, parentId, part?.partNumber ?? null]
     );
 
-    const mediaItemId = result.lastID;
-    console.log(`Added to database: ${title} (${filePath})`);
+    const mediaItemId = result.id;
+    console.log(`Added to database: ${title}${part ? ` (part ${part.partNumber})` : ''} (${filePath})`);
+
+    // A lower part than the current first one takes over the group
+    if (siblings.length > 0 && parentId === null) {
+      await database.run(
+        `UPDATE media_items SET parent_id = ? WHERE id IN (${siblings.map(() => '?').join(', ')})`,
+        [mediaItemId, ...siblings.map(sibling => sibling.id)]
+      );
+    }
 
     // Auto-fetch metadata if enabled
     const autoFetch = process.env.TMDB_AUTO_FETCH === 'true';
-    if (autoFetch) {
+    if (autoFetch && fetchMetadata && parentId === null) {
       try {
         console.log(`Fetching metadata for: ${title}`);
         await metadataService.processMediaFile(filePath, mediaItemId);
@@ -145,14 +583,34 @@ class ScannerService {
       }
     }
 
-    // Scan for subtitle files
-    await this.addSubtitlesForMedia(filePath, mediaItemId);
+    // Scan for subtitles (sidecar files and ffprobe only work on local disk)
+    if (sourceType === 'local') {
+      await this.addSubtitlesForMedia(filePath, mediaItemId);
+      await this.addEmbeddedSubtitlesForMedia(filePath, mediaItemId);
+    }
 
     return mediaItemId;
   }
 
+  // Other parts of the same movie: same directory and source, same name apart from the part
+  async findMovieParts(filePath, part, sourceConfigId) {
+    const directory = dirname(filePath);
+    const candidates = await database.all(
+      `SELECT id, file_path, parent_id, part_number
+       FROM media_items
+       WHERE type = 'movie' AND part_number IS NOT NULL AND source_config_id IS ?
+         AND file_path LIKE ?`,
+      [sourceConfigId, `${directory}%`]
+    );
+
+    return candidates.filter(candidate =>
+      dirname(candidate.file_path) === directory &&
+      filenameParser.extractPart(candidate.file_path)?.stem === part.stem
+    );
+  }
+
   async addTVShowEpisode(filePath, fileSize, episodeInfo, sourceType, sourceConfigId) {
-    const { showName, seasonNumber, episodeNumber, episodeTitle } = episodeInfo;
+    const { showName, showPath, seasonNumber, episodeNumbers, episodeTitle } = episodeInfo;
 
     // Find or create TV show
     let tvShow = await database.get(
@@ -165,27 +623,27 @@ class ScannerService {
       const showMediaResult = await database.run(
         `INSERT INTO media_items (type, title, file_path, source_type)
          VALUES (?, ?, ?, ?)`,
-        ['tv_show', showName, filePath.split('/tv-shows/')[0] + '/tv-shows/' + showName, sourceType]
+        ['tv_show', showName, showPath, sourceType]
       );
 
       // Create TV show record
       const tvShowResult = await database.run(
         `INSERT INTO tv_shows (media_item_id, title)
          VALUES (?, ?)`,
-        [showMediaResult.lastID, showName]
+        [showMediaResult.id, showName]
       );
 
       tvShow = {
-        id: tvShowResult.lastID,
-        media_item_id: showMediaResult.lastID,
+        id: tvShowResult.id,
+        media_item_id: showMediaResult.id,
         title: showName
       };
 
       console.log(`Created TV show: ${showName}`);
     }
 
-    // Create media_item for the episode
-    const fullTitle = `${showName} - S${String(seasonNumber).padStart(2, '0')}E${String(episodeNumber).padStart(2, '0')}${episodeTitle ? ' - ' + episodeTitle : ''}`;
+    // Create media_item for the episode (one file may hold several episodes)
+    const fullTitle = `${showName} - ${filenameParser.formatEpisodeCode(seasonNumber, episodeNumbers)}${episodeTitle ? ' - ' + episodeTitle : ''}`;
 
     const episodeMediaResult = await database.run(
       `INSERT INTO media_items
@@ -194,32 +652,53 @@ class ScannerService {
       ['episode', fullTitle, filePath, fileSize, sourceType, sourceConfigId]
     );
 
-    const mediaItemId = episodeMediaResult.lastID;
+    const mediaItemId = episodeMediaResult.id;
 
-    // Create episode record
-    await database.run(
-      `INSERT INTO episodes
-       (tv_show_id, season_number, episode_number, media_item_id, title)
-       VALUES (?, ?, ?, ?, ?)`,
-      [tvShow.id, seasonNumber, episodeNumber, mediaItemId, episodeTitle || `Episode ${episodeNumber}`]
-    );
+    // Create an episode record for every episode in the file. Episodes already known
+    // from the show's TMDB season list (listed as missing) get the file instead.
+    for (const episodeNumber of episodeNumbers) {
+      const adopted = await database.run(
+        `UPDATE episodes SET media_item_id = ?
+         WHERE tv_show_id = ? AND season_number = ? AND episode_number = ? AND media_item_id IS NULL`,
+        [mediaItemId, tvShow.id, seasonNumber, episodeNumber]
+      );
+
+      if (adopted.changes === 0) {
+        await database.run(
+          `INSERT INTO episodes
+           (tv_show_id, season_number, episode_number, media_item_id, title)
+           VALUES (?, ?, ?, ?, ?)`,
+          [tvShow.id, seasonNumber, episodeNumber, mediaItemId, episodeTitle || `Episode ${episodeNumber}`]
+        );
+      }
+    }
 
     console.log(`Added episode: ${fullTitle}`);
 
+    if (sourceType === 'local') {
+      await this.addSubtitlesForMedia(filePath, mediaItemId);
+      await this.addEmbeddedSubtitlesForMedia(filePath, mediaItemId);
+    }
+
     return mediaItemId;
   }
 
-  parseEpisodeInfo(filePath) {
+  // Without a shows root, episodes are only recognised below a tv-shows directory
+  parseEpisodeInfo(filePath, showsRoot = null) {
+    const relativeParts = showsRoot && isInsideDirectory(filePath, showsRoot)
+      ? filePath.slice(showsRoot.length).split(/[/\\]/).filter(Boolean)
+      : null;
+
     // Check if it's in a tv-shows directory
-    if (!filePath.includes('/tv-shows/') && !filePath.includes('\\tv-shows\\')) {
+    if (!relativeParts && !filePath.includes('/tv-shows/') && !filePath.includes('\\tv-shows\\')) {
       return null;
     }
 
     const filename = basename(filePath);
 
-    // Try to match patterns like S01E01, s01e01, 1x01, etc.
+    // Try to match patterns like S01E01, s01e01, S01E01E02, S01E01-E03, 1x01, etc.
     const patterns = [
-      /[Ss](\d{1,2})[Ee](\d{1,2})/,  // S01E01 or s01e01
+      /[Ss](\d{1,2})[Ee](\d{1,2})(?:[ ._-]?[Ee]\d{1,3}(?!\d))*(?:-\d{1,3}(?![\dA-Za-z]))?/,  // S01E01, multi-episode
       /(\d{1,2})x(\d{1,2})/           // 1x01
     ];
 
@@ -228,11 +707,21 @@ class ScannerService {
       if (match) {
         const seasonNumber = parseInt(match[1], 10);
         const episodeNumber = parseInt(match[2], 10);
+        const allEpisodes = filenameParser.extractAllEpisodes(match[0]);
+        const episodeNumbers = allEpisodes.length > 1 ? allEpisodes : [episodeNumber];
 
         // Extract show name from path
-        const pathParts = filePath.split(/[/\\]/);
-        const tvShowsIndex = pathParts.findIndex(part => part === 'tv-shows');
-        const showName = tvShowsIndex >= 0 ? pathParts[tvShowsIndex + 1] : 'Unknown Show';
+        let showName;
+        let showPath;
+        if (relativeParts) {
+          showName = relativeParts.length > 1 ? relativeParts[0] : 'Unknown Show';
+          showPath = join(showsRoot, showName);
+        } else {
+          const pathParts = filePath.split(/[/\\]/);
+          const tvShowsIndex = pathParts.findIndex(part => part === 'tv-shows');
+          showName = tvShowsIndex >= 0 ? pathParts[tvShowsIndex + 1] : 'Unknown Show';
+          showPath = filePath.split('/tv-shows/')[0] + '/tv-shows/' + showName;
+        }
 
         // Try to extract episode title
         let episodeTitle = filename
@@ -248,8 +737,10 @@ class ScannerService {
 
         return {
           showName,
+          showPath,
           seasonNumber,
           episodeNumber,
+          episodeNumbers,
           episodeTitle
         };
       }
@@ -293,10 +784,34 @@ class ScannerService {
         return SUBTITLE_EXTENSIONS.includes(ext) && file.startsWith(videoBaseName);
       });
 
-      // Add each subtitle file to the database
-      for (const subtitleFile of subtitleFiles) {
-        const subtitlePath = join(videoDir, subtitleFile);
-        const subtitleInfo = this.parseSubtitleFilename(subtitleFile, videoBaseName);
+      // Rows already stored keep their ids (and the users' offsets): a file is matched
+      // on its path, or after a move on its language and format
+      const existing = await database.all(
+        'SELECT id, file_path, language, format FROM subtitles WHERE media_item_id = ? AND stream_index IS NULL',
+        [mediaItemId]
+      );
+      const sidecars = subtitleFiles.map(subtitleFile => ({
+        path: join(videoDir, subtitleFile),
+        info: this.parseSubtitleFilename(subtitleFile, videoBaseName)
+      }));
+      const unmatched = existing.filter(row => !sidecars.some(sidecar => sidecar.path === row.file_path));
+
+      for (const { path: subtitlePath, info: subtitleInfo } of sidecars) {
+        const row = existing.find(candidate => candidate.file_path === subtitlePath) ??
+          unmatched.find(candidate =>
+            candidate.language === subtitleInfo.language && candidate.format === subtitleInfo.format
+          );
+
+        if (row) {
+          if (unmatched.includes(row)) {
+            unmatched.splice(unmatched.indexOf(row), 1);
+          }
+          await database.run(
+            'UPDATE subtitles SET language = ?, label = ?, file_path = ?, format = ? WHERE id = ?',
+            [subtitleInfo.language, subtitleInfo.label, subtitlePath, subtitleInfo.format, row.id]
+          );
+          continue;
+        }
 
         await database.run(
           `INSERT INTO subtitles (media_item_id, language, label, file_path, format)
@@ -312,11 +827,71 @@ class ScannerService {
 
         console.log(`  Added subtitle: ${subtitleInfo.label} (${subtitleInfo.language})`);
       }
+
+      await this.removeSubtitles(unmatched);
     } catch (error) {
       console.error(`Error scanning subtitles for ${videoFilePath}:`, error.message);
     }
   }
 
+  async addEmbeddedSubtitlesForMedia(videoFilePath, mediaItemId) {
+    try {
+      const tracks = await subtitleService.getEmbeddedTracks(videoFilePath);
+
+      // Embedded rows point at the video file; stream_index picks the subtitle stream.
+      // Rows of streams that are still there are updated in place, keeping their ids.
+      const existing = await database.all(
+        'SELECT id, stream_index FROM subtitles WHERE media_item_id = ? AND stream_index IS NOT NULL',
+        [mediaItemId]
+      );
+
+      for (const track of tracks) {
+        const row = existing.find(candidate => candidate.stream_index === track.streamIndex);
+
+        if (row) {
+          await database.run(
+            `UPDATE subtitles
+             SET language = ?, label = ?, file_path = ?, format = ?, codec = ?, is_default = ?
+             WHERE id = ?`,
+            [track.language, track.label, videoFilePath, track.format, track.codec, track.isDefault ? 1 : 0, row.id]
+          );
+          continue;
+        }
+
+        await database.run(
+          `INSERT INTO subtitles (media_item_id, language, label, file_path, format, codec, stream_index, is_default)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            mediaItemId,
+            track.language,
+            track.label,
+            videoFilePath,
+            track.format,
+            track.codec,
+            track.streamIndex,
+            track.isDefault ? 1 : 0
+          ]
+        );
+
+        console.log(`  Added embedded subtitle: ${track.label} (${track.codec})`);
+      }
+
+      await this.removeSubtitles(
+        existing.filter(row => !tracks.some(track => track.streamIndex === row.stream_index))
+      );
+    } catch (error) {
+      console.error(`Error probing embedded subtitles for ${videoFilePath}:`, error.message);
+    }
+  }
+
+  // Subtitle rows whose file or stream is gone, with the offsets users set for them
+  async removeSubtitles(rows) {
+    for (const row of rows) {
+      await database.run('DELETE FROM subtitle_offsets WHERE subtitle_id = ?', [row.id]);
+      await database.run('DELETE FROM subtitles WHERE id = ?', [row.id]);
+    }
+  }
+
   parseSubtitleFilename(filename, videoBaseName) {
     const ext = extname(filename).toLowerCase();
     const format = ext.slice(1); // Remove the dot
@@ -362,6 +937,21 @@ class ScannerService {
   }
 }
 
+/**
+ * Check whether a path lies inside a directory (local or remote path syntax)
+ * @param {string} filePath - File path
+ * @param {string} directoryPath - Directory path ('' or '/' is the root)
+ * @returns {boolean}
+ */
+function isInsideDirectory(filePath, directoryPath) {
+  if (!directoryPath || directoryPath === '/') {
+    return true;
+  }
+
+  const prefix = /[/\\]$/.test(directoryPath) ? directoryPath : `${directoryPath}/`;
+  return filePath.startsWith(prefix) || filePath.startsWith(prefix.replace(/\/$/, '\\'));
+}
+
 // Export singleton instance
 const scannerService = new ScannerService();
 export default scannerService;
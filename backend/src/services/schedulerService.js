@@ -0,0 +1,406 @@
+import database from '../config/database.js';
+import { getNextRun, isValidCron } from '../utils/cron.js';
+import cacheService from './streaming/cacheService.js';
+import watchHistoryService from './watchHistoryService.js';
+import metadataService from './metadata/metadataService.js';
+import tmdbService from './metadata/tmdbService.js';
+import libraryService from './libraryService.js';
+import scannerService from './scannerService.js';
+import artworkService from './artworkService.js';
+import thumbnailService from './streaming/thumbnailService.js';
+
+const LIBRARY_TASK_PREFIX = 'library-scan:';
+
+// Unmatched items looked up per metadata refresh, so one run cannot flood TMDB
+const METADATA_REFRESH_LIMIT = 200;
+
+/**
+ * Scheduler Service
+ * Runs maintenance tasks in-process on cron schedules stored in the
+ * scheduled_tasks table, together with the outcome of each task's last run.
+ * Built-in tasks are defined below; every library with a scan_schedule gets a
+ * "library-scan:<id>" task whose schedule is kept in the libraries table.
+ */
+class SchedulerService {
+  constructor() {
+    // Built-in tasks by key: { name, schedule (default), run }
+    this.tasks = {
+      'cache-cleanup': {
+        name: 'Clean up transcode cache',
+        schedule: '0 */6 * * *',
+        run: async () => cacheService.performMaintenance()
+      },
+      'metadata-refresh': {
+        name: 'Fetch metadata for unmatched items',
+        schedule: '0 5 * * *',
+        run: () => this.refreshUnmatchedMetadata()
+      },
+      'artwork-cache': {
+        name: 'Store artwork locally',
+        schedule: '30 5 * * *',
+        run: () => artworkService.cacheMissingArtwork()
+      },
+      'thumbnails': {
+        name: 'Generate thumbnails and seek previews',
+        schedule: '0 2 * * *',
+        run: () => thumbnailService.generateMissingThumbnails()
+      },
+      'tmdb-cache-prune': {
+        name: 'Prune expired TMDB responses',
+        schedule: '15 4 * * *',
+        run: async () => ({ deletedResponses: await tmdbService.pruneCache() })
+      },
+      'history-prune': {
+        name: 'Prune old watch history',
+        schedule: '30 3 * * 0',
+        run: async () => ({ deletedRecords: await watchHistoryService.cleanOldHistory(this.historyDays) })
+      }
+    };
+
+    // Keys of tasks that are running right now
+    this.running = new Set();
+    this.timer = null;
+  }
+
+  /**
+   * Register the built-in tasks, recover runs cut short by a restart and start ticking
+   * @returns {Promise<void>}
+   */
+  async start() {
+    // Read here rather than at import time, after dotenv has loaded .env
+    this.historyDays = parseInt(process.env.HISTORY_RETENTION_DAYS) || 365;
+
+    for (const [key, task] of Object.entries(this.tasks)) {
+      await database.run(
+        `INSERT INTO scheduled_tasks (key, name, schedule, next_run_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(key) DO UPDATE SET name = excluded.name`,
+        [key, task.name, task.schedule, getNextRun(task.schedule)?.toISOString() ?? null]
+      );
+    }
+
+    const result = await database.run(
+      `UPDATE scheduled_tasks
+       SET last_status = 'failed', last_error = 'Interrupted by a server restart'
+       WHERE last_status = 'running'`
+    );
+
+    if (result.changes > 0) {
+      console.log(`📝 Marked ${result.changes} interrupted task run(s) as failed`);
+    }
+
+    await this.syncLibraryTasks();
+    this.scheduleTick();
+    console.log('✅ Task scheduler started');
+  }
+
+  /**
+   * Stop ticking (running tasks finish on their own)
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Tick at the start of every minute, the resolution of cron schedules
+   */
+  scheduleTick() {
+    const now = Date.now();
+    const delay = 60000 - (now % 60000) + 50;
+
+    this.timer = setTimeout(() => {
+      this.tick()
+        .catch(error => console.error('Scheduler tick failed:', error))
+        .finally(() => this.scheduleTick());
+    }, delay);
+  }
+
+  /**
+   * Start every enabled task that is due
+   * @returns {Promise<void>}
+   */
+  async tick() {
+    await this.syncLibraryTasks();
+
+    const due = await database.all(
+      `SELECT key FROM scheduled_tasks
+       WHERE enabled = 1 AND next_run_at IS NOT NULL AND next_run_at <= ?`,
+      [new Date().toISOString()]
+    );
+
+    for (const { key } of due) {
+      if (!this.running.has(key)) {
+        this.runTask(key).catch(() => {
+          // Already recorded on the task
+        });
+      }
+    }
+  }
+
+  /**
+   * Mirror library scan schedules into library-scan tasks
+   * @returns {Promise<void>}
+   */
+  async syncLibraryTasks() {
+    const libraries = await database.all(
+      'SELECT id, name, scan_schedule FROM libraries WHERE scan_schedule IS NOT NULL'
+    );
+    const tasks = await database.all(
+      'SELECT key, schedule FROM scheduled_tasks WHERE key LIKE ?',
+      [`${LIBRARY_TASK_PREFIX}%`]
+    );
+    const existing = new Map(tasks.map(task => [task.key, task]));
+
+    for (const library of libraries) {
+      const key = `${LIBRARY_TASK_PREFIX}${library.id}`;
+      const task = existing.get(key);
+      existing.delete(key);
+
+      if (!isValidCron(library.scan_schedule)) {
+        continue;
+      }
+
+      const name = `Scan library "${library.name}"`;
+
+      if (!task) {
+        await database.run(
+          'INSERT INTO scheduled_tasks (key, name, schedule, next_run_at) VALUES (?, ?, ?, ?)',
+          [key, name, library.scan_schedule, getNextRun(library.scan_schedule)?.toISOString() ?? null]
+        );
+      } else if (task.schedule !== library.scan_schedule) {
+        await database.run(
+          'UPDATE scheduled_tasks SET name = ?, schedule = ?, next_run_at = ?, updated_at = CURRENT_TIMESTAMP WHERE key = ?',
+          [name, library.scan_schedule, getNextRun(library.scan_schedule)?.toISOString() ?? null, key]
+        );
+      } else {
+        await database.run('UPDATE scheduled_tasks SET name = ? WHERE key = ?', [name, key]);
+      }
+    }
+
+    // Libraries that were deleted or lost their schedule
+    for (const key of existing.keys()) {
+      await database.run('DELETE FROM scheduled_tasks WHERE key = ?', [key]);
+    }
+  }
+
+  /**
+   * Get all tasks with their schedule and last run
+   * @returns {Promise<Array<Object>>} Tasks
+   */
+  async getTasks() {
+    await this.syncLibraryTasks();
+
+    const tasks = await database.all('SELECT * FROM scheduled_tasks ORDER BY key');
+    return tasks.map(task => this.formatTask(task));
+  }
+
+  /**
+   * Get a task with its schedule and last run
+   * @param {string} key - Task key
+   * @returns {Promise<Object|null>} Task, or null if not found
+   */
+  async getTask(key) {
+    const task = await database.get('SELECT * FROM scheduled_tasks WHERE key = ?', [key]);
+    return task ? this.formatTask(task) : null;
+  }
+
+  /**
+   * Change the schedule or enabled flag of a task.
+   * Library scan schedules are written back to their library.
+   * @param {string} key - Task key
+   * @param {Object} changes - { schedule, enabled }
+   * @returns {Promise<Object|null>} Updated task, or null if not found
+   */
+  async updateTask(key, { schedule, enabled }) {
+    const task = await database.get('SELECT * FROM scheduled_tasks WHERE key = ?', [key]);
+    if (!task) {
+      return null;
+    }
+
+    if (schedule !== undefined) {
+      if (!isValidCron(schedule)) {
+        throw new Error('Invalid cron expression');
+      }
+
+      if (key.startsWith(LIBRARY_TASK_PREFIX)) {
+        await database.run(
+          'UPDATE libraries SET scan_schedule = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+          [schedule, key.slice(LIBRARY_TASK_PREFIX.length)]
+        );
+      }
+
+      await database.run(
+        'UPDATE scheduled_tasks SET schedule = ?, next_run_at = ?, updated_at = CURRENT_TIMESTAMP WHERE key = ?',
+        [schedule, getNextRun(schedule)?.toISOString() ?? null, key]
+      );
+    }
+
+    if (enabled !== undefined) {
+      // Re-enabled tasks wait for their next slot instead of catching up
+      const nextRun = getNextRun(schedule ?? task.schedule);
+
+      await database.run(
+        'UPDATE scheduled_tasks SET enabled = ?, next_run_at = ?, updated_at = CURRENT_TIMESTAMP WHERE key = ?',
+        [enabled ? 1 : 0, nextRun?.toISOString() ?? null, key]
+      );
+    }
+
+    return this.getTask(key);
+  }
+
+  /**
+   * Run a task now and record its outcome
+   * @param {string} key - Task key
+   * @returns {Promise<Object>} Task result
+   * @throws {Error} If the task is unknown, already running or fails
+   */
+  async runTask(key) {
+    // Claimed before the first await, so two callers cannot both start the task
+    if (this.running.has(key)) {
+      throw new Error(`Task is already running: ${key}`);
+    }
+
+    this.running.add(key);
+
+    try {
+      return await this.executeTask(key);
+    } finally {
+      this.running.delete(key);
+    }
+  }
+
+  /**
+   * Run a task and record its outcome (the caller has marked it running)
+   * @param {string} key - Task key
+   * @returns {Promise<Object>} Task result
+   * @throws {Error} If the task is unknown or fails
+   */
+  async executeTask(key) {
+    const task = await database.get('SELECT * FROM scheduled_tasks WHERE key = ?', [key]);
+    const run = task && this.getHandler(key);
+
+    if (!run) {
+      throw new Error(`Unknown task: ${key}`);
+    }
+
+    const startedAt = new Date();
+
+    await database.run(
+      `UPDATE scheduled_tasks
+       SET last_run_at = ?, last_status = 'running', last_error = NULL, next_run_at = ?
+       WHERE key = ?`,
+      [startedAt.toISOString(), getNextRun(task.schedule, startedAt)?.toISOString() ?? null, key]
+    );
+
+    console.log(`⏱️  Running task: ${task.name}`);
+
+    try {
+      const result = await run();
+
+      await database.run(
+        `UPDATE scheduled_tasks
+         SET last_status = 'success', last_duration_ms = ?, last_result = ?
+         WHERE key = ?`,
+        [Date.now() - startedAt.getTime(), result === undefined ? null : JSON.stringify(result), key]
+      );
+
+      return result;
+    } catch (error) {
+      console.error(`Task ${task.name} failed:`, error.message);
+
+      await database.run(
+        `UPDATE scheduled_tasks
+         SET last_status = 'failed', last_duration_ms = ?, last_error = ?, last_result = NULL
+         WHERE key = ?`,
+        [Date.now() - startedAt.getTime(), error.message, key]
+      );
+
+      throw error;
+    }
+  }
+
+  /**
+   * Find the function that runs a task
+   * @param {string} key - Task key
+   * @returns {Function|null} Handler
+   */
+  getHandler(key) {
+    if (key.startsWith(LIBRARY_TASK_PREFIX)) {
+      const libraryId = key.slice(LIBRARY_TASK_PREFIX.length);
+
+      return async () => {
+        if (scannerService.isScanning) {
+          throw new Error('Scan already in progress');
+        }
+        return libraryService.scanLibrary(libraryId);
+      };
+    }
+
+    return this.tasks[key]?.run || null;
+  }
+
+  /**
+   * Look up metadata for items that no metadata provider has matched yet.
+   * Home videos are skipped, they have nothing to match, and so are later parts of
+   * multi-part movies, which share the metadata of their first part, and items
+   * waiting in the match review queue.
+   * @returns {Promise<Object>} Batch results
+   */
+  async refreshUnmatchedMetadata() {
+    if (!metadataService.hasAvailableProvider()) {
+      return { skipped: true, reason: 'No metadata provider available' };
+    }
+
+    const items = await database.all(
+      `SELECT m.id, m.file_path
+       FROM media_items m
+       LEFT JOIN libraries l ON m.library_id = l.id
+       WHERE m.tmdb_id IS NULL
+         AND m.metadata_provider IS NULL
+         AND m.type IN ('movie', 'episode')
+         AND m.missing = 0
+         AND m.parent_id IS NULL
+         AND (l.type IS NULL OR l.type != 'home_videos')
+         AND m.id NOT IN (SELECT media_item_id FROM metadata_matches WHERE status = 'pending')
+       ORDER BY m.added_at DESC
+       LIMIT ?`,
+      [METADATA_REFRESH_LIMIT]
+    );
+
+    const { total, processed, matched, queued, failed } = await metadataService.batchProcess(items);
+    return { total, processed, matched, queued, failed };
+  }
+
+  /**
+   * Shape a scheduled_tasks row for API responses
+   * @param {Object} task - scheduled_tasks row
+   * @returns {Object} Task
+   */
+  formatTask(task) {
+    let lastResult = null;
+    try {
+      lastResult = task.last_result ? JSON.parse(task.last_result) : null;
+    } catch {
+      lastResult = task.last_result;
+    }
+
+    return {
+      key: task.key,
+      name: task.name,
+      schedule: task.schedule,
+      enabled: Boolean(task.enabled),
+      running: this.running.has(task.key),
+      lastRunAt: task.last_run_at,
+      lastStatus: task.last_status,
+      lastDurationMs: task.last_duration_ms,
+      lastError: task.last_error,
+      lastResult,
+      nextRunAt: task.enabled ? task.next_run_at : null
+    };
+  }
+}
+
+// Export singleton instance
+const schedulerService = new SchedulerService();
+export default schedulerService;
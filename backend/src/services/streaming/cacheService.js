@@ -306,6 +306,23 @@ class CacheService {
       console.error('Error removing transcoded files:', error);
     }
 
+    // Remove converted subtitles
+    const subtitleDir = join(CACHE_DIR, 'subtitles');
+    try {
+      if (existsSync(subtitleDir)) {
+        for (const file of readdirSync(subtitleDir)) {
+          if (file.startsWith(`${mediaItemId}_`)) {
+            const filePath = join(subtitleDir, file);
+            freedSpace += statSync(filePath).size;
+            unlinkSync(filePath);
+            deletedFiles++;
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error removing converted subtitles:', error);
+    }
+
     this.updateCacheStats();
 
     return {
@@ -335,10 +352,4 @@ class CacheService {
 
 // Export singleton instance
 const cacheService = new CacheService();
-
-// Schedule automatic maintenance every 6 hours
-setInterval(() => {
-  cacheService.performMaintenance();
-}, 6 * 60 * 60 * 1000);
-
 export default cacheService;
@@ -38,9 +38,7 @@ class DirectStreamService {
 
       if (range) {
         // Parse range header
-        const parts = range.replace(/bytes=/, '').split('-');
-        const start = parseInt(parts[0], 10);
-        const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+        const { start, end } = this.parseRange(range, fileSize);
         const chunkSize = (end - start) + 1;
 
         // Create read stream for range
@@ -90,6 +88,85 @@ class DirectStreamService {
     }
   }
 
+  /**
+   * Parse an HTTP Range header
+   * @param {string} range - Range header value (e.g. "bytes=0-1023", or "bytes=-500"
+   *   for the last 500 bytes)
+   * @param {number} fileSize - Total file size in bytes
+   * @returns {Object} Inclusive { start, end } byte offsets
+   */
+  parseRange(range, fileSize) {
+    const parts = range.replace(/bytes=/, '').split('-');
+
+    // Suffix range: players probe the moov atom at the end of the file this way
+    if (parts[0] === '' && parts[1]) {
+      const suffix = parseInt(parts[1], 10);
+      return { start: Math.max(fileSize - suffix, 0), end: fileSize - 1 };
+    }
+
+    const start = parseInt(parts[0], 10) || 0;
+    const end = parts[1] ? Math.min(parseInt(parts[1], 10), fileSize - 1) : fileSize - 1;
+
+    return { start, end };
+  }
+
+  /**
+   * Stream a file from a network source with HTTP range support
+   * @param {BaseProtocolClient} client - Connected client dedicated to this request
+   * @param {string} filePath - Remote file path
+   * @param {number} fileSize - File size in bytes
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   * @param {string} mimeType - Content type, when the path has no usable extension
+   */
+  async streamRemoteFile(client, filePath, fileSize, req, res, mimeType = null) {
+    try {
+      const range = req.headers.range;
+      const { start, end } = range
+        ? this.parseRange(range, fileSize)
+        : { start: 0, end: fileSize - 1 };
+
+      if (start >= fileSize || start > end) {
+        res.writeHead(416, { 'Content-Range': `bytes */${fileSize}` });
+        res.end();
+        await client.disconnect();
+        return;
+      }
+
+      const stream = await client.getFileStream(filePath, { start, end });
+
+      const headers = {
+        'Content-Length': (end - start) + 1,
+        'Content-Type': mimeType || this.getMimeType(filePath),
+        'Accept-Ranges': 'bytes'
+      };
+
+      if (range) {
+        headers['Content-Range'] = `bytes ${start}-${end}/${fileSize}`;
+      }
+
+      res.writeHead(range ? 206 : 200, headers);
+      stream.pipe(res);
+
+      stream.on('error', (error) => {
+        console.error('Remote stream error:', error);
+        res.destroy(error);
+      });
+
+      // Players abort range requests constantly while seeking
+      res.on('close', () => {
+        stream.destroy();
+        client.disconnect();
+      });
+    } catch (error) {
+      console.error('Error streaming remote file:', error);
+      await client.disconnect();
+      if (!res.headersSent) {
+        res.status(502).json({ error: 'Failed to stream from network source' });
+      }
+    }
+  }
+
   /**
    * Stream with bandwidth throttling (optional)
    * @param {string} filePath - Path to video file
@@ -107,9 +184,7 @@ class DirectStreamService {
       let end = fileSize - 1;
 
       if (range) {
-        const parts = range.replace(/bytes=/, '').split('-');
-        start = parseInt(parts[0], 10);
-        end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
+        ({ start, end } = this.parseRange(range, fileSize));
       }
 
       const chunkSize = (end - start) + 1;
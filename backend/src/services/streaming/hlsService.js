@@ -2,7 +2,9 @@ import ffmpeg from 'fluent-ffmpeg';
 import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
 import ffprobeInstaller from '@ffprobe-installer/ffprobe';
 import { join } from 'path';
-import { mkdirSync, existsSync, readFileSync, readdirSync } from 'fs';
+import { mkdirSync, existsSync, readFileSync, renameSync, rmSync } from 'fs';
+import videoProbeService from './videoProbeService.js';
+import subtitleService from './subtitleService.js';
 
 // Set FFmpeg and FFprobe paths
 ffmpeg.setFfmpegPath(ffmpegInstaller.path);
@@ -10,10 +12,26 @@ ffmpeg.setFfprobePath(ffprobeInstaller.path);
 
 const CACHE_DIR = process.env.CACHE_DIR || './data/cache';
 const SEGMENT_DURATION = parseInt(process.env.HLS_SEGMENT_DURATION) || 10;
+const AUDIO_BITRATE = '128k';
+// Segments this far ahead of an on-demand encode are waited for instead of restarting ffmpeg
+const JIT_LOOKAHEAD_SEGMENTS = 5;
+const JIT_SEGMENT_TIMEOUT = 60 * 1000;
+const JIT_IDLE_TIMEOUT = 60 * 1000;
+// ffmpeg creates segment files before they are complete, so every encoder writes
+// to its own directory in here and finished segments are moved to the rendition
+const STAGING_DIR = 'encoding';
+
+// Video renditions with a burned-in subtitle are labelled <quality>_sub<stream index>
+const BURN_IN_LABEL_PATTERN = /^(.+)_sub(\d+)$/;
 
 class HLSService {
   constructor() {
-    this.activeStreams = new Map();
+    // On-demand encoders by session number. Each belongs to the playback that started
+    // it, so a viewer who seeks only restarts their own encoder.
+    this.jitSessions = new Map();
+    this.jitSessionCount = 0;
+    // Probe results for on-demand playlists keyed by media item ID
+    this.jitSources = new Map();
     this.ensureCacheDir();
   }
 
@@ -27,222 +45,509 @@ class HLSService {
   }
 
   /**
-   * Generate HLS playlist and segments
-   * @param {string} inputPath - Input video path
-   * @param {string} mediaItemId - Media item ID
-   * @param {Object} options - HLS options
-   * @returns {Promise<string>} Playlist path
+   * Build the rendition ladder for a video
+   * @param {Object} videoInfo - Parsed metadata from videoProbeService
+   * @returns {Array<Object>} Renditions ({ label, width, height, bitrate })
    */
-  async generateHLS(inputPath, mediaItemId, options = {}) {
-    const {
-      resolution = '1280x720',
-      videoBitrate = '2500k',
-      audioBitrate = '128k',
-      segmentDuration = SEGMENT_DURATION
-    } = options;
-
-    const hlsDir = join(CACHE_DIR, `hls_${mediaItemId}`);
-    const playlistPath = join(hlsDir, 'playlist.m3u8');
-    const segmentPattern = join(hlsDir, 'segment%03d.ts');
-
-    // Check if HLS already generated
-    if (existsSync(playlistPath)) {
-      console.log(`Using existing HLS playlist: ${playlistPath}`);
-      return playlistPath;
+  buildLadder(videoInfo) {
+    if (!videoInfo.video) return [];
+
+    const ladder = videoProbeService.getAvailableQualities(videoInfo);
+
+    // Sources below the smallest rung still get a single rendition at their own size
+    if (ladder.length === 0) {
+      const { width, height } = videoInfo.video;
+      ladder.push({
+        label: `${height}p`,
+        width: Math.round(width / 2) * 2,
+        height: Math.round(height / 2) * 2,
+        bitrate: '600k'
+      });
     }
 
-    // Create HLS directory
-    if (!existsSync(hlsDir)) {
-      mkdirSync(hlsDir, { recursive: true });
+    return ladder;
+  }
+
+  /**
+   * Build one audio rendition per audio track.
+   * Files with a single track keep their audio muxed into the video renditions.
+   * @param {Object} videoInfo - Parsed metadata from videoProbeService
+   * @returns {Array<Object>} Audio renditions ({ type, label, track, name, language, default, bitrate })
+   */
+  buildAudioRenditions(videoInfo) {
+    const tracks = videoInfo.audioTracks || [];
+    if (tracks.length < 2) return [];
+
+    const defaultIndex = Math.max(tracks.findIndex(track => track.default), 0);
+    const names = tracks.map(track => track.title || track.language.toUpperCase());
+
+    return tracks.map((track, i) => ({
+      type: 'audio',
+      label: `audio${track.index}`,
+      track: track.index,
+      // NAME must be unique within the group
+      name: names.indexOf(names[i]) === names.lastIndexOf(names[i]) ? names[i] : `${names[i]} (${i + 1})`,
+      language: track.language,
+      channels: track.channels,
+      default: i === defaultIndex,
+      bitrate: AUDIO_BITRATE
+    }));
+  }
+
+  /**
+   * Derive the rendition of a video rung that has an image-based subtitle burned in.
+   * It gets its own label, so its segments are cached apart from the clean rung.
+   * @param {Object} quality - Rendition from prepareJIT()
+   * @param {number} streamIndex - Position among the subtitle streams
+   * @returns {Object} Rendition
+   */
+  withBurnIn(quality, streamIndex) {
+    return {
+      ...quality,
+      label: `${quality.label}_sub${streamIndex}`,
+      burnSubtitle: streamIndex
+    };
+  }
+
+  /**
+   * Find a video or audio rendition by label
+   * @param {Object} source - Result of prepareJIT()
+   * @param {string} label - Rendition label from the URL
+   * @returns {Object|undefined} Rendition
+   */
+  findRendition(source, label) {
+    const burnIn = label.match(BURN_IN_LABEL_PATTERN);
+    if (burnIn) {
+      const streamIndex = parseInt(burnIn[2], 10);
+      const quality = source.ladder.find(q => q.label === burnIn[1]);
+      return quality && source.imageSubtitles.includes(streamIndex)
+        ? this.withBurnIn(quality, streamIndex)
+        : undefined;
     }
 
-    return new Promise((resolve, reject) => {
-      const command = ffmpeg(inputPath)
-        .videoCodec('libx264')
+    return source.ladder.find(quality => quality.label === label)
+      || source.audioRenditions.find(rendition => rendition.label === label);
+  }
+
+  /**
+   * Describe a rendition for the master playlist
+   * @param {Object} quality - Rendition from buildLadder()
+   * @returns {Object} Playlist info
+   */
+  describeRendition(quality) {
+    return {
+      path: `${quality.label}/playlist.m3u8`,
+      bandwidth: parseBitrate(quality.bitrate) + parseBitrate(AUDIO_BITRATE),
+      resolution: `${quality.width}x${quality.height}`,
+      // Renditions without their own audio play the audio group's track
+      audioGroup: quality.muxAudio === false ? 'audio' : null
+    };
+  }
+
+  /**
+   * Describe an audio rendition for the master playlist
+   * @param {Object} rendition - Rendition from buildAudioRenditions()
+   * @returns {Object} EXT-X-MEDIA info
+   */
+  describeAudioRendition(rendition) {
+    return {
+      path: `${rendition.label}/playlist.m3u8`,
+      groupId: 'audio',
+      name: rendition.name,
+      language: rendition.language,
+      default: rendition.default
+    };
+  }
+
+  /**
+   * Apply the encoder settings of a rendition to the current ffmpeg output.
+   * Every encoder of a rendition uses them, so their segments are interchangeable.
+   * @param {FfmpegCommand} command - fluent-ffmpeg command positioned on the output
+   * @param {Object} quality - Rendition from buildLadder()
+   * @param {string} outputDir - Directory the segments are written to
+   * @param {number} segmentDuration - Segment duration in seconds
+   * @param {number} startNumber - Index of the first segment written
+   * @returns {FfmpegCommand}
+   */
+  applyRenditionOptions(command, quality, outputDir, segmentDuration, startNumber = 0) {
+    const segmentOptions = [
+      `-hls_time ${segmentDuration}`,
+      '-hls_list_size 0',
+      '-hls_segment_type mpegts',
+      `-hls_segment_filename ${join(outputDir, 'segment%03d.ts')}`,
+      `-start_number ${startNumber}`
+    ];
+
+    if (quality.type === 'audio') {
+      return command
+        .noVideo()
         .audioCodec('aac')
-        .size(resolution)
-        .videoBitrate(videoBitrate)
-        .audioBitrate(audioBitrate)
+        .audioBitrate(quality.bitrate)
+        .audioChannels(2)
         .format('hls')
-        .outputOptions([
-          `-hls_time ${segmentDuration}`,
-          '-hls_list_size 0', // Include all segments
-          '-hls_segment_type mpegts',
-          '-start_number 0',
-          '-sc_threshold 0', // Disable scene change detection
-          '-g 48', // Keyframe interval
-          '-keyint_min 48'
-        ])
-        .output(playlistPath);
-
-      // Store active stream
-      this.activeStreams.set(mediaItemId, command);
-
-      // Progress tracking
-      command.on('progress', (progress) => {
-        console.log(`HLS generation progress: ${progress.percent}%`);
-      });
+        .outputOptions([`-map 0:a:${quality.track}`, ...segmentOptions]);
+    }
 
-      // Handle completion
-      command.on('end', () => {
-        console.log(`HLS generation completed: ${playlistPath}`);
-        this.activeStreams.delete(mediaItemId);
-        resolve(playlistPath);
-      });
+    const { bitrate, width, height } = quality;
 
-      // Handle errors
-      command.on('error', (err) => {
-        console.error('HLS generation error:', err);
-        this.activeStreams.delete(mediaItemId);
-        reject(err);
-      });
+    command
+      .videoCodec('libx264')
+      .videoBitrate(bitrate)
+      .format('hls');
 
-      // Start generation
-      command.run();
-    });
+    // Burn-in renditions are only encoded on demand, one output per ffmpeg,
+    // so the (command-wide) filter graph cannot leak into other renditions
+    if (quality.burnSubtitle !== undefined) {
+      command.complexFilter(subtitleService.getBurnInFilter(quality.burnSubtitle, width, height));
+    } else {
+      command.size(`${width}x${height}`);
+    }
+
+    if (quality.muxAudio === false) {
+      command.noAudio();
+    } else {
+      command.audioCodec('aac').audioBitrate(AUDIO_BITRATE);
+    }
+
+    return command
+      .outputOptions([
+        quality.burnSubtitle !== undefined ? '-map [v]' : '-map 0:v:0',
+        ...(quality.muxAudio === false ? [] : ['-map 0:a:0?']),
+        '-preset veryfast',
+        '-pix_fmt yuv420p', // 10-bit and 4:4:4 sources won't decode in browsers
+        `-maxrate ${bitrate}`,
+        `-bufsize ${parseBitrate(bitrate) * 2}`,
+        ...segmentOptions,
+        // Keyframes on segment boundaries keep renditions switchable
+        `-force_key_frames expr:gte(t,n_forced*${segmentDuration})`,
+        '-sc_threshold 0'
+      ]);
   }
 
   /**
-   * Generate adaptive HLS with multiple quality levels
-   * @param {string} inputPath - Input video path
+   * Probe a media item for on-demand HLS, reusing earlier results
    * @param {string} mediaItemId - Media item ID
-   * @param {Array<Object>} qualities - Array of quality configurations
-   * @returns {Promise<string>} Master playlist path
+   * @param {string} inputPath - Input video path
+   * @returns {Promise<Object>} Duration in seconds, rendition ladder, audio renditions and
+   *   the image-based subtitle streams that can be burned in
+   */
+  async prepareJIT(mediaItemId, inputPath) {
+    const cached = this.jitSources.get(mediaItemId);
+    if (cached && cached.inputPath === inputPath) {
+      return cached;
+    }
+
+    const videoInfo = await videoProbeService.getVideoInfo(inputPath);
+    const audioRenditions = this.buildAudioRenditions(videoInfo);
+    const source = {
+      inputPath,
+      duration: videoInfo.duration,
+      // With an audio group the video renditions carry no audio of their own
+      ladder: this.buildLadder(videoInfo).map(quality => ({ ...quality, muxAudio: audioRenditions.length === 0 })),
+      audioRenditions,
+      imageSubtitles: videoInfo.subtitleTracks
+        .filter(track => subtitleService.isImageTrack(track))
+        .map(track => track.index)
+    };
+
+    this.jitSources.set(mediaItemId, source);
+    return source;
+  }
+
+  /**
+   * Generate a complete VOD playlist for a rendition from the source duration.
+   * Segment N always covers [N * segmentDuration, (N + 1) * segmentDuration).
+   * @param {number} duration - Source duration in seconds
+   * @param {number} segmentDuration - Segment duration in seconds
+   * @returns {string} M3U8 content
    */
-  async generateAdaptiveHLS(inputPath, mediaItemId, qualities) {
-    const hlsDir = join(CACHE_DIR, `hls_${mediaItemId}`);
-    const masterPlaylist = join(hlsDir, 'master.m3u8');
+  generateRenditionPlaylist(duration, segmentDuration = SEGMENT_DURATION) {
+    const segmentCount = Math.max(Math.ceil(duration / segmentDuration), 1);
 
-    // Create HLS directory
-    if (!existsSync(hlsDir)) {
-      mkdirSync(hlsDir, { recursive: true });
+    let content = '#EXTM3U\n';
+    content += '#EXT-X-VERSION:3\n';
+    content += `#EXT-X-TARGETDURATION:${segmentDuration}\n`;
+    content += '#EXT-X-MEDIA-SEQUENCE:0\n';
+    content += '#EXT-X-PLAYLIST-TYPE:VOD\n';
+
+    for (let i = 0; i < segmentCount; i++) {
+      const length = Math.min(segmentDuration, duration - i * segmentDuration);
+      content += `#EXTINF:${Math.max(length, 0.001).toFixed(6)},\n`;
+      content += `${formatSegmentName(i)}\n`;
     }
 
-    // Generate HLS for each quality
-    const playlists = [];
-    for (const quality of qualities) {
-      const qualityDir = join(hlsDir, quality.label);
-      const playlistPath = join(qualityDir, 'playlist.m3u8');
+    content += '#EXT-X-ENDLIST\n';
+    return content;
+  }
 
-      if (!existsSync(qualityDir)) {
-        mkdirSync(qualityDir, { recursive: true });
-      }
+  /**
+   * Get a segment, encoding it on demand.
+   * A running encoder of the rendition that will reach the segment shortly is
+   * waited for, whichever playback started it; otherwise the playback's own
+   * encoder is restarted at the segment's offset.
+   * @param {string} mediaItemId - Media item ID
+   * @param {string} inputPath - Input video path
+   * @param {Object} quality - Rendition from prepareJIT()
+   * @param {number} index - Segment index
+   * @param {string} playbackId - Playback the request belongs to
+   * @returns {Promise<string>} Segment path
+   */
+  async getJITSegment(mediaItemId, inputPath, quality, index, playbackId) {
+    const qualityDir = this.getRenditionDir(mediaItemId, quality);
+    const segmentPath = join(qualityDir, formatSegmentName(index));
+    const owner = `${mediaItemId}_${quality.label}_${playbackId}`;
+    const encoders = [...this.jitSessions.values()].filter(session => session.qualityDir === qualityDir);
+    const own = encoders.find(session => session.owner === owner);
+
+    for (const session of encoders) {
+      this.collectSegments(session);
+    }
 
-      try {
-        await this.generateHLS(inputPath, `${mediaItemId}_${quality.label}`, {
-          resolution: `${quality.width}x${quality.height}`,
-          videoBitrate: quality.bitrate,
-          audioBitrate: '128k'
-        });
-
-        playlists.push({
-          path: `${quality.label}/playlist.m3u8`,
-          bandwidth: quality.bandwidth,
-          resolution: `${quality.width}x${quality.height}`
-        });
-      } catch (error) {
-        console.error(`Error generating HLS for ${quality.label}:`, error);
-      }
+    if (existsSync(segmentPath)) {
+      if (own) own.lastAccess = Date.now();
+      return segmentPath;
     }
 
-    // Create master playlist
-    const masterContent = this.generateMasterPlaylist(playlists);
-    require('fs').writeFileSync(masterPlaylist, masterContent);
+    let session = [own, ...encoders].find(candidate => candidate && this.isSegmentAhead(candidate, index));
+    if (!session) {
+      session = this.startJITSession(owner, inputPath, quality, qualityDir, index);
+    }
 
-    return masterPlaylist;
+    session.lastAccess = Date.now();
+    await this.waitForSegment(session, segmentPath);
+    return segmentPath;
   }
 
   /**
-   * Generate master playlist content
-   * @param {Array<Object>} playlists - Array of playlist info
-   * @returns {string} M3U8 content
+   * Check whether a running encoder will reach a segment soon
+   * @param {Object} session - On-demand encoder session
+   * @param {number} index - Requested segment index
+   * @returns {boolean}
    */
-  generateMasterPlaylist(playlists) {
-    let content = '#EXTM3U\n';
-    content += '#EXT-X-VERSION:3\n\n';
-
-    for (const playlist of playlists) {
-      content += `#EXT-X-STREAM-INF:BANDWIDTH=${playlist.bandwidth},RESOLUTION=${playlist.resolution}\n`;
-      content += `${playlist.path}\n\n`;
+  isSegmentAhead(session, index) {
+    if (session.finished || index < session.startIndex) {
+      return false;
     }
 
-    return content;
+    return index <= session.producedIndex + JIT_LOOKAHEAD_SEGMENTS;
   }
 
   /**
-   * Get playlist content
-   * @param {string} playlistPath - Path to playlist file
-   * @returns {string} Playlist content
+   * Move the segments an encoder has finished into the rendition directory.
+   * ffmpeg lists a segment in its playlist once the segment is complete.
+   * @param {Object} session - On-demand encoder session
    */
-  getPlaylist(playlistPath) {
-    try {
-      return readFileSync(playlistPath, 'utf8');
-    } catch (error) {
-      console.error('Error reading playlist:', error);
-      throw new Error('Playlist not found');
+  collectSegments(session) {
+    const playlistPath = join(session.stagingDir, 'playlist.m3u8');
+    if (!existsSync(playlistPath)) return;
+
+    const names = readFileSync(playlistPath, 'utf8')
+      .split('\n')
+      .filter(line => line.endsWith('.ts'));
+
+    for (const name of names) {
+      const stagedPath = join(session.stagingDir, name);
+      if (existsSync(stagedPath)) {
+        renameSync(stagedPath, join(session.qualityDir, name));
+        session.producedIndex = Math.max(session.producedIndex, parseInt(name.match(/\d+/)[0], 10));
+      }
     }
   }
 
   /**
-   * Get segment file
-   * @param {string} mediaItemId - Media item ID
-   * @param {string} segmentName - Segment filename
-   * @param {string} quality - Quality level (optional)
-   * @returns {string} Segment path
+   * Start (or restart) the on-demand encoder of a playback at a segment.
+   * The playback's previous encoder is stopped, unless other requests are still
+   * waiting on it; then it is left to finish them and stopped once idle.
+   * @param {string} owner - `${mediaItemId}_${quality}_${playbackId}`
+   * @param {string} inputPath - Input video path
+   * @param {Object} quality - Rendition from buildLadder()
+   * @param {string} qualityDir - Rendition directory in the cache
+   * @param {number} startIndex - First segment to encode
+   * @returns {Object} Session
    */
-  getSegment(mediaItemId, segmentName, quality = null) {
-    const basePath = join(CACHE_DIR, `hls_${mediaItemId}`);
-    const segmentPath = quality
-      ? join(basePath, quality, segmentName)
-      : join(basePath, segmentName);
-
-    if (!existsSync(segmentPath)) {
-      throw new Error('Segment not found');
+  startJITSession(owner, inputPath, quality, qualityDir, startIndex) {
+    for (const previous of this.jitSessions.values()) {
+      if (previous.owner !== owner) continue;
+
+      if (previous.waiters > 0) {
+        previous.owner = null;
+      } else {
+        this.stopJITSession(previous);
+      }
     }
 
-    return segmentPath;
+    // Every encoder gets a fresh directory, so one that is still being killed
+    // cannot mix its files into another
+    const id = ++this.jitSessionCount;
+    const stagingDir = join(qualityDir, STAGING_DIR, String(id));
+    mkdirSync(stagingDir, { recursive: true });
+
+    const startTime = startIndex * SEGMENT_DURATION;
+    const command = ffmpeg(inputPath).seekInput(startTime);
+
+    this.applyRenditionOptions(
+      command.output(join(stagingDir, 'playlist.m3u8')),
+      quality,
+      stagingDir,
+      SEGMENT_DURATION,
+      startIndex
+    ).addOutputOption(`-output_ts_offset ${startTime}`); // Keep timestamps on the playlist timeline
+
+    const session = {
+      id,
+      owner,
+      command,
+      qualityDir,
+      stagingDir,
+      startIndex,
+      producedIndex: startIndex - 1,
+      lastAccess: Date.now(),
+      waiters: 0,
+      finished: false,
+      stopped: false,
+      error: null
+    };
+
+    command.on('start', () => {
+      console.log(`[HLS] On-demand ${quality.label} encode from segment ${startIndex} (${startTime}s)`);
+    });
+
+    // Unfinished segments of a stopped or failed encoder are discarded
+    const finish = () => {
+      session.finished = true;
+      rmSync(stagingDir, { recursive: true, force: true });
+      this.jitSessions.delete(id);
+    };
+
+    command.on('end', () => {
+      this.collectSegments(session);
+      finish();
+    });
+
+    command.on('error', (err) => {
+      if (!session.stopped) {
+        console.error(`[HLS] On-demand ${quality.label} encode error:`, err.message);
+        session.error = err;
+      }
+      finish();
+    });
+
+    this.jitSessions.set(id, session);
+    command.run();
+
+    return session;
   }
 
   /**
-   * List available segments
-   * @param {string} mediaItemId - Media item ID
-   * @param {string} quality - Quality level (optional)
-   * @returns {Array<string>} Segment filenames
+   * Stop an on-demand encoder
+   * @param {Object} session - On-demand encoder session
    */
-  listSegments(mediaItemId, quality = null) {
-    const basePath = join(CACHE_DIR, `hls_${mediaItemId}`);
-    const dir = quality ? join(basePath, quality) : basePath;
+  stopJITSession(session) {
+    session.stopped = true;
+    session.command.kill('SIGKILL');
+    this.jitSessions.delete(session.id);
+  }
 
-    if (!existsSync(dir)) {
-      return [];
+  /**
+   * Stop on-demand encoders nobody has requested segments from recently
+   */
+  stopIdleJITSessions() {
+    const now = Date.now();
+
+    for (const session of this.jitSessions.values()) {
+      if (session.waiters === 0 && now - session.lastAccess > JIT_IDLE_TIMEOUT) {
+        console.log(`[HLS] Stopping idle on-demand encode: ${session.owner ?? session.stagingDir}`);
+        this.stopJITSession(session);
+      }
     }
+  }
+
+  /**
+   * Wait until an encoder has written a segment
+   * @param {Object} session - On-demand encoder session
+   * @param {string} segmentPath - Segment path
+   * @returns {Promise<void>}
+   */
+  waitForSegment(session, segmentPath) {
+    const startedAt = Date.now();
+    session.waiters++;
+
+    return new Promise((resolve, reject) => {
+      const check = () => {
+        this.collectSegments(session);
+
+        if (existsSync(segmentPath)) {
+          return resolve();
+        }
+
+        if (session.error) {
+          return reject(session.error);
+        }
+
+        if (session.finished) {
+          return reject(new Error('Segment not found'));
+        }
+
+        if (Date.now() - startedAt > JIT_SEGMENT_TIMEOUT) {
+          return reject(new Error('Timed out waiting for segment'));
+        }
+
+        setTimeout(check, 200);
+      };
 
-    return readdirSync(dir).filter(file => file.endsWith('.ts'));
+      check();
+    }).finally(() => {
+      session.waiters--;
+    });
   }
 
   /**
-   * Cancel active HLS generation
-   * @param {string} mediaItemId - Media item ID
-   * @returns {boolean} True if cancelled
+   * Generate master playlist content
+   * @param {Array<Object>} playlists - Array of playlist info
+   * @returns {string} M3U8 content
    */
-  cancelGeneration(mediaItemId) {
-    const command = this.activeStreams.get(mediaItemId);
-    if (command) {
-      command.kill('SIGKILL');
-      this.activeStreams.delete(mediaItemId);
-      return true;
+  generateMasterPlaylist(playlists, audioMedia = []) {
+    let content = '#EXTM3U\n';
+    content += '#EXT-X-VERSION:3\n\n';
+
+    for (const media of audioMedia) {
+      const attributes = [
+        'TYPE=AUDIO',
+        `GROUP-ID="${media.groupId}"`,
+        `NAME="${media.name.replace(/"/g, "'")}"`,
+        `LANGUAGE="${media.language}"`,
+        `DEFAULT=${media.default ? 'YES' : 'NO'}`,
+        'AUTOSELECT=YES',
+        'CHANNELS="2"', // Audio renditions are downmixed to stereo
+        `URI="${media.path}"`
+      ];
+      content += `#EXT-X-MEDIA:${attributes.join(',')}\n`;
+    }
+
+    if (audioMedia.length > 0) {
+      content += '\n';
+    }
+
+    for (const playlist of playlists) {
+      const audio = playlist.audioGroup ? `,AUDIO="${playlist.audioGroup}"` : '';
+      content += `#EXT-X-STREAM-INF:BANDWIDTH=${playlist.bandwidth},RESOLUTION=${playlist.resolution}${audio}\n`;
+      content += `${playlist.path}\n\n`;
     }
-    return false;
+
+    return content;
   }
 
   /**
-   * Check if HLS exists for media item
+   * Get the cache directory of a rendition.
+   * Video-only renditions get their own directory so they never mix with
+   * segments encoded before the file had an audio group.
    * @param {string} mediaItemId - Media item ID
-   * @returns {boolean} True if exists
+   * @param {Object} quality - Rendition from prepareJIT()
+   * @returns {string} Rendition directory path
    */
-  hlsExists(mediaItemId) {
-    const playlistPath = join(CACHE_DIR, `hls_${mediaItemId}`, 'playlist.m3u8');
-    return existsSync(playlistPath);
+  getRenditionDir(mediaItemId, quality) {
+    const name = quality.muxAudio === false ? `${quality.label}_video` : quality.label;
+    return join(this.getHLSDir(mediaItemId), name);
   }
 
   /**
@@ -255,6 +560,33 @@ class HLSService {
   }
 }
 
+/**
+ * Convert an ffmpeg bitrate string ('2500k') to bits per second
+ * @param {string} bitrate - Bitrate string
+ * @returns {number} Bits per second
+ */
+function parseBitrate(bitrate) {
+  const value = parseFloat(bitrate);
+  if (/m$/i.test(bitrate)) return Math.round(value * 1000000);
+  if (/k$/i.test(bitrate)) return Math.round(value * 1000);
+  return Math.round(value);
+}
+
+/**
+ * Get the file name of a segment
+ * @param {number} index - Segment index
+ * @returns {string} Segment filename (matches ffmpeg's segment%03d.ts)
+ */
+function formatSegmentName(index) {
+  return `segment${String(index).padStart(3, '0')}.ts`;
+}
+
 // Export singleton instance
 const hlsService = new HLSService();
+
+// Reap on-demand encoders of players that went away
+setInterval(() => {
+  hlsService.stopIdleJITSessions();
+}, 15 * 1000).unref();
+
 export default hlsService;
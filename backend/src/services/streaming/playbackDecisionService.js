@@ -0,0 +1,240 @@
+import { extname } from 'path';
+import videoProbeService from './videoProbeService.js';
+
+// What a desktop browser's <video> element plays when the player sends no profile
+const DEFAULT_PROFILE = {
+  containers: ['mp4', 'webm'],
+  videoCodecs: ['h264', 'vp8', 'vp9'],
+  audioCodecs: ['aac', 'mp3', 'opus', 'vorbis'],
+  h264Profiles: ['constrained baseline', 'baseline', 'main', 'high'],
+  maxH264Level: 51,
+  maxHeight: 1080,
+  maxAudioChannels: 2
+};
+
+// Audio codecs that can be copied into the fragmented MP4 of a remux
+const MP4_AUDIO_CODECS = ['aac', 'mp3'];
+
+const PROBE_CACHE_SIZE = 100;
+
+/**
+ * Playback Decision Service
+ * Compares the probed streams of a file with the capabilities of the
+ * requesting client and picks how it is delivered:
+ *  - direct_play: the file is served as-is with range support
+ *  - remux: the video stream is copied into a new container (-c:v copy)
+ *  - transcode: the video is re-encoded
+ */
+class PlaybackDecisionService {
+  constructor() {
+    // Probe results keyed by file path, so range requests do not re-run ffprobe
+    this.probeCache = new Map();
+  }
+
+  /**
+   * Probe a file, reusing earlier results
+   * @param {string} filePath - Path to video file
+   * @returns {Promise<Object>} Parsed metadata from videoProbeService
+   */
+  async probe(filePath) {
+    if (this.probeCache.has(filePath)) {
+      return this.probeCache.get(filePath);
+    }
+
+    const videoInfo = await videoProbeService.getVideoInfo(filePath);
+
+    if (this.probeCache.size >= PROBE_CACHE_SIZE) {
+      this.probeCache.delete(this.probeCache.keys().next().value);
+    }
+    this.probeCache.set(filePath, videoInfo);
+
+    return videoInfo;
+  }
+
+  /**
+   * Build a client profile from request query parameters.
+   * Lists are comma separated, e.g.
+   * ?containers=mp4,webm&videoCodecs=h264,hevc&audioCodecs=aac&maxAudioChannels=6&maxHeight=2160
+   * Missing parameters fall back to the default browser profile.
+   * @param {Object} query - Express request query
+   * @returns {Object} Client profile
+   */
+  parseProfile(query = {}) {
+    const list = (value, fallback) => (value
+      ? String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean)
+      : fallback);
+    const number = (value, fallback) => {
+      const parsed = parseInt(value, 10);
+      return Number.isNaN(parsed) ? fallback : parsed;
+    };
+
+    return {
+      containers: list(query.containers, DEFAULT_PROFILE.containers),
+      videoCodecs: list(query.videoCodecs, DEFAULT_PROFILE.videoCodecs),
+      audioCodecs: list(query.audioCodecs, DEFAULT_PROFILE.audioCodecs),
+      h264Profiles: list(query.h264Profiles, DEFAULT_PROFILE.h264Profiles),
+      maxH264Level: number(query.maxH264Level, DEFAULT_PROFILE.maxH264Level),
+      maxHeight: number(query.maxHeight, DEFAULT_PROFILE.maxHeight),
+      maxAudioChannels: number(query.maxAudioChannels, DEFAULT_PROFILE.maxAudioChannels)
+    };
+  }
+
+  /**
+   * Map an ffprobe format name to a container name.
+   * ffprobe reports "matroska,webm" for both, so the extension decides.
+   * @param {string} formatName - ffprobe format_name
+   * @param {string} filePath - Path to video file
+   * @returns {string} Container name (mp4, webm, mkv, avi, ...)
+   */
+  getContainer(formatName = '', filePath = '') {
+    const formats = formatName.toLowerCase().split(',');
+    const ext = extname(filePath).slice(1).toLowerCase();
+
+    if (formats.includes('matroska')) {
+      return ext === 'webm' ? 'webm' : 'mkv';
+    }
+    if (formats.includes('mp4') || formats.includes('mov')) {
+      return ext === 'mov' ? 'mov' : 'mp4';
+    }
+
+    return formats[0] || ext;
+  }
+
+  /**
+   * Check the video stream against the client profile
+   * @param {Object} video - Video stream from videoProbeService
+   * @param {Object} profile - Client profile
+   * @returns {Array<string>} Reasons the client cannot decode it (empty if it can)
+   */
+  checkVideo(video, profile) {
+    const reasons = [];
+    const codec = (video.codec || '').toLowerCase();
+
+    if (!profile.videoCodecs.includes(codec)) {
+      return [`Video codec ${codec || 'unknown'} is not supported by the client`];
+    }
+
+    if (codec === 'h264') {
+      const h264Profile = (video.profile || '').toLowerCase();
+      if (h264Profile && !profile.h264Profiles.includes(h264Profile)) {
+        reasons.push(`H.264 profile ${video.profile} is not supported by the client`);
+      }
+      if (video.level > profile.maxH264Level) {
+        reasons.push(`H.264 level ${video.level / 10} exceeds the client maximum of ${profile.maxH264Level / 10}`);
+      }
+    }
+
+    if (video.height > profile.maxHeight) {
+      reasons.push(`Resolution ${video.height}p exceeds the client maximum of ${profile.maxHeight}p`);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Check the audio stream against the client profile
+   * @param {Object} audio - Audio stream from videoProbeService
+   * @param {Object} profile - Client profile
+   * @returns {Array<string>} Reasons the client cannot decode it (empty if it can)
+   */
+  checkAudio(audio, profile) {
+    const reasons = [];
+    const codec = (audio.codec || '').toLowerCase();
+
+    if (!profile.audioCodecs.includes(codec)) {
+      reasons.push(`Audio codec ${codec || 'unknown'} is not supported by the client`);
+    }
+    if (audio.channels > profile.maxAudioChannels) {
+      reasons.push(`${audio.channels} audio channels exceed the client maximum of ${profile.maxAudioChannels}`);
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Decide how a file is delivered to a client
+   * @param {Object} videoInfo - Parsed metadata from videoProbeService
+   * @param {Object} profile - Client profile from parseProfile()
+   * @param {string} filePath - Path to video file (used to tell MKV from WebM)
+   * @param {number} audioTrack - Selected audio track (position among the audio streams)
+   * @param {number|null} burnSubtitle - Image-based subtitle stream to burn in (position among the subtitle streams)
+   * @returns {Object} { mode, reason, reasons, container, copyAudio, audioTrack, burnSubtitle }
+   */
+  decide(videoInfo, profile, filePath = '', audioTrack = 0, burnSubtitle = null) {
+    const container = this.getContainer(videoInfo.format, filePath);
+    const audio = videoInfo.audioTracks?.[audioTrack] || videoInfo.audio;
+    const videoReasons = videoInfo.video ? this.checkVideo(videoInfo.video, profile) : [];
+
+    // Bitmap subtitles cannot be sent as a text track, so they are drawn into the video
+    if (burnSubtitle !== null) {
+      videoReasons.push(`Image-based subtitle track ${burnSubtitle + 1} is burned into the video`);
+    }
+    const audioReasons = audio ? this.checkAudio(audio, profile) : [];
+
+    // Browsers always play the first audio track of a file
+    if (audio && audio.index > 0) {
+      audioReasons.push(`Audio track ${audio.index + 1} is not the first track`);
+    }
+
+    const containerReasons = profile.containers.includes(container)
+      ? []
+      : [`Container ${container} is not supported by the client`];
+
+    let mode;
+    let reasons;
+
+    if (videoReasons.length > 0) {
+      mode = 'transcode';
+      reasons = [...videoReasons, ...audioReasons, ...containerReasons];
+    } else if (containerReasons.length > 0 || audioReasons.length > 0) {
+      // The video stream is fine: only the container and maybe the audio need work
+      mode = 'remux';
+      reasons = [...containerReasons, ...audioReasons];
+    } else {
+      mode = 'direct_play';
+      reasons = ['The client supports the container and all streams'];
+    }
+
+    const audioCodec = (audio?.codec || '').toLowerCase();
+    const audioSupported = !audio || this.checkAudio(audio, profile).length === 0;
+
+    return {
+      mode,
+      reason: reasons[0],
+      reasons,
+      container,
+      audioTrack: audio ? audio.index : null,
+      burnSubtitle,
+      // Whether a remux or transcode can keep the original audio
+      copyAudio: audioSupported && MP4_AUDIO_CODECS.includes(audioCodec)
+    };
+  }
+
+  /**
+   * Decide how a file is delivered from its extension alone, for files that are not
+   * probed (network items, which would have to be read over the network) or cannot be.
+   * Browsers don't support Matroska, so MKV is transcoded and the rest served as-is.
+   * @param {string} filePath - Path to video file
+   * @returns {Object} Decision in the shape of decide()
+   */
+  decideByExtension(filePath) {
+    const container = extname(filePath).slice(1).toLowerCase();
+    const reason = container === 'mkv'
+      ? 'Container mkv is not supported by the client (not probed)'
+      : 'Served as-is (not probed)';
+
+    return {
+      mode: container === 'mkv' ? 'transcode' : 'direct_play',
+      reason,
+      reasons: [reason],
+      container,
+      audioTrack: null,
+      burnSubtitle: null,
+      copyAudio: false
+    };
+  }
+}
+
+// Export singleton instance
+const playbackDecisionService = new PlaybackDecisionService();
+export default playbackDecisionService;
@@ -0,0 +1,362 @@
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import ffprobeInstaller from '@ffprobe-installer/ffprobe';
+import iconv from 'iconv-lite';
+import { join } from 'path';
+import { mkdirSync, existsSync, statSync, renameSync, unlinkSync, readFileSync, writeFileSync } from 'fs';
+import videoProbeService from './videoProbeService.js';
+
+// Set FFmpeg and FFprobe paths
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+ffmpeg.setFfprobePath(ffprobeInstaller.path);
+
+const CACHE_DIR = process.env.CACHE_DIR || './data/cache';
+const SUBTITLE_CACHE_DIR = join(CACHE_DIR, 'subtitles');
+
+// ffprobe subtitle codecs and the format stored in the subtitles table
+const CODEC_FORMATS = {
+  subrip: 'srt',
+  srt: 'srt',
+  webvtt: 'vtt',
+  ass: 'ass',
+  ssa: 'ssa',
+  mov_text: 'mov_text',
+  hdmv_pgs_subtitle: 'pgs',
+  dvd_subtitle: 'vobsub',
+  dvb_subtitle: 'dvb'
+};
+
+// Bitmap formats: ffmpeg cannot turn these into text
+const IMAGE_FORMATS = ['pgs', 'vobsub', 'dvb'];
+
+// Most legacy subtitles that are not UTF-8 come from Western European Windows tools
+const FALLBACK_ENCODING = process.env.SUBTITLE_FALLBACK_ENCODING || 'windows-1252';
+
+// hh:mm:ss.ttt or mm:ss.ttt in a WebVTT cue timing line
+const TIMESTAMP_PATTERN = /(?:(\d+):)?(\d{2}):(\d{2})\.(\d{3})/g;
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * Subtitle Service
+ * Finds subtitle streams embedded in video files and converts text
+ * subtitles (sidecar or embedded) to UTF-8 WebVTT, the only format the
+ * HTML5 <track> element understands. Conversions are cached; per-user
+ * timing offsets are applied when a track is served.
+ */
+class SubtitleService {
+  constructor() {
+    // Running conversions keyed by cache path, so concurrent requests share one ffmpeg
+    this.conversions = new Map();
+  }
+
+  /**
+   * Map an ffprobe subtitle codec to a stored format
+   * @param {string} codec - ffprobe codec_name
+   * @returns {string|null} Format, or null if the codec is not supported
+   */
+  getFormat(codec) {
+    return CODEC_FORMATS[(codec || '').toLowerCase()] || null;
+  }
+
+  /**
+   * Check whether a format can be converted to WebVTT
+   * @param {string} format - Stored subtitle format
+   * @returns {boolean} True for text formats
+   */
+  isTextFormat(format) {
+    return !IMAGE_FORMATS.includes(format);
+  }
+
+  /**
+   * Build a display label for an embedded track, e.g. "English (SDH)" or "Japanese (Forced)"
+   * @param {Object} track - Subtitle track from videoProbeService
+   * @returns {string} Label
+   */
+  getLabel(track) {
+    let name = 'Unknown';
+    if (track.language !== 'und') {
+      try {
+        name = languageNames.of(track.language);
+      } catch (error) {
+        // Not a language tag Intl accepts, show it as it is
+        name = track.language.toUpperCase();
+      }
+    }
+
+    const details = [track.title, track.forced ? 'Forced' : null]
+      .filter(detail => detail && detail !== name);
+
+    return details.length > 0 ? `${name} (${details.join(', ')})` : name;
+  }
+
+  /**
+   * Check whether an embedded track from videoProbeService is image-based
+   * @param {Object} track - Subtitle track from videoProbeService
+   * @returns {boolean} True for PGS, VobSub and DVB tracks
+   */
+  isImageTrack(track) {
+    const format = this.getFormat(track.codec);
+    return format !== null && !this.isTextFormat(format);
+  }
+
+  /**
+   * Build the ffmpeg filter graph that burns an image-based subtitle stream into the video.
+   * The bitmaps are drawn at the source resolution, so scaling happens after the overlay.
+   * @param {number} streamIndex - Position among the subtitle streams (ffmpeg's 0:s:<index>)
+   * @param {number} width - Output width
+   * @param {number} height - Output height
+   * @returns {string} Filter graph with its output labelled [v]
+   */
+  getBurnInFilter(streamIndex, width, height) {
+    return `[0:v:0][0:s:${streamIndex}]overlay,scale=${width}:${height}[v]`;
+  }
+
+  /**
+   * List the subtitle streams embedded in a video file
+   * @param {string} filePath - Path to video file
+   * @returns {Promise<Array<Object>>} { streamIndex, codec, format, language, label, isDefault }
+   */
+  async getEmbeddedTracks(filePath) {
+    const videoInfo = await videoProbeService.getVideoInfo(filePath);
+    const tracks = [];
+
+    for (const track of videoInfo.subtitleTracks) {
+      const format = this.getFormat(track.codec);
+      if (!format) {
+        console.log(`  Skipping unsupported subtitle codec: ${track.codec}`);
+        continue;
+      }
+
+      tracks.push({
+        streamIndex: track.index,
+        codec: track.codec,
+        format,
+        language: track.language,
+        label: this.getLabel(track),
+        isDefault: track.default
+      });
+    }
+
+    return tracks;
+  }
+
+  /**
+   * Get the cache path of a converted subtitle
+   * @param {Object} subtitle - subtitles row
+   * @returns {string} WebVTT file path
+   */
+  getCachePath(subtitle) {
+    return join(SUBTITLE_CACHE_DIR, `${subtitle.media_item_id}_${subtitle.id}.vtt`);
+  }
+
+  /**
+   * Get a WebVTT file for a subtitle, converting it if needed.
+   * Cached conversions are redone when the source file is newer.
+   * @param {Object} subtitle - subtitles row (id, media_item_id, file_path, format, stream_index)
+   * @returns {Promise<string>} WebVTT file path
+   */
+  async getWebVTT(subtitle) {
+    if (!this.isTextFormat(subtitle.format)) {
+      throw new Error(`Subtitle format ${subtitle.format} is image-based and cannot be converted to WebVTT`);
+    }
+
+    const outputPath = this.getCachePath(subtitle);
+
+    if (existsSync(outputPath) &&
+        statSync(outputPath).mtimeMs >= statSync(subtitle.file_path).mtimeMs) {
+      return outputPath;
+    }
+
+    if (!this.conversions.has(outputPath)) {
+      const conversion = this.buildWebVTT(subtitle, outputPath)
+        .finally(() => this.conversions.delete(outputPath));
+      this.conversions.set(outputPath, conversion);
+    }
+
+    return this.conversions.get(outputPath);
+  }
+
+  /**
+   * Write the cached WebVTT file of a subtitle.
+   * Sidecar files are re-encoded to UTF-8 first (ffmpeg expects UTF-8 text);
+   * Matroska and MP4 already require UTF-8 for embedded text streams.
+   * @param {Object} subtitle - subtitles row
+   * @param {string} outputPath - WebVTT output path
+   * @returns {Promise<string>} Output file path
+   */
+  async buildWebVTT(subtitle, outputPath) {
+    if (subtitle.stream_index !== null) {
+      return this.convertToWebVTT(subtitle.file_path, outputPath, subtitle.stream_index);
+    }
+
+    const { text, encoding } = this.readSubtitleFile(subtitle.file_path);
+    if (encoding !== 'utf-8') {
+      console.log(`Subtitle ${subtitle.file_path} decoded as ${encoding}`);
+    }
+
+    this.ensureCacheDir();
+
+    if (subtitle.format === 'vtt') {
+      writeFileSync(`${outputPath}.part`, text, 'utf8');
+      renameSync(`${outputPath}.part`, outputPath);
+      return outputPath;
+    }
+
+    const utf8Path = `${outputPath}.${subtitle.format}`;
+    writeFileSync(utf8Path, text, 'utf8');
+
+    try {
+      return await this.convertToWebVTT(utf8Path, outputPath);
+    } finally {
+      unlinkSync(utf8Path);
+    }
+  }
+
+  /**
+   * Read a sidecar subtitle file and decode it to a string
+   * @param {string} filePath - Subtitle file path
+   * @returns {Object} { text, encoding }
+   */
+  readSubtitleFile(filePath) {
+    const buffer = readFileSync(filePath);
+    const encoding = this.detectEncoding(buffer);
+
+    // iconv-lite drops the byte order mark
+    return { text: iconv.decode(buffer, encoding), encoding };
+  }
+
+  /**
+   * Detect the character encoding of a subtitle file.
+   * A byte order mark wins; otherwise text that decodes as UTF-8 is UTF-8,
+   * and anything else is assumed to be in SUBTITLE_FALLBACK_ENCODING.
+   * @param {Buffer} buffer - File contents
+   * @returns {string} Encoding name understood by iconv-lite
+   */
+  detectEncoding(buffer) {
+    if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf-8';
+    if (buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf-16le';
+    if (buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf-16be';
+
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+      return 'utf-8';
+    } catch (error) {
+      return FALLBACK_ENCODING;
+    }
+  }
+
+  /**
+   * Shift every cue of a WebVTT document.
+   * Cues moved entirely before the start are dropped.
+   * @param {string} content - WebVTT content
+   * @param {number} offset - Offset in seconds (positive shows subtitles later)
+   * @returns {string} Shifted WebVTT content
+   */
+  applyOffset(content, offset) {
+    if (!offset) return content;
+
+    const blocks = content.replace(/\r\n/g, '\n').split(/\n{2,}/);
+    const shifted = [];
+
+    for (const block of blocks) {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+
+      if (timingIndex === -1) {
+        shifted.push(block);
+        continue;
+      }
+
+      const times = [];
+      lines[timingIndex] = lines[timingIndex].replace(TIMESTAMP_PATTERN, (match, hours, minutes, seconds, millis) => {
+        const time = Math.max(parseTimestamp(hours, minutes, seconds, millis) + offset, 0);
+        times.push(time);
+        return formatTimestamp(time);
+      });
+
+      if (times.length === 2 && times[1] <= 0) continue;
+      shifted.push(lines.join('\n'));
+    }
+
+    return shifted.join('\n\n');
+  }
+
+  /**
+   * Ensure the subtitle cache directory exists
+   */
+  ensureCacheDir() {
+    if (!existsSync(SUBTITLE_CACHE_DIR)) {
+      mkdirSync(SUBTITLE_CACHE_DIR, { recursive: true });
+    }
+  }
+
+  /**
+   * Convert a subtitle stream to WebVTT with ffmpeg
+   * @param {string} inputPath - Video file or sidecar subtitle file
+   * @param {string} outputPath - WebVTT output path
+   * @param {number} streamIndex - Position among the subtitle streams (0 for sidecar files)
+   * @returns {Promise<string>} Output file path
+   */
+  convertToWebVTT(inputPath, outputPath, streamIndex = 0) {
+    this.ensureCacheDir();
+
+    return new Promise((resolve, reject) => {
+      // Written next to the target so an interrupted run never looks cached
+      const partialPath = `${outputPath}.part`;
+
+      ffmpeg(inputPath)
+        .outputOptions([`-map 0:s:${streamIndex}`])
+        .format('webvtt')
+        .output(partialPath)
+        .on('end', () => {
+          try {
+            renameSync(partialPath, outputPath);
+          } catch (err) {
+            return reject(err);
+          }
+          console.log(`Subtitle converted: ${outputPath}`);
+          resolve(outputPath);
+        })
+        .on('error', (err) => {
+          console.error('Subtitle conversion error:', err.message);
+          if (existsSync(partialPath)) {
+            unlinkSync(partialPath);
+          }
+          reject(err);
+        })
+        .run();
+    });
+  }
+}
+
+/**
+ * Convert the parts of a WebVTT timestamp to seconds
+ * @param {string} hours - Hours (optional in WebVTT)
+ * @param {string} minutes - Minutes
+ * @param {string} seconds - Seconds
+ * @param {string} millis - Milliseconds
+ * @returns {number} Seconds
+ */
+function parseTimestamp(hours, minutes, seconds, millis) {
+  return (parseInt(hours || '0', 10) * 3600) + (parseInt(minutes, 10) * 60) + parseInt(seconds, 10) + (parseInt(millis, 10) / 1000);
+}
+
+/**
+ * Format seconds as a WebVTT timestamp
+ * @param {number} time - Seconds
+ * @returns {string} hh:mm:ss.ttt
+ */
+function formatTimestamp(time) {
+  const totalMillis = Math.round(time * 1000);
+  const hours = Math.floor(totalMillis / 3600000);
+  const minutes = Math.floor((totalMillis % 3600000) / 60000);
+  const seconds = Math.floor((totalMillis % 60000) / 1000);
+  const millis = totalMillis % 1000;
+
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}.${String(millis).padStart(3, '0')}`;
+}
+
+// Export singleton instance
+const subtitleService = new SubtitleService();
+export default subtitleService;
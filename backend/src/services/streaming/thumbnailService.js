@@ -0,0 +1,343 @@
+import ffmpeg from 'fluent-ffmpeg';
+import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
+import { existsSync } from 'fs';
+import { mkdir, readdir, rename, rm } from 'fs/promises';
+import { join, resolve } from 'path';
+import database from '../../config/database.js';
+import videoProbeService from './videoProbeService.js';
+import transcodingService from './transcodingService.js';
+
+ffmpeg.setFfmpegPath(ffmpegInstaller.path);
+
+// Size of one preview tile, and how many tiles a sprite sheet holds
+const TILE_WIDTH = 240;
+const SPRITE_COLUMNS = 10;
+const SPRITE_ROWS = 10;
+
+// Width of generated poster frames (the height keeps the aspect ratio)
+const POSTER_FRAME_SIZE = '640x?';
+
+// Items handled per run of the thumbnails task; each one decodes a whole file
+const GENERATE_BATCH_SIZE = 25;
+
+/**
+ * Thumbnail Service
+ * Generates images from the video itself, stored in THUMBNAIL_DIR (one folder per
+ * media item) and served under /api/stream/:id:
+ *  - a poster frame for items without artwork, used as their poster
+ *  - trickplay sprite sheets with a WebVTT track of thumbnails every
+ *    TRICKPLAY_INTERVAL seconds, for previews on the player's seek bar
+ * Only keyframes are decoded, so a preview can be a few seconds off its cue.
+ */
+class ThumbnailService {
+  /**
+   * Get the directory thumbnails are stored in
+   * @returns {string} Absolute path
+   */
+  getStoreDir() {
+    // Read here rather than at import time, after dotenv has loaded .env
+    return resolve(process.env.THUMBNAIL_DIR || './data/thumbnails');
+  }
+
+  /**
+   * Get the number of seconds between two trickplay thumbnails
+   * @returns {number}
+   */
+  getInterval() {
+    const interval = parseInt(process.env.TRICKPLAY_INTERVAL, 10);
+    return Number.isInteger(interval) && interval > 0 ? interval : 10;
+  }
+
+  /**
+   * Get the URL clients load the poster frame of an item from
+   * @param {number} mediaItemId - Media item ID
+   * @returns {string} Image URL
+   */
+  getPosterFrameUrl(mediaItemId) {
+    return `/api/stream/${mediaItemId}/thumbnail`;
+  }
+
+  /**
+   * Get the generated poster frame of an item
+   * @param {number} mediaItemId - Media item ID
+   * @returns {string|null} File path, or null if there is none
+   */
+  getPosterFramePath(mediaItemId) {
+    const path = join(this.getStoreDir(), String(mediaItemId), 'poster.jpg');
+    return existsSync(path) ? path : null;
+  }
+
+  /**
+   * Get a trickplay sprite sheet of an item
+   * @param {number} mediaItemId - Media item ID
+   * @param {number} index - Sprite sheet number
+   * @returns {string|null} File path, or null if there is none
+   */
+  getSpritePath(mediaItemId, index) {
+    const path = join(this.getStoreDir(), String(mediaItemId), 'trickplay', `sprite-${index}.jpg`);
+    return existsSync(path) ? path : null;
+  }
+
+  /**
+   * Build the WebVTT thumbnail track of an item. Cues point at the sprite sheets
+   * relative to the track URL, with the tile as a #xywh= fragment.
+   * @param {number} mediaItemId - Media item ID
+   * @param {string} token - JWT from the request query, carried over to the image URLs
+   * @returns {Promise<string|null>} WebVTT content, or null if there are no sprites
+   */
+  async getTrickplayVTT(mediaItemId, token = null) {
+    const thumbnails = await database.get(
+      'SELECT * FROM thumbnails WHERE media_item_id = ? AND error IS NULL AND frame_count > 0',
+      [mediaItemId]
+    );
+
+    if (!thumbnails) {
+      return null;
+    }
+
+    const { interval, tile_width: width, tile_height: height, columns, rows } = thumbnails;
+    const query = token ? `?token=${encodeURIComponent(token)}` : '';
+    const cues = ['WEBVTT', ''];
+
+    for (let i = 0; i < thumbnails.frame_count; i++) {
+      const sprite = Math.floor(i / (columns * rows));
+      const tile = i % (columns * rows);
+      const x = (tile % columns) * width;
+      const y = Math.floor(tile / columns) * height;
+
+      cues.push(
+        `${formatTimestamp(i * interval)} --> ${formatTimestamp((i + 1) * interval)}`,
+        `trickplay/sprite-${sprite}.jpg${query}#xywh=${x},${y},${width},${height}`,
+        ''
+      );
+    }
+
+    return cues.join('\n');
+  }
+
+  /**
+   * Generate the poster frame (when the item has no artwork) and trickplay sprites
+   * of a media item. The outcome is recorded in the thumbnails table.
+   * @param {Object} mediaItem - media_items row
+   * @returns {Promise<boolean>} True if generated, false if it failed
+   */
+  async generateThumbnails(mediaItem) {
+    const interval = this.getInterval();
+
+    try {
+      const videoInfo = await videoProbeService.getVideoInfo(mediaItem.file_path);
+      if (!videoInfo.video) {
+        throw new Error('No video stream');
+      }
+
+      const dir = join(this.getStoreDir(), String(mediaItem.id));
+      await mkdir(dir, { recursive: true });
+
+      let posterFrame = Boolean(this.getPosterFramePath(mediaItem.id));
+      if (!posterFrame && !mediaItem.poster_path && !mediaItem.poster_url) {
+        await this.generatePosterFrame(mediaItem.file_path, join(dir, 'poster.jpg'), videoInfo.duration);
+        posterFrame = true;
+      }
+
+      const trickplay = await this.generateTrickplay(mediaItem.file_path, dir, videoInfo, interval);
+
+      await this.saveResult(mediaItem.id, { posterFrame, interval, ...trickplay, error: null });
+
+      if (posterFrame) {
+        await this.applyPosterFrames(mediaItem.id);
+      }
+
+      return true;
+    } catch (error) {
+      console.error(`Error generating thumbnails of ${mediaItem.file_path}:`, error.message);
+      await this.saveResult(mediaItem.id, {
+        posterFrame: Boolean(this.getPosterFramePath(mediaItem.id)),
+        interval,
+        // ffprobe and ffmpeg put their whole output in the message; the cause is on the last line
+        error: error.message.trim().split('\n').pop()
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Generate thumbnails of local items that have none yet, were made with another
+   * interval, or failed before the file last changed
+   * @returns {Promise<Object>} { total, generated, failed }
+   */
+  async generateMissingThumbnails() {
+    const items = await database.all(
+      `SELECT m.*
+       FROM media_items m
+       LEFT JOIN thumbnails t ON t.media_item_id = m.id
+       WHERE m.type IN ('movie', 'episode') AND m.source_type = 'local' AND m.missing = 0
+         AND (t.media_item_id IS NULL
+           OR (t.error IS NULL AND t.interval != ?)
+           OR (t.error IS NOT NULL AND m.updated_at > t.generated_at))
+       ORDER BY m.added_at DESC
+       LIMIT ?`,
+      [this.getInterval(), GENERATE_BATCH_SIZE]
+    );
+
+    // Poster frames of items whose uploaded poster was removed again
+    await this.applyPosterFrames();
+
+    let generated = 0;
+    for (const item of items) {
+      if (await this.generateThumbnails(item)) {
+        generated++;
+      }
+    }
+
+    return { total: items.length, generated, failed: items.length - generated };
+  }
+
+  /**
+   * Use poster frames as the poster of items that have no other artwork
+   * @param {number} mediaItemId - Only this media item (optional)
+   * @returns {Promise<void>}
+   */
+  async applyPosterFrames(mediaItemId = null) {
+    await database.run(
+      `UPDATE media_items SET poster_url = '/api/stream/' || id || '/thumbnail'
+       WHERE poster_url IS NULL AND poster_path IS NULL
+         AND id IN (SELECT media_item_id FROM thumbnails WHERE poster_frame = 1)
+         ${mediaItemId ? 'AND id = ?' : ''}`,
+      mediaItemId ? [mediaItemId] : []
+    );
+  }
+
+  /**
+   * Delete all generated thumbnails of a media item
+   * @param {number} mediaItemId - Media item ID
+   * @returns {Promise<void>}
+   */
+  async removeItemThumbnails(mediaItemId) {
+    await database.run('DELETE FROM thumbnails WHERE media_item_id = ?', [mediaItemId]);
+    await rm(join(this.getStoreDir(), String(mediaItemId)), { recursive: true, force: true });
+  }
+
+  /**
+   * Grab a frame a tenth into the video (skipping intros and black openings)
+   * @param {string} filePath - Video file
+   * @param {string} outputPath - JPEG to write
+   * @param {number} duration - Video duration in seconds (0 if unknown)
+   * @returns {Promise<void>}
+   */
+  async generatePosterFrame(filePath, outputPath, duration) {
+    const timestamp = duration > 0 ? Math.min(Math.floor(duration / 10), 600) : 10;
+    await transcodingService.extractThumbnail(filePath, outputPath, timestamp, POSTER_FRAME_SIZE);
+  }
+
+  /**
+   * Render trickplay sprite sheets into <dir>/trickplay, replacing earlier ones
+   * @param {string} filePath - Video file
+   * @param {string} dir - Folder of the media item
+   * @param {Object} videoInfo - videoProbeService.getVideoInfo result
+   * @param {number} interval - Seconds between thumbnails
+   * @returns {Promise<Object>} { tileWidth, tileHeight, columns, rows, spriteCount, frameCount }
+   */
+  async generateTrickplay(filePath, dir, videoInfo, interval) {
+    const frameCount = Math.ceil(videoInfo.duration / interval);
+    const tileWidth = TILE_WIDTH;
+    // Even height, as some encoders require
+    const tileHeight = Math.max(2, Math.round(TILE_WIDTH * videoInfo.video.height / videoInfo.video.width / 2) * 2);
+    const layout = { tileWidth, tileHeight, columns: SPRITE_COLUMNS, rows: SPRITE_ROWS };
+
+    if (!frameCount) {
+      return { ...layout, spriteCount: 0, frameCount: 0 };
+    }
+
+    // Rendered under a temporary name so a half-written set is never served
+    const outputDir = join(dir, 'trickplay');
+    const partDir = join(dir, 'trickplay.part');
+    await rm(partDir, { recursive: true, force: true });
+    await mkdir(partDir, { recursive: true });
+
+    try {
+      await new Promise((resolve, reject) => {
+        ffmpeg(filePath)
+          .inputOptions(['-skip_frame', 'nokey'])
+          .outputOptions([
+            '-an',
+            '-sn',
+            '-vf', `fps=1/${interval},scale=${tileWidth}:${tileHeight},tile=${SPRITE_COLUMNS}x${SPRITE_ROWS}`,
+            '-q:v', '5',
+            '-start_number', '0',
+            '-f', 'image2'
+          ])
+          .output(join(partDir, 'sprite-%d.jpg'))
+          .on('end', resolve)
+          .on('error', reject)
+          .run();
+      });
+
+      await rm(outputDir, { recursive: true, force: true });
+      await rename(partDir, outputDir);
+    } catch (error) {
+      await rm(partDir, { recursive: true, force: true });
+      throw error;
+    }
+
+    const spriteCount = (await readdir(outputDir)).filter(file => file.startsWith('sprite-')).length;
+
+    return {
+      ...layout,
+      spriteCount,
+      // The last keyframes may not make it into a tile
+      frameCount: Math.min(frameCount, spriteCount * SPRITE_COLUMNS * SPRITE_ROWS)
+    };
+  }
+
+  /**
+   * Record the outcome of a generation run
+   * @param {number} mediaItemId - Media item ID
+   * @param {Object} result - { posterFrame, interval, tileWidth, tileHeight, columns, rows, spriteCount, frameCount, error }
+   * @returns {Promise<void>}
+   */
+  async saveResult(mediaItemId, result) {
+    await database.run(`
+      INSERT INTO thumbnails
+        (media_item_id, poster_frame, interval, tile_width, tile_height, columns, rows, sprite_count, frame_count, error)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(media_item_id) DO UPDATE SET
+        poster_frame = excluded.poster_frame,
+        interval = excluded.interval,
+        tile_width = excluded.tile_width,
+        tile_height = excluded.tile_height,
+        columns = excluded.columns,
+        rows = excluded.rows,
+        sprite_count = excluded.sprite_count,
+        frame_count = excluded.frame_count,
+        error = excluded.error,
+        generated_at = CURRENT_TIMESTAMP
+    `, [
+      mediaItemId,
+      result.posterFrame ? 1 : 0,
+      result.interval,
+      result.tileWidth ?? null,
+      result.tileHeight ?? null,
+      result.columns ?? null,
+      result.rows ?? null,
+      result.spriteCount ?? 0,
+      result.frameCount ?? 0,
+      result.error
+    ]);
+  }
+}
+
+/**
+ * Format seconds as a WebVTT timestamp
+ * @param {number} seconds - Time in seconds
+ * @returns {string} HH:MM:SS.mmm
+ */
+function formatTimestamp(seconds) {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  const secs = seconds % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:${secs.toFixed(3).padStart(6, '0')}`;
+}
+
+// Export singleton instance
+const thumbnailService = new ThumbnailService();
+export default thumbnailService;
@@ -0,0 +1,424 @@
+import database from '../../config/database.js';
+import transcodingService from './transcodingService.js';
+
+const WORKER_COUNT = parseInt(process.env.TRANSCODE_WORKERS) || 1;
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.TRANSCODE_MAX_ATTEMPTS) || 3;
+const PROGRESS_SAVE_INTERVAL = 5000;
+
+/**
+ * Transcode Job Queue
+ * Pre-transcodes are stored in the transcode_jobs table and run by a fixed
+ * number of workers, so queued work survives restarts and the machine is
+ * never asked to run more ffmpeg processes than it can handle.
+ */
+class TranscodeQueueService {
+  constructor() {
+    this.workerCount = WORKER_COUNT;
+    // Running jobs keyed by job ID: { outputPath, stopReason, progress }
+    this.running = new Map();
+    this.processing = false;
+    this.recheck = false;
+    this.started = false;
+  }
+
+  /**
+   * Recover jobs interrupted by a restart and start processing the queue
+   * @returns {Promise<void>}
+   */
+  async start() {
+    const result = await database.run(
+      "UPDATE transcode_jobs SET status = 'queued', progress = 0, fps = NULL, eta_seconds = NULL WHERE status = 'running'"
+    );
+
+    if (result.changes > 0) {
+      console.log(`📝 Re-queued ${result.changes} interrupted transcode job(s)`);
+    }
+
+    this.started = true;
+    console.log(`✅ Transcode queue started with ${this.workerCount} worker(s)`);
+    await this.processQueue();
+  }
+
+  /**
+   * Add a transcode job, or return the pending job for the same media item and quality
+   * @param {number} mediaItemId - Media item ID
+   * @param {Object} options - { quality, priority, maxAttempts, skipFailed }
+   *   skipFailed also returns a job that already failed, so background jobs are not retried forever
+   * @returns {Promise<Object>} Job
+   */
+  async enqueue(mediaItemId, options = {}) {
+    const {
+      quality = '720p',
+      priority = 0,
+      maxAttempts = DEFAULT_MAX_ATTEMPTS,
+      skipFailed = false
+    } = options;
+
+    const statuses = ['queued', 'running', 'paused', ...(skipFailed ? ['failed'] : [])];
+
+    const existing = await database.get(
+      `SELECT * FROM transcode_jobs
+       WHERE media_item_id = ? AND quality = ? AND status IN (${statuses.map(() => '?').join(', ')})
+       ORDER BY id DESC LIMIT 1`,
+      [mediaItemId, quality, ...statuses]
+    );
+
+    if (existing) {
+      return this.withLiveProgress(existing);
+    }
+
+    const result = await database.run(
+      `INSERT INTO transcode_jobs (media_item_id, quality, priority, max_attempts)
+       VALUES (?, ?, ?, ?)`,
+      [mediaItemId, quality, priority, maxAttempts]
+    );
+
+    this.processQueue();
+    return this.getJob(result.id);
+  }
+
+  /**
+   * Start queued jobs until every worker is busy
+   * @returns {Promise<void>}
+   */
+  async processQueue() {
+    if (!this.started) return;
+
+    // A pass is already claiming jobs; have it look again when it finishes
+    if (this.processing) {
+      this.recheck = true;
+      return;
+    }
+
+    this.processing = true;
+    this.recheck = false;
+
+    try {
+      while (this.running.size < this.workerCount) {
+        const job = await database.get(
+          `SELECT * FROM transcode_jobs WHERE status = 'queued'
+           ORDER BY priority DESC, created_at ASC, id ASC LIMIT 1`
+        );
+
+        if (!job) break;
+
+        const claimed = await database.run(
+          `UPDATE transcode_jobs
+           SET status = 'running', attempts = attempts + 1, progress = 0, error = NULL,
+               started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+           WHERE id = ? AND status = 'queued'`,
+          [job.id]
+        );
+
+        if (claimed.changes === 0) continue;
+
+        this.runJob({ ...job, attempts: job.attempts + 1 });
+      }
+    } catch (error) {
+      console.error('Error processing transcode queue:', error);
+    } finally {
+      this.processing = false;
+    }
+
+    if (this.recheck) {
+      await this.processQueue();
+    }
+  }
+
+  /**
+   * Run a claimed job to completion, failure or interruption
+   * @param {Object} job - transcode_jobs row
+   * @returns {Promise<void>}
+   */
+  async runJob(job) {
+    const outputPath = transcodingService.getOutputPath(job.media_item_id, job.quality);
+    const state = { outputPath, stopReason: null, progress: null, lastSaved: 0, startedAt: Date.now() };
+    this.running.set(job.id, state);
+
+    try {
+      const mediaItem = await database.get(
+        'SELECT id, title, file_path FROM media_items WHERE id = ?',
+        [job.media_item_id]
+      );
+
+      if (!mediaItem) {
+        throw new Error('Media item not found');
+      }
+
+      // Paused or cancelled before ffmpeg was started
+      if (state.stopReason) {
+        throw new Error(`Job ${state.stopReason} requested`);
+      }
+
+      console.log(`[Queue] Job ${job.id}: transcoding ${mediaItem.title} (${job.quality}), attempt ${job.attempts}/${job.max_attempts}`);
+
+      await transcodingService.transcodeQuality(mediaItem.file_path, job.quality, job.media_item_id, {
+        onProgress: (progress) => this.updateProgress(job.id, state, progress)
+      });
+
+      await database.run(
+        `UPDATE transcode_jobs
+         SET status = 'completed', progress = 100, eta_seconds = 0, output_path = ?,
+             completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [outputPath, job.id]
+      );
+
+      console.log(`[Queue] Job ${job.id} completed: ${outputPath}`);
+    } catch (error) {
+      await this.handleJobError(job, state, error);
+    } finally {
+      this.running.delete(job.id);
+      this.processQueue();
+    }
+  }
+
+  /**
+   * Record why a job stopped and decide whether it runs again
+   * @param {Object} job - transcode_jobs row
+   * @param {Object} state - Running job state
+   * @param {Error} error - Error raised by the transcode
+   * @returns {Promise<void>}
+   */
+  async handleJobError(job, state, error) {
+    // Paused and cancelled jobs are stopped on purpose
+    if (state.stopReason) {
+      const status = state.stopReason === 'pause' ? 'paused' : 'cancelled';
+
+      await database.run(
+        `UPDATE transcode_jobs
+         SET status = ?, fps = NULL, eta_seconds = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = ?`,
+        [status, job.id]
+      );
+
+      // A paused job starts over on resume, so it may not burn an attempt
+      if (status === 'paused') {
+        await database.run('UPDATE transcode_jobs SET attempts = attempts - 1 WHERE id = ?', [job.id]);
+      }
+
+      console.log(`[Queue] Job ${job.id} ${status}`);
+      return;
+    }
+
+    const willRetry = job.attempts < job.max_attempts;
+
+    await database.run(
+      `UPDATE transcode_jobs
+       SET status = ?, error = ?, fps = NULL, eta_seconds = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [willRetry ? 'queued' : 'failed', error.message, job.id]
+    );
+
+    console.error(`[Queue] Job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts})${willRetry ? ', retrying' : ''}:`, error.message);
+  }
+
+  /**
+   * Track ffmpeg progress for a running job
+   * @param {number} jobId - Job ID
+   * @param {Object} state - Running job state
+   * @param {Object} progress - fluent-ffmpeg progress event
+   */
+  updateProgress(jobId, state, progress) {
+    const percent = Math.min(Math.max(progress.percent || 0, 0), 100);
+    const elapsed = (Date.now() - state.startedAt) / 1000;
+
+    state.progress = {
+      progress: Math.round(percent * 10) / 10,
+      fps: progress.currentFps || 0,
+      eta_seconds: percent > 0 ? Math.round(elapsed * (100 - percent) / percent) : null
+    };
+
+    // Persist now and then; the API overlays the live values in between
+    if (Date.now() - state.lastSaved < PROGRESS_SAVE_INTERVAL) return;
+    state.lastSaved = Date.now();
+
+    database.run(
+      `UPDATE transcode_jobs SET progress = ?, fps = ?, eta_seconds = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'running'`,
+      [state.progress.progress, state.progress.fps, state.progress.eta_seconds, jobId]
+    ).catch(error => {
+      console.error('Error saving transcode progress:', error.message);
+    });
+  }
+
+  /**
+   * Stop a running job's ffmpeg process
+   * @param {number} jobId - Job ID
+   * @param {string} reason - 'pause' or 'cancel'
+   * @returns {boolean} True if the job was running
+   */
+  stopRunningJob(jobId, reason) {
+    const state = this.running.get(jobId);
+    if (!state) return false;
+
+    state.stopReason = reason;
+    transcodingService.cancelTranscode(state.outputPath);
+    return true;
+  }
+
+  /**
+   * Wait for a stopped job to record its final status
+   * @param {number} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async waitForStop(jobId) {
+    while (this.running.has(jobId)) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  /**
+   * Cancel a job
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object|null>} Updated job, or null if it does not exist
+   */
+  async cancel(jobId) {
+    jobId = parseInt(jobId, 10);
+
+    if (this.stopRunningJob(jobId, 'cancel')) {
+      await this.waitForStop(jobId);
+    } else {
+      await database.run(
+        `UPDATE transcode_jobs SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status IN ('queued', 'paused')`,
+        [jobId]
+      );
+    }
+
+    return this.getJob(jobId);
+  }
+
+  /**
+   * Pause a job. A running transcode is stopped and starts over on resume.
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object|null>} Updated job, or null if it does not exist
+   */
+  async pause(jobId) {
+    jobId = parseInt(jobId, 10);
+
+    if (this.stopRunningJob(jobId, 'pause')) {
+      await this.waitForStop(jobId);
+    } else {
+      await database.run(
+        `UPDATE transcode_jobs SET status = 'paused', updated_at = CURRENT_TIMESTAMP
+         WHERE id = ? AND status = 'queued'`,
+        [jobId]
+      );
+    }
+
+    return this.getJob(jobId);
+  }
+
+  /**
+   * Put a paused, failed or cancelled job back in the queue
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object|null>} Updated job, or null if it does not exist
+   */
+  async resume(jobId) {
+    jobId = parseInt(jobId, 10);
+
+    await database.run(
+      `UPDATE transcode_jobs
+       SET status = 'queued', progress = 0,
+           attempts = CASE WHEN status = 'paused' THEN attempts ELSE 0 END,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status IN ('paused', 'failed', 'cancelled')`,
+      [jobId]
+    );
+
+    this.processQueue();
+    return this.getJob(jobId);
+  }
+
+  /**
+   * Change the priority of a job (higher runs first)
+   * @param {number} jobId - Job ID
+   * @param {number} priority - New priority
+   * @returns {Promise<Object|null>} Updated job, or null if it does not exist
+   */
+  async setPriority(jobId, priority) {
+    await database.run(
+      'UPDATE transcode_jobs SET priority = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [priority, jobId]
+    );
+
+    return this.getJob(jobId);
+  }
+
+  /**
+   * Get a job
+   * @param {number} jobId - Job ID
+   * @returns {Promise<Object|null>} Job with live progress
+   */
+  async getJob(jobId) {
+    const job = await database.get(
+      `SELECT j.*, m.title FROM transcode_jobs j
+       LEFT JOIN media_items m ON m.id = j.media_item_id
+       WHERE j.id = ?`,
+      [jobId]
+    );
+
+    return job ? this.withLiveProgress(job) : null;
+  }
+
+  /**
+   * List jobs, running and queued ones first
+   * @param {Object} filters - { status, limit }
+   * @returns {Promise<Array<Object>>} Jobs with live progress
+   */
+  async listJobs(filters = {}) {
+    const { status, limit = 100 } = filters;
+    const params = [];
+    let where = '';
+
+    if (status) {
+      where = 'WHERE j.status = ?';
+      params.push(status);
+    }
+
+    params.push(limit);
+
+    const jobs = await database.all(
+      `SELECT j.*, m.title FROM transcode_jobs j
+       LEFT JOIN media_items m ON m.id = j.media_item_id
+       ${where}
+       ORDER BY CASE j.status WHEN 'running' THEN 0 WHEN 'queued' THEN 1 WHEN 'paused' THEN 2 ELSE 3 END,
+                j.priority DESC, j.created_at ASC, j.id ASC
+       LIMIT ?`,
+      params
+    );
+
+    return jobs.map(job => this.withLiveProgress(job));
+  }
+
+  /**
+   * Get job counts per status
+   * @returns {Promise<Object>} Counts keyed by status
+   */
+  async getStats() {
+    const rows = await database.all(
+      'SELECT status, COUNT(*) as count FROM transcode_jobs GROUP BY status'
+    );
+
+    return {
+      workers: this.workerCount,
+      active: this.running.size,
+      ...Object.fromEntries(rows.map(row => [row.status, row.count]))
+    };
+  }
+
+  /**
+   * Overlay in-memory progress on a job row
+   * @param {Object} job - transcode_jobs row
+   * @returns {Object} Job
+   */
+  withLiveProgress(job) {
+    const state = this.running.get(job.id);
+    return state?.progress ? { ...job, ...state.progress } : job;
+  }
+}
+
+// Export singleton instance
+const transcodeQueueService = new TranscodeQueueService();
+export default transcodeQueueService;
@@ -1,8 +1,10 @@
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
 import ffprobeInstaller from '@ffprobe-installer/ffprobe';
-import { join } from 'path';
-import { mkdirSync, existsSync } from 'fs';
+import { basename, dirname, join, resolve } from 'path';
+import { mkdirSync, existsSync, renameSync, unlinkSync } from 'fs';
+import videoProbeService from './videoProbeService.js';
+import subtitleService from './subtitleService.js';
 
 // Set FFmpeg and FFprobe paths
 ffmpeg.setFfmpegPath(ffmpegInstaller.path);
@@ -10,6 +12,9 @@ ffmpeg.setFfprobePath(ffprobeInstaller.path);
 
 const CACHE_DIR = process.env.CACHE_DIR || './data/cache';
 
+// Audio codecs a cached remux keeps as-is
+const REMUX_AUDIO_CODECS = ['aac', 'mp3'];
+
 class TranscodingService {
   constructor() {
     this.activeTranscodes = new Map();
@@ -29,54 +34,114 @@ class TranscodingService {
    * Transcode video to MP4 with H.264
    * @param {string} inputPath - Input video path
    * @param {string} outputPath - Output video path
-   * @param {Object} options - Transcoding options
+   * @param {Object} options - Transcoding options (onProgress receives fluent-ffmpeg progress events)
    * @returns {Promise<string>} Output file path
    */
   async transcodeToMP4(inputPath, outputPath, options = {}) {
+    const {
+      resolution = '1280x720',
+      videoBitrate = '2500k',
+      audioBitrate = '128k',
+      fps = 30,
+      preset = 'medium',
+      onProgress = null
+    } = options;
+
+    const command = ffmpeg(inputPath)
+      .videoCodec('libx264')
+      .audioCodec('aac')
+      .size(resolution)
+      .videoBitrate(videoBitrate)
+      .audioBitrate(audioBitrate)
+      .fps(fps)
+      .preset(preset)
+      .format('mp4')
+      .outputOptions([
+        '-movflags +faststart', // Enable streaming
+        '-profile:v high',
+        '-level 4.0'
+      ]);
+
+    return this.runToFile(command, outputPath, onProgress);
+  }
+
+  /**
+   * Remux video to MP4, copying the video stream at source quality
+   * @param {string} inputPath - Input video path
+   * @param {string} outputPath - Output video path
+   * @param {Object} options - { copyAudio, audioBitrate, onProgress }; audio is re-encoded to AAC unless copyAudio is set
+   * @returns {Promise<string>} Output file path
+   */
+  async remuxToMP4(inputPath, outputPath, options = {}) {
+    const {
+      copyAudio = false,
+      audioBitrate = '192k',
+      onProgress = null
+    } = options;
+
+    const command = ffmpeg(inputPath)
+      .videoCodec('copy')
+      .format('mp4')
+      .outputOptions([
+        '-map 0:v:0',
+        '-map 0:a:0?',
+        '-movflags +faststart'
+      ]);
+
+    if (copyAudio) {
+      command.audioCodec('copy');
+    } else {
+      command.audioCodec('aac').audioBitrate(audioBitrate).audioChannels(2);
+    }
+
+    return this.runToFile(command, outputPath, onProgress);
+  }
+
+  /**
+   * Run an ffmpeg command into the cache.
+   * Output is written next to the target so an interrupted run never looks cached.
+   * @param {Object} command - fluent-ffmpeg command without an output
+   * @param {string} outputPath - Output file path
+   * @param {Function} onProgress - Receives fluent-ffmpeg progress events
+   * @returns {Promise<string>} Output file path
+   */
+  runToFile(command, outputPath, onProgress = null) {
     return new Promise((resolve, reject) => {
-      const {
-        resolution = '1280x720',
-        videoBitrate = '2500k',
-        audioBitrate = '128k',
-        fps = 30,
-        preset = 'medium'
-      } = options;
-
-      const command = ffmpeg(inputPath)
-        .output(outputPath)
-        .videoCodec('libx264')
-        .audioCodec('aac')
-        .size(resolution)
-        .videoBitrate(videoBitrate)
-        .audioBitrate(audioBitrate)
-        .fps(fps)
-        .preset(preset)
-        .format('mp4')
-        .outputOptions([
-          '-movflags +faststart', // Enable streaming
-          '-profile:v high',
-          '-level 4.0'
-        ]);
+      const partialPath = `${outputPath}.part`;
+
+      command.output(partialPath);
 
       // Store active transcode
       this.activeTranscodes.set(outputPath, command);
 
       // Progress tracking
       command.on('progress', (progress) => {
-        console.log(`Transcoding progress: ${progress.percent}%`);
+        if (onProgress) {
+          onProgress(progress);
+        } else {
+          console.log(`Transcoding progress: ${progress.percent}%`);
+        }
       });
 
       // Handle completion
       command.on('end', () => {
-        console.log(`Transcoding completed: ${outputPath}`);
         this.activeTranscodes.delete(outputPath);
+        try {
+          renameSync(partialPath, outputPath);
+        } catch (err) {
+          return reject(err);
+        }
+        console.log(`Transcoding completed: ${outputPath}`);
         resolve(outputPath);
       });
 
       // Handle errors
       command.on('error', (err) => {
-        console.error('Transcoding error:', err);
+        console.error('Transcoding error:', err.message);
         this.activeTranscodes.delete(outputPath);
+        if (existsSync(partialPath)) {
+          unlinkSync(partialPath);
+        }
         reject(err);
       });
 
@@ -88,11 +153,12 @@ class TranscodingService {
   /**
    * Transcode video with specific quality
    * @param {string} inputPath - Input video path
-   * @param {string} quality - Quality label (e.g., '720p', '1080p')
+   * @param {string} quality - Quality label (e.g., '720p', '1080p'), or 'remux' to copy the video stream
    * @param {string} mediaItemId - Media item ID for caching
+   * @param {Object} options - Extra options passed to transcodeToMP4 or remuxToMP4 (e.g. onProgress)
    * @returns {Promise<string>} Output file path
    */
-  async transcodeQuality(inputPath, quality, mediaItemId) {
+  async transcodeQuality(inputPath, quality, mediaItemId, options = {}) {
     const qualitySettings = {
       '4K': { resolution: '3840x2160', bitrate: '8000k', fps: 30 },
       '1080p': { resolution: '1920x1080', bitrate: '5000k', fps: 30 },
@@ -101,9 +167,7 @@ class TranscodingService {
       '360p': { resolution: '640x360', bitrate: '600k', fps: 24 }
     };
 
-    const settings = qualitySettings[quality] || qualitySettings['720p'];
-    const outputFileName = `${mediaItemId}_${quality}.mp4`;
-    const outputPath = join(CACHE_DIR, outputFileName);
+    const outputPath = this.getOutputPath(mediaItemId, quality);
 
     // Check if already transcoded
     if (existsSync(outputPath)) {
@@ -111,43 +175,82 @@ class TranscodingService {
       return outputPath;
     }
 
+    if (quality === 'remux') {
+      // AAC and MP3 play everywhere MP4 does; anything else becomes AAC
+      const copyAudio = options.copyAudio ?? REMUX_AUDIO_CODECS.includes(
+        (await videoProbeService.getVideoInfo(inputPath)).audio?.codec
+      );
+
+      return this.remuxToMP4(inputPath, outputPath, { ...options, copyAudio });
+    }
+
+    const settings = qualitySettings[quality] || qualitySettings['720p'];
+
     return this.transcodeToMP4(inputPath, outputPath, {
       resolution: settings.resolution,
       videoBitrate: settings.bitrate,
       fps: settings.fps,
-      preset: 'fast' // Faster transcoding for real-time
+      preset: 'fast', // Faster transcoding for real-time
+      ...options
     });
   }
 
+  /**
+   * Get the cache path of a quality transcode
+   * @param {string} mediaItemId - Media item ID
+   * @param {string} quality - Quality label
+   * @returns {string} Output file path
+   */
+  getOutputPath(mediaItemId, quality) {
+    return join(CACHE_DIR, `${mediaItemId}_${quality}.mp4`);
+  }
+
   /**
    * Stream transcoded video in real-time
-   * @param {string} inputPath - Input video path
+   * @param {string|ReadableStream} inputPath - Input video path, or a stream from a network source
    * @param {Object} res - Express response object
-   * @param {Object} options - Transcoding options
+   * @param {Object} options - Transcoding options; startTime (seconds) starts the stream part-way through,
+   *   audioTrack picks the audio stream (position among the audio streams), burnSubtitle burns an
+   *   image-based subtitle stream (position among the subtitle streams) into the video
    */
   streamTranscode(inputPath, res, options = {}) {
     const {
       resolution = '1280x720',
       videoBitrate = '2500k',
-      audioBitrate = '128k'
+      audioBitrate = '128k',
+      startTime = 0,
+      audioTrack = 0,
+      burnSubtitle = null
     } = options;
 
     const command = ffmpeg(inputPath)
+      .seekInput(startTime)
       .videoCodec('libx264')
       .audioCodec('aac')
-      .size(resolution)
       .videoBitrate(videoBitrate)
       .audioBitrate(audioBitrate)
-      .format('mp4')
-      .outputOptions([
-        '-movflags +frag_keyframe+empty_moov+default_base_moof',
-        '-preset ultrafast' // Fastest for real-time streaming
-      ]);
+      .format('mp4');
+
+    if (burnSubtitle !== null) {
+      const [width, height] = resolution.split('x');
+      command
+        .complexFilter(subtitleService.getBurnInFilter(burnSubtitle, width, height))
+        .outputOptions(['-map [v]']);
+    } else {
+      command.size(resolution).outputOptions(['-map 0:v:0']);
+    }
 
-    // Set response headers
+    command.outputOptions([
+      `-map 0:a:${audioTrack}?`,
+      '-movflags +frag_keyframe+empty_moov+default_base_moof',
+      '-preset ultrafast' // Fastest for real-time streaming
+    ]);
+
+    // Set response headers; the stream's timestamps restart at 0 at the offset
     res.writeHead(200, {
       'Content-Type': 'video/mp4',
-      'Transfer-Encoding': 'chunked'
+      'Transfer-Encoding': 'chunked',
+      'X-Stream-Offset': String(startTime)
     });
 
     // Pipe to response
@@ -168,6 +271,55 @@ class TranscodingService {
     });
   }
 
+  /**
+   * Stream a file in real-time with its video stream copied into fragmented MP4.
+   * Only the container changes, so there is no video encoding cost.
+   * @param {string|ReadableStream} inputPath - Input video path, or a stream from a network source
+   * @param {Object} res - Express response object
+   * @param {Object} options - { copyAudio, audioBitrate, startTime, audioTrack }; audio is re-encoded to AAC unless copyAudio is set.
+   *   With a startTime the copied video starts at the keyframe before it.
+   */
+  streamRemux(inputPath, res, options = {}) {
+    const {
+      copyAudio = false,
+      audioBitrate = '192k',
+      startTime = 0,
+      audioTrack = 0
+    } = options;
+
+    const command = ffmpeg(inputPath)
+      .seekInput(startTime)
+      .videoCodec('copy')
+      .format('mp4')
+      .outputOptions([
+        '-map 0:v:0',
+        `-map 0:a:${audioTrack}?`,
+        '-movflags +frag_keyframe+empty_moov+default_base_moof'
+      ]);
+
+    if (copyAudio) {
+      command.audioCodec('copy');
+    } else {
+      command.audioCodec('aac').audioBitrate(audioBitrate).audioChannels(2);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'video/mp4',
+      'Transfer-Encoding': 'chunked',
+      'X-Stream-Offset': String(startTime)
+    });
+
+    command.pipe(res, { end: true });
+
+    command.on('error', (err) => {
+      console.error('Stream remux error:', err.message);
+    });
+
+    res.on('close', () => {
+      command.kill('SIGKILL');
+    });
+  }
+
   /**
    * Cancel active transcode
    * @param {string} outputPath - Output path of transcode to cancel
@@ -198,21 +350,23 @@ class TranscodingService {
   /**
    * Extract video thumbnail
    * @param {string} inputPath - Input video path
-   * @param {string} outputPath - Output thumbnail path
+   * @param {string} outputPath - Output thumbnail path (relative paths are in the cache directory)
    * @param {number} timestamp - Timestamp in seconds
+   * @param {string} size - Frame size ('320x240', or '640x?' to keep the aspect ratio)
    * @returns {Promise<string>} Thumbnail path
    */
-  async extractThumbnail(inputPath, outputPath, timestamp = 10) {
+  async extractThumbnail(inputPath, outputPath, timestamp = 10, size = '320x240') {
+    const thumbPath = resolve(CACHE_DIR, outputPath);
+
     return new Promise((resolve, reject) => {
       ffmpeg(inputPath)
         .screenshots({
           timestamps: [timestamp],
-          filename: outputPath,
-          folder: CACHE_DIR,
-          size: '320x240'
+          filename: basename(thumbPath),
+          folder: dirname(thumbPath),
+          size
         })
         .on('end', () => {
-          const thumbPath = join(CACHE_DIR, outputPath);
           console.log(`Thumbnail created: ${thumbPath}`);
           resolve(thumbPath);
         })
@@ -1,6 +1,10 @@
 import ffmpeg from 'fluent-ffmpeg';
 import ffmpegInstaller from '@ffmpeg-installer/ffmpeg';
 import ffprobeInstaller from '@ffprobe-installer/ffprobe';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
 
 // Set FFmpeg and FFprobe paths
 ffmpeg.setFfmpegPath(ffmpegInstaller.path);
@@ -25,6 +29,34 @@ class VideoProbeService {
     });
   }
 
+  /**
+   * Find the video keyframe a seek to the given time lands on.
+   * Stream copies can only start on a keyframe, so this is where a remux
+   * started with -ss really begins.
+   * @param {string} filePath - Path to video file
+   * @param {number} time - Requested time in seconds
+   * @returns {Promise<number>} Keyframe time in seconds (the requested time if it cannot be found)
+   */
+  async getKeyframeTime(filePath, time) {
+    try {
+      const { stdout } = await execFileAsync(ffprobeInstaller.path, [
+        '-v', 'error',
+        '-select_streams', 'v:0',
+        '-skip_frame', 'nokey',
+        '-show_entries', 'packet=pts_time',
+        '-read_intervals', `${time}%+#1`,
+        '-of', 'csv=p=0',
+        filePath
+      ], { timeout: 10000 });
+
+      const keyframeTime = parseFloat(stdout.trim().split('\n')[0]);
+      return Number.isFinite(keyframeTime) && keyframeTime <= time ? keyframeTime : time;
+    } catch (error) {
+      console.error('Error finding keyframe:', error.message);
+      return time;
+    }
+  }
+
   /**
    * Parse ffprobe metadata into useful format
    * @param {Object} metadata - Raw ffprobe metadata
@@ -32,7 +64,12 @@ class VideoProbeService {
    */
   parseMetadata(metadata) {
     const videoStream = metadata.streams.find(s => s.codec_type === 'video');
-    const audioStream = metadata.streams.find(s => s.codec_type === 'audio');
+    const audioTracks = metadata.streams
+      .filter(s => s.codec_type === 'audio')
+      .map((stream, index) => this.parseAudioStream(stream, index));
+    const subtitleTracks = metadata.streams
+      .filter(s => s.codec_type === 'subtitle')
+      .map((stream, index) => this.parseSubtitleStream(stream, index));
 
     return {
       duration: parseFloat(metadata.format.duration) || 0,
@@ -49,16 +86,51 @@ class VideoProbeService {
         level: videoStream.level,
         pixelFormat: videoStream.pix_fmt
       } : null,
-      audio: audioStream ? {
-        codec: audioStream.codec_name,
-        sampleRate: parseInt(audioStream.sample_rate) || 0,
-        channels: audioStream.channels,
-        bitrate: parseInt(audioStream.bit_rate) || 0
-      } : null,
+      // The first track is what players pick when nothing is selected
+      audio: audioTracks[0] || null,
+      audioTracks,
+      subtitleTracks,
       quality: this.detectQuality(videoStream)
     };
   }
 
+  /**
+   * Parse an audio stream
+   * @param {Object} stream - ffprobe stream
+   * @param {number} index - Position among the audio streams (ffmpeg's 0:a:<index>)
+   * @returns {Object} Audio track
+   */
+  parseAudioStream(stream, index) {
+    return {
+      index,
+      codec: stream.codec_name,
+      language: stream.tags?.language || stream.tags?.LANGUAGE || 'und',
+      title: stream.tags?.title || stream.tags?.TITLE || null,
+      channels: stream.channels,
+      channelLayout: stream.channel_layout || null,
+      sampleRate: parseInt(stream.sample_rate) || 0,
+      bitrate: parseInt(stream.bit_rate) || 0,
+      default: stream.disposition?.default === 1
+    };
+  }
+
+  /**
+   * Parse a subtitle stream
+   * @param {Object} stream - ffprobe stream
+   * @param {number} index - Position among the subtitle streams (ffmpeg's 0:s:<index>)
+   * @returns {Object} Subtitle track
+   */
+  parseSubtitleStream(stream, index) {
+    return {
+      index,
+      codec: stream.codec_name,
+      language: stream.tags?.language || stream.tags?.LANGUAGE || 'und',
+      title: stream.tags?.title || stream.tags?.TITLE || null,
+      default: stream.disposition?.default === 1,
+      forced: stream.disposition?.forced === 1
+    };
+  }
+
   /**
    * Parse frame rate string to number
    * @param {string} fpsString - Frame rate string (e.g., "30/1")
@@ -110,8 +182,13 @@ class VideoProbeService {
       { label: '360p', height: 360, bitrate: '600k' }
     ];
 
-    // Only include qualities equal to or lower than source
-    return qualities.filter(q => q.height <= sourceHeight);
+    // Only include qualities equal to or lower than source, keeping its aspect ratio
+    return qualities
+      .filter(q => q.height <= sourceHeight)
+      .map(q => ({
+        ...q,
+        width: Math.round((videoInfo.video.width * q.height) / sourceHeight / 2) * 2
+      }));
   }
 
   /**
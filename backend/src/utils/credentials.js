@@ -0,0 +1,67 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+
+/**
+ * Network Source Credentials
+ * Passwords for FTP/SMB sources have to be replayed to the remote server,
+ * so they are stored with reversible AES-256-GCM encryption instead of a hash.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1';
+
+/**
+ * Derive the encryption key from the configured secret
+ * @returns {Buffer} 32-byte key
+ */
+function getKey() {
+  const secret = process.env.CREDENTIALS_SECRET
+    || process.env.JWT_SECRET
+    || 'your-secret-key-change-this-in-production';
+
+  return createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a network source password for storage
+ * @param {string} password - Plain text password
+ * @returns {string|null} Encrypted password
+ */
+export function encryptPassword(password) {
+  if (!password) return null;
+
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(password, 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [PREFIX, iv.toString('base64'), tag.toString('base64'), encrypted.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a stored network source password
+ * @param {string} stored - Value from network_sources.password
+ * @returns {string|null} Plain text password, or null if it cannot be recovered
+ */
+export function decryptPassword(stored) {
+  if (!stored) return null;
+
+  // Sources created before encryption was introduced hold bcrypt hashes
+  if (!stored.startsWith(`${PREFIX}:`)) {
+    console.warn('⚠️  Network source password is not recoverable - please re-enter it');
+    return null;
+  }
+
+  try {
+    const [, , iv, tag, encrypted] = stored.split(':');
+    const decipher = createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+    return Buffer.concat([
+      decipher.update(Buffer.from(encrypted, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+  } catch (error) {
+    console.error('Error decrypting network source password:', error.message);
+    return null;
+  }
+}
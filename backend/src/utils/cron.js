@@ -0,0 +1,194 @@
+/**
+ * Cron Schedules
+ * Five-field cron expressions (minute hour day-of-month month day-of-week) in
+ * server local time. Fields take *, numbers, names (jan, mon), ranges, lists
+ * and steps (e.g. "*\/15", "1-5", "mon,wed,fri"). As in cron, a job whose
+ * day-of-month and day-of-week are both restricted runs when either matches;
+ * a field starting with * (such as "*\/2") does not restrict.
+ * The macros @hourly, @daily, @weekly and @monthly are accepted as well.
+ */
+
+const MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameOffset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, nameOffset: 0 }
+];
+
+// Searching further ahead than this means the expression never matches (e.g. "0 0 30 2 *")
+const MAX_SEARCH_DAYS = 5 * 366;
+
+/**
+ * Parse one value of a field (number or name)
+ * @param {string} value - Field value
+ * @param {Object} field - Field definition
+ * @returns {number} Number
+ */
+function parseValue(value, field) {
+  const index = field.names ? field.names.indexOf(value.toLowerCase()) : -1;
+  const number = index >= 0 ? index + field.nameOffset : Number(value);
+
+  if (!Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new Error(`Invalid ${field.name} value: ${value}`);
+  }
+
+  return number;
+}
+
+/**
+ * Parse one field into the set of values it allows
+ * @param {string} text - Field text
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} Allowed values
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid ${field.name} step: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+    } else {
+      start = parseValue(range, field);
+      // "5/10" means every 10 starting at 5
+      end = stepText === undefined ? start : field.max;
+    }
+
+    if (start > end) {
+      throw new Error(`Invalid ${field.name} range: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Cron expression or macro
+ * @returns {Object} { minutes, hours, daysOfMonth, months, daysOfWeek, anyDayOfMonth, anyDayOfWeek }
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const parts = (MACROS[text.toLowerCase()] || text).split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error('Cron expression must have five fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+
+  // Sunday can be written as 0 or 7
+  if (daysOfWeek.delete(7)) {
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    anyDayOfMonth: parts[2].startsWith('*'),
+    anyDayOfWeek: parts[4].startsWith('*')
+  };
+}
+
+/**
+ * Check whether a cron expression is valid
+ * @param {string} expression - Cron expression or macro
+ * @returns {boolean}
+ */
+export function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Check whether a day matches the day fields of a schedule
+ * @param {Object} schedule - Parsed schedule
+ * @param {Date} date - Day to check
+ * @returns {boolean}
+ */
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getDay());
+
+  if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Get the next time a cron expression fires, after a given time
+ * @param {string} expression - Cron expression or macro
+ * @param {Date} after - Start of the search (exclusive)
+ * @returns {Date|null} Next run, or null if the expression never fires
+ */
+export function getNextRun(expression, after = new Date()) {
+  const schedule = parseCron(expression);
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+  // Skip whole months, days and hours that cannot match before checking minutes
+  while (date.getTime() <= limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+      continue;
+    }
+    if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+      continue;
+    }
+    return date;
+  }
+
+  return null;
+}
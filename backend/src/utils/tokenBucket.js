@@ -0,0 +1,63 @@
+/**
+ * Token Bucket Rate Limiter
+ * Holds up to `capacity` tokens, refilled continuously at `refillPerSecond`.
+ * Every request takes one token and waits while the bucket is empty, so bursts
+ * up to the capacity go out at once and longer runs settle at the refill rate.
+ */
+export class TokenBucket {
+  /**
+   * @param {number} capacity - Most tokens held (burst size)
+   * @param {number} refillPerSecond - Tokens added per second
+   */
+  constructor(capacity, refillPerSecond) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    // Waiters are served in order, so a steady stream cannot starve an early caller
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Wait for a token and take it
+   * @returns {Promise<void>}
+   */
+  take() {
+    const turn = this.queue.then(() => this.waitForToken());
+    this.queue = turn;
+    return turn;
+  }
+
+  /**
+   * Empty the bucket, e.g. after the server reported a rate limit
+   */
+  drain() {
+    this.refill();
+    this.tokens = 0;
+  }
+
+  /**
+   * Wait until a token is available, then take it
+   * @returns {Promise<void>}
+   */
+  async waitForToken() {
+    this.refill();
+
+    while (this.tokens < 1) {
+      const wait = Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+      await new Promise(resolve => setTimeout(resolve, wait));
+      this.refill();
+    }
+
+    this.tokens -= 1;
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + ((now - this.updatedAt) / 1000) * this.refillPerSecond);
+    this.updatedAt = now;
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Cron Schedule Test
+ * Checks parseCron, isValidCron and getNextRun from src/utils/cron.js against
+ * fixed dates in server local time. Needs no database and no running server.
+ *
+ * Usage: node test-cron.js
+ */
+import { getNextRun, isValidCron, parseCron } from './src/utils/cron.js';
+
+const GREEN = '\x1b[0;32m';
+const RED = '\x1b[0;31m';
+const BLUE = '\x1b[0;34m';
+const NC = '\x1b[0m';
+
+// Thursday, 1 January 2026, 00:00 local time
+const START = new Date(2026, 0, 1, 0, 0);
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, detail) {
+  if (condition) {
+    console.log(`${GREEN}✓ ${description}${NC}`);
+    passed++;
+  } else {
+    console.log(`${RED}✗ ${description}${NC}`);
+    if (detail !== undefined) {
+      console.log(`   Got: ${JSON.stringify(detail)}`);
+    }
+    failed++;
+  }
+}
+
+/**
+ * Format a local time as "YYYY-MM-DD HH:MM" (or null)
+ * @param {Date|null} date - Time
+ * @returns {string|null}
+ */
+function formatLocal(date) {
+  if (!date) {
+    return null;
+  }
+
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Check the next runs of an expression, each searched from the previous one
+ * @param {string} description - Test description
+ * @param {string} expression - Cron expression
+ * @param {Date} after - Start of the search
+ * @param {Array<string|null>} expected - Expected runs as "YYYY-MM-DD HH:MM"
+ */
+function checkRuns(description, expression, after, expected) {
+  const runs = [];
+  let from = after;
+
+  for (let i = 0; i < expected.length; i++) {
+    const next = getNextRun(expression, from);
+    runs.push(formatLocal(next));
+    if (!next) {
+      break;
+    }
+    from = next;
+  }
+
+  check(`${description} (${expression})`, JSON.stringify(runs) === JSON.stringify(expected), runs);
+}
+
+try {
+  console.log('==========================================');
+  console.log('Cron Schedule Test');
+  console.log('==========================================\n');
+
+  console.log(`${BLUE}Test 1: Ranges, lists and steps${NC}`);
+  checkRuns('Hour range', '0 9-17 * * *', new Date(2026, 0, 1, 16, 30), ['2026-01-01 17:00', '2026-01-02 09:00']);
+  checkRuns('Minute list', '5,35 * * * *', new Date(2026, 0, 1, 10, 5), ['2026-01-01 10:35', '2026-01-01 11:05']);
+  checkRuns('Step over *', '*/15 * * * *', new Date(2026, 0, 1, 10, 7), ['2026-01-01 10:15', '2026-01-01 10:30']);
+  checkRuns('Step from a start value', '5/20 * * * *', new Date(2026, 0, 1, 10, 30), ['2026-01-01 10:45', '2026-01-01 11:05']);
+  checkRuns('Step over a range', '0 8-18/4 * * *', START, ['2026-01-01 08:00', '2026-01-01 12:00', '2026-01-01 16:00', '2026-01-02 08:00']);
+  console.log('');
+
+  console.log(`${BLUE}Test 2: Names and macros${NC}`);
+  checkRuns('Day names', '0 0 * * mon,wed', START, ['2026-01-05 00:00', '2026-01-07 00:00']);
+  checkRuns('Month names', '0 12 1 feb-mar *', START, ['2026-02-01 12:00', '2026-03-01 12:00', '2027-02-01 12:00']);
+  checkRuns('@weekly', '@weekly', START, ['2026-01-04 00:00']);
+  checkRuns('@monthly', '@monthly', START, ['2026-02-01 00:00']);
+  console.log('');
+
+  console.log(`${BLUE}Test 3: Sunday as 0 or 7${NC}`);
+  checkRuns('7 is Sunday', '0 0 * * 7', START, ['2026-01-04 00:00', '2026-01-11 00:00']);
+  const { daysOfWeek } = parseCron('0 0 * * 5-7');
+  check('Range ending in 7 includes Sunday', [...daysOfWeek].sort().join(',') === '0,5,6', [...daysOfWeek]);
+  console.log('');
+
+  console.log(`${BLUE}Test 4: Day-of-month and day-of-week${NC}`);
+  // 13 January 2026 is a Tuesday
+  checkRuns('Both restricted: either matches', '0 0 13 * fri', START, ['2026-01-02 00:00', '2026-01-09 00:00', '2026-01-13 00:00']);
+  // Mondays in January 2026 are the 5th, 12th, 19th and 26th
+  checkRuns('Step over * does not restrict', '0 0 */2 * 1', START, ['2026-01-05 00:00', '2026-01-19 00:00']);
+  checkRuns('Only day-of-week restricted', '0 0 * * 2', START, ['2026-01-06 00:00']);
+  console.log('');
+
+  console.log(`${BLUE}Test 5: Impossible and invalid expressions${NC}`);
+  checkRuns('Never fires', '0 0 30 2 *', START, [null]);
+  checkRuns('Fires in leap years only', '0 0 29 2 *', START, ['2028-02-29 00:00']);
+  check('Valid expressions are accepted',
+    ['@daily', '0 4 * * *', '*/5 1-3 1,15 jan-jun mon-fri'].every(isValidCron));
+  const invalid = ['', '* * * *', '60 * * * *', '0 24 * * *', '0 0 0 * *', '0 0 * 13 *', '0 0 * * 8', '0 0 * * foo', '*/0 * * * *', '5-1 * * * *'];
+  check('Invalid expressions are rejected', invalid.every(expression => !isValidCron(expression)),
+    invalid.filter(isValidCron));
+  console.log('');
+} catch (error) {
+  console.error(`${RED}✗ Test run failed: ${error.stack}${NC}`);
+  failed++;
+}
+
+console.log('==========================================');
+console.log('Cron Schedule Test Summary');
+console.log('==========================================');
+console.log(`${GREEN}Passed: ${passed}${NC}`);
+console.log(`${RED}Failed: ${failed}${NC}`);
+
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,142 @@
+import BaseMetadataProvider from './src/services/metadata/providers/BaseMetadataProvider.js';
+
+/**
+ * Fake Metadata Provider for test-metadata-providers.js
+ * Stands in for TMDB (metadataService.setProviders) and answers from fixtures
+ * instead of the network. Results have the TMDB provider's shape,
+ * including `match`, so confidence thresholds and the review queue apply:
+ *  - movies: { tmdb_id, title, year, confidence = 100, ...metadata fields }
+ *  - shows: { tmdb_id, title, confidence = 100, ...show fields,
+ *    episodes: [{ season_number, episode_number, title, ... }] }
+ * Titles are matched case-insensitively; an admin decision (`context.tmdbId`)
+ * is matched on the ID. Every lookup is recorded in `calls`.
+ */
+class FakeMetadataProvider extends BaseMetadataProvider {
+  /**
+   * @param {Object} fixtures - { movies, shows }
+   */
+  constructor({ movies = [], shows = [] } = {}) {
+    super('fake');
+    this.movies = movies;
+    this.shows = shows;
+    this.calls = [];
+  }
+
+  /**
+   * Look up a movie fixture
+   * @param {Object} parsed - Parsed filename data
+   * @param {Object} context - Lookup context ({ tmdbId })
+   * @returns {Promise<Object|null>} Movie metadata
+   */
+  async getMovieMetadata(parsed, context = {}) {
+    this.calls.push({ type: 'movie', title: parsed.title, year: parsed.year });
+
+    const movie = findFixture(this.movies, parsed, context.tmdbId);
+    if (!movie) {
+      return null;
+    }
+
+    const { confidence = 100, year, ...details } = movie;
+
+    return {
+      ...details,
+      release_date: details.release_date ?? (year ? `${year}-01-01` : null),
+      match: toMatch(movie, confidence, context.tmdbId)
+    };
+  }
+
+  /**
+   * Look up a show fixture and the file's episodes in it
+   * @param {Object} parsed - Parsed filename data
+   * @param {Object} context - Lookup context ({ tmdbId })
+   * @returns {Promise<Object|null>} Episode metadata with show info
+   */
+  async getEpisodeMetadata(parsed, context = {}) {
+    this.calls.push({ type: 'episode', title: parsed.title, season: parsed.season, episode: parsed.episode });
+
+    const show = findFixture(this.shows, parsed, context.tmdbId);
+    if (!show) {
+      return null;
+    }
+
+    const episodeNumbers = parsed.episodes || (parsed.episode ? [parsed.episode] : []);
+    const episodes = episodeNumbers
+      .map(number => (show.episodes || []).find(episode =>
+        episode.season_number === parsed.season && episode.episode_number === number
+      ))
+      .filter(Boolean)
+      .map(episode => ({
+        episode_number: episode.episode_number,
+        episode_tmdb_id: episode.tmdb_id ?? null,
+        episode_title: episode.title ?? null,
+        episode_overview: episode.overview ?? null,
+        episode_still: episode.still_path ?? null,
+        episode_air_date: episode.air_date ?? null
+      }));
+    const first = episodes[0];
+
+    return {
+      show_tmdb_id: show.tmdb_id,
+      show_title: show.title,
+      show_overview: show.overview ?? null,
+      show_poster: show.poster_path ?? null,
+      show_backdrop: show.backdrop_path ?? null,
+      show_genres: show.genres ?? null,
+      show_first_air_date: show.first_air_date ?? null,
+      show_status: show.status ?? null,
+
+      season_number: parsed.season ?? null,
+      episode_number: first?.episode_number ?? parsed.episode ?? null,
+      episodes,
+      ...first,
+
+      title: first?.episode_title ? `${show.title} - ${first.episode_title}` : show.title,
+      match: toMatch(show, show.confidence ?? 100, context.tmdbId)
+    };
+  }
+}
+
+/**
+ * Find the fixture an admin chose, or the one with the parsed title (and year)
+ * @param {Array<Object>} fixtures - Movie or show fixtures
+ * @param {Object} parsed - Parsed filename data
+ * @param {number|null} tmdbId - Decided TMDB ID
+ * @returns {Object|undefined}
+ */
+function findFixture(fixtures, parsed, tmdbId) {
+  if (tmdbId) {
+    return fixtures.find(fixture => fixture.tmdb_id === tmdbId);
+  }
+
+  const title = parsed.title?.toLowerCase();
+  return fixtures.find(fixture =>
+    fixture.title.toLowerCase() === title && (!parsed.year || !fixture.year || fixture.year === parsed.year)
+  );
+}
+
+/**
+ * Build the `match` field of a result, as the TMDB provider does
+ * @param {Object} fixture - Matched fixture
+ * @param {number} confidence - Match confidence (0-100)
+ * @param {number|null} tmdbId - Decided TMDB ID
+ * @returns {Object} { tmdb_id, confidence, candidates, decided }
+ */
+function toMatch(fixture, confidence, tmdbId) {
+  if (tmdbId) {
+    return { tmdb_id: fixture.tmdb_id, confidence: null, candidates: null, decided: true };
+  }
+
+  const candidate = {
+    tmdb_id: fixture.tmdb_id,
+    title: fixture.title,
+    original_title: fixture.original_title ?? fixture.title,
+    year: fixture.year ?? null,
+    overview: fixture.overview ?? null,
+    poster_path: fixture.poster_path ?? null,
+    confidence
+  };
+
+  return { tmdb_id: fixture.tmdb_id, confidence, candidates: [candidate], decided: false };
+}
+
+export default FakeMetadataProvider;
@@ -0,0 +1,153 @@
+/**
+ * Metadata Provider Test
+ * Runs metadataService.processMediaFile against the fake provider (standing in
+ * for TMDB) and NFO fixtures, in a throwaway database and media folder. Needs no
+ * running server and no TMDB API key.
+ *
+ * Usage: node test-metadata-providers.js
+ */
+import { mkdtemp, mkdir, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+
+const GREEN = '\x1b[0;32m';
+const RED = '\x1b[0;31m';
+const BLUE = '\x1b[0;34m';
+const NC = '\x1b[0m';
+
+const workDir = await mkdtemp(join(tmpdir(), 'metadata-providers-'));
+const mediaDir = join(workDir, 'media');
+
+// Set before the services load: they read these on import. An empty key keeps
+// dotenv from loading the real one, so TMDB is never asked.
+process.env.DATABASE_PATH = join(workDir, 'media_library.db');
+process.env.ARTWORK_DIR = join(workDir, 'artwork');
+process.env.TMDB_API_KEY = '';
+
+const { default: database } = await import('./src/config/database.js');
+const { default: metadataService } = await import('./src/services/metadata/metadataService.js');
+const { default: NFOProvider } = await import('./src/services/metadata/providers/NFOProvider.js');
+const { default: FakeMetadataProvider } = await import('./test-fake-metadata-provider.js');
+
+const NFO = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<movie>
+  <title>The NFO Movie</title>
+  <plot>Read from the NFO file.</plot>
+  <premiered>2019-05-01</premiered>
+  <runtime>97</runtime>
+  <genre>Drama</genre>
+  <uniqueid type="tmdb" default="true">2002</uniqueid>
+</movie>
+`;
+
+// Relative path -> content (video files are empty, nothing probes them)
+const FILES = {
+  'Fake Movie (2020)/Fake Movie (2020).mkv': '',
+  'NFO Movie (2019)/NFO Movie (2019).mkv': '',
+  'NFO Movie (2019)/NFO Movie (2019).nfo': NFO,
+  'Artwork Movie (2021)/Artwork Movie (2021).mkv': '',
+  'Artwork Movie (2021)/Artwork Movie (2021)-poster.jpg': 'not really a jpeg',
+  'Low Match (2018)/Low Match (2018).mkv': ''
+};
+
+const fakeProvider = new FakeMetadataProvider({
+  movies: [
+    { tmdb_id: 1001, title: 'Fake Movie', year: 2020, overview: 'From the fake provider.', runtime: 101, genres: 'Comedy' },
+    // The NFO file matches first, so the fake must not be asked for this one
+    { tmdb_id: 2002, title: 'NFO Movie', year: 2019, overview: 'Should not be used.' },
+    { tmdb_id: 3003, title: 'Artwork Movie', year: 2021, overview: 'Artwork from disk, the rest from the fake.' },
+    { tmdb_id: 4004, title: 'Low Match', year: 2018, overview: 'Should wait for review.', confidence: 40 }
+  ]
+});
+
+let passed = 0;
+let failed = 0;
+
+function check(description, condition, detail) {
+  if (condition) {
+    console.log(`${GREEN}✓ ${description}${NC}`);
+    passed++;
+  } else {
+    console.log(`${RED}✗ ${description}${NC}`);
+    if (detail !== undefined) {
+      console.log(`   Got: ${JSON.stringify(detail)}`);
+    }
+    failed++;
+  }
+}
+
+async function addMovie(relativePath) {
+  const filePath = join(mediaDir, relativePath);
+  const { id } = await database.run(
+    `INSERT INTO media_items (type, title, file_path, source_type)
+     VALUES ('movie', ?, ?, 'local')`,
+    [relativePath, filePath]
+  );
+
+  await metadataService.processMediaFile(filePath, id);
+
+  return {
+    item: await database.get('SELECT * FROM media_items WHERE id = ?', [id]),
+    match: await database.get('SELECT * FROM metadata_matches WHERE media_item_id = ?', [id])
+  };
+}
+
+try {
+  console.log('==========================================');
+  console.log('Metadata Provider Test');
+  console.log('==========================================');
+  console.log(`Working directory: ${workDir}\n`);
+
+  for (const [relativePath, content] of Object.entries(FILES)) {
+    await mkdir(dirname(join(mediaDir, relativePath)), { recursive: true });
+    await writeFile(join(mediaDir, relativePath), content);
+  }
+
+  await database.initialize();
+  metadataService.setProviders([new NFOProvider(), fakeProvider]);
+
+  console.log(`${BLUE}Test 1: Movie matched by the fake provider${NC}`);
+  let { item, match } = await addMovie('Fake Movie (2020)/Fake Movie (2020).mkv');
+  check('Title and overview come from the fake provider',
+    item.title === 'Fake Movie' && item.overview === 'From the fake provider.', item);
+  check('TMDB ID and provider are recorded', item.tmdb_id === 1001 && item.metadata_provider === 'fake', item);
+  check('Match is recorded as matched', match?.status === 'matched' && match.confidence === 100, match);
+  console.log('');
+
+  console.log(`${BLUE}Test 2: Movie with an NFO file${NC}`);
+  ({ item, match } = await addMovie('NFO Movie (2019)/NFO Movie (2019).mkv'));
+  check('Title, plot and runtime come from the NFO file',
+    item.title === 'The NFO Movie' && item.overview === 'Read from the NFO file.' && item.runtime === 97, item);
+  check('TMDB ID comes from the NFO uniqueid', item.tmdb_id === 2002 && item.metadata_provider === 'nfo', item);
+  check('Fake provider is not asked', !fakeProvider.calls.some(call => call.title === 'NFO Movie'), fakeProvider.calls);
+  check('Nothing is queued for review', !match, match);
+  console.log('');
+
+  console.log(`${BLUE}Test 3: Local artwork combined with the fake provider${NC}`);
+  ({ item } = await addMovie('Artwork Movie (2021)/Artwork Movie (2021).mkv'));
+  check('Poster is the local file',
+    item.poster_path === join(mediaDir, 'Artwork Movie (2021)/Artwork Movie (2021)-poster.jpg'), item.poster_path);
+  check('Other fields come from the fake provider',
+    item.title === 'Artwork Movie' && item.tmdb_id === 3003 && item.metadata_provider === 'nfo,fake', item);
+  console.log('');
+
+  console.log(`${BLUE}Test 4: Low confidence match${NC}`);
+  ({ item, match } = await addMovie('Low Match (2018)/Low Match (2018).mkv'));
+  check('Match is queued for review', match?.status === 'pending' && match.confidence === 40, match);
+  check('Item is left unmatched', item.tmdb_id === null && item.overview === null, item);
+  console.log('');
+} catch (error) {
+  console.error(`${RED}✗ Test run failed: ${error.stack}${NC}`);
+  failed++;
+} finally {
+  await database.close().catch(() => {});
+  await rm(workDir, { recursive: true, force: true });
+}
+
+console.log('==========================================');
+console.log('Metadata Provider Test Summary');
+console.log('==========================================');
+console.log(`${GREEN}Passed: ${passed}${NC}`);
+console.log(`${RED}Failed: ${failed}${NC}`);
+
+process.exit(failed === 0 ? 0 : 1);
@@ -0,0 +1,216 @@
+/**
+ * Fake UPnP MediaServer for test-upnp.sh
+ * Serves a device description, a ContentDirectory that answers Browse with
+ * DIDL-Lite (one "Movies" container holding one video item) and the item's
+ * res URL with Range support. The video is generated bytes, not real media.
+ *
+ * Usage: node test-upnp-server.js [port]
+ */
+import { createServer } from 'http';
+
+const PORT = parseInt(process.argv[2] || process.env.UPNP_TEST_PORT || '4100', 10);
+const HOST = '127.0.0.1';
+const BASE_URL = `http://${HOST}:${PORT}`;
+const SERVICE_TYPE = 'urn:schemas-upnp-org:service:ContentDirectory:1';
+
+// Byte n is n % 251, so a proxied range can be checked without the original
+const VIDEO = Buffer.from(Array.from({ length: 256 * 1024 }, (_, n) => n % 251));
+
+const OBJECTS = {
+  '0': { id: '0', parentID: '-1', title: 'Root', container: true, children: ['1'] },
+  '1': { id: '1', parentID: '0', title: 'Movies', container: true, children: ['1$1'] },
+  '1$1': { id: '1$1', parentID: '1', title: 'Sample Movie', container: false }
+};
+
+const DESCRIPTION = `<?xml version="1.0" encoding="utf-8"?>
+<root xmlns="urn:schemas-upnp-org:device-1-0">
+  <specVersion><major>1</major><minor>0</minor></specVersion>
+  <URLBase>${BASE_URL}/</URLBase>
+  <device>
+    <deviceType>urn:schemas-upnp-org:device:MediaServer:1</deviceType>
+    <friendlyName>Test Media Server</friendlyName>
+    <manufacturer>streaming-lab</manufacturer>
+    <modelName>test-upnp-server</modelName>
+    <UDN>uuid:00000000-0000-0000-0000-000000000001</UDN>
+    <serviceList>
+      <service>
+        <serviceType>${SERVICE_TYPE}</serviceType>
+        <serviceId>urn:upnp-org:serviceId:ContentDirectory</serviceId>
+        <SCPDURL>/ContentDirectory/scpd.xml</SCPDURL>
+        <controlURL>/ContentDirectory/control</controlURL>
+        <eventSubURL>/ContentDirectory/event</eventSubURL>
+      </service>
+    </serviceList>
+  </device>
+</root>`;
+
+/**
+ * Escape text for XML content and attributes
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * DIDL-Lite element of a container or item
+ * @param {Object} object - Entry of OBJECTS
+ * @returns {string}
+ */
+function toDIDL(object) {
+  const attrs = `id="${escapeXML(object.id)}" parentID="${escapeXML(object.parentID)}" restricted="1"`;
+
+  if (object.container) {
+    return `<container ${attrs} childCount="${object.children.length}">` +
+      `<dc:title>${escapeXML(object.title)}</dc:title>` +
+      '<upnp:class>object.container.storageFolder</upnp:class></container>';
+  }
+
+  return `<item ${attrs}>` +
+    `<dc:title>${escapeXML(object.title)}</dc:title>` +
+    '<upnp:class>object.item.videoItem.movie</upnp:class>' +
+    `<res protocolInfo="http-get:*:video/mp4:*" size="${VIDEO.length}" duration="0:01:30.000">` +
+    `${BASE_URL}/media/sample.mp4</res></item>`;
+}
+
+/**
+ * SOAP envelope around an action response or fault
+ * @param {string} body - Body content
+ * @returns {string}
+ */
+function envelope(body) {
+  return '<?xml version="1.0" encoding="utf-8"?>' +
+    '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" ' +
+    's:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">' +
+    `<s:Body>${body}</s:Body></s:Envelope>`;
+}
+
+/**
+ * Answer a ContentDirectory Browse request
+ * @param {string} request - SOAP request body
+ * @returns {Object} HTTP status and SOAP response
+ */
+function browse(request) {
+  const arg = (name) => request.match(new RegExp(`<${name}>([^<]*)</${name}>`))?.[1] ?? '';
+  const object = OBJECTS[arg('ObjectID').replace(/&amp;/g, '&')];
+
+  if (!object) {
+    return {
+      status: 500,
+      body: envelope(
+        '<s:Fault><faultcode>s:Client</faultcode><faultstring>UPnPError</faultstring><detail>' +
+        '<UPnPError xmlns="urn:schemas-upnp-org:control-1-0"><errorCode>701</errorCode>' +
+        '<errorDescription>No such object</errorDescription></UPnPError></detail></s:Fault>'
+      )
+    };
+  }
+
+  let entries = [object];
+  let totalMatches = 1;
+
+  if (arg('BrowseFlag') === 'BrowseDirectChildren') {
+    const children = (object.children || []).map(id => OBJECTS[id]);
+    const start = parseInt(arg('StartingIndex'), 10) || 0;
+    const count = parseInt(arg('RequestedCount'), 10) || children.length;
+    entries = children.slice(start, start + count);
+    totalMatches = children.length;
+  }
+
+  const didl = '<DIDL-Lite xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/" ' +
+    'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:upnp="urn:schemas-upnp-org:metadata-1-0/upnp/">' +
+    entries.map(toDIDL).join('') + '</DIDL-Lite>';
+
+  return {
+    status: 200,
+    body: envelope(
+      `<u:BrowseResponse xmlns:u="${SERVICE_TYPE}">` +
+      `<Result>${escapeXML(didl)}</Result>` +
+      `<NumberReturned>${entries.length}</NumberReturned>` +
+      `<TotalMatches>${totalMatches}</TotalMatches>` +
+      '<UpdateID>1</UpdateID></u:BrowseResponse>'
+    )
+  };
+}
+
+/**
+ * Serve the video, honouring a single Range header
+ * @param {IncomingMessage} req - Request
+ * @param {ServerResponse} res - Response
+ */
+function serveVideo(req, res) {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+  let start = 0;
+  let end = VIDEO.length - 1;
+
+  if (match && (match[1] || match[2])) {
+    start = match[1] ? parseInt(match[1], 10) : Math.max(VIDEO.length - parseInt(match[2], 10), 0);
+    end = match[1] && match[2] ? Math.min(parseInt(match[2], 10), VIDEO.length - 1) : end;
+
+    if (start > end) {
+      res.writeHead(416, { 'Content-Range': `bytes */${VIDEO.length}` });
+      return res.end();
+    }
+
+    res.writeHead(206, {
+      'Content-Type': 'video/mp4',
+      'Content-Length': end - start + 1,
+      'Content-Range': `bytes ${start}-${end}/${VIDEO.length}`,
+      'Accept-Ranges': 'bytes'
+    });
+  } else {
+    res.writeHead(200, {
+      'Content-Type': 'video/mp4',
+      'Content-Length': VIDEO.length,
+      'Accept-Ranges': 'bytes'
+    });
+  }
+
+  res.end(req.method === 'HEAD' ? undefined : VIDEO.subarray(start, end + 1));
+}
+
+const server = createServer((req, res) => {
+  const { pathname } = new URL(req.url, BASE_URL);
+
+  if (req.method === 'GET' && pathname === '/description.xml') {
+    res.writeHead(200, { 'Content-Type': 'text/xml; charset="utf-8"' });
+    return res.end(DESCRIPTION);
+  }
+
+  if (req.method === 'POST' && pathname === '/ContentDirectory/control') {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (!/#Browse"?$/.test(req.headers.soapaction || '')) {
+        res.writeHead(401, { 'Content-Type': 'text/xml; charset="utf-8"' });
+        return res.end(envelope('<s:Fault><faultstring>Invalid Action</faultstring></s:Fault>'));
+      }
+
+      const response = browse(body);
+      res.writeHead(response.status, { 'Content-Type': 'text/xml; charset="utf-8"' });
+      res.end(response.body);
+    });
+    return;
+  }
+
+  if ((req.method === 'GET' || req.method === 'HEAD') && pathname === '/media/sample.mp4') {
+    return serveVideo(req, res);
+  }
+
+  res.writeHead(404);
+  res.end();
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Test UPnP MediaServer at ${BASE_URL}/description.xml`);
+});
+
+// test-upnp.sh stops the server with SIGTERM when it is done
+process.on('SIGTERM', () => server.close(() => process.exit(0)));
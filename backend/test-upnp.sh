@@ -0,0 +1,180 @@
+#!/bin/bash
+
+# Test UPnP/DLNA browsing and res URL proxying against a local fake MediaServer
+# (test-upnp-server.js). The API server must be running on BASE_URL.
+
+BASE_URL="http://localhost:4000"
+UPNP_PORT="${UPNP_TEST_PORT:-4100}"
+UPNP_URL="http://127.0.0.1:${UPNP_PORT}"
+GREEN='\033[0;32m'
+RED='\033[0;31m'
+YELLOW='\033[1;33m'
+BLUE='\033[0;34m'
+NC='\033[0m'
+
+TESTS_PASSED=0
+TESTS_FAILED=0
+
+print_test() {
+    if [ $1 -eq 0 ]; then
+        echo -e "${GREEN}✓ $2${NC}"
+        ((TESTS_PASSED++))
+    else
+        echo -e "${RED}✗ $2${NC}"
+        ((TESTS_FAILED++))
+    fi
+}
+
+echo "=========================================="
+echo "UPnP MediaServer Test"
+echo "=========================================="
+echo ""
+
+# Step 1: Start the fake MediaServer
+echo -e "${BLUE}Step 1: Starting test MediaServer on port ${UPNP_PORT}...${NC}"
+SCRIPT_DIR="$(cd "$(dirname "$0")" && pwd)"
+WORK_DIR=$(mktemp -d)
+
+node "${SCRIPT_DIR}/test-upnp-server.js" "${UPNP_PORT}" > "${WORK_DIR}/server.log" 2>&1 &
+SERVER_PID=$!
+
+cleanup() {
+    kill "$SERVER_PID" 2>/dev/null
+    wait "$SERVER_PID" 2>/dev/null
+    rm -rf "$WORK_DIR"
+}
+trap cleanup EXIT
+
+for _ in $(seq 1 20); do
+    curl -s -o /dev/null "${UPNP_URL}/description.xml" && break
+    sleep 0.25
+done
+
+if ! curl -s "${UPNP_URL}/description.xml" | grep -q "ContentDirectory"; then
+    echo -e "${RED}✗ Test MediaServer did not start${NC}"
+    cat "${WORK_DIR}/server.log"
+    exit 1
+fi
+echo -e "${GREEN}✓ Test MediaServer running${NC}"
+echo ""
+
+# Step 2: Register/Login to get token
+echo -e "${BLUE}Step 2: Authenticating...${NC}"
+USERNAME="upnptest_$(date +%s)"
+PASSWORD="TestPass123!"
+
+RESPONSE=$(curl -s -X POST ${BASE_URL}/api/auth/register \
+  -H "Content-Type: application/json" \
+  -d "{\"username\":\"${USERNAME}\",\"password\":\"${PASSWORD}\"}")
+
+TOKEN=$(echo "$RESPONSE" | python3 -c "import sys, json; print(json.load(sys.stdin).get('token', ''))")
+
+if [ -z "$TOKEN" ]; then
+    echo -e "${RED}✗ Failed to get authentication token${NC}"
+    exit 1
+fi
+echo -e "${GREEN}✓ Authenticated successfully${NC}"
+echo ""
+
+# Step 3: Add the MediaServer as a network source
+echo -e "${BLUE}Step 3: Adding UPnP network source...${NC}"
+RESPONSE=$(curl -s -X POST ${BASE_URL}/api/network/sources \
+  -H "Authorization: Bearer ${TOKEN}" \
+  -H "Content-Type: application/json" \
+  -d "{\"name\":\"Test MediaServer\",\"protocol\":\"upnp\",\"host\":\"127.0.0.1\",\"port\":${UPNP_PORT},\"base_path\":\"/description.xml\"}")
+
+SOURCE_ID=$(echo "$RESPONSE" | python3 -c "import sys, json; print(json.load(sys.stdin).get('id', ''))")
+
+if [ -z "$SOURCE_ID" ]; then
+    echo -e "${RED}✗ Failed to add network source${NC}"
+    echo "   Response: $RESPONSE"
+    exit 1
+fi
+echo -e "${GREEN}✓ Added network source ID: ${SOURCE_ID}${NC}"
+echo ""
+
+# Test 1: Browse the root container
+echo -e "${BLUE}Test 1: Browse root container${NC}"
+RESPONSE=$(curl -s ${BASE_URL}/api/network/sources/${SOURCE_ID}/browse \
+  -H "Authorization: Bearer ${TOKEN}")
+
+CONTAINER_ID=$(echo "$RESPONSE" | python3 -c "
+import sys, json
+files = json.load(sys.stdin).get('files', [])
+print(next((f['path'] for f in files if f.get('isDirectory') and f.get('name') == 'Movies'), ''))
+")
+
+[ "$CONTAINER_ID" = "1" ]
+print_test $? "Root lists the Movies container"
+echo ""
+
+# Test 2: Browse the container and find the video item
+echo -e "${BLUE}Test 2: Browse Movies container${NC}"
+RESPONSE=$(curl -s -G ${BASE_URL}/api/network/sources/${SOURCE_ID}/browse \
+  --data-urlencode "path=${CONTAINER_ID}" \
+  -H "Authorization: Bearer ${TOKEN}")
+
+ITEM=$(echo "$RESPONSE" | python3 -c "
+import sys, json
+files = json.load(sys.stdin).get('files', [])
+item = next((f for f in files if f.get('isFile')), None)
+print(f\"{item['path']} {item['url']} {item['size']}\" if item else '')
+")
+read -r ITEM_ID ITEM_URL ITEM_SIZE <<< "$ITEM"
+
+if [ "$ITEM_ID" = '1$1' ] && [ -n "$ITEM_URL" ] && [ "$ITEM_SIZE" = "262144" ]; then
+    print_test 0 "Container lists the video item with its res URL and size"
+    echo "   Item: $ITEM_ID -> $ITEM_URL ($ITEM_SIZE bytes)"
+else
+    print_test 1 "Container lists the video item with its res URL and size"
+    echo "   Response: $RESPONSE"
+fi
+echo ""
+
+# Test 3: Proxy a byte range of the res URL
+echo -e "${BLUE}Test 3: Proxy a byte range of the res URL${NC}"
+curl -s -H "Range: bytes=1000-1999" "${UPNP_URL}/media/sample.mp4" -o "${WORK_DIR}/expected.bin"
+
+HTTP_CODE=$(curl -s -G -o "${WORK_DIR}/proxied.bin" -w "%{http_code}" \
+  ${BASE_URL}/api/stream/network/${SOURCE_ID} \
+  --data-urlencode "path=${ITEM_ID}" \
+  -H "Authorization: Bearer ${TOKEN}" \
+  -H "Range: bytes=1000-1999")
+
+if [ "$HTTP_CODE" = "206" ] && cmp -s "${WORK_DIR}/expected.bin" "${WORK_DIR}/proxied.bin"; then
+    print_test 0 "Range request returns 206 with the server's bytes"
+else
+    print_test 1 "Range request returns 206 with the server's bytes (HTTP $HTTP_CODE)"
+fi
+echo ""
+
+# Test 4: Unknown object IDs are not found
+echo -e "${BLUE}Test 4: Proxy an unknown object${NC}"
+HTTP_CODE=$(curl -s -G -o /dev/null -w "%{http_code}" \
+  ${BASE_URL}/api/stream/network/${SOURCE_ID} \
+  --data-urlencode "path=does-not-exist" \
+  -H "Authorization: Bearer ${TOKEN}")
+
+[ "$HTTP_CODE" = "404" ]
+print_test $? "Unknown object returns 404"
+echo ""
+
+# Clean up the network source
+curl -s -X DELETE ${BASE_URL}/api/network/sources/${SOURCE_ID} \
+  -H "Authorization: Bearer ${TOKEN}" > /dev/null
+
+# Summary
+echo "=========================================="
+echo "UPnP Test Summary"
+echo "=========================================="
+echo -e "${GREEN}Passed: $TESTS_PASSED${NC}"
+echo -e "${RED}Failed: $TESTS_FAILED${NC}"
+echo ""
+
+if [ $TESTS_FAILED -eq 0 ]; then
+    echo -e "${GREEN}UPnP test completed successfully! ✓${NC}"
+    exit 0
+else
+    echo -e "${RED}UPnP test failed ✗${NC}"
+    exit 1
+fi
@@ -41,6 +41,11 @@ export const routes: Routes = [
     loadComponent: () => import('./components/tv-show-details/tv-show-details.component').then(m => m.TvShowDetailsComponent),
     canActivate: [authGuard]
   },
+  {
+    path: 'collection/:id',
+    loadComponent: () => import('./components/collection-details/collection-details.component').then(m => m.CollectionDetailsComponent),
+    canActivate: [authGuard]
+  },
   {
     path: 'admin',
     loadComponent: () => import('./components/admin/admin.component').then(m => m.AdminComponent),
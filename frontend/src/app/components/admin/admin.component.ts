@@ -46,6 +46,7 @@ export class AdminComponent implements OnInit {
   showBrowser = false;
   selectedSource: NetworkSource | null = null;
   browserPath: string = '/';
+  browserParentPath: string | null = null;
   browserFiles: NetworkFile[] = [];
   upnpDevices: UPnPDevice[] = [];
   newSource: Partial<NetworkSource> = {
@@ -349,6 +350,23 @@ export class AdminComponent implements OnInit {
     });
   }
 
+  scanSource(source: NetworkSource) {
+    this.loading = true;
+    this.error = null;
+
+    this.networkService.scanSource(source.id).subscribe({
+      next: () => {
+        this.loading = false;
+        alert(`Scan of ${source.name} started. New items will appear in the library as they are indexed.`);
+      },
+      error: (err) => {
+        this.loading = false;
+        this.error = err.error?.error || 'Failed to start scan';
+        console.error('Scan source error:', err);
+      }
+    });
+  }
+
   browseSource(source: NetworkSource) {
     this.selectedSource = source;
     this.browserPath = '/';
@@ -366,6 +384,7 @@ export class AdminComponent implements OnInit {
     this.networkService.browseDirectory(this.selectedSource.id, path).subscribe({
       next: (result) => {
         this.browserFiles = result.files;
+        this.browserParentPath = result.parentPath ?? null;
         this.loading = false;
       },
       error: (err) => {
@@ -383,6 +402,12 @@ export class AdminComponent implements OnInit {
   }
 
   navigateToParentDirectory() {
+    // UPnP object IDs are not paths, the server tells us the parent
+    if (this.browserParentPath) {
+      this.loadBrowserDirectory(this.browserParentPath);
+      return;
+    }
+
     const pathParts = this.browserPath.split('/').filter(p => p);
     pathParts.pop();
     const newPath = '/' + pathParts.join('/');
@@ -393,9 +418,14 @@ export class AdminComponent implements OnInit {
     this.showBrowser = false;
     this.selectedSource = null;
     this.browserPath = '/';
+    this.browserParentPath = null;
     this.browserFiles = [];
   }
 
+  getNetworkStreamUrl(file: NetworkFile): string {
+    return this.selectedSource ? this.networkService.getStreamUrl(this.selectedSource.id, file.path) : '';
+  }
+
   discoverUPnPDevices() {
     this.loading = true;
     this.error = null;
@@ -0,0 +1,65 @@
+import { Component, OnInit, inject } from '@angular/core';
+import { CommonModule } from '@angular/common';
+import { ActivatedRoute, Router, RouterModule } from '@angular/router';
+import { MediaService } from '../../core/services/media.service';
+import { CollectionDetails, CollectionPart } from '../../core/models/collection.model';
+
+@Component({
+  selector: 'app-collection-details',
+  standalone: true,
+  imports: [CommonModule, RouterModule],
+  templateUrl: './collection-details.component.html',
+  styleUrl: './collection-details.component.scss'
+})
+export class CollectionDetailsComponent implements OnInit {
+  private route = inject(ActivatedRoute);
+  private router = inject(Router);
+  private mediaService = inject(MediaService);
+
+  collection: CollectionDetails | null = null;
+  loading = true;
+  error: string | null = null;
+
+  ngOnInit() {
+    const id = this.route.snapshot.paramMap.get('id');
+    if (id) {
+      this.loadCollectionDetails(parseInt(id, 10));
+    }
+  }
+
+  loadCollectionDetails(id: number) {
+    this.loading = true;
+    this.error = null;
+
+    this.mediaService.getCollectionDetails(id).subscribe({
+      next: (data) => {
+        this.collection = data;
+        this.loading = false;
+      },
+      error: (err) => {
+        console.error('Error loading collection details:', err);
+        this.error = 'Failed to load collection details';
+        this.loading = false;
+      }
+    });
+  }
+
+  // Only parts in the library can be opened; missing ones are shown for reference
+  openPart(part: CollectionPart) {
+    if (part.media_item_id !== null) {
+      this.router.navigate(['/media', part.media_item_id]);
+    }
+  }
+
+  getPosterUrl(posterPath: string | undefined): string {
+    return this.mediaService.getPosterUrl(posterPath);
+  }
+
+  getBackdropUrl(backdropPath: string | undefined): string {
+    return this.mediaService.getBackdropUrl(backdropPath);
+  }
+
+  goBack() {
+    this.router.navigate(['/library']);
+  }
+}
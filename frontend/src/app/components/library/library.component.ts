@@ -7,6 +7,7 @@ import { AuthService } from '../../core/services/auth.service';
 import { MediaItem } from '../../core/models/media-item.model';
 import { WatchProgress } from '../../core/models/watch-progress.model';
 import { TVShow } from '../../core/models/tv-show.model';
+import { Collection } from '../../core/models/collection.model';
 import { MediaCardComponent } from '../media-card/media-card.component';
 
 @Component({
@@ -24,20 +25,22 @@ export class LibraryComponent implements OnInit {
 
   mediaItems: MediaItem[] = [];
   tvShows: TVShow[] = [];
+  collections: Collection[] = [];
   continueWatching: WatchProgress[] = [];
   isLoading = true;
   errorMessage = '';
-  activeTab: 'movies' | 'tv' = 'movies';
+  activeTab: 'movies' | 'tv' | 'collections' = 'movies';
 
   currentUser$ = this.authService.currentUser$;
 
   ngOnInit(): void {
     this.loadMedia();
     this.loadTVShows();
+    this.loadCollections();
     this.loadContinueWatching();
   }
 
-  switchTab(tab: 'movies' | 'tv'): void {
+  switchTab(tab: 'movies' | 'tv' | 'collections'): void {
     this.activeTab = tab;
   }
 
@@ -69,6 +72,17 @@ export class LibraryComponent implements OnInit {
     });
   }
 
+  loadCollections(): void {
+    this.mediaService.getCollections().subscribe({
+      next: (response) => {
+        this.collections = response.collections || [];
+      },
+      error: (error) => {
+        console.error('Error loading collections:', error);
+      }
+    });
+  }
+
   loadContinueWatching(): void {
     this.watchHistoryService.getContinueWatching(10).subscribe({
       next: (response) => {
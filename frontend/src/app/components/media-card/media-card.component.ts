@@ -18,7 +18,7 @@ export class MediaCardComponent {
   constructor(private mediaService: MediaService) {}
 
   getPosterUrl(): string {
-    return this.mediaService.getPosterUrl(this.media.poster_path);
+    return this.mediaService.getPosterUrl(this.media.poster_url || this.media.poster_path, 342);
   }
 
   getYear(): string {
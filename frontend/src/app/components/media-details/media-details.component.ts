@@ -3,6 +3,7 @@ import { CommonModule } from '@angular/common';
 import { ActivatedRoute, Router, RouterModule } from '@angular/router';
 import { MediaService } from '../../core/services/media.service';
 import { WatchHistoryService } from '../../core/services/watch-history.service';
+import { AuthService } from '../../core/services/auth.service';
 import { MediaItem } from '../../core/models/media-item.model';
 
 @Component({
@@ -17,12 +18,16 @@ export class MediaDetailsComponent implements OnInit {
   private router = inject(Router);
   private mediaService = inject(MediaService);
   private watchHistoryService = inject(WatchHistoryService);
+  private authService = inject(AuthService);
 
   mediaId?: number;
   mediaItem?: MediaItem;
   isLoading = true;
   errorMessage = '';
   watchProgress = 0;
+  artworkMessage = '';
+  // Bumped after an upload, as the image URL of an item stays the same
+  private artworkVersion = 0;
 
   ngOnInit(): void {
     this.route.params.subscribe(params => {
@@ -65,12 +70,57 @@ export class MediaDetailsComponent implements OnInit {
 
   getBackdropUrl(): string {
     if (!this.mediaItem) return '';
-    return this.mediaService.getBackdropUrl(this.mediaItem.backdrop_path);
+    return this.withArtworkVersion(
+      this.mediaService.getBackdropUrl(this.mediaItem.backdrop_url || this.mediaItem.backdrop_path, 1280)
+    );
   }
 
   getPosterUrl(): string {
     if (!this.mediaItem) return '';
-    return this.mediaService.getPosterUrl(this.mediaItem.poster_path);
+    return this.withArtworkVersion(
+      this.mediaService.getPosterUrl(this.mediaItem.poster_url || this.mediaItem.poster_path, 342)
+    );
+  }
+
+  isAdmin(): boolean {
+    return !!this.authService.getCurrentUser()?.is_admin;
+  }
+
+  onArtworkSelected(kind: 'poster' | 'backdrop', event: Event): void {
+    const input = event.target as HTMLInputElement;
+    const file = input.files?.[0];
+    input.value = '';
+    if (!this.mediaId || !file) return;
+
+    this.artworkMessage = '';
+    this.mediaService.uploadArtwork(this.mediaId, kind, file).subscribe({
+      next: () => this.onArtworkChanged(),
+      error: (error) => {
+        this.artworkMessage = error.error?.error || 'Failed to upload image';
+      }
+    });
+  }
+
+  removeArtwork(kind: 'poster' | 'backdrop'): void {
+    if (!this.mediaId) return;
+
+    this.artworkMessage = '';
+    this.mediaService.removeUploadedArtwork(this.mediaId, kind).subscribe({
+      next: () => this.onArtworkChanged(),
+      error: (error) => {
+        this.artworkMessage = error.error?.error || 'Failed to remove image';
+      }
+    });
+  }
+
+  private onArtworkChanged(): void {
+    this.artworkVersion++;
+    this.loadMediaDetails();
+  }
+
+  private withArtworkVersion(url: string): string {
+    if (!this.artworkVersion || !url.includes('/images/')) return url;
+    return `${url}${url.includes('?') ? '&' : '?'}v=${this.artworkVersion}`;
   }
 
   getRating(): string {
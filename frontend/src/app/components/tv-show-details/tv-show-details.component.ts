@@ -54,6 +54,10 @@ export class TvShowDetailsComponent implements OnInit {
   }
 
   playEpisode(episode: Episode) {
+    // Missing and unaired episodes have nothing to play
+    if (episode.media_item_id === null) {
+      return;
+    }
     this.router.navigate(['/watch', episode.media_item_id]);
   }
 
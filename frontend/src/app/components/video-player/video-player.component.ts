@@ -1,13 +1,52 @@
 import { Component, OnInit, OnDestroy, AfterViewInit, ViewChild, ElementRef, inject, NgZone } from '@angular/core';
-import { CommonModule } from '@angular/common';
+import { CommonModule, Location } from '@angular/common';
 import { FormsModule } from '@angular/forms';
 import { ActivatedRoute, Router } from '@angular/router';
 import videojs from 'video.js';
 import Player from 'video.js/dist/types/player';
+import Hls from 'hls.js';
 import { MediaService } from '../../core/services/media.service';
 import { WatchHistoryService } from '../../core/services/watch-history.service';
-import { MediaItem } from '../../core/models/media-item.model';
+import { MediaItem, MediaPart } from '../../core/models/media-item.model';
 import { Episode } from '../../core/models/tv-show.model';
+import { AudioTrack, PlaybackDecision } from '../../core/models/playback.model';
+
+// Live remuxes and transcodes are requested with ?start= and their timestamps
+// restart at 0 there. This middleware keeps the seek bar in file time and turns
+// seeks outside the received part of the stream into a new request.
+const OFFSET_STREAM_TYPE = 'video/x-offset-mp4';
+
+interface OffsetStream {
+  offset: number;
+  duration: number;
+  restart: (time: number) => void;
+}
+
+const offsetStreams = new WeakMap<Player, OffsetStream>();
+
+videojs.use(OFFSET_STREAM_TYPE, (player: Player) => ({
+  setSource(src: any, next: (error: any, src: any) => void) {
+    next(null, { ...src, type: 'video/mp4' });
+  },
+  currentTime(time: number) {
+    return time + (offsetStreams.get(player)?.offset || 0);
+  },
+  duration(duration: number) {
+    return offsetStreams.get(player)?.duration || duration;
+  },
+  setCurrentTime(time: number) {
+    const stream = offsetStreams.get(player);
+    if (!stream) return time;
+
+    const streamTime = time - stream.offset;
+    if (streamTime >= 0 && streamTime <= player.bufferedEnd()) {
+      return streamTime;
+    }
+
+    setTimeout(() => stream.restart(time));
+    return (player.currentTime() || 0) - stream.offset;
+  }
+}));
 
 @Component({
   selector: 'app-video-player',
@@ -21,27 +60,48 @@ export class VideoPlayerComponent implements OnInit, AfterViewInit, OnDestroy {
 
   private route = inject(ActivatedRoute);
   private router = inject(Router);
+  private location = inject(Location);
   private mediaService = inject(MediaService);
   private watchHistoryService = inject(WatchHistoryService);
   private ngZone = inject(NgZone);
 
   player?: Player;
+  private hls?: Hls;
   mediaId?: number;
   mediaItem?: MediaItem;
   isLoading = true;
   errorMessage = '';
 
   availableQualities: any[] = [];
-  currentQuality = 'auto';
+  currentQuality = 'direct';
+
+  // How the server delivers the "Original" stream to this browser
+  playbackDecision?: PlaybackDecision;
+  private mediaDuration = 0;
+
+  // Audio tracks (index is the position among the file's audio streams)
+  audioTracks: AudioTrack[] = [];
+  currentAudioTrack = 0;
 
   // Subtitles
   availableSubtitles: any[] = [];
+  // Image-based tracks (PGS, VobSub) can only be burned into the video; burnSubtitle is a subtitle id
+  imageSubtitles: any[] = [];
+  burnSubtitle: number | null = null;
+  // Text tracks added to the player, and the one currently showing (for its timing offset)
+  subtitleTracks: { subtitle: any; element: any }[] = [];
+  activeSubtitle: any = null;
 
   // Episode navigation
   nextEpisode?: Episode;
   previousEpisode?: Episode;
   isEpisode = false;
 
+  // Seek bar previews: sprite tiles listed in the trickplay WebVTT track
+  private trickplayTrack?: any;
+  private trickplayUrl = '';
+  private trickplayPreview?: HTMLElement;
+
   private progressInterval?: any;
   private lastSavedTime = 0;
   private startTimeToResume = 0;
@@ -82,6 +142,7 @@ export class VideoPlayerComponent implements OnInit, AfterViewInit, OnDestroy {
     if (this.player) {
       // Save progress one last time before destroying
       this.saveProgress();
+      this.destroyHls();
       this.player.dispose();
     }
   }
@@ -107,7 +168,7 @@ export class VideoPlayerComponent implements OnInit, AfterViewInit, OnDestroy {
 
         this.loadAvailableQualities();
         this.loadSubtitles();
-        this.loadLastWatchedPosition();
+        this.loadPlaybackDecision();
       },
       error: (error) => {
         console.error('[VideoPlayer] Error loading media:', error);
@@ -159,12 +220,32 @@ export class VideoPlayerComponent implements OnInit, AfterViewInit, OnDestroy {
     });
   }
 
+  loadPlaybackDecision(): void {
+    if (!this.mediaId) return;
+
+    this.mediaService.getStreamInfo(this.mediaId).subscribe({
+      next: (info) => {
+        this.playbackDecision = info.playback;
+        this.mediaDuration = info.videoInfo?.duration || 0;
+        this.audioTracks = info.videoInfo?.audioTracks || [];
+        console.log('[VideoPlayer] Playback decision:', info.playback);
+        this.loadLastWatchedPosition();
+      },
+      error: (error) => {
+        console.error('Error loading playback decision:', error);
+        // The server still decides on its own when the stream is requested
+        this.loadLastWatchedPosition();
+      }
+    });
+  }
+
   loadSubtitles(): void {
     if (!this.mediaId) return;
 
     this.mediaService.getSubtitles(this.mediaId).subscribe({
       next: (response) => {
         this.availableSubtitles = response.subtitles || [];
+        this.imageSubtitles = this.availableSubtitles.filter(subtitle => subtitle.text_based === false);
         console.log('[VideoPlayer] Subtitles loaded:', this.availableSubtitles);
         // If player is already initialized, add subtitles to it
         if (this.player) {
@@ -206,38 +287,28 @@ export class VideoPlayerComponent implements OnInit, AfterViewInit, OnDestroy {
       return;
     }
 
-    // Get JWT token and append to stream URL as query parameter
-    const token = localStorage.getItem('token');
     // Use direct streaming instead of HLS (HLS transcoding takes too long)
-    let streamUrl = this.mediaService.getStreamUrl(this.mediaId);
-    if (token) {
-      streamUrl += `?token=${encodeURIComponent(token)}`;
-    }
+    const streamUrl = this.getDirectStreamUrl();
 
-    // Determine MIME type from file extension
     const fileExt = this.mediaItem?.file_path?.toLowerCase().split('.').pop() || 'mp4';
-    const mimeTypes: { [key: string]: string } = {
-      'mp4': 'video/mp4',
-      'webm': 'video/webm',
-      'mkv': 'video/x-matroska',
-      'avi': 'video/x-msvideo',
-      'mov': 'video/quicktime'
-    };
-    const mimeType = mimeTypes[fileExt] || 'video/mp4';
-
-    // Create and append <source> element BEFORE Video.js initialization
-    const videoEl = this.videoPlayerRef.nativeElement;
-    const sourceEl = document.createElement('source');
-    sourceEl.src = streamUrl;
-    sourceEl.type = mimeType;
-    videoEl.appendChild(sourceEl);
-
-    console.log('[VideoPlayer] Added source element:', {
-      src: sourceEl.src,
-      type: sourceEl.type,
-      fileExt,
-      mimeType
-    });
+    const mimeType = this.getDirectMimeType();
+
+    // Create and append <source> element BEFORE Video.js initialization.
+    // Live remuxes and transcodes are loaded afterwards so the offset middleware applies.
+    if (!this.isOffsetStream()) {
+      const videoEl = this.videoPlayerRef.nativeElement;
+      const sourceEl = document.createElement('source');
+      sourceEl.src = streamUrl;
+      sourceEl.type = mimeType;
+      videoEl.appendChild(sourceEl);
+
+      console.log('[VideoPlayer] Added source element:', {
+        src: sourceEl.src,
+        type: sourceEl.type,
+        fileExt,
+        mimeType
+      });
+    }
 
     // Initialize Video.js player
     this.player = videojs(this.videoPlayerRef.nativeElement, {
@@ -283,7 +354,9 @@ export class VideoPlayerComponent implements OnInit, AfterViewInit, OnDestroy {
     // No need to call this.player.src() again
 
     // Set starting position if resuming
-    if (startTime > 0) {
+    if (this.isOffsetStream()) {
+      this.loadDirectSource(startTime, false);
+    } else if (startTime > 0) {
       this.player.currentTime(startTime);
     }
 
@@ -292,6 +365,12 @@ export class VideoPlayerComponent implements OnInit, AfterViewInit, OnDestroy {
       this.addSubtitlesToPlayer();
     }
 
+    this.setupTrickplay();
+
+    (this.player.textTracks() as any).addEventListener('change', () => {
+      this.ngZone.run(() => this.updateActiveSubtitle());
+    });
+
     // Handle player events - wrap in ngZone.run() to trigger Angular change detection
     this.player.on('loadedmetadata', () => {
       this.ngZone.run(() => {
@@ -326,6 +405,10 @@ export class VideoPlayerComponent implements OnInit, AfterViewInit, OnDestroy {
       this.ngZone.run(() => {
         console.log('Video ended');
         this.markAsWatched();
+        // The next part of a multi-part movie follows straight away
+        if (this.getNextPart()) {
+          this.playNextPart();
+        }
       });
     });
 
@@ -333,6 +416,162 @@ export class VideoPlayerComponent implements OnInit, AfterViewInit, OnDestroy {
     this.setupKeyboardShortcuts();
   }
 
+  setupTrickplay(): void {
+    if (!this.player || !this.mediaId) return;
+
+    // Items without generated previews answer 404 and the track stays empty
+    this.trickplayUrl = this.mediaService.getTrickplayUrl(this.mediaId);
+    const element = this.player.addRemoteTextTrack({
+      kind: 'metadata',
+      src: this.trickplayUrl,
+      label: 'thumbnails'
+    }, false) as any;
+    element.track.mode = 'hidden';
+    this.trickplayTrack = element.track;
+
+    const seekBar = (this.player as any).getChild('controlBar')?.getChild('progressControl')?.getChild('seekBar');
+    if (!seekBar) return;
+
+    // Created outside the template, so styled inline rather than by the component stylesheet
+    const preview = document.createElement('div');
+    Object.assign(preview.style, {
+      position: 'absolute',
+      bottom: '100%',
+      marginBottom: '30px',
+      display: 'none',
+      pointerEvents: 'none',
+      backgroundColor: '#000',
+      backgroundRepeat: 'no-repeat',
+      border: '2px solid #fff',
+      borderRadius: '4px',
+      transform: 'translateX(-50%)',
+      zIndex: '2'
+    });
+    seekBar.el().appendChild(preview);
+    this.trickplayPreview = preview;
+
+    seekBar.on('mousemove', (event: MouseEvent) => this.showTrickplayPreview(seekBar.el(), event));
+    seekBar.on('mouseleave', () => {
+      preview.style.display = 'none';
+    });
+  }
+
+  showTrickplayPreview(seekBarEl: HTMLElement, event: MouseEvent): void {
+    const preview = this.trickplayPreview;
+    const cues = this.trickplayTrack?.cues;
+    const duration = this.player?.duration() || 0;
+    if (!preview || !cues || cues.length === 0 || !duration) return;
+
+    const rect = seekBarEl.getBoundingClientRect();
+    const x = Math.min(Math.max(event.clientX - rect.left, 0), rect.width);
+    const time = (x / rect.width) * duration;
+
+    const cue = Array.from(cues as ArrayLike<any>).find(c => time >= c.startTime && time < c.endTime);
+    // Cue text: <sprite URL relative to the track>#xywh=<x>,<y>,<width>,<height>
+    const [url, fragment] = cue ? cue.text.split('#xywh=') : [];
+    const [tileX, tileY, width, height] = (fragment || '').split(',').map(Number);
+
+    if (!url || !width || !height) {
+      preview.style.display = 'none';
+      return;
+    }
+
+    // Kept inside the seek bar at both ends
+    const left = Math.min(Math.max(x, width / 2), Math.max(rect.width - width / 2, width / 2));
+
+    Object.assign(preview.style, {
+      display: 'block',
+      left: `${left}px`,
+      width: `${width}px`,
+      height: `${height}px`,
+      backgroundImage: `url("${new URL(url, this.trickplayUrl).href}")`,
+      backgroundPosition: `-${tileX}px -${tileY}px`
+    });
+  }
+
+  getDirectStreamUrl(): string {
+    if (!this.mediaId) return '';
+
+    // The client profile lets the server direct play, remux or transcode
+    let url = `${this.mediaService.getStreamUrl(this.mediaId)}?${this.mediaService.getProfileQuery(this.mediaService.getClientProfile())}`;
+
+    if (this.currentAudioTrack > 0) {
+      url += `&audio=${this.currentAudioTrack}`;
+    }
+
+    if (this.burnSubtitle !== null) {
+      url += `&subtitle=${this.burnSubtitle}`;
+    }
+
+    // Get JWT token and append to stream URL as query parameter
+    const token = localStorage.getItem('token');
+    if (token) {
+      url += `&token=${encodeURIComponent(token)}`;
+    }
+    return url;
+  }
+
+  isOffsetStream(): boolean {
+    // Live remuxes and transcodes have no range support
+    return !!this.playbackDecision && !this.playbackDecision.seekable;
+  }
+
+  loadDirectSource(startTime: number, autoplay: boolean): void {
+    if (!this.player || !this.mediaId) return;
+
+    if (!this.isOffsetStream()) {
+      offsetStreams.delete(this.player);
+      this.player.src({ src: this.getDirectStreamUrl(), type: this.getDirectMimeType() });
+      this.player.currentTime(startTime);
+      if (autoplay) {
+        this.player.play();
+      }
+      return;
+    }
+
+    const load = (start: number) => {
+      if (!this.player) return;
+
+      offsetStreams.set(this.player, {
+        offset: start,
+        duration: this.mediaDuration,
+        restart: (time) => this.loadDirectSource(time, !this.player?.paused())
+      });
+      this.player.src({ src: `${this.getDirectStreamUrl()}&start=${start}`, type: OFFSET_STREAM_TYPE });
+      if (autoplay) {
+        this.player.play();
+      }
+    };
+
+    // Remuxes can only start on a keyframe, so the server says where the stream begins
+    if (startTime > 0 && this.playbackDecision?.mode === 'remux') {
+      this.mediaService.getSeekOffset(this.mediaId, startTime, this.currentAudioTrack).subscribe({
+        next: (seek) => load(seek.start),
+        error: () => load(startTime)
+      });
+    } else {
+      load(startTime);
+    }
+  }
+
+  getDirectMimeType(): string {
+    // Remuxed and transcoded streams are always fragmented MP4
+    if (this.playbackDecision && this.playbackDecision.mode !== 'direct_play') {
+      return 'video/mp4';
+    }
+
+    // Determine MIME type from file extension
+    const fileExt = this.mediaItem?.file_path?.toLowerCase().split('.').pop() || 'mp4';
+    const mimeTypes: { [key: string]: string } = {
+      'mp4': 'video/mp4',
+      'webm': 'video/webm',
+      'mkv': 'video/x-matroska',
+      'avi': 'video/x-msvideo',
+      'mov': 'video/quicktime'
+    };
+    return mimeTypes[fileExt] || 'video/mp4';
+  }
+
   setupKeyboardShortcuts(): void {
     if (!this.player) return;
 
@@ -429,25 +668,177 @@ export class VideoPlayerComponent implements OnInit, AfterViewInit, OnDestroy {
     if (!this.player || !this.mediaId) return;
 
     this.currentQuality = quality;
-    const currentTime = this.player.currentTime();
+    const currentTime = this.player.currentTime() || 0;
     const wasPaused = this.player.paused();
 
-    let url: string;
-    if (quality === 'auto') {
-      url = this.mediaService.getHLSUrl(this.mediaId);
-    } else {
-      url = this.mediaService.getStreamUrl(this.mediaId, quality);
+    if (quality === 'direct') {
+      this.destroyHls();
+      this.loadDirectSource(currentTime, !wasPaused);
+      return;
     }
 
-    this.player.src({
-      src: url,
-      type: quality === 'auto' ? 'application/x-mpegURL' : 'video/mp4'
+    // Already on the adaptive stream: just pin or release the rendition
+    if (this.hls) {
+      this.hls.currentLevel = this.getHlsLevel(quality);
+      return;
+    }
+
+    this.startHls(currentTime, !wasPaused);
+  }
+
+  startHls(startTime: number, autoplay: boolean): void {
+    if (!this.player || !this.mediaId) return;
+
+    // hls.js drives the video element itself, so the direct stream's offset no longer applies
+    offsetStreams.delete(this.player);
+
+    const token = localStorage.getItem('token');
+    const params: string[] = [];
+    if (this.burnSubtitle !== null) {
+      params.push(`subtitle=${this.burnSubtitle}`);
+    }
+    if (token) {
+      params.push(`token=${encodeURIComponent(token)}`);
+    }
+
+    let url = this.mediaService.getHLSUrl(this.mediaId);
+    if (params.length > 0) {
+      url += `?${params.join('&')}`;
+    }
+
+    // Safari plays HLS natively and does its own rendition switching
+    if (!Hls.isSupported()) {
+      this.player.src({ src: url, type: 'application/x-mpegURL' });
+      this.player.currentTime(startTime);
+      if (autoplay) {
+        this.player.play();
+      }
+      return;
+    }
+
+    const videoEl = this.player.tech(true).el() as HTMLVideoElement;
+    this.hls = new Hls({ startPosition: startTime });
+
+    this.hls.on(Hls.Events.MANIFEST_PARSED, () => {
+      if (this.hls) {
+        this.hls.currentLevel = this.getHlsLevel(this.currentQuality);
+        this.selectHlsAudioTrack();
+      }
+      if (autoplay) {
+        this.player?.play();
+      }
+    });
+
+    this.hls.on(Hls.Events.ERROR, (event, data) => {
+      if (!data.fatal || !this.hls) return;
+
+      if (data.type === Hls.ErrorTypes.NETWORK_ERROR) {
+        this.hls.startLoad();
+      } else if (data.type === Hls.ErrorTypes.MEDIA_ERROR) {
+        this.hls.recoverMediaError();
+      } else {
+        this.ngZone.run(() => {
+          console.error('HLS playback error:', data);
+          this.destroyHls();
+          this.errorMessage = 'Error loading video. Please try again.';
+        });
+      }
+    });
+
+    this.hls.loadSource(url);
+    this.hls.attachMedia(videoEl);
+  }
+
+  changeAudioTrack(track: number): void {
+    if (!this.player || !this.mediaId) return;
+
+    this.currentAudioTrack = track;
+
+    if (this.currentQuality !== 'direct') {
+      this.selectHlsAudioTrack();
+      return;
+    }
+
+    const currentTime = this.player.currentTime() || 0;
+    const wasPaused = this.player.paused();
+
+    // Another track can change how the server delivers the direct stream
+    this.mediaService.getStreamInfo(this.mediaId, track, this.burnSubtitle).subscribe({
+      next: (info) => {
+        this.playbackDecision = info.playback;
+        this.loadDirectSource(currentTime, !wasPaused);
+      },
+      error: (error) => {
+        console.error('Error switching audio track:', error);
+        this.loadDirectSource(currentTime, !wasPaused);
+      }
+    });
+  }
+
+  changeBurnSubtitle(subtitleId: number | null): void {
+    if (!this.player || !this.mediaId) return;
+
+    this.burnSubtitle = subtitleId;
+    const currentTime = this.player.currentTime() || 0;
+    const wasPaused = this.player.paused();
+
+    // The subtitle becomes part of the video, so the stream has to be reloaded
+    if (this.currentQuality !== 'direct') {
+      this.destroyHls();
+      this.startHls(currentTime, !wasPaused);
+      return;
+    }
+
+    this.mediaService.getStreamInfo(this.mediaId, this.currentAudioTrack, subtitleId).subscribe({
+      next: (info) => {
+        this.playbackDecision = info.playback;
+        this.loadDirectSource(currentTime, !wasPaused);
+      },
+      error: (error) => {
+        console.error('Error switching burned-in subtitle:', error);
+        this.loadDirectSource(currentTime, !wasPaused);
+      }
     });
+  }
+
+  selectHlsAudioTrack(): void {
+    // The master playlist lists the audio group in the file's track order
+    const position = this.audioTracks.findIndex(track => track.index === this.currentAudioTrack);
+    if (position < 0) return;
+
+    if (this.hls) {
+      if (this.hls.audioTracks.length > position) {
+        this.hls.audioTrack = position;
+      }
+      return;
+    }
+
+    // Native HLS playback exposes the group through the player's audio track list
+    const tracks = (this.player as any)?.audioTracks();
+    for (let i = 0; i < (tracks?.length || 0); i++) {
+      tracks[i].enabled = i === position;
+    }
+  }
 
-    this.player.currentTime(currentTime);
+  getAudioTrackLabel(track: AudioTrack): string {
+    const name = track.title || track.language.toUpperCase();
+    const channels = track.channels > 2 ? ` ${track.channelLayout || track.channels + 'ch'}` : '';
+    return `${name} (${track.codec}${channels})`;
+  }
 
-    if (!wasPaused) {
-      this.player.play();
+  getHlsLevel(quality: string): number {
+    // -1 lets hls.js pick the rendition from measured bandwidth
+    const selected = this.availableQualities.find(q => q.name === quality);
+    if (!this.hls || !selected) {
+      return -1;
+    }
+    return this.hls.levels.findIndex(level => level.height === selected.height);
+  }
+
+  destroyHls(): void {
+    if (this.hls) {
+      this.hls.destroy();
+      this.hls = undefined;
     }
   }
 
@@ -464,6 +855,52 @@ export class VideoPlayerComponent implements OnInit, AfterViewInit, OnDestroy {
     }
   }
 
+  getNextPart(): MediaPart | undefined {
+    const parts = this.mediaItem?.parts || [];
+    const index = parts.findIndex(part => part.id === this.mediaId);
+    return index >= 0 ? parts[index + 1] : undefined;
+  }
+
+  getCurrentPartNumber(): number | undefined {
+    return this.mediaItem?.parts?.find(part => part.id === this.mediaId)?.part_number;
+  }
+
+  playNextPart(): void {
+    const part = this.getNextPart();
+    if (!part || !this.mediaItem) return;
+
+    // Switch the source in place instead of navigating, so playback (and fullscreen) carries on
+    this.mediaId = part.id;
+    this.mediaItem = { ...this.mediaItem, id: part.id, file_path: part.file_path, part_number: part.part_number };
+    this.location.replaceState(`/watch/${part.id}`);
+    this.lastSavedTime = 0;
+
+    // Tracks and subtitles belong to the file, so start from the defaults of the new one
+    this.currentAudioTrack = 0;
+    this.burnSubtitle = null;
+    this.subtitleTracks.forEach(entry => this.player?.removeRemoteTextTrack(entry.element));
+    this.subtitleTracks = [];
+    this.activeSubtitle = null;
+    this.destroyHls();
+    this.currentQuality = 'direct';
+
+    this.loadAvailableQualities();
+    this.loadSubtitles();
+
+    this.mediaService.getStreamInfo(part.id).subscribe({
+      next: (info) => {
+        this.playbackDecision = info.playback;
+        this.mediaDuration = info.videoInfo?.duration || 0;
+        this.audioTracks = info.videoInfo?.audioTracks || [];
+        this.loadDirectSource(0, true);
+      },
+      error: (error) => {
+        console.error('Error loading next part:', error);
+        this.loadDirectSource(0, true);
+      }
+    });
+  }
+
   playPreviousEpisode(): void {
     if (this.previousEpisode?.media_item_id) {
       // Save progress before navigating
@@ -480,28 +917,73 @@ export class VideoPlayerComponent implements OnInit, AfterViewInit, OnDestroy {
 
     console.log('[VideoPlayer] Adding subtitles to player:', this.availableSubtitles);
 
-    // Get JWT token for authenticated subtitle requests
-    const token = localStorage.getItem('token');
-
-    this.availableSubtitles.forEach((subtitle, index) => {
-      let subtitleUrl = this.mediaService.getSubtitleUrl(subtitle.id);
-      if (token) {
-        subtitleUrl += `?token=${encodeURIComponent(token)}`;
-      }
+    // Image-based tracks (PGS, VobSub) have no WebVTT version
+    const textSubtitles = this.availableSubtitles.filter(subtitle => subtitle.text_based !== false);
 
+    textSubtitles.forEach((subtitle, index) => {
       // Determine kind based on format or default to 'subtitles'
       const kind = 'subtitles';
 
       // Add text track to player
-      this.player?.addRemoteTextTrack({
+      const element = this.player?.addRemoteTextTrack({
         kind: kind,
-        src: subtitleUrl,
+        src: this.getSubtitleTrackUrl(subtitle),
         srclang: subtitle.language,
         label: subtitle.label,
         default: subtitle.is_default || index === 0
       }, false);
+      this.subtitleTracks.push({ subtitle, element });
 
       console.log(`[VideoPlayer] Added subtitle track: ${subtitle.label} (${subtitle.language})`);
     });
   }
+
+  getSubtitleTrackUrl(subtitle: any): string {
+    // The offset only keys the browser cache: the server applies the stored one
+    let url = `${this.mediaService.getSubtitleUrl(subtitle.id)}?v=${subtitle.offset || 0}`;
+
+    // Get JWT token for authenticated subtitle requests
+    const token = localStorage.getItem('token');
+    if (token) {
+      url += `&token=${encodeURIComponent(token)}`;
+    }
+    return url;
+  }
+
+  updateActiveSubtitle(): void {
+    const showing = this.subtitleTracks.find(entry => entry.element?.track?.mode === 'showing');
+    this.activeSubtitle = showing ? showing.subtitle : null;
+  }
+
+  adjustSubtitleOffset(delta: number): void {
+    const subtitle = this.activeSubtitle;
+    if (!subtitle) return;
+
+    const offset = Math.round(((subtitle.offset || 0) + delta) * 10) / 10;
+
+    this.mediaService.updateSubtitleOffset(subtitle.id, offset).subscribe({
+      next: (response) => {
+        subtitle.offset = response.offset;
+        this.reloadSubtitleTrack(subtitle);
+      },
+      error: (error) => {
+        console.error('Error saving subtitle offset:', error);
+      }
+    });
+  }
+
+  reloadSubtitleTrack(subtitle: any): void {
+    const entry = this.subtitleTracks.find(track => track.subtitle === subtitle);
+    if (!this.player || !entry) return;
+
+    // Cues are fetched once per track, so the shifted version needs a new track
+    this.player.removeRemoteTextTrack(entry.element);
+    entry.element = this.player.addRemoteTextTrack({
+      kind: 'subtitles',
+      src: this.getSubtitleTrackUrl(subtitle),
+      srclang: subtitle.language,
+      label: subtitle.label
+    }, false);
+    entry.element.track.mode = 'showing';
+  }
 }
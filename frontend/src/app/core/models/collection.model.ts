@@ -0,0 +1,38 @@
+export interface Collection {
+  id: number;
+  tmdb_id: number;
+  name: string;
+  overview?: string;
+  poster_path?: string;
+  backdrop_path?: string;
+  total_parts: number;
+  owned_parts: number;
+}
+
+export interface CollectionPart {
+  tmdb_id: number;
+  position: number;
+  title: string;
+  overview?: string;
+  release_date?: string;
+  poster_path?: string;
+  // Null when the movie is not in the library
+  media_item_id: number | null;
+}
+
+export interface CollectionDetails {
+  id: number;
+  tmdb_id: number;
+  name: string;
+  overview?: string;
+  poster_path?: string;
+  backdrop_path?: string;
+  parts: CollectionPart[];
+  totalParts: number;
+  ownedParts: number;
+}
+
+export interface CollectionsResponse {
+  count: number;
+  collections: Collection[];
+}
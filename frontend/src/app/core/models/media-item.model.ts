@@ -23,6 +23,19 @@ export interface MediaItem {
   quality?: string;
   added_at?: string;
   updated_at?: string;
+  // Movies split over several files: later parts point at the first, which lists them all
+  parent_id?: number | null;
+  part_number?: number | null;
+  parts?: MediaPart[];
+  // Collections (movie sets) a movie is part of
+  collections?: { id: number; name: string }[];
+}
+
+export interface MediaPart {
+  id: number;
+  part_number: number;
+  file_path: string;
+  duration?: number;
 }
 
 export interface MoviesResponse {
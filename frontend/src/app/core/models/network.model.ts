@@ -20,10 +20,13 @@ export interface NetworkFile {
   modifiedAt?: string;
   isDirectory: boolean;
   isFile: boolean;
+  mimeType?: string | null;
+  url?: string | null;
 }
 
 export interface BrowseResult {
   path: string;
+  parentPath?: string;
   files: NetworkFile[];
 }
 
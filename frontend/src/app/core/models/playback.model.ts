@@ -0,0 +1,52 @@
+export type PlaybackMode = 'direct_play' | 'remux' | 'transcode';
+
+export interface ClientProfile {
+  containers: string[];
+  videoCodecs: string[];
+  audioCodecs: string[];
+  maxHeight: number;
+  maxAudioChannels: number;
+}
+
+export interface AudioTrack {
+  index: number;
+  codec: string;
+  language: string;
+  title: string | null;
+  channels: number;
+  channelLayout: string | null;
+  default: boolean;
+}
+
+export interface PlaybackDecision {
+  mode: PlaybackMode;
+  reason: string;
+  reasons: string[];
+  container: string;
+  copyAudio: boolean;
+  audioTrack: number | null;
+  burnSubtitle: number | null;
+  cached: boolean;
+  seekable: boolean;
+}
+
+export interface SeekOffset {
+  mode: PlaybackMode;
+  requested: number;
+  start: number;
+}
+
+export interface StreamInfo {
+  mediaItem: {
+    id: number;
+    title: string;
+    type: string;
+  };
+  // Null for network items, which are not probed
+  videoInfo: {
+    duration: number;
+    audioTracks?: AudioTrack[];
+    [key: string]: any;
+  } | null;
+  playback: PlaybackDecision;
+}
@@ -20,19 +20,44 @@ export interface Episode {
   overview?: string;
   air_date?: string;
   still_path?: string;
-  media_item_id: number;
+  media_item_id: number | null;
   duration?: number;
-  file_path: string;
+  file_path: string | null;
+  // Only in season listings: missing episodes are known from TMDB but have no file
+  status?: EpisodeStatus;
 }
 
+export type EpisodeStatus = 'available' | 'missing' | 'unaired';
+
 export interface Season {
   seasonNumber: number;
+  name: string;
+  overview?: string;
+  poster_path?: string;
+  air_date?: string;
   episodes: Episode[];
+  availableCount: number;
+  missingCount: number;
 }
 
 export interface TVShowDetails extends TVShow {
   seasons: Season[];
   totalEpisodes: number;
+  missingEpisodes: number;
+}
+
+export interface MissingEpisodesReport {
+  id: number;
+  title: string;
+  seasonsKnown: boolean;
+  missingCount: number;
+  seasons: {
+    seasonNumber: number;
+    name: string;
+    episodes: Episode[];
+  }[];
+  specials: Episode[];
+  unaired: Episode[];
 }
 
 export interface TVShowsResponse {
@@ -3,7 +3,9 @@ import { HttpClient } from '@angular/common/http';
 import { Observable, catchError, throwError } from 'rxjs';
 import { environment } from '../../../environments/environment';
 import { MediaItem, MoviesResponse } from '../models/media-item.model';
-import { TVShow, TVShowDetails, TVShowsResponse, Episode } from '../models/tv-show.model';
+import { TVShow, TVShowDetails, TVShowsResponse, Episode, MissingEpisodesReport } from '../models/tv-show.model';
+import { CollectionDetails, CollectionsResponse } from '../models/collection.model';
+import { ClientProfile, SeekOffset, StreamInfo } from '../models/playback.model';
 
 @Injectable({
   providedIn: 'root'
@@ -59,8 +61,10 @@ export class MediaService {
     return `${baseUrl}/api/stream/${id}/hls/manifest.m3u8`;
   }
 
-  getStreamInfo(id: number): Observable<any> {
-    return this.http.get(`${environment.apiUrl}/stream/${id}/info`)
+  getStreamInfo(id: number, audioTrack: number = 0, burnSubtitle: number | null = null, profile: ClientProfile = this.getClientProfile()): Observable<StreamInfo> {
+    // Burning in an image-based subtitle always means a transcode
+    const subtitle = burnSubtitle !== null ? `&subtitle=${burnSubtitle}` : '';
+    return this.http.get<StreamInfo>(`${environment.apiUrl}/stream/${id}/info?${this.getProfileQuery(profile)}&audio=${audioTrack}${subtitle}`)
       .pipe(
         catchError((error) => {
           console.error('Error fetching stream info:', error);
@@ -69,6 +73,57 @@ export class MediaService {
       );
   }
 
+  getSeekOffset(id: number, start: number, audioTrack: number = 0, profile: ClientProfile = this.getClientProfile()): Observable<SeekOffset> {
+    return this.http.get<SeekOffset>(`${environment.apiUrl}/stream/${id}/seek?start=${start}&audio=${audioTrack}&${this.getProfileQuery(profile)}`)
+      .pipe(
+        catchError((error) => {
+          console.error('Error fetching seek offset:', error);
+          return throwError(() => error);
+        })
+      );
+  }
+
+  // Describe what this browser can play, so the server can choose between direct play, remux and transcode
+  getClientProfile(): ClientProfile {
+    const video = document.createElement('video');
+    const canPlay = (type: string) => video.canPlayType(type) !== '';
+
+    const containers = ['mp4'];
+    if (canPlay('video/webm')) containers.push('webm');
+    if (canPlay('video/x-matroska')) containers.push('mkv');
+
+    const videoCodecs = ['h264'];
+    if (canPlay('video/mp4; codecs="hvc1"') || canPlay('video/mp4; codecs="hev1.1.6.L93.B0"')) videoCodecs.push('hevc');
+    if (canPlay('video/webm; codecs="vp8"')) videoCodecs.push('vp8');
+    if (canPlay('video/webm; codecs="vp9"')) videoCodecs.push('vp9');
+    if (canPlay('video/mp4; codecs="av01.0.05M.08"')) videoCodecs.push('av1');
+
+    const audioCodecs = ['aac', 'mp3'];
+    if (canPlay('audio/webm; codecs="opus"')) audioCodecs.push('opus');
+    if (canPlay('audio/webm; codecs="vorbis"')) audioCodecs.push('vorbis');
+    if (canPlay('audio/mp4; codecs="flac"')) audioCodecs.push('flac');
+    if (canPlay('audio/mp4; codecs="ac-3"')) audioCodecs.push('ac3');
+    if (canPlay('audio/mp4; codecs="ec-3"')) audioCodecs.push('eac3');
+
+    return {
+      containers,
+      videoCodecs,
+      audioCodecs,
+      maxHeight: window.screen.height * (window.devicePixelRatio || 1) > 1440 ? 2160 : 1080,
+      maxAudioChannels: 2
+    };
+  }
+
+  getProfileQuery(profile: ClientProfile): string {
+    return [
+      `containers=${profile.containers.join(',')}`,
+      `videoCodecs=${profile.videoCodecs.join(',')}`,
+      `audioCodecs=${profile.audioCodecs.join(',')}`,
+      `maxHeight=${profile.maxHeight}`,
+      `maxAudioChannels=${profile.maxAudioChannels}`
+    ].join('&');
+  }
+
   getAvailableQualities(id: number): Observable<any> {
     return this.http.get(`${environment.apiUrl}/stream/${id}/qualities`)
       .pipe(
@@ -79,7 +134,7 @@ export class MediaService {
       );
   }
 
-  getPosterUrl(posterPath: string | undefined): string {
+  getPosterUrl(posterPath: string | undefined, width?: number): string {
     if (!posterPath) {
       return 'assets/images/placeholder.svg';
     }
@@ -89,11 +144,16 @@ export class MediaService {
       return posterPath;
     }
 
+    // Artwork from the local image store
+    if (posterPath.startsWith('/api/')) {
+      return this.getImageUrl(posterPath, width);
+    }
+
     // Otherwise, it might be a local path
     return posterPath;
   }
 
-  getBackdropUrl(backdropPath: string | undefined): string {
+  getBackdropUrl(backdropPath: string | undefined, width?: number): string {
     if (!backdropPath) {
       return 'assets/images/placeholder.svg';
     }
@@ -103,10 +163,52 @@ export class MediaService {
       return backdropPath;
     }
 
+    // Artwork from the local image store
+    if (backdropPath.startsWith('/api/')) {
+      return this.getImageUrl(backdropPath, width);
+    }
+
     // Otherwise, it might be a local path
     return backdropPath;
   }
 
+  // Image URLs are loaded by <img>, so the token goes in the query string
+  private getImageUrl(path: string, width?: number): string {
+    const token = localStorage.getItem('token');
+    const params: string[] = [];
+    if (width) {
+      params.push(`w=${width}`);
+    }
+    if (token) {
+      params.push(`token=${encodeURIComponent(token)}`);
+    }
+    const url = `${environment.apiUrl}${path.slice('/api'.length)}`;
+    return params.length > 0 ? `${url}?${params.join('&')}` : url;
+  }
+
+  uploadArtwork(id: number, kind: 'poster' | 'backdrop', file: File): Observable<{ message: string; url: string; hash: string }> {
+    return this.http.put<{ message: string; url: string; hash: string }>(
+      `${environment.apiUrl}/images/${id}/${kind}`,
+      file,
+      { headers: { 'Content-Type': file.type } }
+    ).pipe(
+      catchError((error) => {
+        console.error('Error uploading artwork:', error);
+        return throwError(() => error);
+      })
+    );
+  }
+
+  removeUploadedArtwork(id: number, kind: 'poster' | 'backdrop'): Observable<{ message: string }> {
+    return this.http.delete<{ message: string }>(`${environment.apiUrl}/images/${id}/${kind}`)
+      .pipe(
+        catchError((error) => {
+          console.error('Error removing artwork:', error);
+          return throwError(() => error);
+        })
+      );
+  }
+
   // TV Show methods
   getTVShows(): Observable<TVShowsResponse> {
     return this.http.get<TVShowsResponse>(`${environment.apiUrl}/library/tvshows`)
@@ -128,6 +230,16 @@ export class MediaService {
       );
   }
 
+  getMissingEpisodes(tvShowId: number): Observable<MissingEpisodesReport> {
+    return this.http.get<MissingEpisodesReport>(`${environment.apiUrl}/library/tvshow/${tvShowId}/missing`)
+      .pipe(
+        catchError((error) => {
+          console.error('Error fetching missing episodes:', error);
+          return throwError(() => error);
+        })
+      );
+  }
+
   getNextEpisode(episodeId: number): Observable<Episode> {
     return this.http.get<Episode>(`${environment.apiUrl}/library/episode/${episodeId}/next`)
       .pipe(
@@ -148,6 +260,27 @@ export class MediaService {
       );
   }
 
+  // Collection methods
+  getCollections(): Observable<CollectionsResponse> {
+    return this.http.get<CollectionsResponse>(`${environment.apiUrl}/library/collections`)
+      .pipe(
+        catchError((error) => {
+          console.error('Error fetching collections:', error);
+          return throwError(() => error);
+        })
+      );
+  }
+
+  getCollectionDetails(id: number): Observable<CollectionDetails> {
+    return this.http.get<CollectionDetails>(`${environment.apiUrl}/library/collections/${id}`)
+      .pipe(
+        catchError((error) => {
+          console.error('Error fetching collection details:', error);
+          return throwError(() => error);
+        })
+      );
+  }
+
   // Subtitle methods
   getSubtitles(mediaId: number): Observable<any> {
     return this.http.get(`${environment.apiUrl}/subtitles/media/${mediaId}`)
@@ -162,4 +295,25 @@ export class MediaService {
   getSubtitleUrl(subtitleId: number): string {
     return `${environment.apiUrl}/subtitles/${subtitleId}`;
   }
+
+  // WebVTT track of seek bar previews; the token is carried over to the sprite URLs
+  getTrickplayUrl(mediaId: number): string {
+    const token = localStorage.getItem('token');
+    let url = `${environment.apiUrl}/stream/${mediaId}/trickplay.vtt`;
+    if (token) {
+      url += `?token=${encodeURIComponent(token)}`;
+    }
+    return url;
+  }
+
+  // Timing offsets are stored per user and applied by the server when the track is served
+  updateSubtitleOffset(subtitleId: number, offset: number): Observable<{ subtitleId: number; offset: number }> {
+    return this.http.put<{ subtitleId: number; offset: number }>(`${environment.apiUrl}/subtitles/${subtitleId}/offset`, { offset })
+      .pipe(
+        catchError((error) => {
+          console.error('Error updating subtitle offset:', error);
+          return throwError(() => error);
+        })
+      );
+  }
 }
@@ -48,6 +48,19 @@ export class NetworkService {
     return this.http.get<BrowseResult>(`${this.apiUrl}/sources/${id}/browse`, { params });
   }
 
+  scanSource(id: number, path?: string): Observable<{ message: string; path: string }> {
+    return this.http.post<{ message: string; path: string }>(`${this.apiUrl}/sources/${id}/scan`, path ? { path } : {});
+  }
+
+  getStreamUrl(id: number, path: string): string {
+    const token = localStorage.getItem('token');
+    let url = `${environment.apiUrl}/stream/network/${id}?path=${encodeURIComponent(path)}`;
+    if (token) {
+      url += `&token=${encodeURIComponent(token)}`;
+    }
+    return url;
+  }
+
   // UPnP Discovery
   discoverUPnP(timeout: number = 5000): Observable<{ count: number; devices: UPnPDevice[] }> {
     const params = new HttpParams().set('timeout', timeout.toString());